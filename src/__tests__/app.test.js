@@ -0,0 +1,94 @@
+const request = require('supertest');
+const { createApp, listen } = require('../index');
+const { initializeUserRepository } = require('../data/userRepository');
+const { seedTestUsers } = require('../data/__fixtures__/testUsers');
+
+const MEMBER = { email: 'chamindujs@gmail.com', password: 'chamindu123!' };
+
+describe('createApp', () => {
+    let app;
+
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        app = createApp({ logger: false });
+    });
+
+    it('serves the health routes', async () => {
+        const res = await request(app).get('/health');
+
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('healthy');
+    });
+
+    it('answers unknown routes with the error envelope', async () => {
+        const res = await request(app).get('/api/nope');
+
+        expect(res.status).toBe(404);
+        expect(res.body.success).toBe(false);
+        expect(res.body.error.code).toBe('NOT_FOUND');
+    });
+
+    it('turns malformed JSON into a 400', async () => {
+        const res = await request(app)
+            .post('/api/auth/login')
+            .set('Content-Type', 'application/json')
+            .send('{"email":');
+
+        expect(res.status).toBe(400);
+        expect(res.body.error.code).toBe('INVALID_JSON');
+    });
+
+    it('rejects bodies over the JSON limit', async () => {
+        const small = createApp({ logger: false, oauth: false, jsonLimit: '1kb' });
+        const res = await request(small)
+            .post('/api/auth/login')
+            .send({ email: 'x'.repeat(2048), password: 'x' });
+
+        expect(res.status).toBe(413);
+        expect(res.body.error.code).toBe('PAYLOAD_TOO_LARGE');
+    });
+
+    it('logs in and reads the session through the mounted routers', async () => {
+        const login = await request(app).post('/api/auth/login').send(MEMBER);
+        expect(login.status).toBe(200);
+
+        const me = await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${login.body.data.accessToken}`);
+
+        expect(me.status).toBe(200);
+        expect(me.body.data.user.email).toBe(MEMBER.email);
+    });
+
+    it.each([
+        ['GET', '/.well-known/jwks.json'],
+        ['POST', '/api/auth/mfa/verify'],
+        ['POST', '/api/auth/webauthn/login/options'],
+        ['GET', '/api/auth/oauth/providers'],
+        ['GET', '/api/avatar/usr_004'],
+        ['GET', '/api/admin/lockouts'],
+        ['GET', '/api/api-keys']
+    ])('mounts the router behind %s %s', async (method, path) => {
+        const res = await request(app)[method.toLowerCase()](path);
+
+        expect(res.body.error?.code).not.toBe('NOT_FOUND');
+    });
+
+    it('does not advertise Express', async () => {
+        const res = await request(app).get('/health');
+
+        expect(res.headers['x-powered-by']).toBeUndefined();
+    });
+});
+
+describe('listen', () => {
+    it('starts a server on the requested port', async () => {
+        const server = await listen({ port: 0, logger: false });
+        try {
+            const res = await request(server).get('/health');
+            expect(res.status).toBe(200);
+        } finally {
+            server.close();
+        }
+    });
+});
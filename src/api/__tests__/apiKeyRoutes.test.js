@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const { generateTokenPair } = require('../../auth/jwt');
+const { rbacService } = require('../../auth/RBACService');
+
+// Sessions are minted directly; authorization only looks at the token and RBAC assignments
+function session(id, role) {
+    rbacService.assignRole(id, role);
+    const { accessToken } = generateTokenPair({ id, email: `${id}@example.com` });
+    return { Authorization: `Bearer ${accessToken}` };
+}
+
+describe('API key routes', () => {
+    let app;
+    let alice;
+    let bob;
+    let root;
+    let member;
+
+    beforeAll(() => {
+        app = createApp({ logger: false, oauth: false });
+        alice = session('usr_alice', 'ADMIN');
+        bob = session('usr_bob', 'ADMIN');
+        root = session('usr_root', 'SUPER_ADMIN');
+        member = session('usr_member', 'MEMBER');
+    });
+
+    const createKey = async (headers, name = 'ci') => {
+        const res = await request(app).post('/api/api-keys').set(headers).send({ name, scopes: ['user:read'] });
+        expect(res.status).toBe(201);
+        return res.body.data;
+    };
+
+    it('requires api_key:manage', async () => {
+        const res = await request(app).get('/api/api-keys').set(member);
+
+        expect(res.status).toBe(403);
+    });
+
+    it('creates a key that authenticates with its scopes', async () => {
+        const { key, apiKey } = await createKey(alice);
+
+        expect(apiKey.ownerId).toBe('usr_alice');
+        expect(apiKey.keyHash).toBeUndefined();
+
+        // Keys can't manage keys, even when the owner could
+        const res = await request(app).get('/api/api-keys').set('X-API-Key', key);
+        expect(res.status).toBe(403);
+    });
+
+    it.each([
+        ['GET', '/api/auth/me'],
+        ['POST', '/api/auth/logout-all'],
+        ['POST', '/api/avatar'],
+        ['POST', '/api/auth/webauthn/register/options'],
+        ['POST', '/api/auth/mfa/totp/setup']
+    ])('refuses API keys on the user-scoped route %s %s', async (method, path) => {
+        const { key } = await createKey(alice, 'user-scoped');
+
+        const res = await request(app)[method.toLowerCase()](path).set('X-API-Key', key);
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('USER_SESSION_REQUIRED');
+    });
+
+    it('lists only the caller\'s own keys', async () => {
+        await createKey(alice, 'alice-key');
+        await createKey(bob, 'bob-key');
+
+        const res = await request(app).get('/api/api-keys').set(alice);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.apiKeys.every(k => k.ownerId === 'usr_alice')).toBe(true);
+
+        const other = await request(app).get('/api/api-keys?ownerId=usr_bob').set(alice);
+        expect(other.status).toBe(403);
+    });
+
+    it('hides other users\' keys from get, rotate and revoke', async () => {
+        const { apiKey } = await createKey(bob, 'bob-private');
+
+        const get = await request(app).get(`/api/api-keys/${apiKey.id}`).set(alice);
+        const rotate = await request(app).post(`/api/api-keys/${apiKey.id}/rotate`).set(alice);
+        const revoke = await request(app).delete(`/api/api-keys/${apiKey.id}`).set(alice);
+
+        for (const res of [get, rotate, revoke]) {
+            expect(res.status).toBe(404);
+            expect(res.body.error.code).toBe('API_KEY_NOT_FOUND');
+        }
+
+        const still = await request(app).get(`/api/api-keys/${apiKey.id}`).set(bob);
+        expect(still.body.data.apiKey.status).toBe('active');
+    });
+
+    it('rotates and revokes the caller\'s own key', async () => {
+        const { key, apiKey } = await createKey(alice, 'rotating');
+
+        const rotate = await request(app).post(`/api/api-keys/${apiKey.id}/rotate`).set(alice);
+        expect(rotate.status).toBe(201);
+        expect(rotate.body.data.key).not.toBe(key);
+        expect(rotate.body.data.apiKey.rotatedFrom).toBe(apiKey.id);
+
+        const revoke = await request(app).delete(`/api/api-keys/${rotate.body.data.apiKey.id}`).set(alice);
+        expect(revoke.status).toBe(200);
+    });
+
+    it('lets api_key:admin holders manage every key', async () => {
+        const { apiKey } = await createKey(bob, 'bob-admin-view');
+
+        const list = await request(app).get('/api/api-keys?ownerId=usr_bob').set(root);
+        expect(list.body.data.apiKeys.some(k => k.id === apiKey.id)).toBe(true);
+
+        const revoke = await request(app).delete(`/api/api-keys/${apiKey.id}`).set(root);
+        expect(revoke.status).toBe(200);
+    });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const { generateTokenPair } = require('../../auth/jwt');
+const { initializeUserRepository, getUserRepository, UserStatus } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+
+const MEMBER = { id: 'usr_004', email: 'chamindujs@gmail.com', password: 'chamindu123!' };
+
+describe('auth routes', () => {
+    let app;
+
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        app = createApp({ logger: false, oauth: false });
+    });
+
+    const bearer = (accessToken) => ({ Authorization: `Bearer ${accessToken}` });
+
+    describe('POST /login', () => {
+        it('logs in with the right password', async () => {
+            const res = await request(app).post('/api/auth/login').send({ email: MEMBER.email, password: MEMBER.password });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.user.passwordHash).toBeUndefined();
+            expect(res.body.data.refreshToken).toBeDefined();
+        });
+
+        it('gives the same answer for a wrong password and an unknown email', async () => {
+            const wrong = await request(app).post('/api/auth/login').send({ email: MEMBER.email, password: 'nope-nope' });
+            const unknown = await request(app).post('/api/auth/login').send({ email: 'ghost@example.com', password: 'nope-nope' });
+
+            expect(wrong.status).toBe(401);
+            expect(unknown.status).toBe(401);
+            expect(wrong.body.error.code).toBe('INVALID_CREDENTIALS');
+            expect(unknown.body.error.message).toBe(wrong.body.error.message);
+        });
+
+        it('requires both fields', async () => {
+            const res = await request(app).post('/api/auth/login').send({ email: MEMBER.email });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error.code).toBe('MISSING_PASSWORD');
+        });
+    });
+
+    describe('GET /me', () => {
+        it('returns the signed-in user', async () => {
+            const { accessToken } = generateTokenPair(MEMBER);
+
+            const res = await request(app).get('/api/auth/me').set(bearer(accessToken));
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.user.id).toBe(MEMBER.id);
+        });
+
+        it('requires a token', async () => {
+            const res = await request(app).get('/api/auth/me');
+
+            expect(res.status).toBe(401);
+        });
+    });
+
+    describe('POST /refresh', () => {
+        it('rotates the refresh token', async () => {
+            const { refreshToken } = generateTokenPair(MEMBER);
+
+            const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+            expect(res.status).toBe(200);
+            expect(res.body.data.refreshToken).not.toBe(refreshToken);
+            expect((await request(app).get('/api/auth/me').set(bearer(res.body.data.accessToken))).status).toBe(200);
+        });
+
+        it('refuses accounts that were disabled since login', async () => {
+            const { refreshToken } = generateTokenPair(MEMBER);
+            await getUserRepository().update(MEMBER.id, { status: UserStatus.SUSPENDED });
+
+            const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+            await getUserRepository().update(MEMBER.id, { status: UserStatus.ACTIVE });
+
+            expect(res.status).toBe(401);
+            expect(res.body.error.code).toBe('ACCOUNT_UNAVAILABLE');
+        });
+    });
+
+    describe('POST /logout', () => {
+        it('revokes the refresh token and the access token sent with it', async () => {
+            const { accessToken, refreshToken } = generateTokenPair(MEMBER);
+
+            const res = await request(app).post('/api/auth/logout').set(bearer(accessToken)).send({ refreshToken });
+            expect(res.status).toBe(200);
+
+            expect((await request(app).get('/api/auth/me').set(bearer(accessToken))).status).toBe(401);
+            expect((await request(app).post('/api/auth/refresh').send({ refreshToken })).status).toBe(401);
+        });
+
+        it('logs out every session with /logout-all', async () => {
+            const first = generateTokenPair(MEMBER);
+            const second = generateTokenPair(MEMBER);
+
+            await request(app).post('/api/auth/logout-all').set(bearer(first.accessToken)).expect(200);
+
+            expect((await request(app).get('/api/auth/me').set(bearer(second.accessToken))).status).toBe(401);
+            expect((await request(app).post('/api/auth/refresh').send({ refreshToken: second.refreshToken })).status).toBe(401);
+
+            const login = await request(app).post('/api/auth/login').send({ email: MEMBER.email, password: 'chamindu123!' });
+            expect((await request(app).get('/api/auth/me').set(bearer(login.body.data.accessToken))).status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const sharp = require('sharp');
+const { sniffImageType, processAvatarImage, selectAvatarSize, AVATAR_IMAGE_CONFIG } = require('../avatarImages');
+
+const solid = (width, height) => sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } }
+});
+
+describe('avatar images', () => {
+    it('identifies images by their magic bytes', async () => {
+        const png = await solid(8, 8).png().toBuffer();
+        const jpeg = await solid(8, 8).jpeg().toBuffer();
+
+        expect(sniffImageType(png)).toEqual({ type: 'image/png', format: 'png' });
+        expect(sniffImageType(jpeg)).toEqual({ type: 'image/jpeg', format: 'jpeg' });
+        expect(sniffImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+    });
+
+    it('rejects content that does not match the declared type', async () => {
+        const png = await solid(8, 8).png().toBuffer();
+
+        const result = await processAvatarImage(png, 'image/jpeg');
+
+        expect(result.code).toBe('IMAGE_TYPE_MISMATCH');
+    });
+
+    it('rejects truncated images', async () => {
+        const png = await solid(64, 64).png().toBuffer();
+
+        const result = await processAvatarImage(png.subarray(0, 40), 'image/png');
+
+        expect(result.code).toBe('MALFORMED_IMAGE');
+    });
+
+    it('rejects images over the pixel limit before decoding them', async () => {
+        const edge = Math.sqrt(AVATAR_IMAGE_CONFIG.maxPixels) + 1;
+        const png = await solid(edge, edge).png({ compressionLevel: 9 }).toBuffer();
+
+        const result = await processAvatarImage(png, 'image/png');
+
+        expect(result.code).toBe('IMAGE_TOO_LARGE');
+    });
+
+    it('strips metadata and renders every thumbnail size', async () => {
+        const jpeg = await solid(400, 300)
+            .jpeg()
+            .withMetadata({ exif: { IFD0: { Copyright: 'secret' } } })
+            .toBuffer();
+
+        const result = await processAvatarImage(jpeg, 'image/jpeg');
+
+        expect(result.success).toBe(true);
+        expect((await sharp(result.image.data).metadata()).exif).toBeUndefined();
+        for (const size of AVATAR_IMAGE_CONFIG.sizes) {
+            const { width, height } = await sharp(result.image.variants[size]).metadata();
+            expect([width, height]).toEqual([size, size]);
+        }
+    });
+
+    it('picks the smallest thumbnail that covers a size', () => {
+        expect(selectAvatarSize([32, 64, 128], 50)).toBe(64);
+        expect(selectAvatarSize([32, 64, 128], 512)).toBeNull();
+    });
+});
@@ -0,0 +1,85 @@
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+const { createApp } = require('../../app');
+const { generateTokenPair } = require('../../auth/jwt');
+const { rbacService } = require('../../auth/RBACService');
+const { setAvatarStorage, InMemoryAvatarStorage } = require('../avatarStorage');
+
+const OWNER = { id: 'usr_avatar_owner', email: 'owner@example.com' };
+const OTHER = { id: 'usr_avatar_other', email: 'other@example.com' };
+const MODERATOR = { id: 'usr_avatar_moderator', email: 'moderator@example.com' };
+
+const bearer = (user) => `Bearer ${generateTokenPair(user).accessToken}`;
+
+describe('avatar routes', () => {
+    let app;
+    let png;
+
+    beforeAll(async () => {
+        app = createApp({ logger: false, oauth: false });
+        rbacService.assignRole(MODERATOR.id, 'MODERATOR');
+        png = await sharp({ create: { width: 64, height: 64, channels: 3, background: { r: 0, g: 90, b: 200 } } })
+            .png()
+            .toBuffer();
+    });
+
+    beforeEach(() => {
+        setAvatarStorage(new InMemoryAvatarStorage());
+    });
+
+    const upload = (path, headers = {}) => request(app).post(path).set({ 'Content-Type': 'image/png', ...headers }).send(png);
+
+    it('requires a token to upload', async () => {
+        expect((await upload('/api/avatar')).status).toBe(401);
+        expect((await upload('/api/avatar', { 'X-User-Id': OWNER.id })).status).toBe(401);
+    });
+
+    it('uploads for the signed-in user and serves it publicly', async () => {
+        const res = await upload('/api/avatar', { Authorization: bearer(OWNER) });
+        expect(res.status).toBe(201);
+        expect(res.body.url).toBe(`/api/avatar/${OWNER.id}`);
+
+        const image = await request(app).get(res.body.url);
+        expect(image.status).toBe(200);
+        expect(image.headers['content-type']).toBe('image/png');
+
+        const cached = await request(app).get(res.body.url).set('If-None-Match', image.headers.etag);
+        expect(cached.status).toBe(304);
+    });
+
+    it('rejects an X-User-Id that does not match the token', async () => {
+        const res = await upload('/api/avatar', { Authorization: bearer(OWNER), 'X-User-Id': OTHER.id });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('accepts X-User-Id alone only while the legacy flag is on', async () => {
+        // The flag is read when the module loads
+        const legacyApp = express();
+        process.env.AVATAR_ALLOW_LEGACY_USER_ID = 'true';
+        try {
+            jest.isolateModules(() => {
+                legacyApp.use('/api', require('../avatarRoutes'));
+            });
+        } finally {
+            delete process.env.AVATAR_ALLOW_LEGACY_USER_ID;
+        }
+
+        const res = await request(legacyApp)
+            .post('/api/avatar')
+            .set({ 'Content-Type': 'image/png', 'X-User-Id': OWNER.id })
+            .send(png);
+
+        expect(res.status).toBe(201);
+        expect(res.headers.deprecation).toBe('true');
+    });
+
+    it('only lets the owner or a moderator change someone\'s avatar', async () => {
+        expect((await upload(`/api/avatar/${OWNER.id}`, { Authorization: bearer(OTHER) })).status).toBe(403);
+        expect((await upload(`/api/avatar/${OWNER.id}`, { Authorization: bearer(OWNER) })).status).toBe(201);
+
+        expect((await request(app).delete(`/api/avatar/${OWNER.id}`).set('Authorization', bearer(OTHER))).status).toBe(403);
+        expect((await request(app).delete(`/api/avatar/${OWNER.id}`).set('Authorization', bearer(MODERATOR))).status).toBe(200);
+    });
+});
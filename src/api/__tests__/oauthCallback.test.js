@@ -0,0 +1,92 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const { passport } = require('../../auth/oauth');
+const { OAUTH_HANDOFF_CONFIG } = require('../../auth/oauthHandoff');
+const { initializeUserRepository } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+
+// Answer GitHub's token and profile requests locally: the authorization code is the GitHub user id
+function stubGitHubStrategy() {
+    const strategy = passport._strategy('github');
+    jest.spyOn(strategy._oauth2, 'getOAuthAccessToken').mockImplementation((code, params, callback) => {
+        callback(null, `gh_${code}`, undefined, {});
+    });
+    jest.spyOn(strategy, 'userProfile').mockImplementation((accessToken, done) => {
+        const id = accessToken.replace('gh_', '');
+        done(null, { provider: 'github', id, username: `gh${id}`, displayName: 'GitHub User', emails: [] });
+    });
+}
+
+const redirectParams = (res) => new URL(res.headers.location).searchParams;
+
+describe('OAuth provider callback', () => {
+    let app;
+
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        app = createApp({ logger: false });
+        stubGitHubStrategy();
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Start the flow and return the state plus the state cookie the browser keeps
+    async function startLogin() {
+        const res = await request(app).get('/api/auth/github');
+        expect(res.status).toBe(302);
+        return {
+            state: redirectParams(res).get('state'),
+            cookie: res.headers['set-cookie'].find(c => c.startsWith('oauth_github=')).split(';')[0]
+        };
+    }
+
+    const callback = (query, cookie) => request(app)
+        .get('/api/auth/github/callback')
+        .query(query)
+        .set('Cookie', cookie || '');
+
+    it('redirects with a one-time code instead of tokens', async () => {
+        const { state, cookie } = await startLogin();
+
+        const res = await callback({ code: '7001', state }, cookie);
+        const params = redirectParams(res);
+
+        expect(res.status).toBe(302);
+        expect(res.headers.location).not.toMatch(/token/i);
+        expect([...params.keys()].sort()).toEqual(['code', 'success']);
+
+        const exchange = await request(app).post('/api/auth/oauth/token').send({ code: params.get('code') });
+        expect(exchange.status).toBe(200);
+        expect(exchange.body.user.id).toBe('github_7001');
+        expect(exchange.body.accessToken).toBeDefined();
+
+        const replay = await request(app).post('/api/auth/oauth/token').send({ code: params.get('code') });
+        expect(replay.body.code).toBe('INVALID_OAUTH_CODE');
+    });
+
+    it('expires codes that are not exchanged in time', async () => {
+        const { state, cookie } = await startLogin();
+        const code = redirectParams(await callback({ code: '7002', state }, cookie)).get('code');
+
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        try {
+            jest.setSystemTime(Date.now() + OAUTH_HANDOFF_CONFIG.codeExpiryMs);
+            const res = await request(app).post('/api/auth/oauth/token').send({ code });
+            expect(res.body.code).toBe('INVALID_OAUTH_CODE');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('rejects a callback without the state cookie', async () => {
+        const { state } = await startLogin();
+
+        const params = redirectParams(await callback({ code: '7003', state }));
+
+        expect(params.get('success')).toBe('false');
+        expect(params.get('errorCode')).toBe('OAUTH_STATE_MISMATCH');
+        expect(params.get('code')).toBeNull();
+    });
+});
@@ -0,0 +1,165 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const { generateTokenPair } = require('../../auth/jwt');
+const { ensureOAuthAccount, linkOAuthProvider, getOAuthUser, OAUTH_CONFIG } = require('../../auth/oauth');
+const { createHandoffCode } = require('../../auth/oauthHandoff');
+const { setOAuthHttpClient } = require('../../auth/oauthHttpClient');
+const { startTotpEnrollment, confirmTotpEnrollment } = require('../../auth/mfa');
+const { generateTotp } = require('../../auth/totp');
+const { initializeUserRepository, getUserRepository, UserStatus } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+
+const session = (id, email) => ({ Authorization: `Bearer ${generateTokenPair({ id, email }).accessToken}` });
+
+// GitHub stub: the authorization code is the GitHub user id to log in as
+function stubGitHub() {
+    setOAuthHttpClient({
+        async request({ method, url, body, headers }) {
+            if (method === 'POST' && url === OAUTH_CONFIG.github.tokenURL) {
+                return { status: 200, data: { access_token: `gh_${new URLSearchParams(body).get('code')}` } };
+            }
+            const githubId = headers.Authorization.replace('Bearer gh_', '');
+            if (url === OAUTH_CONFIG.github.userProfileURL) {
+                return { status: 200, data: { id: Number(githubId), login: `gh${githubId}`, name: 'GitHub User' } };
+            }
+            return { status: 404, data: null };
+        }
+    });
+}
+
+async function linkGitHub(userId, githubId) {
+    const account = await getUserRepository().findById(userId);
+    ensureOAuthAccount(account);
+    const linked = linkOAuthProvider(userId, 'github', { id: String(githubId), emails: [] });
+    expect(linked.success).toBe(true);
+}
+
+const exchange = (app, code) => request(app).post('/api/auth/oauth/token').send({ provider: 'github', code });
+
+describe('OAuth routes', () => {
+    let app;
+
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        app = createApp({ logger: false });
+        stubGitHub();
+    });
+
+    afterAll(() => {
+        setOAuthHttpClient(null);
+    });
+
+    describe('logins for password accounts', () => {
+        it('issues tokens for a linked account without MFA', async () => {
+            await linkGitHub('usr_004', 4004);
+
+            const res = await exchange(app, '4004');
+
+            expect(res.status).toBe(200);
+            expect(res.body.user.email).toBe('chamindujs@gmail.com');
+            expect(res.body.accessToken).toBeDefined();
+        });
+
+        it('asks for the second factor when the account has MFA', async () => {
+            const { secret } = await startTotpEnrollment('usr_003');
+            await confirmTotpEnrollment('usr_003', generateTotp(secret));
+            await linkGitHub('usr_003', 4003);
+
+            const res = await exchange(app, '4003');
+
+            expect(res.status).toBe(202);
+            expect(res.body).toMatchObject({ mfaRequired: true, enrollmentRequired: false });
+            expect(res.body.mfaToken).toBeDefined();
+            expect(res.body.accessToken).toBeUndefined();
+        });
+
+        it('refuses accounts that are not active', async () => {
+            await linkGitHub('usr_001', 4001);
+            await getUserRepository().update('usr_001', { status: UserStatus.SUSPENDED });
+
+            const res = await exchange(app, '4001');
+
+            expect(res.status).toBe(403);
+            expect(res.body.code).toBe('ACCOUNT_UNAVAILABLE');
+            await getUserRepository().update('usr_001', { status: UserStatus.ACTIVE });
+        });
+
+        it('still creates OAuth-only accounts for unknown profiles', async () => {
+            const res = await exchange(app, '5000');
+
+            expect(res.status).toBe(200);
+            expect(res.body.user.id).toBe('github_5000');
+        });
+    });
+
+    describe('handoff codes', () => {
+        it('hand over an MFA challenge with 202, once', async () => {
+            const code = createHandoffCode({
+                success: false,
+                mfaRequired: true,
+                enrollmentRequired: false,
+                message: 'Two-factor authentication code required',
+                mfaToken: 'challenge',
+                expiresIn: 300
+            });
+
+            const res = await request(app).post('/api/auth/oauth/token').send({ code });
+            expect(res.status).toBe(202);
+            expect(res.body).toMatchObject({ mfaRequired: true, mfaToken: 'challenge' });
+
+            const again = await request(app).post('/api/auth/oauth/token').send({ code });
+            expect(again.status).toBe(400);
+            expect(again.body.code).toBe('INVALID_OAUTH_CODE');
+        });
+    });
+
+    describe('provider linking', () => {
+        const member = () => session('usr_004', 'chamindujs@gmail.com');
+
+        const startLink = async () => {
+            const res = await request(app).post('/api/auth/oauth/links/google').set(member());
+            expect(res.status).toBe(200);
+            const cookie = res.headers['set-cookie'].find(c => c.startsWith('oauth_link='));
+            expect(cookie).toMatch(/HttpOnly/);
+            return { authUrl: res.body.authUrl, cookie: cookie.split(';')[0] };
+        };
+
+        it('starts the provider flow from the browser that requested the ticket', async () => {
+            const { authUrl, cookie } = await startLink();
+
+            const res = await request(app).get(authUrl).set('Cookie', cookie);
+
+            expect(res.status).toBe(302);
+            expect(res.headers.location.startsWith(OAUTH_CONFIG.google.authorizationURL)).toBe(true);
+        });
+
+        it('rejects a ticket used without its cookie', async () => {
+            const { authUrl } = await startLink();
+
+            const res = await request(app).get(authUrl);
+
+            expect(res.status).toBe(302);
+            expect(new URL(res.headers.location).searchParams.get('errorCode')).toBe('INVALID_LINK_TICKET');
+        });
+
+        it('rejects a ticket used with another browser\'s cookie', async () => {
+            const { authUrl } = await startLink();
+            const other = await startLink();
+
+            const res = await request(app).get(authUrl).set('Cookie', other.cookie);
+
+            expect(new URL(res.headers.location).searchParams.get('errorCode')).toBe('INVALID_LINK_TICKET');
+        });
+
+        it('lists and unlinks providers, keeping the password login', async () => {
+            await linkGitHub('usr_004', 4004);
+
+            const listed = await request(app).get('/api/auth/oauth/links').set(member());
+            expect(listed.body.providers.map(p => p.name)).toEqual(['github']);
+
+            const res = await request(app).delete('/api/auth/oauth/links/github').set(member());
+            expect(res.status).toBe(200);
+            expect(getOAuthUser('usr_004').providers).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const express = require('express');
+const request = require('supertest');
+const { createApp } = require('../../app');
+const { createRateLimiter, RateLimitAlgorithms, RATE_LIMIT_POLICIES } = require('../rateLimiter');
+const { InMemoryRateLimitStore, SqliteRateLimitStore } = require('../rateLimitStore');
+const { generateTokenPair } = require('../../auth/jwt');
+const { createApiKey } = require('../../auth/apiKeys');
+const { rbacService } = require('../../auth/RBACService');
+const { authenticate } = require('../../middleware/authMiddleware');
+
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+// App with a single limited route; every request comes from the same IP
+function limitedApp(policy) {
+    const app = express();
+    app.get('/', createRateLimiter({ store: new InMemoryRateLimitStore(), ...policy }), (req, res) => res.json({ ok: true }));
+    return app;
+}
+
+const hit = async (app, times = 1) => {
+    const statuses = [];
+    for (let i = 0; i < times; i++) {
+        statuses.push((await request(app).get('/')).status);
+    }
+    return statuses;
+};
+
+describe('rate limit algorithms', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('fixed window resets at the window boundary', async () => {
+        const app = limitedApp({ windowMs: 1000, max: 2, algorithm: RateLimitAlgorithms.FIXED_WINDOW });
+
+        expect(await hit(app, 3)).toEqual([200, 200, 429]);
+
+        jest.setSystemTime(START + 1000);
+        expect(await hit(app)).toEqual([200]);
+    });
+
+    it('sliding log counts any rolling window and ignores rejected requests', async () => {
+        const app = limitedApp({ windowMs: 1000, max: 2, algorithm: RateLimitAlgorithms.SLIDING_LOG });
+
+        await hit(app);
+        jest.setSystemTime(START + 600);
+        expect(await hit(app, 3)).toEqual([200, 429, 429]);
+
+        // The first hit has left the window; the rejected ones never entered it
+        jest.setSystemTime(START + 1001);
+        expect(await hit(app, 2)).toEqual([200, 429]);
+    });
+
+    it('token bucket allows bursts and refills gradually', async () => {
+        const app = limitedApp({ windowMs: 1000, max: 4, algorithm: RateLimitAlgorithms.TOKEN_BUCKET });
+
+        expect(await hit(app, 5)).toEqual([200, 200, 200, 200, 429]);
+
+        jest.setSystemTime(START + 250);
+        expect(await hit(app, 2)).toEqual([200, 429]);
+    });
+
+    it('token bucket is not drained by the clock stepping backwards', async () => {
+        const app = limitedApp({ windowMs: 1000, max: 2, algorithm: RateLimitAlgorithms.TOKEN_BUCKET });
+
+        jest.setSystemTime(START + 5000);
+        await hit(app);
+        jest.setSystemTime(START);
+
+        expect(await hit(app, 2)).toEqual([200, 429]);
+    });
+
+    it('keeps blocking for the block duration', async () => {
+        const app = limitedApp({ windowMs: 1000, max: 1, blockDurationMs: 5000 });
+
+        await hit(app, 2);
+        jest.setSystemTime(START + 2000);
+        const res = await request(app).get('/');
+
+        expect(res.status).toBe(429);
+        expect(res.headers['retry-after']).toBe('3');
+    });
+
+    it('sets the RateLimit headers', async () => {
+        const app = limitedApp({ windowMs: 60 * 1000, max: 10 });
+
+        const res = await request(app).get('/');
+
+        expect(res.headers['ratelimit-policy']).toBe('10;w=60');
+        expect(res.headers['ratelimit-remaining']).toBe('9');
+    });
+
+    it.each(Object.values(RateLimitAlgorithms))('refuses a %s policy that allows no requests', (algorithm) => {
+        expect(() => createRateLimiter({ store: new InMemoryRateLimitStore(), windowMs: 1000, max: 0, algorithm }))
+            .toThrow(/max of at least 1/);
+    });
+});
+
+describe('SQLite rate limit store', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limits-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Each worker thread opens its own connection, like a separate process would
+    const countInWorker = (filename, times) => new Promise((resolve, reject) => {
+        const worker = new Worker(`
+            const { workerData } = require('worker_threads');
+            const { SqliteRateLimitStore } = require(workerData.modulePath);
+            const store = new SqliteRateLimitStore(workerData.filename);
+            for (let i = 0; i < workerData.times; i++) {
+                store.update('shared', state => ({ state: { count: (state?.count || 0) + 1 }, expiresAt: Date.now() + 60000 }));
+            }
+        `, { eval: true, workerData: { modulePath: require.resolve('../rateLimitStore'), filename, times } });
+        worker.on('error', reject);
+        worker.on('exit', resolve);
+    });
+
+    it('does not lose updates from connections sharing the database file', async () => {
+        const filename = path.join(dir, 'limits.sqlite');
+        const store = new SqliteRateLimitStore(filename);
+
+        await Promise.all([countInWorker(filename, 300), countInWorker(filename, 300)]);
+
+        expect(store.get('shared').count).toBe(600);
+    });
+});
+
+describe('authenticated traffic', () => {
+    const originalMax = { api: RATE_LIMIT_POLICIES.api.max, apiKey: RATE_LIMIT_POLICIES.apiKey.max };
+    let app;
+
+    beforeAll(() => {
+        app = createApp({ logger: false, oauth: false });
+        // Policies are read per request, so shrinking them applies to the mounted limiters
+        RATE_LIMIT_POLICIES.api.max = 2;
+        RATE_LIMIT_POLICIES.apiKey.max = 2;
+    });
+
+    afterAll(() => {
+        RATE_LIMIT_POLICIES.api.max = originalMax.api;
+        RATE_LIMIT_POLICIES.apiKey.max = originalMax.apiKey;
+    });
+
+    const bearer = (id) => `Bearer ${generateTokenPair({ id, email: `${id}@example.com` }).accessToken}`;
+
+    it('limits each user across tokens', async () => {
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await request(app).get('/api/auth/me').set('Authorization', bearer('usr_limited'))).status);
+        }
+
+        expect(statuses[2]).toBe(429);
+
+        const other = await request(app).get('/api/auth/me').set('Authorization', bearer('usr_other'));
+        expect(other.status).not.toBe(429);
+    });
+
+    it('leaves routes that only authenticate unlimited', async () => {
+        const plain = express().get('/', authenticate, (req, res) => res.json({ ok: true }));
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await request(plain).get('/').set('Authorization', bearer('usr_plain'))).status);
+        }
+
+        expect(statuses).toEqual([200, 200, 200]);
+    });
+
+    it('gives API keys their own budget', async () => {
+        rbacService.assignRole('usr_keys', 'ADMIN');
+        const { key } = createApiKey('usr_keys', { name: 'limited', scopes: ['user:manage'] });
+
+        const statuses = [];
+        for (let i = 0; i < 3; i++) {
+            statuses.push((await request(app).get('/api/admin/lockouts').set('X-API-Key', key)).status);
+        }
+
+        expect(statuses).toEqual([200, 200, 429]);
+    });
+});
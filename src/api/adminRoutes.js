@@ -0,0 +1,60 @@
+// Administrative endpoints - account lockout management
+const express = require('express');
+const router = express.Router();
+const { listLockouts, getLockoutStatus, clearLockout } = require('../auth/accountLockout');
+const { authenticate } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorizationMiddleware');
+const { authenticatedRateLimiter } = require('./rateLimiter');
+const { sendErrorResponse, sendSuccessResponse } = require('./responses');
+
+// Every admin route needs a signed-in user allowed to manage users
+router.use(authenticate, authenticatedRateLimiter, authorize('user', 'manage'));
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    List accounts with recent failed logins (?locked=true for locked accounts only)
+ * @access  Admin
+ */
+router.get('/lockouts', (req, res) => {
+    try {
+        const lockouts = listLockouts({ lockedOnly: req.query.locked === 'true' });
+        return sendSuccessResponse(res, 200, 'Lockouts retrieved', { lockouts });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'LOCKOUT_LOOKUP_FAILED', 'Failed to list lockouts', error.message);
+    }
+});
+
+/**
+ * @route   GET /api/admin/lockouts/:email
+ * @desc    Inspect the lockout state of one account
+ * @access  Admin
+ */
+router.get('/lockouts/:email', (req, res) => {
+    try {
+        const lockout = getLockoutStatus(req.params.email);
+        if (!lockout) {
+            return sendErrorResponse(res, 404, 'LOCKOUT_NOT_FOUND', 'No recent failed logins for this account');
+        }
+        return sendSuccessResponse(res, 200, 'Lockout retrieved', { lockout });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'LOCKOUT_LOOKUP_FAILED', 'Failed to load lockout', error.message);
+    }
+});
+
+/**
+ * @route   DELETE /api/admin/lockouts/:email
+ * @desc    Clear failed attempts and unlock the account
+ * @access  Admin
+ */
+router.delete('/lockouts/:email', (req, res) => {
+    try {
+        if (!clearLockout(req.params.email, { method: 'admin', clearedBy: req.user.id })) {
+            return sendErrorResponse(res, 404, 'LOCKOUT_NOT_FOUND', 'No recent failed logins for this account');
+        }
+        return sendSuccessResponse(res, 200, 'Lockout cleared');
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'LOCKOUT_CLEAR_FAILED', 'Failed to clear lockout', error.message);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+// API key management endpoints
+const express = require('express');
+const router = express.Router();
+const {
+    createApiKey,
+    listApiKeys,
+    getApiKey,
+    rotateApiKey,
+    revokeApiKey
+} = require('../auth/apiKeys');
+const { authenticate, requireUserSession } = require('../middleware/authMiddleware');
+const { authorize } = require('../middleware/authorizationMiddleware');
+const { rbacService } = require('../auth/RBACService');
+const { authenticatedRateLimiter } = require('./rateLimiter');
+const { sendErrorResponse, sendSuccessResponse } = require('./responses');
+
+// HTTP status for each API key failure code (anything else is a 400)
+const API_KEY_ERROR_STATUS = {
+    SCOPE_NOT_ALLOWED: 403,
+    API_KEY_NOT_FOUND: 404,
+    API_KEY_INACTIVE: 409
+};
+
+function sendApiKeyError(res, result) {
+    return sendErrorResponse(res, API_KEY_ERROR_STATUS[result.code] || 400, result.code, result.message);
+}
+
+// Managing keys needs a user session - keys can't mint other keys
+router.use(authenticate, requireUserSession, authenticatedRateLimiter, authorize('api_key', 'manage'));
+
+// api_key:manage covers the caller's own keys; other users' keys need api_key:admin
+function canManageAllKeys(req) {
+    return rbacService.hasPermission(req.user.id, 'api_key', 'admin');
+}
+
+/**
+ * Load the :keyId key if the caller may manage it
+ * Keys of other users look the same as missing ones, so key ids can't be probed
+ */
+function findManageableKey(req) {
+    const apiKey = getApiKey(req.params.keyId);
+    if (!apiKey || (apiKey.ownerId !== req.user.id && !canManageAllKeys(req))) {
+        return null;
+    }
+    return apiKey;
+}
+
+const keyNotFound = { code: 'API_KEY_NOT_FOUND', message: 'API key not found' };
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create a key { name, scopes: ['task:read'], expiresAt? } - the key is only shown once
+ * @access  Private (api_key:manage)
+ */
+router.post('/', (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body || {};
+        const result = createApiKey(req.user.id, { name, scopes, expiresAt });
+
+        if (!result.success) {
+            return sendApiKeyError(res, result);
+        }
+
+        return sendSuccessResponse(res, 201, 'API key created. Store it now - it will not be shown again.', {
+            key: result.key,
+            apiKey: result.apiKey
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'API_KEY_CREATE_FAILED', 'Failed to create API key', error.message);
+    }
+});
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List the caller's keys (api_key:admin: all keys, ?ownerId= to filter)
+ * @access  Private (api_key:manage)
+ */
+router.get('/', (req, res) => {
+    try {
+        let ownerId = req.user.id;
+        if (canManageAllKeys(req)) {
+            ownerId = req.query.ownerId;
+        } else if (req.query.ownerId && req.query.ownerId !== req.user.id) {
+            return sendErrorResponse(res, 403, 'API_KEY_FORBIDDEN', 'You can only list your own API keys');
+        }
+
+        const apiKeys = listApiKeys({ ownerId });
+        return sendSuccessResponse(res, 200, 'API keys retrieved', { apiKeys });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'API_KEY_LIST_FAILED', 'Failed to list API keys', error.message);
+    }
+});
+
+/**
+ * @route   GET /api/api-keys/:keyId
+ * @desc    Get one key
+ * @access  Private (api_key:manage, own keys; api_key:admin for others)
+ */
+router.get('/:keyId', (req, res) => {
+    try {
+        const apiKey = findManageableKey(req);
+        if (!apiKey) {
+            return sendApiKeyError(res, keyNotFound);
+        }
+        return sendSuccessResponse(res, 200, 'API key retrieved', { apiKey });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'API_KEY_LOOKUP_FAILED', 'Failed to load API key', error.message);
+    }
+});
+
+/**
+ * @route   POST /api/api-keys/:keyId/rotate
+ * @desc    Issue a new secret for the key { gracePeriodSeconds? } - the old one stops working
+ *          immediately or after the grace period
+ * @access  Private (api_key:manage, own keys; api_key:admin for others)
+ */
+router.post('/:keyId/rotate', (req, res) => {
+    try {
+        if (!findManageableKey(req)) {
+            return sendApiKeyError(res, keyNotFound);
+        }
+
+        const { gracePeriodSeconds = 0 } = req.body || {};
+        const result = rotateApiKey(req.params.keyId, { gracePeriodMs: Number(gracePeriodSeconds) * 1000 });
+
+        if (!result.success) {
+            return sendApiKeyError(res, result);
+        }
+
+        return sendSuccessResponse(res, 201, 'API key rotated. Store it now - it will not be shown again.', {
+            key: result.key,
+            apiKey: result.apiKey
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'API_KEY_ROTATE_FAILED', 'Failed to rotate API key', error.message);
+    }
+});
+
+/**
+ * @route   DELETE /api/api-keys/:keyId
+ * @desc    Revoke a key
+ * @access  Private (api_key:manage, own keys; api_key:admin for others)
+ */
+router.delete('/:keyId', (req, res) => {
+    try {
+        if (!findManageableKey(req) || !revokeApiKey(req.params.keyId)) {
+            return sendApiKeyError(res, keyNotFound);
+        }
+        return sendSuccessResponse(res, 200, 'API key revoked');
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'API_KEY_REVOKE_FAILED', 'Failed to revoke API key', error.message);
+    }
+});
+
+module.exports = router;
@@ -2,49 +2,185 @@
 const express = require('express');
 const router = express.Router();
 const emailService = require('../services/emailService');
-const crypto = require('crypto');
-
-// Standardized error response helper
-const sendErrorResponse = (res, statusCode, errorCode, message, details = null) => {
-    const response = {
-        success: false,
-        error: {
-            code: errorCode,
-            message: message,
-            timestamp: new Date().toISOString()
-        }
-    };
-    if (details) {
-        response.error.details = details;
-    }
-    return res.status(statusCode).json(response);
+const { authenticateUser, hashPassword } = require('../auth/login');
+const { createResetToken, consumeResetToken } = require('../auth/resetTokenStore');
+const { unlockWithToken, clearLockout } = require('../auth/accountLockout');
+const {
+    verifyAccessToken,
+    verifyRefreshToken,
+    refreshTokens,
+    revokeAccessToken,
+    revokeRefreshToken,
+    revokeAllUserTokens,
+    JWT_CONFIG
+} = require('../auth/jwt');
+const { authRateLimiter, authenticatedRateLimiter, rateLimit } = require('./rateLimiter');
+const { authenticate, requireUserSession, extractToken } = require('../middleware/authMiddleware');
+const { getUserRepository, toPublicUser, UserStatus } = require('../data/userRepository');
+const { sendErrorResponse, sendSuccessResponse } = require('./responses');
+const { getClientIp } = require('../utils/clientIp');
+const {
+    setRefreshTokenCookie,
+    clearRefreshTokenCookie,
+    getRefreshTokenCookie
+} = require('../auth/refreshTokenCookie');
+
+// HTTP status for each authenticateUser failure code
+const LOGIN_ERROR_STATUS = {
+    MISSING_EMAIL: 400,
+    MISSING_PASSWORD: 400,
+    INVALID_CREDENTIALS: 401,
+    ACCOUNT_INACTIVE: 403,
+    ACCOUNT_SUSPENDED: 403,
+    ACCOUNT_LOCKED: 423,
+    TOO_MANY_ATTEMPTS: 429
 };
 
-// Standardized success response helper
-const sendSuccessResponse = (res, statusCode, message, data = null) => {
-    const response = {
-        success: true,
-        message: message,
-        timestamp: new Date().toISOString()
-    };
-    if (data) {
-        response.data = data;
+router.post('/login', authRateLimiter, async (req, res) => {
+    try {
+        const { email, password } = req.body || {};
+        const result = await authenticateUser(email, password, { ip: getClientIp(req) });
+
+        // Password was correct but a second factor is still needed
+        if (result.mfaRequired) {
+            return sendSuccessResponse(res, 202, result.message, {
+                mfaRequired: true,
+                enrollmentRequired: result.enrollmentRequired,
+                mfaToken: result.mfaToken,
+                expiresIn: result.expiresIn
+            });
+        }
+
+        if (!result.success) {
+            if (result.retryAfter) {
+                res.set('Retry-After', result.retryAfter.toString());
+            }
+            return sendErrorResponse(res, LOGIN_ERROR_STATUS[result.code] || 401, result.code, result.message);
+        }
+
+        return sendSuccessResponse(res, 200, 'Login successful', {
+            user: result.user,
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'LOGIN_FAILED', 'Failed to log in', error.message);
     }
-    return res.status(statusCode).json(response);
-};
+});
 
-router.post('/forgot-password', async (req, res) => {
+router.post('/refresh', async (req, res) => {
     try {
-        const { email } = req.body;
+        // Cookie clients (see refreshTokenCookie) get the rotated token back as a cookie
+        const fromCookie = !req.body?.refreshToken && Boolean(getRefreshTokenCookie(req));
+        const refreshToken = req.body?.refreshToken || getRefreshTokenCookie(req);
+
+        if (!refreshToken) {
+            return sendErrorResponse(res, 400, 'MISSING_REFRESH_TOKEN', 'Refresh token is required');
+        }
+
+        const verification = verifyRefreshToken(refreshToken);
+        if (!verification.valid) {
+            const errorCode = verification.reuseDetected ? 'REFRESH_TOKEN_REUSED' : 'INVALID_REFRESH_TOKEN';
+            return sendErrorResponse(res, 401, errorCode, verification.error);
+        }
+
+        // Don't hand out new tokens to accounts that were disabled since login
+        const user = await getUserRepository().findById(verification.payload.userId);
+        if (!user || user.status !== UserStatus.ACTIVE) {
+            revokeAllUserTokens(verification.payload.userId);
+            return sendErrorResponse(res, 401, 'ACCOUNT_UNAVAILABLE', 'Account is no longer active');
+        }
+
+        const result = refreshTokens(refreshToken);
+        if (!result.success) {
+            return sendErrorResponse(res, 401, 'INVALID_REFRESH_TOKEN', result.error);
+        }
+
+        if (fromCookie) {
+            setRefreshTokenCookie(res, result.refreshToken);
+            return sendSuccessResponse(res, 200, 'Tokens refreshed', {
+                accessToken: result.accessToken,
+                expiresIn: JWT_CONFIG.accessTokenExpiry
+            });
+        }
+
+        return sendSuccessResponse(res, 200, 'Tokens refreshed', {
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: JWT_CONFIG.accessTokenExpiry
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'TOKEN_REFRESH_FAILED', 'Failed to refresh tokens', error.message);
+    }
+});
+
+router.post('/logout', (req, res) => {
+    try {
+        const refreshToken = req.body?.refreshToken || getRefreshTokenCookie(req);
+
+        if (!refreshToken) {
+            return sendErrorResponse(res, 400, 'MISSING_REFRESH_TOKEN', 'Refresh token is required');
+        }
+
+        if (getRefreshTokenCookie(req)) {
+            clearRefreshTokenCookie(res);
+        }
+
+        // Logging out twice (or with an already revoked token) is not an error
+        revokeRefreshToken(refreshToken);
+
+        // Also kill the access token the client is holding, if it sent one
+        const accessToken = extractToken(req);
+        const verification = accessToken && verifyAccessToken(accessToken);
+        if (verification && verification.valid) {
+            revokeAccessToken(verification.payload);
+        }
+        return sendSuccessResponse(res, 200, 'Logged out successfully');
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'LOGOUT_FAILED', 'Failed to log out', error.message);
+    }
+});
+
+router.post('/logout-all', authenticate, requireUserSession, authenticatedRateLimiter, (req, res) => {
+    try {
+        revokeAllUserTokens(req.user.id);
+        return sendSuccessResponse(res, 200, 'Logged out from all sessions');
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'LOGOUT_FAILED', 'Failed to log out', error.message);
+    }
+});
+
+router.get('/me', authenticate, requireUserSession, authenticatedRateLimiter, async (req, res) => {
+    try {
+        const user = await getUserRepository().findById(req.user.id);
+
+        if (!user) {
+            return sendErrorResponse(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        return sendSuccessResponse(res, 200, 'Current user', { user: toPublicUser(user) });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'USER_LOOKUP_FAILED', 'Failed to load user', error.message);
+    }
+});
+
+router.post('/forgot-password', rateLimit('passwordReset'), async (req, res) => {
+    try {
+        const { email } = req.body || {};
 
         if (!email) {
             return sendErrorResponse(res, 400, 'MISSING_EMAIL', 'Email address is required');
         }
 
-        const resetToken = crypto.randomBytes(32).toString('hex');
-        const resetLink = `${process.env.APP_URL}/reset-password?token=${resetToken}`;
+        // Respond the same way for unknown emails so accounts can't be enumerated
+        const user = await getUserRepository().findByEmail(email);
+        if (user && user.status === UserStatus.ACTIVE) {
+            const { token } = createResetToken(user.id);
+            const resetLink = `${process.env.APP_URL}/reset-password?token=${token}`;
+            await emailService.sendPasswordResetEmail(user.email, resetLink);
+        }
 
-        await emailService.sendPasswordResetEmail(email, resetLink);
         return sendSuccessResponse(res, 200, 'Reset email sent successfully');
     } catch (error) {
         return sendErrorResponse(res, 500, 'EMAIL_SEND_FAILED', 'Failed to send reset email', error.message);
@@ -53,7 +189,7 @@ router.post('/forgot-password', async (req, res) => {
 
 router.post('/reset-password', async (req, res) => {
     try {
-        const { token, newPassword } = req.body;
+        const { token, newPassword } = req.body || {};
 
         if (!token) {
             return sendErrorResponse(res, 400, 'MISSING_TOKEN', 'Reset token is required');
@@ -67,10 +203,46 @@ router.post('/reset-password', async (req, res) => {
             return sendErrorResponse(res, 400, 'WEAK_PASSWORD', 'Password must be at least 8 characters');
         }
 
+        const resetToken = consumeResetToken(token);
+        if (!resetToken.valid) {
+            return sendErrorResponse(res, 400, resetToken.code, resetToken.error);
+        }
+
+        const updated = await getUserRepository().update(resetToken.userId, {
+            passwordHash: await hashPassword(newPassword),
+            passwordChangedAt: new Date().toISOString()
+        });
+        if (!updated) {
+            return sendErrorResponse(res, 400, 'INVALID_RESET_TOKEN', 'Reset token is invalid');
+        }
+
+        // Sessions opened with the old password must not survive the reset
+        revokeAllUserTokens(resetToken.userId);
+        clearLockout(updated.email, { method: 'password_reset' });
+
         return sendSuccessResponse(res, 200, 'Password updated successfully');
     } catch (error) {
         return sendErrorResponse(res, 500, 'PASSWORD_RESET_FAILED', 'Failed to reset password', error.message);
     }
 });
 
+router.post('/unlock', (req, res) => {
+    try {
+        const { token } = req.body || {};
+
+        if (!token) {
+            return sendErrorResponse(res, 400, 'MISSING_TOKEN', 'Unlock token is required');
+        }
+
+        const result = unlockWithToken(token);
+        if (!result.success) {
+            return sendErrorResponse(res, 400, result.code, result.message);
+        }
+
+        return sendSuccessResponse(res, 200, 'Account unlocked. You can log in again.');
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'UNLOCK_FAILED', 'Failed to unlock account', error.message);
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,138 @@
+// Avatar image processing
+// Uploads are identified from their magic bytes rather than the Content-Type header,
+// fully decoded (which rejects malformed files), re-encoded without metadata (EXIF,
+// GPS, ICC comments...) and resized into a fixed set of square thumbnails.
+// sharp is loaded lazily like the SQLite driver.
+
+// Configuration
+const AVATAR_IMAGE_CONFIG = {
+    sizes: [32, 64, 128, 256],        // Thumbnail edge lengths in pixels
+    maxPixels: 4096 * 4096            // Reject anything larger before decoding it (decompression bombs)
+};
+
+// Magic byte signatures - offset/bytes pairs that must all match
+const SIGNATURES = [
+    { type: 'image/jpeg', format: 'jpeg', parts: [[0, [0xff, 0xd8, 0xff]]] },
+    { type: 'image/png', format: 'png', parts: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+    { type: 'image/gif', format: 'gif', parts: [[0, Buffer.from('GIF87a')]] },
+    { type: 'image/gif', format: 'gif', parts: [[0, Buffer.from('GIF89a')]] },
+    { type: 'image/webp', format: 'webp', parts: [[0, Buffer.from('RIFF')], [8, Buffer.from('WEBP')]] }
+];
+
+/**
+ * Identify an image from its leading bytes
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} - { type, format } or null if it isn't a supported image
+ */
+function sniffImageType(data) {
+    const match = SIGNATURES.find(({ parts }) => parts.every(([offset, bytes]) =>
+        data.length >= offset + bytes.length
+        && Buffer.from(bytes).equals(data.subarray(offset, offset + bytes.length))
+    ));
+    return match ? { type: match.type, format: match.format } : null;
+}
+
+/**
+ * Validate an uploaded avatar and generate its stored renditions
+ * @param {Buffer} data - Uploaded bytes
+ * @param {string} declaredType - Content-Type sent by the client
+ * @returns {Promise<Object>} - { success, image: { data, contentType, width, height, variants }, code, message }
+ *   where variants maps each configured size to its encoded thumbnail
+ */
+async function processAvatarImage(data, declaredType) {
+    const sniffed = sniffImageType(data);
+
+    if (!sniffed) {
+        return { success: false, code: 'UNSUPPORTED_IMAGE', message: 'File is not a JPEG, PNG, GIF or WebP image' };
+    }
+
+    if (sniffed.type !== declaredType) {
+        return {
+            success: false,
+            code: 'IMAGE_TYPE_MISMATCH',
+            message: `File content is ${sniffed.type} but was uploaded as ${declaredType}`
+        };
+    }
+
+    const sharp = require('sharp');
+    // Keep every frame of animated GIF/WebP avatars
+    const inputOptions = {
+        animated: sniffed.format === 'gif' || sniffed.format === 'webp',
+        limitInputPixels: AVATAR_IMAGE_CONFIG.maxPixels
+    };
+
+    let metadata;
+    try {
+        metadata = await sharp(data, inputOptions).metadata();
+    } catch (error) {
+        return classifyDecodeError(error);
+    }
+
+    if (metadata.format !== sniffed.format) {
+        return { success: false, code: 'MALFORMED_IMAGE', message: 'Image data is malformed' };
+    }
+
+    // sharp drops metadata on output unless asked to keep it; EXIF orientation is
+    // applied to the pixels first so stripping it doesn't turn photos sideways
+    const render = (size) => {
+        let pipeline = sharp(data, inputOptions);
+        if (metadata.orientation && metadata.orientation !== 1) {
+            pipeline = pipeline.rotate();
+        }
+        if (size) {
+            pipeline = pipeline.resize(size, size, { fit: 'cover', withoutEnlargement: true });
+        }
+        return pipeline.toFormat(sniffed.format).toBuffer({ resolveWithObject: true });
+    };
+
+    try {
+        const original = await render(null);
+        const variants = {};
+        for (const size of AVATAR_IMAGE_CONFIG.sizes) {
+            variants[size] = (await render(size)).data;
+        }
+
+        return {
+            success: true,
+            image: {
+                data: original.data,
+                contentType: sniffed.type,
+                width: original.info.width,
+                height: original.info.height,
+                variants
+            }
+        };
+    } catch (error) {
+        return classifyDecodeError(error);
+    }
+}
+
+/**
+ * Map a sharp/libvips failure to a result code
+ * @param {Error} error
+ * @returns {Object} - Failed result
+ */
+function classifyDecodeError(error) {
+    if (/pixel limit/i.test(error.message)) {
+        return { success: false, code: 'IMAGE_TOO_LARGE', message: 'Image dimensions are too large' };
+    }
+    return { success: false, code: 'MALFORMED_IMAGE', message: 'Image data is malformed' };
+}
+
+/**
+ * Pick the smallest stored size that covers a requested size
+ * @param {number[]} sizes - Available thumbnail sizes
+ * @param {number} requested - Requested edge length
+ * @returns {number|null} - Thumbnail size, or null when only the original is big enough
+ */
+function selectAvatarSize(sizes, requested) {
+    const candidates = sizes.filter(size => size >= requested);
+    return candidates.length > 0 ? Math.min(...candidates) : null;
+}
+
+module.exports = {
+    sniffImageType,
+    processAvatarImage,
+    selectAvatarSize,
+    AVATAR_IMAGE_CONFIG
+};
@@ -1,26 +1,66 @@
 // Avatar Upload API Routes
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
-
-// In-memory avatar storage (use cloud storage in production)
-const avatarStore = new Map();
+const { authenticate, requireUserSession } = require('../middleware/authMiddleware');
+const { ownerOrRole } = require('../middleware/authorizationMiddleware');
+const { authenticatedRateLimiter } = require('./rateLimiter');
+const { getAvatarStorage } = require('./avatarStorage');
+const { processAvatarImage, selectAvatarSize, AVATAR_IMAGE_CONFIG } = require('./avatarImages');
 
 const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 const MAX_SIZE = 5 * 1024 * 1024; // 5MB
 
-// Upload avatar
-router.post('/avatar', express.raw({ type: ALLOWED_TYPES, limit: MAX_SIZE }), (req, res) => {
-    try {
-        const userId = req.headers['x-user-id'];
+// Image validation failures that aren't a plain 400
+const IMAGE_ERROR_STATUS = {
+    IMAGE_TOO_LARGE: 413
+};
+
+// Roles that may replace or remove other users' avatars
+const AVATAR_MODERATOR_ROLES = ['MODERATOR', 'ADMIN', 'SUPER_ADMIN'];
+
+// Migration switch for clients that still identify themselves with X-User-Id.
+// DEPRECATED: remove once all clients send a bearer token.
+const AVATAR_CONFIG = {
+    allowLegacyUserIdHeader: process.env.AVATAR_ALLOW_LEGACY_USER_ID === 'true'
+};
+
+/**
+ * Authenticate the uploader
+ * With the legacy flag on, an unauthenticated request carrying X-User-Id is still accepted
+ * (and flagged with a Deprecation header); otherwise a valid token is required and
+ * X-User-Id, if sent, must match it
+ */
+function authenticateUploader(req, res, next) {
+    const legacyUserId = req.headers['x-user-id'];
+    const hasCredentials = req.headers.authorization || req.headers['x-api-key'];
+
+    if (legacyUserId && !hasCredentials && AVATAR_CONFIG.allowLegacyUserIdHeader) {
+        console.warn(`[AVATAR] Deprecated X-User-Id upload for ${legacyUserId}`);
+        res.set('Deprecation', 'true');
+        res.set('Warning', '299 - "X-User-Id is deprecated; authenticate with a bearer token"');
+        req.user = { id: legacyUserId };
+        return next();
+    }
 
-        if (!userId) {
-            return res.status(400).json({
+    authenticate(req, res, () => {
+        if (legacyUserId && legacyUserId !== req.user.id) {
+            return res.status(403).json({
                 success: false,
-                error: 'User ID is required'
+                error: 'X-User-Id does not match the authenticated user'
             });
         }
+        next();
+    });
+}
+
+const ownerOrModerator = ownerOrRole((req) => req.params.userId, ...AVATAR_MODERATOR_ROLES);
 
+/**
+ * Store an uploaded avatar for a user
+ * @param {string} userId - Avatar owner
+ */
+async function saveAvatar(userId, req, res) {
+    try {
         if (!req.body || req.body.length === 0) {
             return res.status(400).json({
                 success: false,
@@ -36,74 +76,148 @@ router.post('/avatar', express.raw({ type: ALLOWED_TYPES, limit: MAX_SIZE }), (r
             });
         }
 
-        const avatarId = crypto.randomBytes(16).toString('hex');
-        const avatarData = {
-            id: avatarId,
-            userId,
-            data: req.body.toString('base64'),
-            contentType,
-            uploadedAt: new Date().toISOString()
-        };
+        // The header only picks the body parser; the bytes themselves decide what this is
+        const processed = await processAvatarImage(req.body, contentType);
+        if (!processed.success) {
+            return res.status(IMAGE_ERROR_STATUS[processed.code] || 400).json({
+                success: false,
+                code: processed.code,
+                error: processed.message
+            });
+        }
 
-        avatarStore.set(userId, avatarData);
+        const avatar = await getAvatarStorage().save(userId, processed.image);
 
+        res.set('ETag', toETag(avatar));
         res.status(201).json({
             success: true,
             message: 'Avatar uploaded successfully',
-            avatarId,
+            avatarId: avatar.hash,
             url: `/api/avatar/${userId}`
         });
     } catch (error) {
+        console.error('[AVATAR] Upload failed:', error);
         res.status(500).json({
             success: false,
             error: 'Failed to upload avatar'
         });
     }
+}
+
+// The content hash identifies the image bytes, so it makes a strong validator
+const toETag = (avatar, size = null) => (size ? `"${avatar.hash}-${size}"` : `"${avatar.hash}"`);
+
+/**
+ * Check an If-None-Match header against an ETag (weak comparison, per RFC 9110)
+ * @param {string} header - If-None-Match value
+ * @param {string} etag - Current ETag
+ * @returns {boolean}
+ */
+function ifNoneMatch(header, etag) {
+    if (!header) {
+        return false;
+    }
+    if (header.trim() === '*') {
+        return true;
+    }
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => opaque(tag) === opaque(etag));
+}
+
+const parseImage = express.raw({ type: ALLOWED_TYPES, limit: MAX_SIZE });
+
+// Upload own avatar
+router.post('/avatar', authenticateUploader, requireUserSession, authenticatedRateLimiter, parseImage, (req, res) => {
+    saveAvatar(req.user.id, req, res);
+});
+
+// Upload an avatar for a specific user (the user themselves, or a moderator/admin)
+router.post('/avatar/:userId', authenticate, requireUserSession, authenticatedRateLimiter, ownerOrModerator, parseImage, (req, res) => {
+    saveAvatar(req.params.userId, req, res);
 });
 
-// Get avatar
-router.get('/avatar/:userId', (req, res) => {
-    const { userId } = req.params;
-    const avatar = avatarStore.get(userId);
+// Get avatar - ?size=N serves the smallest thumbnail at least N pixels wide
+router.get('/avatar/:userId', async (req, res) => {
+    try {
+        let size = null;
+        if (req.query.size !== undefined) {
+            const requested = Number(req.query.size);
+            if (!Number.isInteger(requested) || requested <= 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'size must be a positive integer'
+                });
+            }
+            size = selectAvatarSize(AVATAR_IMAGE_CONFIG.sizes, requested);
+        }
+
+        const storage = getAvatarStorage();
+        const avatar = await storage.getInfo(req.params.userId);
+
+        if (!avatar) {
+            return res.status(404).json({
+                success: false,
+                error: 'Avatar not found'
+            });
+        }
+
+        // Avatars stored before thumbnails existed only have the original
+        if (size && !avatar.variants?.[size]) {
+            size = null;
+        }
 
-    if (!avatar) {
-        return res.status(404).json({
+        // The URL stays the same across uploads, so clients revalidate with the ETag
+        const etag = toETag(avatar, size);
+        res.set('ETag', etag);
+        res.set('Cache-Control', 'public, no-cache');
+        res.set('Last-Modified', new Date(avatar.uploadedAt).toUTCString());
+
+        if (ifNoneMatch(req.headers['if-none-match'], etag)) {
+            return res.status(304).end();
+        }
+
+        const imageBuffer = await storage.read(avatar, size);
+        if (!imageBuffer) {
+            return res.status(404).json({
+                success: false,
+                error: 'Avatar not found'
+            });
+        }
+
+        res.set('Content-Type', avatar.contentType);
+        res.send(imageBuffer);
+    } catch (error) {
+        console.error('[AVATAR] Read failed:', error);
+        res.status(500).json({
             success: false,
-            error: 'Avatar not found'
+            error: 'Failed to load avatar'
         });
     }
-
-    const imageBuffer = Buffer.from(avatar.data, 'base64');
-    res.set('Content-Type', avatar.contentType);
-    res.set('Cache-Control', 'public, max-age=86400');
-    res.send(imageBuffer);
 });
 
 // Delete avatar
-router.delete('/avatar/:userId', (req, res) => {
-    const { userId } = req.params;
-    const requestUserId = req.headers['x-user-id'];
+router.delete('/avatar/:userId', authenticate, requireUserSession, authenticatedRateLimiter, ownerOrModerator, async (req, res) => {
+    try {
+        const deleted = await getAvatarStorage().delete(req.params.userId);
 
-    if (requestUserId !== userId) {
-        return res.status(403).json({
-            success: false,
-            error: 'Unauthorized to delete this avatar'
-        });
-    }
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Avatar not found'
+            });
+        }
 
-    if (!avatarStore.has(userId)) {
-        return res.status(404).json({
+        res.status(200).json({
+            success: true,
+            message: 'Avatar deleted successfully'
+        });
+    } catch (error) {
+        console.error('[AVATAR] Delete failed:', error);
+        res.status(500).json({
             success: false,
-            error: 'Avatar not found'
+            error: 'Failed to delete avatar'
         });
     }
-
-    avatarStore.delete(userId);
-
-    res.status(200).json({
-        success: true,
-        message: 'Avatar deleted successfully'
-    });
 });
 
 module.exports = router;
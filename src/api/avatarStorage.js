@@ -0,0 +1,418 @@
+// Avatar storage backends
+// Each backend only implements putObject/getObject/deleteObject; the avatar-level
+// operations are shared. Images are stored under a content hash filename next to a
+// small JSON record per user, so the hash doubles as the ETag.
+// Layout: <userId>/<sha256>.<ext>, <userId>/<sha256>-<size>.<ext> and <userId>/avatar.json
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Configuration - In production, use environment variables
+const AVATAR_STORAGE_CONFIG = {
+    storage: process.env.AVATAR_STORAGE || 'memory',           // 'memory', 'local' or 's3'
+    directory: process.env.AVATAR_STORAGE_DIR || 'data/avatars',
+    s3: {
+        bucket: process.env.AVATAR_S3_BUCKET,
+        region: process.env.AVATAR_S3_REGION || 'us-east-1',
+        endpoint: process.env.AVATAR_S3_ENDPOINT,              // e.g. http://localhost:9000 for a local stand-in
+        forcePathStyle: process.env.AVATAR_S3_FORCE_PATH_STYLE === 'true',
+        prefix: process.env.AVATAR_S3_PREFIX || 'avatars/',
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: process.env.AWS_SESSION_TOKEN
+    }
+};
+
+const FILE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+/**
+ * Encode a user id as a single, traversal-safe key segment
+ * @param {string} userId
+ * @returns {string}
+ */
+function encodeSegment(userId) {
+    return encodeURIComponent(String(userId)).replace(/\./g, '%2E');
+}
+
+const recordKey = (userId) => `${encodeSegment(userId)}/avatar.json`;
+
+// Every stored object belonging to an avatar record
+const objectKeys = (avatar) => [avatar.key, ...Object.values(avatar.variants || {})];
+
+/**
+ * Avatar storage interface
+ * Records: { userId, hash, key, contentType, size, width, height, variants, uploadedAt }
+ * where variants maps each thumbnail size to its object key
+ */
+class AvatarStorage {
+    async putObject(key, data, contentType) {
+        throw new Error('putObject() not implemented');
+    }
+
+    async getObject(key) {
+        throw new Error('getObject() not implemented');
+    }
+
+    async deleteObject(key) {
+        throw new Error('deleteObject() not implemented');
+    }
+
+    /**
+     * Store a user's avatar, replacing any previous one
+     * @param {string} userId - Avatar owner
+     * @param {Object} image - { data, contentType, width, height, variants } from processAvatarImage()
+     * @returns {Promise<Object>} - Avatar record
+     */
+    async save(userId, { data, contentType, width, height, variants = {} }) {
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        const extension = FILE_EXTENSIONS[contentType] || 'bin';
+        const prefix = `${encodeSegment(userId)}/${hash}`;
+        const previous = await this.getInfo(userId);
+
+        const avatar = {
+            userId,
+            hash,
+            key: `${prefix}.${extension}`,
+            contentType,
+            size: data.length,
+            width,
+            height,
+            variants: {},
+            uploadedAt: new Date().toISOString()
+        };
+
+        // Images first, then the record pointing at them, so readers never see a dangling record
+        await this.putObject(avatar.key, data, contentType);
+        for (const [size, variant] of Object.entries(variants)) {
+            avatar.variants[size] = `${prefix}-${size}.${extension}`;
+            await this.putObject(avatar.variants[size], variant, contentType);
+        }
+        await this.putObject(recordKey(userId), Buffer.from(JSON.stringify(avatar)), 'application/json');
+
+        if (previous) {
+            const current = new Set(objectKeys(avatar));
+            for (const key of objectKeys(previous).filter(key => !current.has(key))) {
+                await this.deleteObject(key);
+            }
+        }
+
+        return avatar;
+    }
+
+    /**
+     * Get a user's avatar record without reading the image
+     * @param {string} userId
+     * @returns {Promise<Object|null>}
+     */
+    async getInfo(userId) {
+        const record = await this.getObject(recordKey(userId));
+        return record ? JSON.parse(record.toString('utf8')) : null;
+    }
+
+    /**
+     * Read the image for an avatar record
+     * @param {Object} avatar - Record from getInfo()
+     * @param {number} size - Thumbnail size (default original image)
+     * @returns {Promise<Buffer|null>}
+     */
+    async read(avatar, size = null) {
+        const key = size ? avatar.variants?.[size] : avatar.key;
+        return key ? this.getObject(key) : null;
+    }
+
+    /**
+     * Delete a user's avatar
+     * @param {string} userId
+     * @returns {Promise<boolean>} - False if the user had no avatar
+     */
+    async delete(userId) {
+        const avatar = await this.getInfo(userId);
+        if (!avatar) {
+            return false;
+        }
+
+        await this.deleteObject(recordKey(userId));
+        for (const key of objectKeys(avatar)) {
+            await this.deleteObject(key);
+        }
+        return true;
+    }
+}
+
+/**
+ * In-memory avatar storage (per process, lost on restart)
+ */
+class InMemoryAvatarStorage extends AvatarStorage {
+    constructor() {
+        super();
+        this.objects = new Map();
+    }
+
+    async putObject(key, data) {
+        this.objects.set(key, Buffer.from(data));
+    }
+
+    async getObject(key) {
+        return this.objects.get(key) || null;
+    }
+
+    async deleteObject(key) {
+        this.objects.delete(key);
+    }
+}
+
+/**
+ * Local filesystem avatar storage
+ */
+class LocalAvatarStorage extends AvatarStorage {
+    constructor(directory) {
+        super();
+        this.root = path.resolve(directory);
+    }
+
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid avatar key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async putObject(key, data) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        // Write to a temporary file and rename so readers never see a partial image
+        const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.promises.writeFile(tempPath, data);
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async getObject(key) {
+        try {
+            return await fs.promises.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async deleteObject(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+}
+
+/**
+ * S3-compatible avatar storage
+ * Requests are signed with AWS Signature Version 4, so any S3-compatible service works
+ * (AWS, MinIO, LocalStack...). Point `endpoint` at a local stand-in with
+ * `forcePathStyle` for development and testing.
+ */
+class S3AvatarStorage extends AvatarStorage {
+    /**
+     * @param {Object} options - AVATAR_STORAGE_CONFIG.s3 fields
+     * @param {Function} options.fetch - fetch implementation (default global fetch)
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.bucket) {
+            throw new Error('S3 avatar storage requires a bucket');
+        }
+        if (!options.accessKeyId || !options.secretAccessKey) {
+            throw new Error('S3 avatar storage requires access credentials');
+        }
+
+        this.options = { region: 'us-east-1', prefix: '', ...options };
+        this.fetch = options.fetch || globalThis.fetch;
+    }
+
+    objectUrl(key) {
+        const { bucket, region, endpoint, forcePathStyle, prefix } = this.options;
+        const objectPath = `${prefix}${key}`.split('/').map(encodeRfc3986).join('/');
+
+        if (endpoint) {
+            const base = new URL(endpoint);
+            return forcePathStyle
+                ? new URL(`${base.pathname.replace(/\/$/, '')}/${bucket}/${objectPath}`, base)
+                : new URL(`${base.protocol}//${bucket}.${base.host}/${objectPath}`);
+        }
+
+        return forcePathStyle
+            ? new URL(`https://s3.${region}.amazonaws.com/${bucket}/${objectPath}`)
+            : new URL(`https://${bucket}.s3.${region}.amazonaws.com/${objectPath}`);
+    }
+
+    async request(method, key, { body, headers = {} } = {}) {
+        const url = this.objectUrl(key);
+        const signedHeaders = signS3Request({
+            method,
+            url,
+            headers,
+            payloadHash: sha256Hex(body || ''),
+            region: this.options.region,
+            credentials: this.options
+        });
+
+        return this.fetch(url.toString(), { method, headers: signedHeaders, body });
+    }
+
+    async putObject(key, data, contentType) {
+        const response = await this.request('PUT', key, {
+            body: data,
+            headers: { 'content-type': contentType }
+        });
+        if (!response.ok) {
+            throw new Error(`S3 PUT ${key} failed with status ${response.status}`);
+        }
+    }
+
+    async getObject(key) {
+        const response = await this.request('GET', key);
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`S3 GET ${key} failed with status ${response.status}`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    async deleteObject(key) {
+        const response = await this.request('DELETE', key);
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`S3 DELETE ${key} failed with status ${response.status}`);
+        }
+    }
+}
+
+function sha256Hex(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// encodeURIComponent leaves !'()* alone, SigV4 expects them escaped
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign an S3 request with AWS Signature Version 4
+ * Every header passed in is signed, along with host, x-amz-date and x-amz-content-sha256
+ * @param {Object} request - { method, url (URL), headers, payloadHash, region, credentials, now }
+ * @returns {Object} - Headers to send, including Authorization
+ */
+function signS3Request({ method, url, headers = {}, payloadHash, region, credentials, now = new Date() }) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${region}/s3/aws4_request`;
+
+    const allHeaders = {
+        host: url.host,
+        'x-amz-date': amzDate,
+        'x-amz-content-sha256': payloadHash
+    };
+    for (const [name, value] of Object.entries(headers)) {
+        allHeaders[name.toLowerCase()] = String(value).trim();
+    }
+    if (credentials.sessionToken) {
+        allHeaders['x-amz-security-token'] = credentials.sessionToken;
+    }
+
+    const headerNames = Object.keys(allHeaders).sort();
+    const canonicalHeaders = headerNames.map(name => `${name}:${allHeaders[name]}\n`).join('');
+    const signedHeaderList = headerNames.join(';');
+
+    const canonicalQuery = [...url.searchParams.entries()]
+        .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+        .sort()
+        .join('&');
+
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQuery,
+        canonicalHeaders,
+        signedHeaderList,
+        payloadHash
+    ].join('\n');
+
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        sha256Hex(canonicalRequest)
+    ].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    // fetch sets Host itself
+    const { host, ...outgoing } = allHeaders;
+    outgoing.authorization = `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, `
+        + `SignedHeaders=${signedHeaderList}, Signature=${signature}`;
+
+    return outgoing;
+}
+
+/**
+ * Create avatar storage from configuration
+ * @param {Object} config - { storage: 'memory' | 'local' | 's3', directory, s3 }
+ * @returns {AvatarStorage} - Storage instance
+ */
+function createAvatarStorage(config = {}) {
+    const { storage, directory, s3 } = { ...AVATAR_STORAGE_CONFIG, ...config };
+
+    switch (storage) {
+        case 'memory':
+            return new InMemoryAvatarStorage();
+        case 'local':
+            return new LocalAvatarStorage(directory);
+        case 's3':
+            return new S3AvatarStorage(s3);
+        default:
+            throw new Error(`Unknown avatar storage: ${storage}`);
+    }
+}
+
+let avatarStorage = null;
+
+/**
+ * Get the storage used by the avatar routes
+ * @returns {AvatarStorage}
+ */
+function getAvatarStorage() {
+    if (!avatarStorage) {
+        avatarStorage = createAvatarStorage();
+    }
+    return avatarStorage;
+}
+
+/**
+ * Replace the storage used by the avatar routes (e.g. for testing)
+ * @param {AvatarStorage} storage
+ */
+function setAvatarStorage(storage) {
+    avatarStorage = storage;
+}
+
+module.exports = {
+    AvatarStorage,
+    InMemoryAvatarStorage,
+    LocalAvatarStorage,
+    S3AvatarStorage,
+    createAvatarStorage,
+    getAvatarStorage,
+    setAvatarStorage,
+    signS3Request,
+    AVATAR_STORAGE_CONFIG
+};
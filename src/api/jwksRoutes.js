@@ -0,0 +1,16 @@
+// JSON Web Key Set endpoint - lets other services verify our access tokens
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../auth/jwt');
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying RS256/ES256 access tokens
+ * @access  Public
+ */
+router.get('/.well-known/jwks.json', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(getJwks());
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+// Multi-factor authentication endpoints - TOTP enrollment and login verification
+const express = require('express');
+const router = express.Router();
+const { completeLogin, completeMfaLogin } = require('../auth/login');
+const {
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    disableTotp,
+    regenerateRecoveryCodes
+} = require('../auth/mfa');
+const { verifyMfaChallengeToken, revokeAccessToken } = require('../auth/jwt');
+const { authRateLimiter, authenticatedRateLimiter } = require('./rateLimiter');
+const { authenticate, requireUserSession } = require('../middleware/authMiddleware');
+const { recordSuccessfulLogin } = require('../auth/accountLockout');
+const { getUserRepository } = require('../data/userRepository');
+const { sendErrorResponse, sendSuccessResponse } = require('./responses');
+const { getClientIp } = require('../utils/clientIp');
+
+// HTTP status for each MFA failure code
+const MFA_ERROR_STATUS = {
+    MISSING_MFA_TOKEN: 400,
+    MISSING_MFA_CODE: 400,
+    MFA_SETUP_NOT_STARTED: 400,
+    MFA_NOT_ENABLED: 400,
+    MFA_ALREADY_ENABLED: 409,
+    MFA_REQUIRED_BY_ROLE: 403,
+    USER_NOT_FOUND: 404,
+    INVALID_MFA_TOKEN: 401,
+    INVALID_MFA_CODE: 401,
+    ACCOUNT_LOCKED: 423,
+    TOO_MANY_ATTEMPTS: 429
+};
+
+function sendMfaError(res, result) {
+    if (result.retryAfter) {
+        res.set('Retry-After', result.retryAfter.toString());
+    }
+    return sendErrorResponse(res, MFA_ERROR_STATUS[result.code] || 400, result.code, result.message);
+}
+
+/**
+ * Accept either a normal access token or the enrollment challenge issued by /login
+ * to users whose role requires MFA but who haven't set it up yet
+ */
+function authenticateOrEnrollmentToken(req, res, next) {
+    const { mfaToken } = req.body || {};
+
+    if (!mfaToken) {
+        return authenticate(req, res, () => requireUserSession(req, res, next));
+    }
+
+    const verification = verifyMfaChallengeToken(mfaToken, 'enroll');
+    if (!verification.valid) {
+        return sendErrorResponse(res, 401, 'INVALID_MFA_TOKEN', 'MFA challenge is invalid or expired');
+    }
+
+    req.user = { id: verification.payload.userId, email: verification.payload.email };
+    req.mfaChallenge = verification.payload;
+    next();
+}
+
+/**
+ * @route   POST /api/auth/mfa/totp/setup
+ * @desc    Generate a TOTP secret and otpauth:// URI for the authenticator app
+ * @access  Private (or enrollment challenge)
+ */
+router.post('/totp/setup', authenticateOrEnrollmentToken, authenticatedRateLimiter, async (req, res) => {
+    try {
+        const result = await startTotpEnrollment(req.user.id);
+        if (!result.success) {
+            return sendMfaError(res, result);
+        }
+
+        return sendSuccessResponse(res, 200, 'Scan the code with your authenticator app', {
+            secret: result.secret,
+            otpauthUri: result.otpauthUri
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'MFA_SETUP_FAILED', 'Failed to start two-factor setup', error.message);
+    }
+});
+
+/**
+ * @route   POST /api/auth/mfa/totp/enable
+ * @desc    Confirm enrollment with a code from the app; returns recovery codes
+ *          (and tokens when completing a login through the enrollment challenge)
+ * @access  Private (or enrollment challenge)
+ */
+router.post('/totp/enable', authRateLimiter, authenticateOrEnrollmentToken, async (req, res) => {
+    try {
+        const { code } = req.body || {};
+        if (!code) {
+            return sendMfaError(res, { code: 'MISSING_MFA_CODE', message: 'Verification code is required' });
+        }
+
+        const result = await confirmTotpEnrollment(req.user.id, code);
+        if (!result.success) {
+            return sendMfaError(res, result);
+        }
+
+        if (!req.mfaChallenge) {
+            return sendSuccessResponse(res, 200, 'Two-factor authentication enabled', {
+                recoveryCodes: result.recoveryCodes
+            });
+        }
+
+        // Enrolled during login: the challenge is spent and the login can finish,
+        // which forgives earlier failures just like completeMfaLogin()
+        revokeAccessToken(req.mfaChallenge);
+        const user = await getUserRepository().findById(req.user.id);
+        const login = await completeLogin(user);
+        recordSuccessfulLogin(user.email);
+
+        return sendSuccessResponse(res, 200, 'Two-factor authentication enabled', {
+            recoveryCodes: result.recoveryCodes,
+            user: login.user,
+            accessToken: login.accessToken,
+            refreshToken: login.refreshToken,
+            expiresIn: login.expiresIn
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'MFA_SETUP_FAILED', 'Failed to enable two-factor authentication', error.message);
+    }
+});
+
+/**
+ * @route   POST /api/auth/mfa/totp/disable
+ * @desc    Turn off TOTP (requires a current code or a recovery code)
+ * @access  Private
+ */
+router.post('/totp/disable', authRateLimiter, authenticate, requireUserSession, async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body || {};
+        if (!code && !recoveryCode) {
+            return sendMfaError(res, { code: 'MISSING_MFA_CODE', message: 'Verification code is required' });
+        }
+
+        const result = await disableTotp(req.user.id, { code, recoveryCode });
+        if (!result.success) {
+            return sendMfaError(res, result);
+        }
+
+        return sendSuccessResponse(res, 200, 'Two-factor authentication disabled');
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'MFA_DISABLE_FAILED', 'Failed to disable two-factor authentication', error.message);
+    }
+});
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace the recovery codes (requires a current TOTP code)
+ * @access  Private
+ */
+router.post('/recovery-codes', authRateLimiter, authenticate, requireUserSession, async (req, res) => {
+    try {
+        const { code } = req.body || {};
+        if (!code) {
+            return sendMfaError(res, { code: 'MISSING_MFA_CODE', message: 'Verification code is required' });
+        }
+
+        const result = await regenerateRecoveryCodes(req.user.id, code);
+        if (!result.success) {
+            return sendMfaError(res, result);
+        }
+
+        return sendSuccessResponse(res, 200, 'Recovery codes regenerated', {
+            recoveryCodes: result.recoveryCodes
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'RECOVERY_CODES_FAILED', 'Failed to regenerate recovery codes', error.message);
+    }
+});
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Exchange the login challenge and a TOTP or recovery code for tokens
+ * @access  Public (challenge token)
+ */
+router.post('/verify', authRateLimiter, async (req, res) => {
+    try {
+        const { mfaToken, code, recoveryCode } = req.body || {};
+        const result = await completeMfaLogin(mfaToken, { code, recoveryCode }, { ip: getClientIp(req) });
+
+        if (!result.success) {
+            return sendMfaError(res, result);
+        }
+
+        return sendSuccessResponse(res, 200, 'Login successful', {
+            user: result.user,
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn,
+            remainingRecoveryCodes: result.remainingRecoveryCodes
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'LOGIN_FAILED', 'Failed to verify two-factor code', error.message);
+    }
+});
+
+module.exports = router;
@@ -3,24 +3,70 @@ const express = require('express');
 const router = express.Router();
 const {
     passport,
+    startOAuthFlow,
+    getOAuthProvider,
+    listOAuthProviders,
+    ensureProviderStrategy,
+    ensureOAuthAccount,
+    getOAuthUser,
+    unlinkOAuthProvider,
     handleOAuthSuccess,
     handleOAuthError
 } = require('../auth/oauth');
+const {
+    createHandoffCode,
+    redeemHandoffCode,
+    createLinkTicket,
+    redeemLinkTicket,
+    OAUTH_HANDOFF_CONFIG
+} = require('../auth/oauthHandoff');
+const { exchangeAuthorizationCode } = require('../auth/oauthCodeExchange');
+const { setRefreshTokenCookie, REFRESH_COOKIE_CONFIG } = require('../auth/refreshTokenCookie');
+const { parseCookies, setCookie, clearCookie } = require('../utils/cookies');
+const { getUserRepository } = require('../data/userRepository');
+const { authenticate, requireUserSession } = require('../middleware/authMiddleware');
+const { authenticatedRateLimiter } = require('./rateLimiter');
 
 // Frontend URL for redirects
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
 
+// Cookie that ties a link ticket to the browser that requested it. Without it a ticket
+// for the attacker's account, sent to a victim, would link the victim's provider account
+// to the attacker (login CSRF for account linking).
+const LINK_COOKIE_NAME = 'oauth_link';
+
+const linkCookieOptions = () => ({
+    path: '/api/auth',
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // Lax: the browser is sent to the start URL with a top-level GET
+    sameSite: 'Lax'
+});
+
 /**
- * Helper to generate redirect URL with tokens
+ * Helper to generate the success redirect URL
+ * Tokens never go in the URL; the SPA exchanges the one-time code through POST /oauth/token
  * @param {Object} result - OAuth result with tokens
  * @returns {string} - Redirect URL
  */
 function generateRedirectUrl(result) {
     const params = new URLSearchParams({
-        success: result.success.toString(),
-        accessToken: result.accessToken || '',
-        refreshToken: result.refreshToken || '',
-        expiresIn: result.expiresIn?.toString() || ''
+        success: 'true',
+        code: createHandoffCode(result)
+    });
+    return `${FRONTEND_URL}/oauth/callback?${params.toString()}`;
+}
+
+/**
+ * Helper to generate the redirect URL after a provider was linked to a signed-in account
+ * No code is issued - the user already has a session
+ * @param {string} provider - Linked provider
+ * @returns {string} - Redirect URL
+ */
+function generateLinkedRedirectUrl(provider) {
+    const params = new URLSearchParams({
+        success: 'true',
+        linked: provider
     });
     return `${FRONTEND_URL}/oauth/callback?${params.toString()}`;
 }
@@ -28,135 +74,170 @@ function generateRedirectUrl(result) {
 /**
  * Helper to generate error redirect URL
  * @param {string} error - Error message
+ * @param {string} errorCode - Machine-readable error code (optional)
  * @returns {string} - Error redirect URL
  */
-function generateErrorRedirectUrl(error) {
+function generateErrorRedirectUrl(error, errorCode) {
     const params = new URLSearchParams({
         success: 'false',
         error: error
     });
+    if (errorCode) {
+        params.set('errorCode', errorCode);
+    }
     return `${FRONTEND_URL}/oauth/callback?${params.toString()}`;
 }
 
-// ============================================
-// GOOGLE OAUTH ROUTES
-// ============================================
-
 /**
- * @route   GET /api/auth/google
- * @desc    Initiate Google OAuth flow
- * @access  Public
+ * Build the callback handler for a provider
+ * State, PKCE and nonce failures come back from passport as `info.code` and are
+ * passed on to the frontend as-is
+ * @param {string} provider - Strategy name
+ * @param {string} displayName - Provider name for error messages
+ * @returns {Function} - Express middleware
  */
-router.get('/google',
-    passport.authenticate('google', {
-        scope: ['profile', 'email']
-    })
-);
+function handleProviderCallback(provider, displayName) {
+    return (req, res, next) => {
+        passport.authenticate(provider, { session: false }, async (error, data, info) => {
+            try {
+                if (error) {
+                    console.error(`[OAUTH] ${displayName} callback error:`, error);
+                    return res.redirect(generateErrorRedirectUrl('Authentication error', 'OAUTH_PROVIDER_ERROR'));
+                }
+
+                if (!data || !data.user) {
+                    if (info?.code) {
+                        console.warn(`[OAUTH] ${displayName} callback rejected: ${info.code}`);
+                    }
+                    return res.redirect(generateErrorRedirectUrl(
+                        info?.message || `${displayName} authentication failed`,
+                        info?.code || 'OAUTH_AUTH_FAILED'
+                    ));
+                }
+
+                if (data.linked) {
+                    return res.redirect(generateLinkedRedirectUrl(provider));
+                }
+
+                const result = await handleOAuthSuccess(data.user);
+                if (!result.success && !result.mfaRequired) {
+                    return res.redirect(generateErrorRedirectUrl(result.message, result.code));
+                }
+
+                // An MFA challenge is handed over the same way; POST /oauth/token answers it with 202
+                return res.redirect(generateRedirectUrl(result));
+            } catch (callbackError) {
+                console.error(`[OAUTH] ${displayName} callback error:`, callbackError);
+                return res.redirect(generateErrorRedirectUrl('Authentication error', 'OAUTH_PROVIDER_ERROR'));
+            }
+        })(req, res, next);
+    };
+}
 
 /**
- * @route   GET /api/auth/google/callback
- * @desc    Google OAuth callback
- * @access  Public
+ * Resolve the :provider param against the registry
+ * Unknown names fall through to the next route (and ultimately the 404 handler); OIDC
+ * providers get their strategy set up from the discovery document on first use
  */
-router.get('/google/callback',
-    passport.authenticate('google', {
-        session: false,
-        failureRedirect: `${FRONTEND_URL}/login?error=google_auth_failed`
-    }),
-    (req, res) => {
-        try {
-            if (!req.user || !req.user.user) {
-                return res.redirect(generateErrorRedirectUrl('Google authentication failed'));
-            }
+async function loadProvider(req, res, next) {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) {
+        return next('route');
+    }
 
-            const result = handleOAuthSuccess(req.user.user);
-            return res.redirect(generateRedirectUrl(result));
-        } catch (error) {
-            console.error('[OAUTH] Google callback error:', error);
-            return res.redirect(generateErrorRedirectUrl('Authentication error'));
-        }
+    try {
+        await ensureProviderStrategy(provider.name);
+    } catch (error) {
+        console.error(`[OAUTH] ${provider.displayName} is unavailable:`, error);
+        return res.redirect(generateErrorRedirectUrl(
+            `${provider.displayName} is currently unavailable`,
+            'OAUTH_PROVIDER_UNAVAILABLE'
+        ));
     }
-);
+
+    req.oauthProvider = provider;
+    return next();
+}
 
 // ============================================
-// GITHUB OAUTH ROUTES
+// OAUTH PROVIDER ROUTES
 // ============================================
 
 /**
- * @route   GET /api/auth/github
- * @desc    Initiate GitHub OAuth flow
+ * @route   GET /api/auth/oauth/providers
+ * @desc    Get available OAuth providers
  * @access  Public
  */
-router.get('/github',
-    passport.authenticate('github', {
-        scope: ['user:email']
-    })
-);
+router.get('/oauth/providers', (req, res) => {
+    res.json({
+        success: true,
+        providers: listOAuthProviders().map(provider => ({
+            ...provider,
+            authUrl: `/api/auth/${provider.name}`
+        }))
+    });
+});
 
 /**
- * @route   GET /api/auth/github/callback
- * @desc    GitHub OAuth callback
+ * @route   GET /api/auth/:provider
+ * @desc    Initiate a provider's OAuth flow (google, github or a configured OIDC provider)
+ *          With ?link=<ticket> (see POST /oauth/links/:provider) the provider is linked
+ *          to the ticket's account instead of signing in - only from the browser that
+ *          received the ticket's cookie
  * @access  Public
  */
-router.get('/github/callback',
-    passport.authenticate('github', {
-        session: false,
-        failureRedirect: `${FRONTEND_URL}/login?error=github_auth_failed`
-    }),
-    (req, res) => {
-        try {
-            if (!req.user || !req.user.user) {
-                return res.redirect(generateErrorRedirectUrl('GitHub authentication failed'));
-            }
+router.get('/:provider', loadProvider, (req, res, next) => {
+    if (req.query.link) {
+        // The ticket only works in the browser that asked for it, see POST /oauth/links/:provider
+        const binding = parseCookies(req.headers.cookie)[LINK_COOKIE_NAME];
+        clearCookie(res, LINK_COOKIE_NAME, linkCookieOptions());
 
-            const result = handleOAuthSuccess(req.user.user);
-            return res.redirect(generateRedirectUrl(result));
-        } catch (error) {
-            console.error('[OAUTH] GitHub callback error:', error);
-            return res.redirect(generateErrorRedirectUrl('Authentication error'));
+        const ticket = redeemLinkTicket(String(req.query.link), binding);
+        if (!ticket.success) {
+            return res.redirect(generateErrorRedirectUrl(ticket.message, ticket.code));
         }
+        req.oauthLinkUserId = ticket.userId;
     }
-);
 
-// ============================================
-// OAUTH STATUS & UTILITY ROUTES
-// ============================================
+    startOAuthFlow(req.oauthProvider.name)(req, res, next);
+});
 
 /**
- * @route   GET /api/auth/oauth/providers
- * @desc    Get available OAuth providers
+ * @route   GET /api/auth/:provider/callback
+ * @desc    Provider OAuth callback
  * @access  Public
  */
-router.get('/oauth/providers', (req, res) => {
-    res.json({
-        success: true,
-        providers: [
-            {
-                name: 'google',
-                displayName: 'Google',
-                authUrl: '/api/auth/google',
-                icon: 'google'
-            },
-            {
-                name: 'github',
-                displayName: 'GitHub',
-                authUrl: '/api/auth/github',
-                icon: 'github'
-            }
-        ]
-    });
+router.get('/:provider/callback', loadProvider, (req, res, next) => {
+    handleProviderCallback(req.oauthProvider.name, req.oauthProvider.displayName)(req, res, next);
 });
 
+// HTTP status for each exchangeAuthorizationCode failure code
+const EXCHANGE_ERROR_STATUS = {
+    OAUTH_CODE_REJECTED: 400,
+    OAUTH_NONCE_MISMATCH: 400,
+    OAUTH_INVALID_ID_TOKEN: 400,
+    OAUTH_LINK_REQUIRED: 409,
+    ACCOUNT_UNAVAILABLE: 403,
+    OAUTH_PROVIDER_UNAVAILABLE: 502
+};
+
 /**
  * @route   POST /api/auth/oauth/token
  * @desc    Exchange OAuth code for JWT tokens (for mobile/SPA apps)
+ *          With a provider, `code` is the provider's authorization code (plus redirectUri,
+ *          and codeVerifier/nonce when the client used them); without one, it is the
+ *          one-time code from the callback redirect
  * @access  Public
  */
 router.post('/oauth/token', async (req, res) => {
     try {
-        const { provider, code, redirectUri } = req.body;
+        const { provider, code, redirectUri, codeVerifier, nonce } = req.body || {};
+
+        if (!provider) {
+            return exchangeHandoffCode(code, res);
+        }
 
-        if (!provider || !code) {
+        if (!code) {
             return res.status(400).json({
                 success: false,
                 message: 'Provider and code are required'
@@ -164,20 +245,106 @@ router.post('/oauth/token', async (req, res) => {
         }
 
         // Validate provider
-        if (!['google', 'github'].includes(provider)) {
+        if (!getOAuthProvider(provider)) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid OAuth provider'
             });
         }
 
-        // Note: In production, implement code exchange with provider's token endpoint
-        return res.status(501).json({
+        const result = await exchangeAuthorizationCode(provider, { code, redirectUri, codeVerifier, nonce });
+        if (!result.success && !result.mfaRequired) {
+            return res.status(EXCHANGE_ERROR_STATUS[result.code] || 400).json({
+                success: false,
+                code: result.code,
+                message: result.message
+            });
+        }
+
+        return sendTokenResponse(res, result);
+    } catch (error) {
+        console.error('[OAUTH] Token exchange error:', error);
+        return res.status(500).json({
             success: false,
-            message: 'Direct token exchange not implemented. Use OAuth redirect flow.'
+            message: 'Internal server error'
+        });
+    }
+});
+
+// ============================================
+// PROVIDER LINKING ROUTES
+// ============================================
+
+// HTTP status for each link/unlink failure code
+const LINK_ERROR_STATUS = {
+    OAUTH_PROVIDER_NOT_LINKED: 404,
+    OAUTH_LAST_LOGIN_METHOD: 409
+};
+
+function describeLinkedProviders(user) {
+    return (user?.providers || []).map(link => ({
+        name: link.name,
+        displayName: getOAuthProvider(link.name)?.displayName || link.name,
+        linkedAt: link.linkedAt
+    }));
+}
+
+/**
+ * @route   GET /api/auth/oauth/links
+ * @desc    List the providers linked to the current account
+ * @access  Private
+ */
+router.get('/oauth/links', authenticate, authenticatedRateLimiter, requireUserSession, (req, res) => {
+    res.json({
+        success: true,
+        providers: describeLinkedProviders(getOAuthUser(req.user.id))
+    });
+});
+
+/**
+ * @route   POST /api/auth/oauth/links/:provider
+ * @desc    Start linking a provider to the current account. Returns a single-use authUrl
+ *          to send this browser to (it only works alongside the cookie set here); the
+ *          callback redirects back with ?linked=<provider>
+ * @access  Private
+ */
+router.post('/oauth/links/:provider', authenticate, authenticatedRateLimiter, requireUserSession, async (req, res) => {
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+        if (!provider) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid OAuth provider'
+            });
+        }
+
+        // Password accounts need a record to hang provider links on
+        if (!getOAuthUser(req.user.id)) {
+            const account = await getUserRepository().findById(req.user.id);
+            if (!account) {
+                return res.status(404).json({
+                    success: false,
+                    code: 'OAUTH_ACCOUNT_NOT_FOUND',
+                    message: 'Account not found'
+                });
+            }
+            ensureOAuthAccount(account);
+        }
+
+        const { ticket, binding } = createLinkTicket(req.user.id);
+        setCookie(res, LINK_COOKIE_NAME, binding, {
+            ...linkCookieOptions(),
+            maxAge: OAUTH_HANDOFF_CONFIG.linkTicketExpiryMs / 1000
+        });
+
+        const params = new URLSearchParams({ link: ticket });
+        res.set('Cache-Control', 'no-store');
+        return res.json({
+            success: true,
+            authUrl: `/api/auth/${provider.name}?${params.toString()}`
         });
     } catch (error) {
-        console.error('[OAUTH] Token exchange error:', error);
+        console.error('[OAUTH] Link start error:', error);
         return res.status(500).json({
             success: false,
             message: 'Internal server error'
@@ -185,4 +352,84 @@ router.post('/oauth/token', async (req, res) => {
     }
 });
 
+/**
+ * @route   DELETE /api/auth/oauth/links/:provider
+ * @desc    Unlink a provider from the current account (not the account's only sign-in method)
+ * @access  Private
+ */
+router.delete('/oauth/links/:provider', authenticate, authenticatedRateLimiter, requireUserSession, (req, res) => {
+    const result = unlinkOAuthProvider(req.user.id, req.params.provider);
+
+    if (!result.success) {
+        return res.status(LINK_ERROR_STATUS[result.code] || 400).json({
+            success: false,
+            code: result.code,
+            message: result.message
+        });
+    }
+
+    return res.json({
+        success: true,
+        message: `${req.params.provider} unlinked`,
+        providers: describeLinkedProviders(result.user)
+    });
+});
+
+/**
+ * Swap a callback handoff code for the login's tokens
+ * @param {string} code - One-time code from the callback redirect
+ * @param {Object} res - Express response object
+ */
+function exchangeHandoffCode(code, res) {
+    if (!code) {
+        return res.status(400).json({
+            success: false,
+            message: 'Code is required'
+        });
+    }
+
+    const redeemed = redeemHandoffCode(code);
+    if (!redeemed.success) {
+        return res.status(400).json({
+            success: false,
+            code: redeemed.code,
+            message: redeemed.message
+        });
+    }
+
+    return sendTokenResponse(res, redeemed.result);
+}
+
+/**
+ * Send the token pair for a completed OAuth login
+ * With the refresh token cookie enabled, the refresh token is set as a cookie instead of returned.
+ * Accounts that need a second factor get 202 with the challenge for POST /api/auth/mfa/verify
+ * @param {Object} res - Express response object
+ * @param {Object} result - handleOAuthSuccess() result
+ */
+function sendTokenResponse(res, result) {
+    const { user, accessToken, refreshToken, expiresIn } = result;
+
+    // The response carries tokens; don't let anything cache it
+    res.set('Cache-Control', 'no-store');
+
+    if (result.mfaRequired) {
+        return res.status(202).json({
+            success: true,
+            message: result.message,
+            mfaRequired: true,
+            enrollmentRequired: result.enrollmentRequired,
+            mfaToken: result.mfaToken,
+            expiresIn: result.expiresIn
+        });
+    }
+
+    if (REFRESH_COOKIE_CONFIG.enabled) {
+        setRefreshTokenCookie(res, refreshToken);
+        return res.json({ success: true, user, accessToken, expiresIn });
+    }
+
+    return res.json({ success: true, user, accessToken, refreshToken, expiresIn });
+}
+
 module.exports = router;
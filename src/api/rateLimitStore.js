@@ -0,0 +1,167 @@
+// Rate limit stores
+// Limiters read, update and write a key through update(), which no other request -
+// or, for the SQLite store, no other process - can interleave with. Each entry is an
+// algorithm-specific state object with an expiry after which it can be dropped.
+const { openDatabase } = require('../data/sqlite');
+
+// Configuration - In production, use environment variables
+const RATE_LIMIT_STORE_CONFIG = {
+    store: process.env.RATE_LIMIT_STORE || 'memory',   // 'memory' or 'sqlite'
+    filename: process.env.RATE_LIMIT_DB_PATH || 'data/rate-limits.sqlite',
+    sweepIntervalMs: 60 * 1000                          // 1 minute
+};
+
+/**
+ * Rate limit store interface
+ */
+class RateLimitStore {
+    get(key) {
+        throw new Error('get() not implemented');
+    }
+
+    set(key, state, expiresAt) {
+        throw new Error('set() not implemented');
+    }
+
+    /**
+     * Read-modify-write a key atomically
+     * @param {string} key - Entry key
+     * @param {Function} fn - Synchronous (state|null) => result; the entry is replaced by
+     *   result.state (expiring at result.expiresAt) when the result carries one
+     * @returns {*} - Whatever fn returned
+     */
+    update(key, fn) {
+        throw new Error('update() not implemented');
+    }
+
+    delete(key) {
+        throw new Error('delete() not implemented');
+    }
+
+    sweep(now = Date.now()) {
+        throw new Error('sweep() not implemented');
+    }
+}
+
+/**
+ * In-memory rate limit store (per process, counters reset on restart)
+ */
+class InMemoryRateLimitStore extends RateLimitStore {
+    constructor() {
+        super();
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expiresAt <= Date.now()) {
+            return null;
+        }
+        return entry.state;
+    }
+
+    set(key, state, expiresAt) {
+        this.entries.set(key, { state, expiresAt });
+    }
+
+    update(key, fn) {
+        // Synchronous from read to write, so nothing else in this process can interleave
+        const result = fn(this.get(key));
+        if (result?.state) {
+            this.set(key, result.state, result.expiresAt);
+        }
+        return result;
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    sweep(now = Date.now()) {
+        let removed = 0;
+        for (const [key, entry] of this.entries.entries()) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+/**
+ * File-backed (SQLite) rate limit store - counters survive restarts and are
+ * shared by every process using the same database file
+ */
+class SqliteRateLimitStore extends RateLimitStore {
+    constructor(filename) {
+        super();
+        this.db = openDatabase(filename);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS rate_limits (
+                key TEXT PRIMARY KEY,
+                state TEXT NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_rate_limits_expires ON rate_limits (expires_at);
+        `);
+    }
+
+    get(key) {
+        const row = this.db.prepare('SELECT state FROM rate_limits WHERE key = ? AND expires_at > ?')
+            .get(key, Date.now());
+        return row ? JSON.parse(row.state) : null;
+    }
+
+    set(key, state, expiresAt) {
+        this.db.prepare('INSERT OR REPLACE INTO rate_limits (key, state, expires_at) VALUES (?, ?, ?)')
+            .run(key, JSON.stringify(state), expiresAt);
+    }
+
+    update(key, fn) {
+        // IMMEDIATE takes the write lock before reading, so processes sharing the
+        // database file can't both read the same counter and lose an update
+        const apply = this.db.transaction(() => {
+            const result = fn(this.get(key));
+            if (result?.state) {
+                this.set(key, result.state, result.expiresAt);
+            }
+            return result;
+        });
+        return apply.immediate();
+    }
+
+    delete(key) {
+        return this.db.prepare('DELETE FROM rate_limits WHERE key = ?').run(key).changes > 0;
+    }
+
+    sweep(now = Date.now()) {
+        return this.db.prepare('DELETE FROM rate_limits WHERE expires_at <= ?').run(now).changes;
+    }
+}
+
+/**
+ * Create a rate limit store from configuration
+ * @param {Object} config - { store: 'memory' | 'sqlite', filename }
+ * @returns {RateLimitStore} - Store instance
+ */
+function createRateLimitStore(config = {}) {
+    const { store, filename } = { ...RATE_LIMIT_STORE_CONFIG, ...config };
+
+    switch (store) {
+        case 'memory':
+            return new InMemoryRateLimitStore();
+        case 'sqlite':
+            return new SqliteRateLimitStore(filename);
+        default:
+            throw new Error(`Unknown rate limit store: ${store}`);
+    }
+}
+
+module.exports = {
+    RateLimitStore,
+    InMemoryRateLimitStore,
+    SqliteRateLimitStore,
+    createRateLimitStore,
+    RATE_LIMIT_STORE_CONFIG
+};
@@ -1,132 +1,374 @@
-// Rate limiting middleware for authentication endpoints
-const rateLimitStore = new Map();
-
-// Configuration
-const RATE_LIMIT_CONFIG = {
-    windowMs: 60 * 1000,        // 1 minute window
-    maxAttempts: 5,              // 5 attempts per window
-    blockDurationMs: 60 * 1000   // Block for 1 minute when limit exceeded
+// Rate limiting middleware
+// createRateLimiter() builds a limiter from a policy; the named policies below
+// cover the routes that need one. State lives in a pluggable RateLimitStore.
+const crypto = require('crypto');
+const { createRateLimitStore, RATE_LIMIT_STORE_CONFIG } = require('./rateLimitStore');
+const { getClientIp } = require('../utils/clientIp');
+
+// Supported algorithms
+const RateLimitAlgorithms = {
+    FIXED_WINDOW: 'fixed_window',     // N requests per window, counter resets at the window boundary
+    SLIDING_LOG: 'sliding_log',       // N requests in any rolling window (one timestamp per request)
+    TOKEN_BUCKET: 'token_bucket'      // Bursts up to N, refilled at N per window
+};
+
+// Built-in key generators
+const keyGenerators = {
+    ip: (req) => `ip:${getClientIp(req)}`,
+
+    // Signed-in users share one budget across devices; anonymous requests fall back to IP
+    user: (req) => (req.user?.id ? `user:${req.user.id}` : keyGenerators.ip(req)),
+
+    // The raw key is hashed so it never ends up in a store
+    apiKey: (req) => {
+        if (req.apiKey?.id) {
+            return `apikey:${req.apiKey.id}`;
+        }
+        const header = req.headers['x-api-key'];
+        if (header) {
+            return `apikey:${crypto.createHash('sha256').update(header).digest('hex')}`;
+        }
+        return keyGenerators.ip(req);
+    }
+};
+
+// Named per-route policies
+const RATE_LIMIT_POLICIES = {
+    // Login and other credential checks
+    auth: {
+        name: 'auth',
+        windowMs: 60 * 1000,          // 1 minute window
+        max: 5,                       // 5 attempts per window
+        blockDurationMs: 60 * 1000,   // Block for 1 minute when limit exceeded
+        algorithm: RateLimitAlgorithms.FIXED_WINDOW,
+        keyGenerator: keyGenerators.ip,
+        message: 'Too many login attempts. Please try again later.'
+    },
+    // Emails sent on behalf of an anonymous caller
+    passwordReset: {
+        name: 'passwordReset',
+        windowMs: 60 * 60 * 1000,     // 1 hour
+        max: 5,
+        algorithm: RateLimitAlgorithms.SLIDING_LOG,
+        keyGenerator: keyGenerators.ip,
+        message: 'Too many password reset requests. Please try again later.'
+    },
+    // General authenticated API traffic
+    api: {
+        name: 'api',
+        windowMs: 60 * 1000,
+        max: 120,
+        algorithm: RateLimitAlgorithms.TOKEN_BUCKET,
+        keyGenerator: keyGenerators.user,
+        message: 'Rate limit exceeded. Please try again later.'
+    },
+    // Machine clients authenticating with an API key
+    apiKey: {
+        name: 'apiKey',
+        windowMs: 60 * 1000,
+        max: 600,
+        algorithm: RateLimitAlgorithms.TOKEN_BUCKET,
+        keyGenerator: keyGenerators.apiKey,
+        message: 'Rate limit exceeded for this API key.'
+    }
 };
 
 /**
- * Cleans up expired entries from the rate limit store
+ * Algorithm implementations
+ * consume(state, now, policy) -> { state, expiresAt, allowed, remaining, resetMs }
+ * resetMs is the time until the client has quota again (or the window resets)
  */
-function cleanupExpiredEntries() {
-    const now = Date.now();
-    for (const [key, data] of rateLimitStore.entries()) {
-        if (now > data.windowStart + RATE_LIMIT_CONFIG.windowMs) {
-            rateLimitStore.delete(key);
+const algorithms = {
+    [RateLimitAlgorithms.FIXED_WINDOW](state, now, { windowMs, max }) {
+        const current = state && now < state.windowStart + windowMs
+            ? { ...state }
+            : { count: 0, windowStart: now };
+
+        current.count += 1;
+        const windowEnd = current.windowStart + windowMs;
+
+        return {
+            state: current,
+            expiresAt: windowEnd,
+            allowed: current.count <= max,
+            remaining: Math.max(0, max - current.count),
+            resetMs: windowEnd - now
+        };
+    },
+
+    [RateLimitAlgorithms.SLIDING_LOG](state, now, { windowMs, max }) {
+        const hits = (state?.hits || []).filter(timestamp => timestamp > now - windowMs);
+        const allowed = hits.length < max;
+
+        // Rejected requests aren't logged, otherwise a client retrying in a loop never recovers
+        if (allowed) {
+            hits.push(now);
+        }
+
+        return {
+            state: { hits },
+            expiresAt: hits[hits.length - 1] + windowMs,
+            allowed,
+            remaining: Math.max(0, max - hits.length),
+            resetMs: hits[0] + windowMs - now
+        };
+    },
+
+    [RateLimitAlgorithms.TOKEN_BUCKET](state, now, { windowMs, max }) {
+        const refillPerMs = max / windowMs;
+        // A clock stepping backwards must not drain the bucket
+        const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+        let tokens = state ? Math.min(max, state.tokens + elapsed * refillPerMs) : max;
+
+        const allowed = tokens >= 1;
+        if (allowed) {
+            tokens -= 1;
         }
+
+        const msUntilFull = Math.ceil((max - tokens) / refillPerMs);
+        return {
+            state: { tokens, updatedAt: now },
+            expiresAt: now + msUntilFull,
+            allowed,
+            remaining: Math.floor(tokens),
+            resetMs: allowed ? msUntilFull : Math.ceil((1 - tokens) / refillPerMs)
+        };
     }
-}
+};
+
+// Stores used by at least one limiter - swept by startRateLimitSweeper()
+const activeStores = new Set();
+let defaultStore = null;
+let sweepTimer = null;
 
 /**
- * Gets the client identifier from the request
- * @param {Object} req - Express request object
- * @returns {string} - Client identifier (IP address)
+ * Get the shared store used by limiters that don't bring their own
+ * @returns {RateLimitStore}
  */
-function getClientIdentifier(req) {
-    return req.ip ||
-           req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-           req.connection?.remoteAddress ||
-           'unknown';
+function getDefaultStore() {
+    if (!defaultStore) {
+        defaultStore = createRateLimitStore();
+    }
+    return defaultStore;
 }
 
 /**
- * Rate limiting middleware for authentication endpoints
- * Limits to 5 login attempts per IP per minute
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Next middleware function
+ * Create a rate limiting middleware
+ * The policy object is read on every request, so adjusting a policy at runtime takes effect immediately
+ * @param {Object} policy - Limiter policy
+ * @param {string} policy.name - Key prefix so limiters sharing a store don't collide (default 'default')
+ * @param {Function} policy.keyGenerator - (req) => key, see keyGenerators (default per IP)
+ * @param {number} policy.windowMs - Window length in ms
+ * @param {number} policy.max - Requests allowed per window (bucket capacity for token_bucket)
+ * @param {string} policy.algorithm - One of RateLimitAlgorithms (default fixed_window)
+ * @param {number} policy.blockDurationMs - Keep rejecting for this long once the limit is hit (optional)
+ * @param {string} policy.message - Message returned with 429 responses
+ * @param {Function} policy.skip - (req) => true to bypass the limiter (optional)
+ * @param {RateLimitStore} policy.store - Store to keep state in (default shared store)
+ * @returns {Function} - Express middleware, with resetKey(key) and getStatus(key) helpers
  */
-function authRateLimiter(req, res, next) {
-    // Cleanup expired entries periodically
-    cleanupExpiredEntries();
+function createRateLimiter(policy = {}) {
+    const store = policy.store || getDefaultStore();
+    const name = policy.name || 'default';
 
-    const clientId = getClientIdentifier(req);
-    const now = Date.now();
+    if (!algorithms[policy.algorithm || RateLimitAlgorithms.FIXED_WINDOW]) {
+        throw new Error(`Unknown rate limit algorithm: ${policy.algorithm}`);
+    }
+    if (!Number.isInteger(policy.max) || policy.max < 1 || !(policy.windowMs > 0)) {
+        throw new Error(`Rate limit policy "${name}" needs a max of at least 1 and a positive windowMs`);
+    }
+    activeStores.add(store);
 
-    // Get or create rate limit data for this client
-    let clientData = rateLimitStore.get(clientId);
+    const storeKey = (key) => `${name}:${key}`;
 
-    if (!clientData) {
-        clientData = {
-            attempts: 0,
-            windowStart: now,
-            blockedUntil: null
-        };
-        rateLimitStore.set(clientId, clientData);
-    }
+    function rateLimiter(req, res, next) {
+        const {
+            windowMs,
+            max,
+            algorithm = RateLimitAlgorithms.FIXED_WINDOW,
+            blockDurationMs = 0,
+            keyGenerator = keyGenerators.ip,
+            message = 'Rate limit exceeded. Please try again later.',
+            skip
+        } = policy;
 
-    // Check if client is currently blocked
-    if (clientData.blockedUntil && now < clientData.blockedUntil) {
-        const retryAfter = Math.ceil((clientData.blockedUntil - now) / 1000);
+        if (skip && skip(req)) {
+            return next();
+        }
+
+        const key = keyGenerator(req);
+        const now = Date.now();
 
-        console.warn(`[RATE_LIMIT] Blocked request from ${clientId}. Retry after ${retryAfter}s`);
+        // Read, consume and write back in one store update so concurrent requests can't lose counts
+        const result = store.update(storeKey(key), (state) => {
+            // Blocked clients are turned away without touching their state
+            if (state?.blockedUntil && now < state.blockedUntil) {
+                return { blockedUntil: state.blockedUntil };
+            }
 
-        res.set('Retry-After', retryAfter.toString());
-        return res.status(429).json({
-            success: false,
-            error: 'Too Many Requests',
-            message: 'Rate limit exceeded. Please try again later.',
-            retryAfter: retryAfter
+            const consumed = algorithms[algorithm](state, now, { windowMs, max });
+            if (!consumed.allowed && blockDurationMs > 0) {
+                consumed.state.blockedUntil = now + blockDurationMs;
+                consumed.resetMs = blockDurationMs;
+                consumed.expiresAt = Math.max(consumed.expiresAt, consumed.state.blockedUntil);
+            }
+            return consumed;
         });
+
+        if (result.blockedUntil && !result.state) {
+            const retryAfter = Math.ceil((result.blockedUntil - now) / 1000);
+
+            console.warn(`[RATE_LIMIT] Blocked request from ${key} (${name}). Retry after ${retryAfter}s`);
+
+            setRateLimitHeaders(res, { max, windowMs, remaining: 0, resetSeconds: retryAfter });
+            return sendRateLimited(res, message, retryAfter);
+        }
+
+        const resetSeconds = Math.max(1, Math.ceil(result.resetMs / 1000));
+        setRateLimitHeaders(res, { max, windowMs, remaining: result.remaining, resetSeconds });
+
+        if (!result.allowed) {
+            console.warn(`[RATE_LIMIT] Rate limit exceeded for ${key} (${name})`);
+            return sendRateLimited(res, message, resetSeconds);
+        }
+
+        next();
     }
 
-    // Reset window if expired
-    if (now > clientData.windowStart + RATE_LIMIT_CONFIG.windowMs) {
-        clientData.attempts = 0;
-        clientData.windowStart = now;
-        clientData.blockedUntil = null;
+    /**
+     * Clear the state for a key (useful for testing)
+     * @param {string} key - Key as returned by the key generator
+     */
+    rateLimiter.resetKey = (key) => store.delete(storeKey(key));
+
+    /**
+     * Get the stored state for a key
+     * @param {string} key - Key as returned by the key generator
+     * @returns {Object|null}
+     */
+    rateLimiter.getStatus = (key) => store.get(storeKey(key));
+
+    return rateLimiter;
+}
+
+/**
+ * Set the IETF RateLimit header fields
+ * @param {Object} res - Express response object
+ * @param {Object} info - { max, windowMs, remaining, resetSeconds }
+ */
+function setRateLimitHeaders(res, { max, windowMs, remaining, resetSeconds }) {
+    res.set('RateLimit-Policy', `${max};w=${Math.ceil(windowMs / 1000)}`);
+    res.set('RateLimit-Limit', max.toString());
+    res.set('RateLimit-Remaining', remaining.toString());
+    res.set('RateLimit-Reset', resetSeconds.toString());
+}
+
+function sendRateLimited(res, message, retryAfter) {
+    res.set('Retry-After', retryAfter.toString());
+    return res.status(429).json({
+        success: false,
+        error: 'Too Many Requests',
+        message,
+        retryAfter
+    });
+}
+
+/**
+ * Create a limiter for one of the named policies
+ * @param {string} policyName - Key of RATE_LIMIT_POLICIES
+ * @param {Object} overrides - Policy fields to override for this route
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(policyName, overrides = {}) {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${policyName}`);
     }
 
-    // Increment attempt count
-    clientData.attempts += 1;
+    // Without overrides the policy object itself is used, so runtime changes to it apply
+    return createRateLimiter(Object.keys(overrides).length > 0 ? { ...policy, ...overrides } : policy);
+}
 
-    // Check if limit exceeded
-    if (clientData.attempts > RATE_LIMIT_CONFIG.maxAttempts) {
-        clientData.blockedUntil = now + RATE_LIMIT_CONFIG.blockDurationMs;
-        const retryAfter = Math.ceil(RATE_LIMIT_CONFIG.blockDurationMs / 1000);
+/**
+ * Sweep expired entries from every store in use on an interval
+ * @param {number} intervalMs - Sweep interval
+ * @returns {Function} - Stops the sweeper
+ */
+function startRateLimitSweeper(intervalMs = RATE_LIMIT_STORE_CONFIG.sweepIntervalMs) {
+    stopRateLimitSweeper();
 
-        console.warn(`[RATE_LIMIT] Rate limit exceeded for ${clientId}. Attempts: ${clientData.attempts}`);
+    sweepTimer = setInterval(() => {
+        for (const store of activeStores) {
+            try {
+                store.sweep(Date.now());
+            } catch (error) {
+                console.error('[RATE_LIMIT] Sweep failed:', error);
+            }
+        }
+    }, intervalMs);
 
-        res.set('Retry-After', retryAfter.toString());
-        return res.status(429).json({
-            success: false,
-            error: 'Too Many Requests',
-            message: 'Too many login attempts. Please try again later.',
-            retryAfter: retryAfter
-        });
+    // Don't keep the process alive just for the sweeper
+    sweepTimer.unref();
+
+    return stopRateLimitSweeper;
+}
+
+/**
+ * Stop the expired entry sweeper
+ */
+function stopRateLimitSweeper() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
     }
+}
 
-    // Add rate limit headers to response
-    res.set('X-RateLimit-Limit', RATE_LIMIT_CONFIG.maxAttempts.toString());
-    res.set('X-RateLimit-Remaining', (RATE_LIMIT_CONFIG.maxAttempts - clientData.attempts).toString());
-    res.set('X-RateLimit-Reset', new Date(clientData.windowStart + RATE_LIMIT_CONFIG.windowMs).toISOString());
+/**
+ * Rate limiting middleware for authentication endpoints
+ * Limits to 5 login attempts per IP per minute
+ */
+const authRateLimiter = rateLimit('auth');
+
+// Limiters for authenticated traffic, see authenticatedRateLimiter()
+const apiRateLimiter = rateLimit('api');
+const apiKeyRateLimiter = rateLimit('apiKey');
 
-    next();
+/**
+ * Rate limiting middleware for authenticated routes - mount it after authenticate()
+ * API keys have their own budget; everything else is limited per user
+ */
+function authenticatedRateLimiter(req, res, next) {
+    const limiter = req.apiKey ? apiKeyRateLimiter : apiRateLimiter;
+    return limiter(req, res, next);
 }
 
 /**
- * Resets rate limit for a specific client (useful for testing)
- * @param {string} clientId - Client identifier to reset
+ * Resets the login rate limit for a specific client (useful for testing)
+ * @param {string} clientId - Client IP
  */
 function resetRateLimit(clientId) {
-    rateLimitStore.delete(clientId);
+    authRateLimiter.resetKey(`ip:${clientId}`);
 }
 
 /**
- * Gets current rate limit status for a client
- * @param {string} clientId - Client identifier
+ * Gets current login rate limit state for a client
+ * @param {string} clientId - Client IP
  * @returns {Object|null} - Rate limit data or null if not found
  */
 function getRateLimitStatus(clientId) {
-    return rateLimitStore.get(clientId) || null;
+    return authRateLimiter.getStatus(`ip:${clientId}`);
 }
 
 module.exports = {
+    createRateLimiter,
+    rateLimit,
     authRateLimiter,
+    authenticatedRateLimiter,
     resetRateLimit,
     getRateLimitStatus,
-    RATE_LIMIT_CONFIG
+    startRateLimitSweeper,
+    stopRateLimitSweeper,
+    keyGenerators,
+    RateLimitAlgorithms,
+    RATE_LIMIT_POLICIES
 };
@@ -0,0 +1,32 @@
+// Standardized API response envelope shared by the route modules
+
+// Standardized error response helper
+const sendErrorResponse = (res, statusCode, errorCode, message, details = null) => {
+    const response = {
+        success: false,
+        error: {
+            code: errorCode,
+            message: message,
+            timestamp: new Date().toISOString()
+        }
+    };
+    if (details) {
+        response.error.details = details;
+    }
+    return res.status(statusCode).json(response);
+};
+
+// Standardized success response helper
+const sendSuccessResponse = (res, statusCode, message, data = null) => {
+    const response = {
+        success: true,
+        message: message,
+        timestamp: new Date().toISOString()
+    };
+    if (data) {
+        response.data = data;
+    }
+    return res.status(statusCode).json(response);
+};
+
+module.exports = { sendErrorResponse, sendSuccessResponse };
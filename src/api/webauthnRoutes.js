@@ -0,0 +1,173 @@
+// WebAuthn (passkey) endpoints - credential registration and passwordless login
+const express = require('express');
+const router = express.Router();
+const { beginSession } = require('../auth/login');
+const { checkLoginAllowed, recordSuccessfulLogin } = require('../auth/accountLockout');
+const {
+    generateRegistrationOptions,
+    verifyRegistration,
+    generateAuthenticationOptions,
+    verifyAuthentication,
+    listCredentials,
+    deleteCredential
+} = require('../auth/webauthn');
+const { authRateLimiter, authenticatedRateLimiter } = require('./rateLimiter');
+const { authenticate, requireUserSession } = require('../middleware/authMiddleware');
+const { getUserRepository, UserStatus } = require('../data/userRepository');
+const { sendErrorResponse, sendSuccessResponse } = require('./responses');
+
+// HTTP status for each ceremony failure code (anything else is a 400)
+const WEBAUTHN_ERROR_STATUS = {
+    INVALID_CHALLENGE: 401,
+    INVALID_SIGNATURE: 401,
+    UNKNOWN_CREDENTIAL: 401,
+    CLONED_AUTHENTICATOR: 401,
+    USER_NOT_VERIFIED: 401,
+    CREDENTIAL_EXISTS: 409
+};
+
+function sendCeremonyError(res, result) {
+    return sendErrorResponse(res, WEBAUTHN_ERROR_STATUS[result.code] || 400, result.code, result.message);
+}
+
+/**
+ * @route   POST /api/auth/webauthn/register/options
+ * @desc    Get creation options for registering a passkey on the signed-in account
+ * @access  Private
+ */
+router.post('/register/options', authenticate, requireUserSession, authenticatedRateLimiter, async (req, res) => {
+    try {
+        const user = await getUserRepository().findById(req.user.id);
+        if (!user) {
+            return sendErrorResponse(res, 404, 'USER_NOT_FOUND', 'User not found');
+        }
+
+        return sendSuccessResponse(res, 200, 'Registration options created', {
+            options: generateRegistrationOptions(user)
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'WEBAUTHN_FAILED', 'Failed to create registration options', error.message);
+    }
+});
+
+/**
+ * @route   POST /api/auth/webauthn/register/verify
+ * @desc    Verify the authenticator's attestation and store the passkey
+ * @access  Private
+ */
+router.post('/register/verify', authenticate, requireUserSession, authenticatedRateLimiter, (req, res) => {
+    try {
+        const { credential, name } = req.body || {};
+        const result = verifyRegistration(req.user.id, credential, { name });
+
+        if (!result.success) {
+            return sendCeremonyError(res, result);
+        }
+
+        const { publicKey, ...summary } = result.credential;
+        return sendSuccessResponse(res, 201, 'Passkey registered', { credential: summary });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'WEBAUTHN_FAILED', 'Failed to register passkey', error.message);
+    }
+});
+
+/**
+ * @route   POST /api/auth/webauthn/login/options
+ * @desc    Get request options for signing in with a discoverable passkey
+ *          (the response is the same for everyone, so it can't be used to look up accounts)
+ * @access  Public
+ */
+router.post('/login/options', authRateLimiter, async (req, res) => {
+    try {
+        return sendSuccessResponse(res, 200, 'Authentication options created', {
+            options: generateAuthenticationOptions()
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'WEBAUTHN_FAILED', 'Failed to create authentication options', error.message);
+    }
+});
+
+/**
+ * @route   POST /api/auth/webauthn/login/verify
+ * @desc    Verify a passkey assertion and issue tokens
+ * @access  Public
+ */
+router.post('/login/verify', authRateLimiter, async (req, res) => {
+    try {
+        const { credential } = req.body || {};
+        const result = verifyAuthentication(credential);
+
+        if (!result.success) {
+            return sendCeremonyError(res, result);
+        }
+
+        const user = await getUserRepository().findById(result.userId);
+        if (!user || user.status !== UserStatus.ACTIVE) {
+            return sendErrorResponse(res, 403, 'ACCOUNT_UNAVAILABLE', 'Account is not active');
+        }
+
+        // A passkey can't be guessed, so the progressive delays for wrong passwords don't
+        // apply - but a locked account stays locked whatever the credential
+        const lockout = checkLoginAllowed(user.email);
+        if (lockout.code === 'ACCOUNT_LOCKED') {
+            res.set('Retry-After', lockout.retryAfter.toString());
+            return sendErrorResponse(res, 423, 'ACCOUNT_LOCKED', 'Account is temporarily locked due to too many failed login attempts');
+        }
+
+        // A user-verified passkey (biometric or PIN) already counts as two factors
+        const session = await beginSession(user, { secondFactorVerified: result.userVerified });
+
+        if (session.mfaRequired) {
+            return sendSuccessResponse(res, 202, session.message, {
+                mfaRequired: true,
+                enrollmentRequired: session.enrollmentRequired,
+                mfaToken: session.mfaToken,
+                expiresIn: session.expiresIn
+            });
+        }
+
+        recordSuccessfulLogin(user.email);
+
+        return sendSuccessResponse(res, 200, 'Login successful', {
+            user: session.user,
+            accessToken: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: session.expiresIn
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'LOGIN_FAILED', 'Failed to verify passkey', error.message);
+    }
+});
+
+/**
+ * @route   GET /api/auth/webauthn/credentials
+ * @desc    List the signed-in user's passkeys
+ * @access  Private
+ */
+router.get('/credentials', authenticate, requireUserSession, authenticatedRateLimiter, (req, res) => {
+    try {
+        return sendSuccessResponse(res, 200, 'Passkeys retrieved', {
+            credentials: listCredentials(req.user.id)
+        });
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'WEBAUTHN_FAILED', 'Failed to list passkeys', error.message);
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/webauthn/credentials/:credentialId
+ * @desc    Remove one of the signed-in user's passkeys
+ * @access  Private
+ */
+router.delete('/credentials/:credentialId', authenticate, requireUserSession, authenticatedRateLimiter, (req, res) => {
+    try {
+        if (!deleteCredential(req.user.id, req.params.credentialId)) {
+            return sendErrorResponse(res, 404, 'CREDENTIAL_NOT_FOUND', 'Passkey not found');
+        }
+        return sendSuccessResponse(res, 200, 'Passkey removed');
+    } catch (error) {
+        return sendErrorResponse(res, 500, 'WEBAUTHN_FAILED', 'Failed to remove passkey', error.message);
+    }
+});
+
+module.exports = router;
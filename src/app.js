@@ -0,0 +1,107 @@
+// Express application factory
+const express = require('express');
+const { corsConfig, getCorsConfig } = require('./middleware/corsConfig');
+const requestLogger = require('./middleware/requestLogger');
+const { passport, initializeOAuth } = require('./auth/oauth');
+const { setUserRepository } = require('./data/userRepository');
+const { sendErrorResponse } = require('./api/responses');
+const authRoutes = require('./api/auth');
+const mfaRoutes = require('./api/mfaRoutes');
+const webauthnRoutes = require('./api/webauthnRoutes');
+const oauthRoutes = require('./api/oauthRoutes');
+const avatarRoutes = require('./api/avatarRoutes');
+const adminRoutes = require('./api/adminRoutes');
+const apiKeyRoutes = require('./api/apiKeyRoutes');
+const healthRoutes = require('./api/healthRoutes');
+const jwksRoutes = require('./api/jwksRoutes');
+
+/**
+ * Central error handler - converts thrown/forwarded errors to the API envelope
+ */
+function errorHandler(err, req, res, next) {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    // Errors raised by express.json() / express.raw()
+    if (err.type === 'entity.parse.failed') {
+        return sendErrorResponse(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+    if (err.type === 'entity.too.large') {
+        return sendErrorResponse(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+
+    const statusCode = err.status || err.statusCode || 500;
+    if (statusCode >= 500) {
+        console.error(`[APP] Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+    }
+
+    const message = statusCode >= 500 && process.env.NODE_ENV === 'production'
+        ? 'Internal server error'
+        : err.message || 'Internal server error';
+
+    return sendErrorResponse(res, statusCode, err.code || 'INTERNAL_ERROR', message);
+}
+
+/**
+ * Build the Express application with all middleware and routers mounted
+ * @param {Object} config - Application configuration
+ * @param {Object} config.cors - corsConfig options (defaults to the NODE_ENV preset)
+ * @param {Object|false} config.logger - requestLogger options, or false to disable logging
+ * @param {boolean} config.oauth - Register the OAuth strategies (default true)
+ * @param {string} config.jsonLimit - Maximum JSON body size (default '100kb')
+ * @param {Object} config.userRepository - UserRepository to use instead of the active one
+ * @returns {Object} - Express application (not listening)
+ */
+function createApp(config = {}) {
+    const {
+        cors = getCorsConfig(),
+        logger = {},
+        oauth = true,
+        jsonLimit = '100kb',
+        userRepository = null
+    } = config;
+
+    if (userRepository) {
+        setUserRepository(userRepository);
+    }
+
+    const app = express();
+    app.disable('x-powered-by');
+
+    // Body parsing runs first so requestLogger's logBody option sees the parsed body
+    app.use(express.json({ limit: jsonLimit }));
+
+    if (logger !== false) {
+        app.use(requestLogger(logger));
+    }
+
+    app.use(corsConfig(cors));
+
+    if (oauth) {
+        initializeOAuth();
+        app.use(passport.initialize());
+    }
+
+    // Routes
+    app.use('/', healthRoutes);
+    app.use('/', jwksRoutes);
+    app.use('/api/auth', authRoutes);
+    app.use('/api/auth/mfa', mfaRoutes);
+    app.use('/api/auth/webauthn', webauthnRoutes);
+    app.use('/api/auth', oauthRoutes);
+    app.use('/api', avatarRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/api-keys', apiKeyRoutes);
+
+    // Unknown routes
+    app.use((req, res) => {
+        sendErrorResponse(res, 404, 'NOT_FOUND', `Route ${req.method} ${req.path} not found`);
+    });
+
+    app.use(errorHandler);
+
+    return app;
+}
+
+module.exports = { createApp, errorHandler };
@@ -11,6 +11,8 @@
  * - Audit logging for access decisions
  */
 
+const { isIpInRanges } = require('../utils/clientIp');
+
 // Permission actions
 const Actions = {
   CREATE: 'create',
@@ -77,6 +79,7 @@ class Role {
     this.inheritedRoles = new Set();
     this.level = options.level || RoleHierarchy[name] || 0;
     this.isSystem = options.isSystem || false;
+    this.requiresMfa = options.requiresMfa || false;
     this.metadata = options.metadata || {};
   }
 
@@ -141,6 +144,7 @@ class Role {
       permissions: Array.from(this.permissions).map(p => p.id),
       inheritedRoles: Array.from(this.inheritedRoles),
       isSystem: this.isSystem,
+      requiresMfa: this.requiresMfa,
       metadata: this.metadata
     };
   }
@@ -209,6 +213,9 @@ class Policy {
         return context.user && context.user.groups && context.user.groups.includes(value);
       case 'hasAttribute':
         return contextValue !== undefined && contextValue !== null;
+      case 'inIpRange':
+        // value: CIDRs/addresses, e.g. { field: 'ip', operator: 'inIpRange', value: ['10.0.0.0/8'] }
+        return isIpInRanges(contextValue, value);
       default:
         return false;
     }
@@ -219,6 +226,46 @@ class Policy {
   }
 }
 
+/**
+ * Encode a set of permissions as a compact digest for embedding in tokens
+ * e.g. ['task:create,read,update', 'document:read'] - one entry per resource
+ * @param {Iterable<Permission>} permissions - Permissions to encode
+ * @returns {string[]} - Sorted digest entries
+ */
+const encodePermissionDigest = (permissions) => {
+  const byResource = new Map();
+
+  for (const permission of permissions) {
+    if (!byResource.has(permission.resource)) {
+      byResource.set(permission.resource, new Set());
+    }
+    byResource.get(permission.resource).add(permission.action);
+  }
+
+  return Array.from(byResource.entries())
+    .map(([resource, actions]) => `${resource}:${Array.from(actions).sort().join(',')}`)
+    .sort();
+};
+
+/**
+ * Check whether a permission digest grants an action on a resource
+ * @param {string[]} digest - Output of encodePermissionDigest
+ * @param {string} resource - Resource type
+ * @param {string} action - Action
+ * @returns {boolean}
+ */
+const permissionDigestAllows = (digest, resource, action) => {
+  if (!Array.isArray(digest)) {
+    return false;
+  }
+
+  return digest.some(entry => {
+    const [entryResource, actions = ''] = entry.split(':');
+    const resourceMatch = entryResource === '*' || entryResource === resource;
+    return resourceMatch && actions.split(',').some(entryAction => entryAction === '*' || entryAction === action);
+  });
+};
+
 class RBACService {
   constructor() {
     this.roles = new Map();
@@ -464,6 +511,36 @@ class RBACService {
     }).role;
   }
 
+  getEffectivePermissions(userId) {
+    const permissions = new Map();
+
+    for (const { role, assignment } of this.getUserRoles(userId)) {
+      // Resource-scoped assignments only apply to their resource
+      if (assignment.scope === 'resource') {
+        continue;
+      }
+      for (const permission of role.getAllPermissions(this.roles)) {
+        permissions.set(permission.id, permission);
+      }
+    }
+
+    return Array.from(permissions.values());
+  }
+
+  // Compact, token-embeddable summary of a user's unconditional global permissions.
+  // Conditional permissions (e.g. ownOnly) are left out so they always get a full check.
+  getPermissionDigest(userId) {
+    const unconditional = this.getEffectivePermissions(userId)
+      .filter(permission => Object.keys(permission.conditions).length === 0);
+    return encodePermissionDigest(unconditional);
+  }
+
+  // True if any of the user's active roles requires multi-factor authentication
+  // (enable per role with updateRole('ADMIN', { requiresMfa: true }))
+  userRequiresMfa(userId) {
+    return this.getUserRoles(userId).some(({ role }) => role.requiresMfa);
+  }
+
   // Permission Checking
   hasPermission(userId, resource, action, context = {}) {
     const startTime = Date.now();
@@ -655,7 +732,7 @@ class RBACService {
 // Create singleton instance
 const rbacService = new RBACService();
 
-export {
+module.exports = {
   rbacService,
   RBACService,
   Role,
@@ -663,7 +740,7 @@ export {
   Policy,
   Actions,
   Resources,
-  RoleHierarchy
+  RoleHierarchy,
+  encodePermissionDigest,
+  permissionDigestAllows
 };
-
-export default rbacService;
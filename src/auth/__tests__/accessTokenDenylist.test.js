@@ -0,0 +1,107 @@
+const {
+    generateAccessToken,
+    verifyAccessToken,
+    revokeAccessToken,
+    revokeAllUserTokens,
+    TokenErrorCodes,
+    JWT_CONFIG
+} = require('../jwt');
+const { sweepDenylist } = require('../accessTokenDenylist');
+
+const user = { id: 'usr_denylist', email: 'denylist@example.com' };
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+// Seconds into the clock skew window: past exp, still accepted by validateClaims()
+const inSkewWindow = (JWT_CONFIG.accessTokenExpiry + JWT_CONFIG.clockSkewSeconds / 2) * 1000;
+
+describe('access token denylist', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('gives every access token its own jti', () => {
+        const first = verifyAccessToken(generateAccessToken(user)).payload;
+        const second = verifyAccessToken(generateAccessToken(user)).payload;
+
+        expect(first.jti).toMatch(/^[0-9a-f]{32}$/);
+        expect(second.jti).not.toBe(first.jti);
+    });
+
+    it('revokes only the token it is given', () => {
+        const revoked = generateAccessToken(user);
+        const other = generateAccessToken(user);
+        revokeAccessToken(verifyAccessToken(revoked).payload);
+
+        expect(verifyAccessToken(revoked).code).toBe(TokenErrorCodes.TOKEN_REVOKED);
+        expect(verifyAccessToken(other).valid).toBe(true);
+    });
+
+    it('rejects a revoked token', () => {
+        const token = generateAccessToken(user);
+        revokeAccessToken(verifyAccessToken(token).payload);
+
+        expect(verifyAccessToken(token).valid).toBe(false);
+    });
+
+    it('keeps rejecting a revoked token through the clock skew window', () => {
+        const token = generateAccessToken(user);
+        revokeAccessToken(verifyAccessToken(token).payload);
+
+        jest.setSystemTime(START + inSkewWindow);
+        sweepDenylist();
+
+        expect(verifyAccessToken(token).valid).toBe(false);
+    });
+
+    it('records revocations made inside the clock skew window', () => {
+        const token = generateAccessToken(user);
+        const { payload } = verifyAccessToken(token);
+
+        jest.setSystemTime(START + inSkewWindow);
+        expect(verifyAccessToken(token).valid).toBe(true);
+
+        revokeAccessToken(payload);
+        expect(verifyAccessToken(token).valid).toBe(false);
+    });
+
+    it('drops entries once the token would be rejected anyway', () => {
+        const token = generateAccessToken(user);
+        revokeAccessToken(verifyAccessToken(token).payload);
+
+        jest.setSystemTime(START + (JWT_CONFIG.accessTokenExpiry + JWT_CONFIG.clockSkewSeconds + 1) * 1000);
+
+        expect(sweepDenylist()).toBeGreaterThanOrEqual(1);
+    });
+
+    it('revokes every earlier token for a user, into the skew window', () => {
+        const token = generateAccessToken(user);
+
+        jest.setSystemTime(START + 1000);
+        revokeAllUserTokens(user.id);
+        jest.setSystemTime(START + inSkewWindow);
+        sweepDenylist();
+
+        expect(verifyAccessToken(token).valid).toBe(false);
+    });
+
+    it('tells tokens apart within the second of a user-wide revocation', () => {
+        const before = generateAccessToken(user);
+        revokeAllUserTokens(user.id);
+        const after = generateAccessToken(user);
+
+        expect(verifyAccessToken(before).code).toBe(TokenErrorCodes.TOKEN_REVOKED);
+        expect(verifyAccessToken(after).valid).toBe(true);
+    });
+
+    it('accepts tokens issued after a user-wide revocation', () => {
+        revokeAllUserTokens(user.id);
+        jest.setSystemTime(START + 2000);
+
+        expect(verifyAccessToken(generateAccessToken(user)).valid).toBe(true);
+    });
+});
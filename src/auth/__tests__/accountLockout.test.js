@@ -0,0 +1,188 @@
+const {
+    checkLoginAllowed,
+    reserveLoginAttempt,
+    confirmFailedLogin,
+    releaseLoginAttempt,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    clearLockout,
+    getLockoutStatus,
+    listLockouts,
+    cleanupExpiredEntries,
+    LOCKOUT_CONFIG
+} = require('../accountLockout');
+const { authenticateUser } = require('../login');
+const { initializeUserRepository } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+const { eventBus } = require('../../services/EventBus');
+const emailService = require('../../services/emailService');
+
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+describe('account lockout', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('delays attempts progressively after the free attempts', () => {
+        const email = 'delay@example.com';
+        for (let i = 0; i < LOCKOUT_CONFIG.freeAttempts; i++) {
+            recordFailedLogin(email);
+        }
+        expect(checkLoginAllowed(email).allowed).toBe(true);
+
+        recordFailedLogin(email);
+        const blocked = checkLoginAllowed(email);
+        expect(blocked).toMatchObject({ allowed: false, code: 'TOO_MANY_ATTEMPTS' });
+
+        jest.setSystemTime(START + LOCKOUT_CONFIG.baseDelayMs);
+        expect(checkLoginAllowed(email).allowed).toBe(true);
+    });
+
+    it('locks the account at the threshold', () => {
+        const email = 'lock@example.com';
+        for (let i = 0; i < LOCKOUT_CONFIG.lockThreshold; i++) {
+            recordFailedLogin(email);
+        }
+
+        expect(checkLoginAllowed(email)).toMatchObject({ allowed: false, code: 'ACCOUNT_LOCKED' });
+        expect(getLockoutStatus(email)).toMatchObject({ locked: true, failures: LOCKOUT_CONFIG.lockThreshold });
+
+        jest.setSystemTime(START + LOCKOUT_CONFIG.lockDurationMs + 1);
+        expect(checkLoginAllowed(email).allowed).toBe(true);
+    });
+
+    it('counts a reserved attempt until it is rolled back', () => {
+        const email = 'reserve@example.com';
+        expect(reserveLoginAttempt(email).allowed).toBe(true);
+        expect(getLockoutStatus(email).failures).toBe(1);
+
+        recordSuccessfulLogin(email);
+        expect(getLockoutStatus(email)).toBeNull();
+    });
+
+    it('releases only the reserved attempt', () => {
+        const email = 'release@example.com';
+        recordFailedLogin(email);
+        reserveLoginAttempt(email);
+
+        releaseLoginAttempt(email);
+        expect(getLockoutStatus(email).failures).toBe(1);
+        clearLockout(email);
+    });
+
+    it('locks only once a reserved attempt is confirmed as failed', () => {
+        const email = 'confirm@example.com';
+        const user = { id: 'usr_confirm', email };
+        const sendUnlock = jest.spyOn(emailService, 'sendAccountUnlockEmail').mockResolvedValue();
+        for (let i = 0; i < LOCKOUT_CONFIG.lockThreshold - 1; i++) {
+            recordFailedLogin(email);
+        }
+
+        jest.setSystemTime(START + LOCKOUT_CONFIG.maxDelayMs);
+        expect(reserveLoginAttempt(email, { user }).allowed).toBe(true);
+        expect(getLockoutStatus(email)).toMatchObject({ failures: LOCKOUT_CONFIG.lockThreshold, locked: false });
+        expect(sendUnlock).not.toHaveBeenCalled();
+
+        expect(confirmFailedLogin(email, { user }).locked).toBe(true);
+        expect(sendUnlock).toHaveBeenCalledWith(email, expect.stringMatching(/^http:\/\/localhost:3000\/unlock-account\?token=/));
+
+        sendUnlock.mockRestore();
+        clearLockout(email);
+    });
+
+    it('does not reserve attempts that are refused', () => {
+        const email = 'refused@example.com';
+        for (let i = 0; i < LOCKOUT_CONFIG.lockThreshold; i++) {
+            recordFailedLogin(email);
+        }
+
+        expect(reserveLoginAttempt(email).code).toBe('ACCOUNT_LOCKED');
+        expect(getLockoutStatus(email).failures).toBe(LOCKOUT_CONFIG.lockThreshold);
+        clearLockout(email);
+    });
+
+    it('forgets failures outside the window without a sweep', () => {
+        const email = 'window@example.com';
+        for (let i = 0; i < LOCKOUT_CONFIG.freeAttempts + 1; i++) {
+            recordFailedLogin(email);
+        }
+
+        jest.setSystemTime(START + LOCKOUT_CONFIG.failureWindowMs + 1);
+        expect(getLockoutStatus(email)).toBeNull();
+        expect(listLockouts().map(entry => entry.email)).not.toContain(email);
+
+        // A new failure starts a fresh count rather than continuing the old one
+        expect(recordFailedLogin(email).failures).toBe(1);
+    });
+
+    it('drops expired records when swept', () => {
+        const email = 'sweep@example.com';
+        recordFailedLogin(email);
+
+        jest.setSystemTime(START + LOCKOUT_CONFIG.failureWindowMs + 1);
+        cleanupExpiredEntries();
+
+        jest.setSystemTime(START);
+        expect(getLockoutStatus(email)).toBeNull();
+    });
+});
+
+describe('authenticateUser lockout', () => {
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+    });
+
+    it('counts parallel wrong passwords before any of them is compared', async () => {
+        const email = 'nobody@example.com';
+        const attempts = LOCKOUT_CONFIG.lockThreshold + 5;
+
+        const results = await Promise.all(
+            Array.from({ length: attempts }, () => authenticateUser(email, 'wrong-password'))
+        );
+
+        const compared = results.filter(result => result.code === 'INVALID_CREDENTIALS');
+        expect(compared.length).toBe(LOCKOUT_CONFIG.freeAttempts + 1);
+        expect(getLockoutStatus(email).failures).toBe(compared.length);
+        clearLockout(email);
+    });
+
+    it('does not lock or notify when the attempt at the threshold has the right password', async () => {
+        const email = 'chamindujs@gmail.com';
+        const publish = jest.spyOn(eventBus, 'publish');
+        const sendUnlock = jest.spyOn(emailService, 'sendAccountUnlockEmail').mockResolvedValue();
+        for (let i = 0; i < LOCKOUT_CONFIG.lockThreshold - 1; i++) {
+            recordFailedLogin(email);
+        }
+
+        // Step past the progressive delay the earlier failures earned
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(Date.now() + LOCKOUT_CONFIG.maxDelayMs);
+        try {
+            const result = await authenticateUser(email, 'chamindu123!');
+            expect(result.success).toBe(true);
+        } finally {
+            jest.useRealTimers();
+        }
+
+        expect(publish).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'security.account_locked' }));
+        expect(sendUnlock).not.toHaveBeenCalled();
+        expect(getLockoutStatus(email)).toBeNull();
+
+        publish.mockRestore();
+        sendUnlock.mockRestore();
+    });
+
+    it('clears the reserved attempt after a correct password', async () => {
+        const email = 'chamindujs@gmail.com';
+        const result = await authenticateUser(email, 'chamindu123!');
+
+        expect(result.success).toBe(true);
+        expect(getLockoutStatus(email)).toBeNull();
+    });
+});
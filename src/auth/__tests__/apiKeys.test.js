@@ -0,0 +1,53 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const { createApiKey, verifyApiKey, setApiKeyStore, API_KEY_CONFIG } = require('../apiKeys');
+const { createApiKeyStore } = require('../apiKeyStore');
+const { rbacService } = require('../RBACService');
+const { initializeUserRepository } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+
+const ADMIN_ID = 'usr_003';
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+describe('verifyApiKey', () => {
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+    });
+
+    beforeEach(() => {
+        setApiKeyStore(createApiKeyStore({ store: 'memory' }));
+        rbacService.assignRole(ADMIN_ID, 'ADMIN');
+    });
+
+    it('restores the owner\'s role so keys work before the owner logs in again', async () => {
+        const { key } = createApiKey(ADMIN_ID, { name: 'batch', scopes: ['user:manage'] });
+
+        // A restart loses the in-memory role assignments made at login
+        rbacService.revokeRole(ADMIN_ID, 'ADMIN');
+
+        const app = createApp({ logger: false, oauth: false });
+        const res = await request(app).get('/api/admin/lockouts').set('X-API-Key', key);
+
+        expect(res.status).toBe(200);
+    });
+
+    it('records lastUsedAt at most once per interval', async () => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(START);
+        try {
+            const { key } = createApiKey(ADMIN_ID, { name: 'batch', scopes: ['user:read'] });
+
+            const first = await verifyApiKey(key);
+            expect(first.apiKey.lastUsedAt).toBe(new Date(START).toISOString());
+
+            jest.setSystemTime(START + API_KEY_CONFIG.lastUsedWriteIntervalMs - 1);
+            expect((await verifyApiKey(key)).apiKey.lastUsedAt).toBe(first.apiKey.lastUsedAt);
+
+            jest.setSystemTime(START + API_KEY_CONFIG.lastUsedWriteIntervalMs);
+            expect((await verifyApiKey(key)).apiKey.lastUsedAt)
+                .toBe(new Date(START + API_KEY_CONFIG.lastUsedWriteIntervalMs).toISOString());
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,60 @@
+const { authenticateUser, hashPassword } = require('../login');
+const { clearLockout } = require('../accountLockout');
+const { InMemoryUserRepository, UserStatus } = require('../../data/userRepository');
+
+const EMAIL = 'login.user@example.com';
+const PASSWORD = 'correct horse battery';
+
+describe('authenticateUser', () => {
+    const userRepository = new InMemoryUserRepository();
+
+    beforeAll(async () => {
+        await userRepository.create({
+            id: 'usr_login',
+            email: EMAIL,
+            name: 'Login User',
+            passwordHash: await hashPassword(PASSWORD),
+            role: 'MEMBER'
+        });
+    });
+
+    afterEach(async () => {
+        clearLockout(EMAIL);
+        await userRepository.update('usr_login', { status: UserStatus.ACTIVE });
+    });
+
+    it('checks the password against the stored hash', async () => {
+        const result = await authenticateUser(` ${EMAIL.toUpperCase()} `, PASSWORD, { userRepository });
+
+        expect(result.success).toBe(true);
+        expect(result.user.id).toBe('usr_login');
+        expect(result.user.passwordHash).toBeUndefined();
+        expect(result.accessToken).toBeDefined();
+    });
+
+    it('answers a wrong password and an unknown email the same way', async () => {
+        const wrong = await authenticateUser(EMAIL, 'wrong password', { userRepository });
+        const unknown = await authenticateUser('nobody@example.com', PASSWORD, { userRepository });
+
+        expect(wrong).toEqual({ success: false, code: 'INVALID_CREDENTIALS', message: 'Invalid email or password' });
+        expect(unknown).toEqual(wrong);
+    });
+
+    it('reveals the account status only after a correct password', async () => {
+        await userRepository.update('usr_login', { status: UserStatus.SUSPENDED });
+
+        expect((await authenticateUser(EMAIL, 'wrong password', { userRepository })).code).toBe('INVALID_CREDENTIALS');
+        expect((await authenticateUser(EMAIL, PASSWORD, { userRepository })).code).toBe('ACCOUNT_SUSPENDED');
+    });
+
+    it('refuses inactive accounts', async () => {
+        await userRepository.update('usr_login', { status: UserStatus.INACTIVE });
+
+        expect((await authenticateUser(EMAIL, PASSWORD, { userRepository })).code).toBe('ACCOUNT_INACTIVE');
+    });
+
+    it('requires both credentials', async () => {
+        expect((await authenticateUser('  ', PASSWORD, { userRepository })).code).toBe('MISSING_EMAIL');
+        expect((await authenticateUser(EMAIL, null, { userRepository })).code).toBe('MISSING_PASSWORD');
+    });
+});
@@ -0,0 +1,133 @@
+const {
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifySecondFactor,
+    disableTotp,
+    isMfaEnabled,
+    MFA_CONFIG
+} = require('../mfa');
+const { generateTotp } = require('../totp');
+const { rbacService } = require('../RBACService');
+const { recordFailedLogin, getLockoutStatus } = require('../accountLockout');
+const { initializeUserRepository, getUserRepository } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+const { createApp } = require('../../app');
+const request = require('supertest');
+
+const USER_ID = 'usr_003';
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+const findUser = () => getUserRepository().findById(USER_ID);
+
+describe('TOTP enrollment and recovery codes', () => {
+    let secret;
+    let recoveryCodes;
+
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('only enables MFA once a code from the new secret is confirmed', async () => {
+        ({ secret } = await startTotpEnrollment(USER_ID));
+        expect(isMfaEnabled(await findUser())).toBe(false);
+
+        expect((await confirmTotpEnrollment(USER_ID, '000000')).code).toBe('INVALID_MFA_CODE');
+
+        ({ recoveryCodes } = await confirmTotpEnrollment(USER_ID, generateTotp(secret)));
+        expect(isMfaEnabled(await findUser())).toBe(true);
+        expect(recoveryCodes).toHaveLength(MFA_CONFIG.recoveryCodeCount);
+        expect(recoveryCodes[0]).toMatch(/^[0-9a-f]{5}(-[0-9a-f]{5}){3}$/);
+        expect((await startTotpEnrollment(USER_ID)).code).toBe('MFA_ALREADY_ENABLED');
+    });
+
+    it('does not accept the enrollment code again', async () => {
+        const result = await verifySecondFactor(await findUser(), { code: generateTotp(secret) });
+
+        expect(result.code).toBe('INVALID_MFA_CODE');
+    });
+
+    it('accepts each recovery code once', async () => {
+        const first = await verifySecondFactor(await findUser(), { recoveryCode: recoveryCodes[0] });
+        const again = await verifySecondFactor(await findUser(), { recoveryCode: recoveryCodes[0] });
+
+        expect(first).toMatchObject({ success: true, usedRecoveryCode: true, remainingRecoveryCodes: recoveryCodes.length - 1 });
+        expect(again.success).toBe(false);
+    });
+
+    it('lets only one of two concurrent requests use the same code', async () => {
+        jest.setSystemTime(START + 30 * 1000);
+        const user = await findUser();
+
+        const totp = await Promise.all([
+            verifySecondFactor(user, { code: generateTotp(secret) }),
+            verifySecondFactor(user, { code: generateTotp(secret) })
+        ]);
+        const recovery = await Promise.all([
+            verifySecondFactor(user, { recoveryCode: recoveryCodes[2] }),
+            verifySecondFactor(user, { recoveryCode: recoveryCodes[2] })
+        ]);
+
+        expect(totp.map(result => result.success).sort()).toEqual([false, true]);
+        expect(recovery.map(result => result.success).sort()).toEqual([false, true]);
+    });
+
+    it('cannot be turned off when a role requires it', async () => {
+        rbacService.assignRole(USER_ID, 'ADMIN');
+        rbacService.updateRole('ADMIN', { requiresMfa: true });
+        try {
+            const result = await disableTotp(USER_ID, { recoveryCode: recoveryCodes[1] });
+            expect(result.code).toBe('MFA_REQUIRED_BY_ROLE');
+        } finally {
+            rbacService.updateRole('ADMIN', { requiresMfa: false });
+            rbacService.revokeRole(USER_ID, 'ADMIN');
+        }
+    });
+
+    it('turns off with a valid factor', async () => {
+        jest.setSystemTime(START + 60 * 1000);
+
+        expect((await disableTotp(USER_ID, { code: generateTotp(secret) })).success).toBe(true);
+        expect(isMfaEnabled(await findUser())).toBe(false);
+    });
+});
+
+describe('POST /api/auth/mfa/totp/enable with an enrollment challenge', () => {
+    const MANAGER = { email: 'yasiruswaris@gmail.com', password: 'yasiru123!' };
+    let app;
+
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        rbacService.updateRole('MANAGER', { requiresMfa: true });
+        app = createApp({ logger: false, oauth: false });
+    });
+
+    afterAll(() => {
+        rbacService.updateRole('MANAGER', { requiresMfa: false });
+    });
+
+    it('finishes the login and forgives earlier failed attempts', async () => {
+        recordFailedLogin(MANAGER.email);
+        recordFailedLogin(MANAGER.email);
+
+        const login = await request(app).post('/api/auth/login').send(MANAGER);
+        expect(login.body.data).toMatchObject({ mfaRequired: true, enrollmentRequired: true });
+        const { mfaToken } = login.body.data;
+
+        const setup = await request(app).post('/api/auth/mfa/totp/setup').send({ mfaToken });
+        const enable = await request(app).post('/api/auth/mfa/totp/enable')
+            .send({ mfaToken, code: generateTotp(setup.body.data.secret) });
+
+        expect(enable.status).toBe(200);
+        expect(enable.body.data.accessToken).toBeDefined();
+        expect(getLockoutStatus(MANAGER.email)).toBeNull();
+    });
+});
@@ -0,0 +1,85 @@
+const { authenticateUser, completeMfaLogin } = require('../login');
+const { startTotpEnrollment, confirmTotpEnrollment, MFA_CONFIG } = require('../mfa');
+const { generateTotp } = require('../totp');
+const { clearLockout, getLockoutStatus, LOCKOUT_CONFIG } = require('../accountLockout');
+const { initializeUserRepository } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+
+const EMAIL = 'chamindujs@gmail.com';
+const PASSWORD = 'chamindu123!';
+
+let secret;
+
+async function startMfaLogin() {
+    const result = await authenticateUser(EMAIL, PASSWORD);
+    expect(result.code).toBe('MFA_REQUIRED');
+    return result.mfaToken;
+}
+
+// A valid-looking code that is never the current one
+const wrongCode = () => (generateTotp(secret) === '000000' ? '111111' : '000000');
+
+describe('completeMfaLogin', () => {
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        const enrollment = await startTotpEnrollment('usr_004');
+        secret = enrollment.secret;
+        await confirmTotpEnrollment('usr_004', generateTotp(secret));
+    });
+
+    afterEach(() => {
+        clearLockout(EMAIL);
+    });
+
+    it('logs in with a correct code and clears the reserved attempt', async () => {
+        const mfaToken = await startMfaLogin();
+        // confirmTotpEnrollment() consumed the current time step's code
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(Date.now() + 30 * 1000);
+        try {
+            const result = await completeMfaLogin(mfaToken, { code: generateTotp(secret) });
+            expect(result.success).toBe(true);
+            expect(getLockoutStatus(EMAIL)).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('burns a challenge after its attempt cap', async () => {
+        const mfaToken = await startMfaLogin();
+        clearLockout(EMAIL);
+
+        for (let i = 0; i < MFA_CONFIG.maxChallengeAttempts; i++) {
+            await completeMfaLogin(mfaToken, { code: wrongCode() });
+            clearLockout(EMAIL);
+        }
+
+        const result = await completeMfaLogin(mfaToken, { code: wrongCode() });
+        expect(result.code).toBe('INVALID_MFA_TOKEN');
+    });
+
+    it('counts wrong codes per account across fresh challenges', async () => {
+        const failures = [];
+        for (let i = 0; i <= LOCKOUT_CONFIG.freeAttempts; i++) {
+            const mfaToken = await startMfaLogin();
+            failures.push(await completeMfaLogin(mfaToken, { code: wrongCode() }));
+        }
+        expect(failures.every(result => result.code === 'INVALID_MFA_CODE')).toBe(true);
+
+        // A new challenge doesn't reset the count: the next guess has to wait
+        const login = await authenticateUser(EMAIL, PASSWORD);
+        expect(login.code).toBe('TOO_MANY_ATTEMPTS');
+        expect(getLockoutStatus(EMAIL).failures).toBe(LOCKOUT_CONFIG.freeAttempts + 1);
+    });
+
+    it('refuses codes while the account is throttled', async () => {
+        const mfaToken = await startMfaLogin();
+        for (let i = 0; i <= LOCKOUT_CONFIG.freeAttempts; i++) {
+            await completeMfaLogin(mfaToken, { code: wrongCode() });
+        }
+
+        const result = await completeMfaLogin(mfaToken, { code: generateTotp(secret) });
+        expect(result).toMatchObject({ success: false, code: 'TOO_MANY_ATTEMPTS' });
+        expect(result.retryAfter).toBeGreaterThan(0);
+    });
+});
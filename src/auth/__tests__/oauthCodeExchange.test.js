@@ -0,0 +1,116 @@
+const { exchangeAuthorizationCode } = require('../oauthCodeExchange');
+const { initializeOAuth, getOAuthUser, OAUTH_CONFIG } = require('../oauth');
+const { setOAuthHttpClient } = require('../oauthHttpClient');
+const { initializeUserRepository } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const googleIdToken = (claims = {}) => `${encode({ alg: 'RS256' })}.${encode({
+    iss: 'https://accounts.google.com',
+    aud: OAUTH_CONFIG.google.clientID,
+    sub: 'google-1',
+    exp: Math.floor(Date.now() / 1000) + 300,
+    nonce: 'nonce-1',
+    ...claims
+})}.signature`;
+
+// Provider HTTP stub: responses by URL, every request recorded
+function stubProvider(responses) {
+    const requests = [];
+    setOAuthHttpClient({
+        async request(req) {
+            requests.push(req);
+            const response = responses[req.url];
+            return typeof response === 'function' ? response(req) : response || { status: 404, data: null };
+        }
+    });
+    return requests;
+}
+
+describe('exchangeAuthorizationCode', () => {
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        initializeOAuth({ oidcProviders: [] });
+    });
+
+    afterEach(() => {
+        setOAuthHttpClient(null);
+    });
+
+    const google = (tokenResponse) => ({
+        [OAUTH_CONFIG.google.tokenURL]: tokenResponse,
+        [OAUTH_CONFIG.google.userProfileURL]: {
+            status: 200,
+            data: { sub: 'google-1', name: 'Google User', email: 'google-user@example.com', email_verified: true }
+        }
+    });
+
+    it('sends the redirect URI and PKCE verifier with our client credentials', async () => {
+        const requests = stubProvider(google({ status: 200, data: { access_token: 'at', id_token: googleIdToken() } }));
+
+        const result = await exchangeAuthorizationCode('google', {
+            code: 'auth-code',
+            redirectUri: 'com.example.app:/oauth',
+            codeVerifier: 'verifier-1',
+            nonce: 'nonce-1'
+        });
+
+        expect(result.success).toBe(true);
+        expect(result.user.email).toBe('google-user@example.com');
+        expect(Object.fromEntries(new URLSearchParams(requests[0].body))).toEqual({
+            grant_type: 'authorization_code',
+            code: 'auth-code',
+            client_id: OAUTH_CONFIG.google.clientID,
+            client_secret: OAUTH_CONFIG.google.clientSecret,
+            redirect_uri: 'com.example.app:/oauth',
+            code_verifier: 'verifier-1'
+        });
+    });
+
+    it('rejects an ID token issued for another nonce', async () => {
+        stubProvider(google({ status: 200, data: { access_token: 'at', id_token: googleIdToken({ nonce: 'nonce-2' }) } }));
+
+        const result = await exchangeAuthorizationCode('google', { code: 'auth-code', nonce: 'nonce-1' });
+
+        expect(result.code).toBe('OAUTH_NONCE_MISMATCH');
+    });
+
+    it.each([
+        ['an error status', { status: 400, data: { error: 'invalid_grant' } }],
+        ['GitHub\'s 200 with an error field', { status: 200, data: { error: 'bad_verification_code' } }]
+    ])('reports a rejected code for %s', async (label, tokenResponse) => {
+        stubProvider({ [OAUTH_CONFIG.github.tokenURL]: tokenResponse });
+
+        const result = await exchangeAuthorizationCode('github', { code: 'used-code' });
+
+        expect(result.code).toBe('OAUTH_CODE_REJECTED');
+    });
+
+    it('reports provider outages separately', async () => {
+        stubProvider({ [OAUTH_CONFIG.github.tokenURL]: { status: 503, data: null } });
+
+        const result = await exchangeAuthorizationCode('github', { code: 'auth-code' });
+
+        expect(result.code).toBe('OAUTH_PROVIDER_UNAVAILABLE');
+    });
+
+    it('uses GitHub\'s primary address with its verified flag', async () => {
+        stubProvider({
+            [OAUTH_CONFIG.github.tokenURL]: { status: 200, data: { access_token: 'at' } },
+            [OAUTH_CONFIG.github.userProfileURL]: { status: 200, data: { id: 9001, login: 'octo', email: null } },
+            [OAUTH_CONFIG.github.userEmailURL]: {
+                status: 200,
+                data: [
+                    { email: 'old@example.com', verified: false, primary: false },
+                    { email: 'octo@example.com', verified: true, primary: true }
+                ]
+            }
+        });
+
+        const result = await exchangeAuthorizationCode('github', { code: 'auth-code' });
+
+        expect(result.user).toMatchObject({ id: 'github_9001', email: 'octo@example.com' });
+        expect(getOAuthUser('github_9001').emailVerified).toBe(true);
+    });
+});
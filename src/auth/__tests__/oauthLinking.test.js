@@ -0,0 +1,114 @@
+const {
+    findOrCreateOAuthUser,
+    ensureOAuthAccount,
+    linkOAuthProvider,
+    unlinkOAuthProvider,
+    getOAuthUser
+} = require('../oauth');
+const { getUserRepository } = require('../../data/userRepository');
+
+let nextId = 1;
+const uniqueId = () => `link-test-${nextId++}`;
+
+const profile = (email, verified, id = uniqueId()) => ({
+    id,
+    displayName: 'OAuth User',
+    emails: email ? [{ value: email, verified }] : []
+});
+
+describe('OAuth account linking', () => {
+    describe('automatic linking by email', () => {
+        it('links a verified address to an account created with a verified address', async () => {
+            const first = await findOrCreateOAuthUser('google', profile('verified@example.com', true));
+
+            const second = await findOrCreateOAuthUser('github', profile('verified@example.com', true));
+
+            expect(second.user.id).toBe(first.user.id);
+            expect(second.user.providers.map(p => p.name)).toEqual(['google', 'github']);
+        });
+
+        it('requires the explicit flow for an unverified address', async () => {
+            await findOrCreateOAuthUser('google', profile('victim@example.com', true));
+
+            const result = await findOrCreateOAuthUser('github', profile('victim@example.com', false));
+
+            expect(result.code).toBe('OAUTH_LINK_REQUIRED');
+        });
+
+        it('requires the explicit flow when the account\'s own address is unverified', async () => {
+            await findOrCreateOAuthUser('github', profile('unproven@example.com', false));
+
+            const result = await findOrCreateOAuthUser('google', profile('unproven@example.com', true));
+
+            expect(result.code).toBe('OAUTH_LINK_REQUIRED');
+        });
+
+        it('links a verified address to a password account in the user repository', async () => {
+            await getUserRepository().create({ id: 'usr_link_password', email: 'password@example.com' });
+
+            const result = await findOrCreateOAuthUser('google', profile('Password@example.com', true));
+
+            expect(result.user.id).toBe('usr_link_password');
+            expect(getOAuthUser('usr_link_password').providers.map(p => p.name)).toEqual(['google']);
+        });
+
+        it('requires the explicit flow for a password account when the address is unverified', async () => {
+            await getUserRepository().create({ id: 'usr_link_unverified', email: 'unverified-password@example.com' });
+
+            const result = await findOrCreateOAuthUser('google', profile('unverified-password@example.com', false));
+
+            expect(result.code).toBe('OAUTH_LINK_REQUIRED');
+        });
+
+        it('logs a linked provider account back in to the same user', async () => {
+            const githubProfile = profile('returning@example.com', true);
+            const first = await findOrCreateOAuthUser('github', githubProfile);
+
+            expect((await findOrCreateOAuthUser('github', githubProfile)).user.id).toBe(first.user.id);
+        });
+    });
+
+    describe('explicit linking', () => {
+        beforeEach(() => {
+            ensureOAuthAccount({ id: 'usr_link_owner', email: 'owner@example.com' });
+        });
+
+        it('refuses a provider account that belongs to someone else', async () => {
+            const other = await findOrCreateOAuthUser('github', profile(null, false));
+
+            const result = linkOAuthProvider('usr_link_owner', 'github', { id: other.user.providers[0].id });
+
+            expect(result.code).toBe('OAUTH_ALREADY_LINKED');
+        });
+
+        it('allows one account per provider', () => {
+            expect(linkOAuthProvider('usr_link_owner', 'google', profile(null, false)).success).toBe(true);
+
+            expect(linkOAuthProvider('usr_link_owner', 'google', profile(null, false)).code).toBe('OAUTH_ALREADY_LINKED');
+        });
+    });
+
+    describe('unlinking', () => {
+        it('keeps the only way into an OAuth-only account', async () => {
+            const { user } = await findOrCreateOAuthUser('github', profile(null, false));
+
+            expect(unlinkOAuthProvider(user.id, 'github').code).toBe('OAUTH_LAST_LOGIN_METHOD');
+        });
+
+        it('lets the provider sign up again once unlinked', async () => {
+            const githubProfile = profile(null, false);
+            ensureOAuthAccount({ id: 'usr_unlink', email: 'unlink@example.com' });
+            linkOAuthProvider('usr_unlink', 'github', githubProfile);
+
+            expect(unlinkOAuthProvider('usr_unlink', 'github').success).toBe(true);
+            expect(getOAuthUser('usr_unlink').providers).toEqual([]);
+            expect((await findOrCreateOAuthUser('github', githubProfile)).user.id).not.toBe('usr_unlink');
+        });
+
+        it('reports providers that are not linked', () => {
+            ensureOAuthAccount({ id: 'usr_unlinked', email: 'unlinked@example.com' });
+
+            expect(unlinkOAuthProvider('usr_unlinked', 'google').code).toBe('OAUTH_PROVIDER_NOT_LINKED');
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const { OAuthStateStore, verifyIdTokenClaims, OAUTH_STATE_CONFIG } = require('../oauthState');
+
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+// Request/response pair that records Set-Cookie headers
+function fakeRequest(cookie) {
+    const res = { cookies: [], append: (name, value) => res.cookies.push(value) };
+    return { headers: cookie ? { cookie } : {}, res };
+}
+
+// Start a flow and return the state plus the cookie the browser would send back
+function startFlow(store, fields = {}) {
+    const req = { ...fakeRequest(), ...fields };
+    let state;
+    store.store(req, fields.verifier, undefined, {}, (err, value) => {
+        state = value;
+    });
+    return { state, cookie: req.res.cookies[0].split(';')[0] };
+}
+
+function finishFlow(store, cookie, state) {
+    const req = fakeRequest(cookie);
+    let outcome;
+    store.verify(req, state, (err, ok, info) => {
+        outcome = { ok, info, record: req.oauthState };
+    });
+    return { ...outcome, setCookies: req.res.cookies };
+}
+
+describe('OAuth state store', () => {
+    const store = new OAuthStateStore({ provider: 'github' });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('hands back the PKCE verifier and nonce for a matching state', () => {
+        const { state, cookie } = startFlow(store, { verifier: 'verifier-1', oauthNonce: 'nonce-1' });
+
+        const result = finishFlow(store, cookie, state);
+
+        expect(result.ok).toBe('verifier-1');
+        expect(result.record).toMatchObject({ nonce: 'nonce-1', verifier: 'verifier-1' });
+        expect(result.setCookies[0]).toMatch(/^oauth_github=;.*Max-Age=0/);
+    });
+
+    it('sets an HttpOnly cookie scoped to the auth routes', () => {
+        const req = fakeRequest();
+        store.store(req, null, undefined, {}, () => {});
+
+        expect(req.res.cookies[0]).toMatch(/HttpOnly/);
+        expect(req.res.cookies[0]).toMatch(/Path=\/api\/auth/);
+        expect(req.res.cookies[0]).toMatch(/SameSite=Lax/);
+    });
+
+    it.each([
+        ['a different state', (flow) => [flow.cookie, 'forged-state']],
+        ['no cookie', (flow) => [undefined, flow.state]],
+        ['another browser\'s cookie', (flow) => [startFlow(store).cookie, flow.state]],
+        ['a tampered cookie', (flow) => [flow.cookie.replace(/.$/, c => (c === 'A' ? 'B' : 'A')), flow.state]]
+    ])('rejects %s', (label, tamper) => {
+        const [cookie, state] = tamper(startFlow(store));
+
+        const result = finishFlow(store, cookie, state);
+
+        expect(result.ok).toBe(false);
+        expect(result.info.code).toBe('OAUTH_STATE_MISMATCH');
+    });
+
+    it('rejects a flow that took too long', () => {
+        const { state, cookie } = startFlow(store);
+
+        jest.setSystemTime(START + OAUTH_STATE_CONFIG.maxAgeSeconds * 1000);
+
+        expect(finishFlow(store, cookie, state).info.code).toBe('OAUTH_STATE_EXPIRED');
+    });
+});
+
+describe('verifyIdTokenClaims', () => {
+    const expected = { nonce: 'nonce-1', audience: 'client-1', issuers: ['https://accounts.google.com'] };
+
+    const idToken = (claims) => `header.${Buffer.from(JSON.stringify({
+        iss: 'https://accounts.google.com',
+        aud: 'client-1',
+        exp: Math.floor(Date.now() / 1000) + 300,
+        nonce: 'nonce-1',
+        ...claims
+    })).toString('base64url')}.signature`;
+
+    it('accepts matching claims', () => {
+        expect(verifyIdTokenClaims(idToken({ sub: '42' }), expected)).toMatchObject({ success: true, claims: { sub: '42' } });
+    });
+
+    it.each([
+        ['audience', { aud: 'client-2' }, 'OAUTH_INVALID_ID_TOKEN'],
+        ['issuer', { iss: 'https://evil.example.com' }, 'OAUTH_INVALID_ID_TOKEN'],
+        ['expiry', { exp: Math.floor(Date.now() / 1000) - 1 }, 'OAUTH_INVALID_ID_TOKEN'],
+        ['nonce', { nonce: 'nonce-2' }, 'OAUTH_NONCE_MISMATCH']
+    ])('rejects a wrong %s', (label, claims, code) => {
+        expect(verifyIdTokenClaims(idToken(claims), expected).code).toBe(code);
+    });
+
+    it('rejects a token when the flow had no nonce', () => {
+        expect(verifyIdTokenClaims(idToken({}), { ...expected, nonce: null }).code).toBe('OAUTH_NONCE_MISMATCH');
+    });
+
+    it('rejects garbage', () => {
+        expect(verifyIdTokenClaims('not-a-jwt', expected).code).toBe('OAUTH_INVALID_ID_TOKEN');
+    });
+});
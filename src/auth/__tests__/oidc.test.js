@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { discoverIssuer, verifyOidcIdToken, mapClaims, loadOidcProfile } = require('../oidc');
+const { setOAuthHttpClient } = require('../oauthHttpClient');
+
+const ISSUER = 'https://idp.example.com';
+const provider = { name: 'example', issuer: ISSUER, clientID: 'client-1' };
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' };
+
+const documents = {
+    [`${ISSUER}/.well-known/openid-configuration`]: {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`
+    },
+    [`${ISSUER}/jwks`]: { keys: [jwk] },
+    [`${ISSUER}/userinfo`]: { sub: 'user-1', email: 'user@example.com', email_verified: true }
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function signIdToken(claims = {}, header = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const body = `${encode({ alg: 'RS256', kid: 'key-1', ...header })}.${encode({
+        iss: ISSUER,
+        aud: 'client-1',
+        sub: 'user-1',
+        iat: now,
+        exp: now + 300,
+        nonce: 'nonce-1',
+        ...claims
+    })}`;
+    return `${body}.${crypto.sign('sha256', Buffer.from(body), privateKey).toString('base64url')}`;
+}
+
+describe('OpenID Connect', () => {
+    beforeAll(() => {
+        setOAuthHttpClient({
+            async request({ url }) {
+                return documents[url] ? { status: 200, data: documents[url] } : { status: 404, data: null };
+            }
+        });
+    });
+
+    afterAll(() => {
+        setOAuthHttpClient(null);
+    });
+
+    it('rejects discovery documents for another issuer', async () => {
+        documents['https://other.example.com/.well-known/openid-configuration'] = {
+            ...documents[`${ISSUER}/.well-known/openid-configuration`]
+        };
+
+        await expect(discoverIssuer('https://other.example.com')).rejects.toThrow(/does not match/);
+    });
+
+    it('accepts a correctly signed ID token', async () => {
+        const result = await verifyOidcIdToken(provider, signIdToken(), { nonce: 'nonce-1', requireNonce: true });
+
+        expect(result.success).toBe(true);
+        expect(result.claims.sub).toBe('user-1');
+    });
+
+    it.each([
+        ['another audience', { aud: 'client-2' }, 'OAUTH_INVALID_ID_TOKEN'],
+        ['another issuer', { iss: 'https://evil.example.com' }, 'OAUTH_INVALID_ID_TOKEN'],
+        ['an expired token', { exp: Math.floor(Date.now() / 1000) - 3600 }, 'OAUTH_INVALID_ID_TOKEN'],
+        ['a different nonce', { nonce: 'nonce-2' }, 'OAUTH_NONCE_MISMATCH']
+    ])('rejects %s', async (label, claims, code) => {
+        const result = await verifyOidcIdToken(provider, signIdToken(claims), { nonce: 'nonce-1' });
+
+        expect(result).toMatchObject({ success: false, code });
+    });
+
+    it('requires a nonce in the redirect flow', async () => {
+        const result = await verifyOidcIdToken(provider, signIdToken(), { requireNonce: true });
+
+        expect(result.code).toBe('OAUTH_NONCE_MISMATCH');
+    });
+
+    it('never accepts unsigned or symmetric tokens', async () => {
+        const [header, payload] = signIdToken().split('.');
+        const unsigned = `${encode({ alg: 'none' })}.${payload}.`;
+        const hmac = `${encode({ alg: 'HS256', kid: 'key-1' })}.${payload}.${header}`;
+
+        expect((await verifyOidcIdToken(provider, unsigned)).success).toBe(false);
+        expect((await verifyOidcIdToken(provider, hmac)).success).toBe(false);
+    });
+
+    it('rejects a tampered payload', async () => {
+        const [header, , signature] = signIdToken().split('.');
+        const forged = `${header}.${encode({ iss: ISSUER, aud: 'client-1', sub: 'admin', exp: 9999999999 })}.${signature}`;
+
+        const result = await verifyOidcIdToken(provider, forged);
+
+        expect(result).toMatchObject({ success: false, message: 'ID token signature is invalid' });
+    });
+
+    it('maps claims through a custom mapping', () => {
+        const profile = mapClaims(
+            { oid: 42, profile: { mail: 'a@example.com' }, verified: true },
+            { id: 'oid', email: 'profile.mail', emailVerified: 'verified' }
+        );
+
+        expect(profile).toMatchObject({ id: '42', emails: [{ value: 'a@example.com', verified: true }] });
+    });
+
+    it('fills missing fields from userinfo for the same subject', async () => {
+        const result = await loadOidcProfile(
+            provider,
+            { id_token: signIdToken(), access_token: 'at' },
+            { nonce: 'nonce-1' }
+        );
+
+        expect(result.success).toBe(true);
+        expect(result.profile.emails).toEqual([{ value: 'user@example.com', verified: true }]);
+    });
+});
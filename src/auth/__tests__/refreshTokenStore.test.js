@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    InMemoryRefreshTokenStore,
+    SqliteRefreshTokenStore,
+    createRefreshTokenStore
+} = require('../refreshTokenStore');
+const { closeAllDatabases } = require('../../data/sqlite');
+const { generateTokenPair, refreshTokens, setRefreshTokenStore } = require('../jwt');
+
+const record = (overrides = {}) => ({
+    userId: 'usr_1',
+    familyId: 'fam_1',
+    parentId: null,
+    createdAt: 1000,
+    expiresAt: 5000,
+    rotatedAt: null,
+    ...overrides
+});
+
+describe.each([
+    ['memory', () => new InMemoryRefreshTokenStore()],
+    ['sqlite', () => new SqliteRefreshTokenStore(':memory:')]
+])('%s refresh token store', (label, createStore) => {
+    let store;
+
+    beforeEach(() => {
+        store = createStore();
+    });
+
+    it('round-trips records', () => {
+        store.set('tok_1', record({ rotatedAt: 2000 }));
+
+        expect(store.get('tok_1')).toEqual(record({ rotatedAt: 2000 }));
+        expect(store.get('missing')).toBeNull();
+    });
+
+    it('deletes by user and by family', () => {
+        store.set('tok_1', record());
+        store.set('tok_2', record({ familyId: 'fam_2' }));
+        store.set('tok_3', record({ userId: 'usr_2', familyId: 'fam_3' }));
+
+        store.deleteByFamily('fam_1');
+        expect(store.get('tok_1')).toBeNull();
+        expect(store.get('tok_2')).not.toBeNull();
+
+        store.deleteByUser('usr_1');
+        expect(store.get('tok_2')).toBeNull();
+        expect(store.get('tok_3')).not.toBeNull();
+    });
+
+    it('sweeps expired records', () => {
+        store.set('tok_old', record({ expiresAt: 1500 }));
+        store.set('tok_new', record({ expiresAt: 5000 }));
+
+        expect(store.sweep(2000)).toBe(1);
+        expect(store.get('tok_old')).toBeNull();
+        expect(store.get('tok_new')).not.toBeNull();
+    });
+});
+
+describe('sqlite refresh token store on disk', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-tokens-'));
+    });
+
+    afterAll(() => {
+        setRefreshTokenStore(new InMemoryRefreshTokenStore());
+        closeAllDatabases();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('keeps sessions across a restart', () => {
+        const filename = path.join(dir, 'tokens.sqlite');
+        setRefreshTokenStore(createRefreshTokenStore({ store: 'sqlite', filename }));
+        const { refreshToken } = generateTokenPair({ id: 'usr_disk', email: 'disk@example.com' });
+
+        closeAllDatabases();
+        setRefreshTokenStore(createRefreshTokenStore({ store: 'sqlite', filename }));
+
+        expect(refreshTokens(refreshToken).success).toBe(true);
+    });
+
+    it('rejects unknown store types', () => {
+        expect(() => createRefreshTokenStore({ store: 'redis' })).toThrow(/Unknown refresh token store/);
+    });
+});
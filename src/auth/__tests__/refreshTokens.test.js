@@ -0,0 +1,35 @@
+const { generateTokenPair, refreshTokens, verifyRefreshToken, TokenErrorCodes } = require('../jwt');
+
+const user = { id: 'usr_refresh', email: 'refresh@example.com' };
+
+describe('refresh token rotation', () => {
+    it('issues a new token in the same family and retires the old one', () => {
+        const { refreshToken } = generateTokenPair(user);
+        const { familyId } = verifyRefreshToken(refreshToken).payload;
+
+        const rotated = refreshTokens(refreshToken);
+
+        expect(rotated.success).toBe(true);
+        expect(verifyRefreshToken(rotated.refreshToken).payload.familyId).toBe(familyId);
+    });
+
+    it('revokes the whole family when a rotated token is replayed', () => {
+        const { refreshToken } = generateTokenPair(user);
+        const rotated = refreshTokens(refreshToken);
+
+        const replay = refreshTokens(refreshToken);
+
+        expect(replay).toMatchObject({ success: false, code: TokenErrorCodes.TOKEN_REUSED });
+        expect(verifyRefreshToken(rotated.refreshToken).code).toBe(TokenErrorCodes.TOKEN_REVOKED);
+    });
+
+    it('leaves the user\'s other sessions alone', () => {
+        const stolen = generateTokenPair(user);
+        const otherDevice = generateTokenPair(user);
+        refreshTokens(stolen.refreshToken);
+
+        refreshTokens(stolen.refreshToken);
+
+        expect(refreshTokens(otherDevice.refreshToken).success).toBe(true);
+    });
+});
@@ -0,0 +1,94 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const {
+    createResetToken,
+    consumeResetToken,
+    setResetTokenStore,
+    InMemoryResetTokenStore,
+    SqliteResetTokenStore,
+    RESET_TOKEN_CONFIG
+} = require('../resetTokenStore');
+const { generateTokenPair, verifyAccessToken } = require('../jwt');
+const { initializeUserRepository } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+describe.each([
+    ['memory', () => new InMemoryResetTokenStore()],
+    ['sqlite', () => new SqliteResetTokenStore(':memory:')]
+])('reset tokens (%s store)', (label, createStore) => {
+    beforeEach(() => {
+        setResetTokenStore(createStore());
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('can only be used once', () => {
+        const { token } = createResetToken('usr_reset');
+
+        expect(consumeResetToken(token)).toEqual({ valid: true, userId: 'usr_reset' });
+        expect(consumeResetToken(token).code).toBe('RESET_TOKEN_USED');
+    });
+
+    it('expires', () => {
+        const { token } = createResetToken('usr_reset');
+
+        jest.setSystemTime(START + RESET_TOKEN_CONFIG.expiryMs + 1);
+
+        expect(consumeResetToken(token).code).toBe('RESET_TOKEN_EXPIRED');
+    });
+
+    it('invalidates older tokens when a new one is issued', () => {
+        const first = createResetToken('usr_reset');
+        const second = createResetToken('usr_reset');
+
+        expect(consumeResetToken(first.token).code).toBe('INVALID_RESET_TOKEN');
+        expect(consumeResetToken(second.token).valid).toBe(true);
+    });
+
+    it('rejects unknown tokens', () => {
+        expect(consumeResetToken('not-a-token').code).toBe('INVALID_RESET_TOKEN');
+        expect(consumeResetToken(undefined).code).toBe('INVALID_RESET_TOKEN');
+    });
+});
+
+describe('POST /reset-password', () => {
+    const MEMBER = { id: 'usr_004', email: 'chamindujs@gmail.com' };
+    let app;
+
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        setResetTokenStore(new InMemoryResetTokenStore());
+        app = createApp({ logger: false, oauth: false });
+    });
+
+    it('sets the new password and ends existing sessions', async () => {
+        const session = generateTokenPair(MEMBER);
+        const { token } = createResetToken(MEMBER.id);
+
+        const res = await request(app).post('/api/auth/reset-password').send({ token, newPassword: 'brand-new-pass' });
+        expect(res.status).toBe(200);
+
+        expect(verifyAccessToken(session.accessToken).code).toBe('TOKEN_REVOKED');
+        expect((await request(app).post('/api/auth/refresh').send({ refreshToken: session.refreshToken })).status).toBe(401);
+        expect((await request(app).post('/api/auth/reset-password').send({ token, newPassword: 'again-again' })).body.error.code)
+            .toBe('RESET_TOKEN_USED');
+
+        const login = await request(app).post('/api/auth/login').send({ email: MEMBER.email, password: 'brand-new-pass' });
+        expect(login.status).toBe(200);
+    });
+
+    it('rejects weak passwords without burning the token', async () => {
+        const { token } = createResetToken(MEMBER.id);
+
+        const weak = await request(app).post('/api/auth/reset-password').send({ token, newPassword: 'short' });
+        expect(weak.body.error.code).toBe('WEAK_PASSWORD');
+
+        expect(consumeResetToken(token).valid).toBe(true);
+    });
+});
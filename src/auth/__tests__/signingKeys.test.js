@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const {
+    initializeSigningKeys,
+    rotateSigningKey,
+    generateAccessToken,
+    verifyAccessToken,
+    getJwks,
+    JWT_CONFIG
+} = require('../jwt');
+const { getVerificationKey } = require('../signingKeys');
+const jwksRoutes = require('../../api/jwksRoutes');
+
+const user = { id: 'usr_keys', email: 'keys@example.com' };
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+const maxTokenLifetimeMs = (JWT_CONFIG.accessTokenExpiry + JWT_CONFIG.clockSkewSeconds) * 1000;
+
+const jwksKids = () => getJwks().keys.map(key => key.kid);
+
+describe('signing key rotation', () => {
+    const originalAlgorithm = JWT_CONFIG.algorithm;
+    let firstKid;
+
+    beforeAll(async () => {
+        JWT_CONFIG.algorithm = 'RS256';
+        firstKid = (await initializeSigningKeys()).kid;
+    });
+
+    afterAll(() => {
+        JWT_CONFIG.algorithm = originalAlgorithm;
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('keeps the previous key for tokens it signed, then retires it', async () => {
+        const token = generateAccessToken(user);
+        const { kid } = await rotateSigningKey();
+
+        expect(kid).not.toBe(firstKid);
+        expect(verifyAccessToken(token).valid).toBe(true);
+        expect(jwksKids()).toEqual(expect.arrayContaining([firstKid, kid]));
+
+        // Still published for as long as a token it signed could be accepted
+        jest.setSystemTime(START + maxTokenLifetimeMs);
+        expect(jwksKids()).toContain(firstKid);
+
+        jest.setSystemTime(START + maxTokenLifetimeMs + 1);
+        expect(jwksKids()).toEqual([kid]);
+        expect(getVerificationKey(firstKid)).toBeNull();
+    });
+
+    it('never retires the active key', async () => {
+        const { kid } = await rotateSigningKey();
+
+        jest.setSystemTime(START + 10 * maxTokenLifetimeMs);
+
+        expect(jwksKids()).toEqual([kid]);
+        expect(verifyAccessToken(generateAccessToken(user)).valid).toBe(true);
+    });
+});
+
+describe('imported signing keys', () => {
+    const originalAlgorithm = JWT_CONFIG.algorithm;
+
+    afterAll(() => {
+        JWT_CONFIG.algorithm = originalAlgorithm;
+    });
+
+    it.each([
+        ['RS256', 'rsa', { modulusLength: 2048 }, { kty: 'RSA' }],
+        ['ES256', 'ec', { namedCurve: 'prime256v1' }, { kty: 'EC', crv: 'P-256' }]
+    ])('rotates an imported %s key to a key of the same kind', async (algorithm, type, options, expected) => {
+        JWT_CONFIG.algorithm = algorithm;
+        const { privateKey } = crypto.generateKeyPairSync(type, options);
+        const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+        const imported = await initializeSigningKeys({ privateKey: pem, keyId: `imported-${algorithm}` });
+        const rotated = await rotateSigningKey();
+        const jwks = getJwks().keys;
+
+        for (const kid of [imported.kid, rotated.kid]) {
+            expect(jwks.find(key => key.kid === kid)).toMatchObject({ ...expected, alg: algorithm });
+        }
+        expect(verifyAccessToken(generateAccessToken(user)).valid).toBe(true);
+    });
+
+    it('refuses an ES256 key on another curve', async () => {
+        JWT_CONFIG.algorithm = 'ES256';
+        const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'secp384r1' });
+
+        await expect(initializeSigningKeys({ privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) }))
+            .rejects.toThrow(/prime256v1/);
+    });
+});
+
+describe('JWKS endpoint', () => {
+    const originalAlgorithm = JWT_CONFIG.algorithm;
+    const app = express().use(jwksRoutes);
+
+    afterAll(() => {
+        JWT_CONFIG.algorithm = originalAlgorithm;
+    });
+
+    it.each(['RS256', 'ES256'])('publishes a %s key that verifies our tokens elsewhere', async (algorithm) => {
+        JWT_CONFIG.algorithm = algorithm;
+        const { kid } = await initializeSigningKeys({ algorithm });
+        const [header, payload, signature] = generateAccessToken(user).split('.');
+
+        const res = await request(app).get('/.well-known/jwks.json');
+        const jwk = res.body.keys.find(key => key.kid === kid);
+
+        expect(res.headers['cache-control']).toMatch(/public/);
+        expect(jwk).toMatchObject({ kid, alg: algorithm, use: 'sig' });
+        expect(jwk.d).toBeUndefined();
+        expect(crypto.verify(
+            'sha256',
+            Buffer.from(`${header}.${payload}`),
+            { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+            Buffer.from(signature, 'base64url')
+        )).toBe(true);
+    });
+});
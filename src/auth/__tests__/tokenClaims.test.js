@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const { generateAccessToken, verifyAccessToken, TokenErrorCodes, JWT_CONFIG } = require('../jwt');
+
+const user = { id: 'usr_claims', email: 'claims@example.com' };
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// Sign an access token with the shared secret and arbitrary claims
+function signAccessToken(claims, header = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const body = `${encode({ alg: 'HS256', typ: 'JWT', kid: 'access-hs256', ...header })}.${encode({
+        userId: user.id,
+        email: user.email,
+        type: 'access',
+        iat: now,
+        exp: now + 60,
+        ...claims
+    })}`;
+    // Same encoding as createSignature(): the base64 digest text, base64url encoded
+    const digest = crypto.createHmac('sha256', JWT_CONFIG.accessTokenSecret).update(body).digest('base64');
+    const signature = Buffer.from(digest).toString('base64url');
+    return `${body}.${signature}`;
+}
+
+describe('access token claim validation', () => {
+    const original = { issuer: JWT_CONFIG.issuer, audience: JWT_CONFIG.audience };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(START);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        Object.assign(JWT_CONFIG, original);
+    });
+
+    it('tolerates clock skew on exp', () => {
+        const token = generateAccessToken(user);
+
+        jest.setSystemTime(START + (JWT_CONFIG.accessTokenExpiry + JWT_CONFIG.clockSkewSeconds) * 1000);
+        expect(verifyAccessToken(token).valid).toBe(true);
+
+        jest.setSystemTime(START + (JWT_CONFIG.accessTokenExpiry + JWT_CONFIG.clockSkewSeconds + 1) * 1000);
+        expect(verifyAccessToken(token).code).toBe(TokenErrorCodes.TOKEN_EXPIRED);
+    });
+
+    it('tolerates clock skew on nbf', () => {
+        const now = Math.floor(START / 1000);
+
+        expect(verifyAccessToken(signAccessToken({ nbf: now + JWT_CONFIG.clockSkewSeconds })).valid).toBe(true);
+        expect(verifyAccessToken(signAccessToken({ nbf: now + JWT_CONFIG.clockSkewSeconds + 1 })).code)
+            .toBe(TokenErrorCodes.TOKEN_NOT_YET_VALID);
+    });
+
+    it('requires an expiry', () => {
+        expect(verifyAccessToken(signAccessToken({ exp: undefined })).code).toBe(TokenErrorCodes.MALFORMED_TOKEN);
+    });
+
+    it('enforces the configured issuer and audience', () => {
+        JWT_CONFIG.issuer = 'https://auth.example.com';
+        JWT_CONFIG.audience = 'api';
+
+        expect(verifyAccessToken(generateAccessToken(user)).payload).toMatchObject({ iss: 'https://auth.example.com', aud: 'api' });
+        expect(verifyAccessToken(signAccessToken({ iss: 'https://evil.example.com', aud: 'api' })).code)
+            .toBe(TokenErrorCodes.INVALID_ISSUER);
+        expect(verifyAccessToken(signAccessToken({ iss: 'https://auth.example.com', aud: ['other'] })).code)
+            .toBe(TokenErrorCodes.INVALID_AUDIENCE);
+        expect(verifyAccessToken(signAccessToken({ iss: 'https://auth.example.com', aud: ['other', 'api'] })).valid)
+            .toBe(true);
+    });
+
+    it('rejects unsigned tokens and unknown algorithms', () => {
+        const [, payload] = signAccessToken({}).split('.');
+
+        expect(verifyAccessToken(`${encode({ alg: 'none' })}.${payload}.`).code).toBe(TokenErrorCodes.UNSUPPORTED_ALGORITHM);
+        expect(verifyAccessToken(signAccessToken({}, { kid: 'someone-else' })).code).toBe(TokenErrorCodes.UNKNOWN_KEY);
+    });
+});
@@ -0,0 +1,46 @@
+const { generateTotp, verifyTotp, generateSecret, buildProvisioningUri, TOTP_CONFIG } = require('../totp');
+
+// RFC 6238 appendix B SHA-1 secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const step = TOTP_CONFIG.stepSeconds * 1000;
+
+describe('TOTP', () => {
+    it('matches the RFC 6238 test vectors', () => {
+        expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+        expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+        expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    });
+
+    it('accepts codes one step either side of now', () => {
+        const now = 1234567890 * 1000;
+
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - step), { timeMs: now }).valid).toBe(true);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + step), { timeMs: now }).valid).toBe(true);
+        expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 2 * step), { timeMs: now }).valid).toBe(false);
+    });
+
+    it('rejects a code at or before the last used counter', () => {
+        const now = 1234567890 * 1000;
+        const code = generateTotp(RFC_SECRET, now);
+        const { counter } = verifyTotp(RFC_SECRET, code, { timeMs: now });
+
+        expect(verifyTotp(RFC_SECRET, code, { timeMs: now, lastUsedCounter: counter }).valid).toBe(false);
+    });
+
+    it('rejects malformed codes', () => {
+        expect(verifyTotp(RFC_SECRET, '12345').valid).toBe(false);
+        expect(verifyTotp(RFC_SECRET, 'abcdef').valid).toBe(false);
+        expect(verifyTotp(RFC_SECRET, undefined).valid).toBe(false);
+    });
+
+    it('builds a provisioning URI for authenticator apps', () => {
+        const secret = generateSecret();
+        const uri = new URL(buildProvisioningUri({ secret, accountName: 'a@example.com', issuer: 'Acme' }));
+
+        expect(uri.protocol).toBe('otpauth:');
+        expect(uri.host).toBe('totp');
+        expect(decodeURIComponent(uri.pathname)).toBe('/Acme:a@example.com');
+        expect(uri.searchParams.get('secret')).toBe(secret);
+        expect(uri.searchParams.get('issuer')).toBe('Acme');
+    });
+});
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const {
+    generateRegistrationOptions,
+    verifyRegistration,
+    generateAuthenticationOptions,
+    verifyAuthentication,
+    listCredentials,
+    setWebAuthnCredentialStore,
+    COSE_ALGORITHMS,
+    WEBAUTHN_CONFIG
+} = require('../webauthn');
+const { createWebAuthnCredentialStore } = require('../webauthnCredentialStore');
+const { recordFailedLogin, clearLockout, LOCKOUT_CONFIG } = require('../accountLockout');
+const { initializeUserRepository } = require('../../data/userRepository');
+const { seedTestUsers } = require('../../data/__fixtures__/testUsers');
+const { createApp } = require('../../app');
+const { resetRateLimit } = require('../../api/rateLimiter');
+
+const user = { id: 'usr_passkey', email: 'passkey@example.com' };
+const ORIGIN = WEBAUTHN_CONFIG.origins[0];
+
+// Minimal CBOR encoder for the structures an authenticator produces
+function cborHead(majorType, value) {
+    if (value < 24) {
+        return Buffer.from([(majorType << 5) | value]);
+    }
+    if (value < 256) {
+        return Buffer.from([(majorType << 5) | 24, value]);
+    }
+    const head = Buffer.alloc(3);
+    head[0] = (majorType << 5) | 25;
+    head.writeUInt16BE(value, 1);
+    return head;
+}
+
+function cbor(value) {
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([cborHead(2, value.length), value]);
+    }
+    if (typeof value === 'string') {
+        return Buffer.concat([cborHead(3, Buffer.byteLength(value)), Buffer.from(value)]);
+    }
+    if (typeof value === 'number') {
+        return value < 0 ? cborHead(1, -1 - value) : cborHead(0, value);
+    }
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    return Buffer.concat([cborHead(5, entries.length), ...entries.flatMap(([key, item]) => [cbor(key), cbor(item)])]);
+}
+
+// Software authenticator holding one Ed25519 passkey
+function createAuthenticator(owner = user) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const credentialId = crypto.randomBytes(16);
+    const rpIdHash = crypto.createHash('sha256').update(WEBAUTHN_CONFIG.rpId).digest();
+    let signCount = 0;
+
+    const authData = (flags, extra = Buffer.alloc(0)) => {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(signCount);
+        return Buffer.concat([rpIdHash, Buffer.from([flags]), counter, extra]);
+    };
+
+    const clientData = (type, challenge, origin = ORIGIN) =>
+        Buffer.from(JSON.stringify({ type, challenge, origin }));
+
+    return {
+        id: credentialId.toString('base64url'),
+
+        register(challenge, options = {}) {
+            const coseKey = new Map([
+                [1, 1],
+                [3, COSE_ALGORITHMS.EdDSA],
+                [-1, 6],
+                [-2, Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url')]
+            ]);
+            const idLength = Buffer.alloc(2);
+            idLength.writeUInt16BE(credentialId.length);
+            const attested = Buffer.concat([Buffer.alloc(16), idLength, credentialId, cbor(coseKey)]);
+
+            return {
+                id: credentialId.toString('base64url'),
+                response: {
+                    clientDataJSON: clientData('webauthn.create', challenge, options.origin).toString('base64url'),
+                    attestationObject: cbor({ fmt: 'none', attStmt: {}, authData: authData(0x45, attested) }).toString('base64url')
+                }
+            };
+        },
+
+        sign(challenge, options = {}) {
+            signCount = options.signCount ?? signCount + 1;
+            const data = authData(0x05);
+            const json = clientData('webauthn.get', challenge);
+            const signedData = Buffer.concat([data, crypto.createHash('sha256').update(json).digest()]);
+
+            return {
+                id: credentialId.toString('base64url'),
+                response: {
+                    clientDataJSON: json.toString('base64url'),
+                    authenticatorData: data.toString('base64url'),
+                    signature: crypto.sign(null, signedData, privateKey).toString('base64url'),
+                    userHandle: Buffer.from(owner.id).toString('base64url')
+                }
+            };
+        }
+    };
+}
+
+describe('WebAuthn ceremonies', () => {
+    let authenticator;
+
+    beforeEach(() => {
+        setWebAuthnCredentialStore(createWebAuthnCredentialStore({ store: 'memory' }));
+        authenticator = createAuthenticator();
+    });
+
+    const register = () => {
+        const { challenge } = generateRegistrationOptions(user);
+        return verifyRegistration(user.id, authenticator.register(challenge), { name: 'Laptop' });
+    };
+
+    it('registers a passkey and signs in with it', () => {
+        expect(register().success).toBe(true);
+        expect(listCredentials(user.id)).toEqual([expect.objectContaining({ id: authenticator.id, name: 'Laptop' })]);
+
+        const { challenge } = generateAuthenticationOptions();
+        const result = verifyAuthentication(authenticator.sign(challenge));
+
+        expect(result).toMatchObject({ success: true, userId: user.id, userVerified: true });
+        expect(listCredentials(user.id)[0].publicKey).toBeUndefined();
+    });
+
+    it('answers each challenge once', () => {
+        register();
+        const { challenge } = generateAuthenticationOptions();
+
+        expect(verifyAuthentication(authenticator.sign(challenge)).success).toBe(true);
+        expect(verifyAuthentication(authenticator.sign(challenge)).code).toBe('INVALID_CHALLENGE');
+    });
+
+    it('rejects responses from another origin', () => {
+        const { challenge } = generateRegistrationOptions(user);
+
+        const result = verifyRegistration(user.id, authenticator.register(challenge, { origin: 'https://evil.example.com' }));
+
+        expect(result.code).toBe('INVALID_ORIGIN');
+    });
+
+    it('rejects a registration challenge issued to someone else', () => {
+        const { challenge } = generateRegistrationOptions({ id: 'usr_other', email: 'other@example.com' });
+
+        expect(verifyRegistration(user.id, authenticator.register(challenge)).code).toBe('INVALID_CHALLENGE');
+    });
+
+    it('refuses to register the same credential twice', () => {
+        register();
+
+        expect(register().code).toBe('CREDENTIAL_EXISTS');
+    });
+
+    it('flags a signature counter that goes backwards', () => {
+        register();
+        verifyAuthentication(authenticator.sign(generateAuthenticationOptions().challenge, { signCount: 5 }));
+
+        const result = verifyAuthentication(authenticator.sign(generateAuthenticationOptions().challenge, { signCount: 3 }));
+
+        expect(result.code).toBe('CLONED_AUTHENTICATOR');
+    });
+
+    it('rejects an assertion signed by another key', () => {
+        register();
+        const impostor = createAuthenticator();
+        const assertion = impostor.sign(generateAuthenticationOptions().challenge);
+
+        const result = verifyAuthentication({ ...assertion, id: authenticator.id });
+
+        expect(result.code).toBe('INVALID_SIGNATURE');
+    });
+});
+
+describe('POST /api/auth/webauthn/login/verify', () => {
+    const MEMBER = { id: 'usr_004', email: 'chamindujs@gmail.com' };
+    let app;
+    let authenticator;
+
+    beforeAll(async () => {
+        await seedTestUsers(await initializeUserRepository({ type: 'memory' }));
+        app = createApp({ logger: false, oauth: false });
+    });
+
+    beforeEach(() => {
+        resetRateLimit('127.0.0.1');
+        setWebAuthnCredentialStore(createWebAuthnCredentialStore({ store: 'memory' }));
+        authenticator = createAuthenticator(MEMBER);
+        const { challenge } = generateRegistrationOptions(MEMBER);
+        verifyRegistration(MEMBER.id, authenticator.register(challenge));
+    });
+
+    const signIn = async () => {
+        const options = await request(app).post('/api/auth/webauthn/login/options').send({});
+        const { challenge } = options.body.data.options;
+        return request(app).post('/api/auth/webauthn/login/verify').send({ credential: authenticator.sign(challenge) });
+    };
+
+    it('gives the same login options whichever email is sent', async () => {
+        const known = await request(app).post('/api/auth/webauthn/login/options').send({ email: MEMBER.email });
+        const unknown = await request(app).post('/api/auth/webauthn/login/options').send({ email: 'nobody@example.com' });
+
+        for (const res of [known, unknown]) {
+            expect(res.status).toBe(200);
+            expect(res.body.data.options.allowCredentials).toEqual([]);
+        }
+        expect(Object.keys(known.body.data.options)).toEqual(Object.keys(unknown.body.data.options));
+    });
+
+    it('issues tokens for a valid passkey', async () => {
+        const res = await signIn();
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.accessToken).toBeDefined();
+    });
+
+    it('refuses a locked account', async () => {
+        for (let i = 0; i < LOCKOUT_CONFIG.lockThreshold; i++) {
+            recordFailedLogin(MEMBER.email);
+        }
+
+        const res = await signIn();
+
+        expect(res.status).toBe(423);
+        expect(res.body.error.code).toBe('ACCOUNT_LOCKED');
+        expect(res.headers['retry-after']).toBeDefined();
+        clearLockout(MEMBER.email);
+    });
+});
@@ -0,0 +1,140 @@
+// Access token denylist
+// Revoked access tokens only need remembering until they would have expired anyway,
+// so every entry carries the last second its token is still accepted - exp plus the
+// verifier's clock skew allowance - and is dropped after it.
+
+// Revoked token IDs: jti -> acceptedUntil (seconds since epoch)
+const revokedTokens = new Map();
+
+// Per-user cutoffs: userId -> { revokedAt, expiresAt } (seconds since epoch) and generation
+// iat only has one-second resolution, so tokens issued in the revocation's own second can't
+// be told apart by it. Tokens carry the user's generation at the time they were issued as
+// their `gen` claim instead: any token issued up to revokedAt is rejected unless it
+// carries the generation set by the revocation, i.e. it was issued after it.
+const userCutoffs = new Map();
+
+let sweepTimer = null;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Revoke a single access token
+ * @param {string} jti - Token ID claim
+ * @param {number} acceptedUntil - Last second the token would be accepted (exp + clock skew)
+ */
+function revokeAccessToken(jti, acceptedUntil) {
+    if (!jti || !acceptedUntil || acceptedUntil < nowSeconds()) {
+        return;
+    }
+    revokedTokens.set(jti, acceptedUntil);
+}
+
+/**
+ * Revoke every access token issued to a user up to now
+ * @param {string} userId - User ID
+ * @param {number} maxTokenLifetime - Longest time an access token is accepted, in seconds
+ */
+function revokeUserAccessTokens(userId, maxTokenLifetime) {
+    const revokedAt = nowSeconds();
+    const previous = userCutoffs.get(userId);
+    userCutoffs.set(userId, {
+        revokedAt,
+        // Revocation time in ms, kept increasing so every revocation gets a newer generation
+        generation: Math.max(Date.now(), (previous?.generation || 0) + 1),
+        expiresAt: revokedAt + maxTokenLifetime
+    });
+}
+
+/**
+ * Get the generation new tokens for a user must carry as their `gen` claim
+ * @param {string} userId - User ID
+ * @returns {number} - Generation, 0 if the user has no active cutoff
+ */
+function getUserTokenGeneration(userId) {
+    return userCutoffs.get(userId)?.generation || 0;
+}
+
+/**
+ * Check whether a decoded access token has been revoked
+ * @param {Object} payload - Verified token payload ({ jti, userId, iat })
+ * @returns {boolean} - True if revoked
+ */
+function isAccessTokenRevoked(payload) {
+    const now = nowSeconds();
+
+    const acceptedUntil = payload.jti && revokedTokens.get(payload.jti);
+    if (acceptedUntil) {
+        if (acceptedUntil >= now) {
+            return true;
+        }
+        revokedTokens.delete(payload.jti);
+    }
+
+    const cutoff = userCutoffs.get(payload.userId);
+    if (cutoff) {
+        if (cutoff.expiresAt < now) {
+            userCutoffs.delete(payload.userId);
+        } else if (payload.iat <= cutoff.revokedAt && (payload.gen || 0) < cutoff.generation) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Remove entries whose tokens have expired
+ * @returns {number} - Number of entries removed
+ */
+function sweepDenylist() {
+    const now = nowSeconds();
+    let removed = 0;
+
+    for (const [jti, acceptedUntil] of revokedTokens.entries()) {
+        if (acceptedUntil < now) {
+            revokedTokens.delete(jti);
+            removed++;
+        }
+    }
+
+    for (const [userId, cutoff] of userCutoffs.entries()) {
+        if (cutoff.expiresAt < now) {
+            userCutoffs.delete(userId);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Start periodically sweeping expired denylist entries
+ * @param {number} intervalMs - Sweep interval
+ * @returns {Function} - Stops the sweeper
+ */
+function startDenylistSweeper(intervalMs = 60 * 1000) {
+    stopDenylistSweeper();
+    sweepTimer = setInterval(sweepDenylist, intervalMs);
+    sweepTimer.unref();
+    return stopDenylistSweeper;
+}
+
+/**
+ * Stop the denylist sweeper
+ */
+function stopDenylistSweeper() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+module.exports = {
+    revokeAccessToken,
+    revokeUserAccessTokens,
+    getUserTokenGeneration,
+    isAccessTokenRevoked,
+    sweepDenylist,
+    startDenylistSweeper,
+    stopDenylistSweeper
+};
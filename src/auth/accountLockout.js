@@ -0,0 +1,383 @@
+// Per-account brute-force protection
+// authRateLimiter only limits by client IP, so attempts spread over many IPs against
+// one account are tracked here by email: failures earn progressively longer waits,
+// and past a threshold the account is locked until it expires or is unlocked by email.
+// Unknown emails are tracked the same way so lockout responses don't reveal which accounts exist.
+const crypto = require('crypto');
+const { eventBus } = require('../services/EventBus');
+const emailService = require('../services/emailService');
+const { normalizeEmail } = require('../data/userRepository');
+
+// Configuration
+const LOCKOUT_CONFIG = {
+    freeAttempts: 3,                       // Failures allowed before delays start
+    baseDelayMs: 1000,                     // First delay, doubled for every further failure
+    maxDelayMs: 30 * 1000,                 // Cap for progressive delays
+    lockThreshold: 10,                     // Failures that lock the account
+    lockDurationMs: 15 * 60 * 1000,        // 15 minutes
+    failureWindowMs: 15 * 60 * 1000,       // Failures older than this are forgotten
+    unlockTokenExpiry: 60 * 60 * 1000      // 1 hour
+};
+
+// Base URL of the app that serves the unlock page
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Failed-attempt state: normalized email -> { failures, lastFailureAt, lockedUntil, userId }
+const accountAttempts = new Map();
+
+// Outstanding unlock tokens: sha256(token) -> { email, expiresAt }
+const unlockTokens = new Map();
+
+let sweepTimer = null;
+
+/**
+ * Whether an attempt record no longer affects logins: unlocked and its failures forgotten
+ */
+function isExpiredEntry(entry, now) {
+    const locked = entry.lockedUntil && entry.lockedUntil > now;
+    return !locked && now - entry.lastFailureAt > LOCKOUT_CONFIG.failureWindowMs;
+}
+
+/**
+ * Drop expired attempt records and unlock tokens
+ * @param {number} now - Current time in ms
+ */
+function cleanupExpiredEntries(now = Date.now()) {
+    for (const [email, entry] of accountAttempts.entries()) {
+        if (isExpiredEntry(entry, now)) {
+            accountAttempts.delete(email);
+        }
+    }
+    for (const [hash, entry] of unlockTokens.entries()) {
+        if (entry.expiresAt < now) {
+            unlockTokens.delete(hash);
+        }
+    }
+}
+
+/**
+ * Delay required after a given number of consecutive failures
+ * @param {number} failures - Failure count
+ * @returns {number} - Delay in ms
+ */
+function getDelayMs(failures) {
+    if (failures <= LOCKOUT_CONFIG.freeAttempts) {
+        return 0;
+    }
+    const exponent = failures - LOCKOUT_CONFIG.freeAttempts - 1;
+    return Math.min(LOCKOUT_CONFIG.baseDelayMs * Math.pow(2, exponent), LOCKOUT_CONFIG.maxDelayMs);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a login attempt for this account may proceed
+ * @param {string} email - Email the attempt is for
+ * @returns {Object} - { allowed: true } or { allowed: false, code, retryAfter, lockedUntil? }
+ */
+function checkLoginAllowed(email) {
+    const now = Date.now();
+    const entry = accountAttempts.get(normalizeEmail(email));
+    if (!entry || isExpiredEntry(entry, now)) {
+        return { allowed: true };
+    }
+
+    if (entry.lockedUntil && entry.lockedUntil > now) {
+        return {
+            allowed: false,
+            code: 'ACCOUNT_LOCKED',
+            retryAfter: Math.ceil((entry.lockedUntil - now) / 1000),
+            lockedUntil: new Date(entry.lockedUntil).toISOString()
+        };
+    }
+
+    const nextAttemptAt = entry.lastFailureAt + getDelayMs(entry.failures);
+    if (nextAttemptAt > now) {
+        return {
+            allowed: false,
+            code: 'TOO_MANY_ATTEMPTS',
+            retryAfter: Math.ceil((nextAttemptAt - now) / 1000)
+        };
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Add one failure to an account's attempt record, starting a fresh record when needed
+ * @returns {Object} - The attempt record
+ */
+function countFailure(key, user, now) {
+    let entry = accountAttempts.get(key);
+    if (!entry || isExpiredEntry(entry, now) || (entry.lockedUntil && entry.lockedUntil <= now)) {
+        // A lock that has run out, or failures outside the window, start a fresh count
+        entry = { failures: 0, lastFailureAt: now, lockedUntil: null, userId: user?.id || null };
+        accountAttempts.set(key, entry);
+    }
+
+    entry.failures += 1;
+    entry.lastFailureAt = now;
+    return entry;
+}
+
+/**
+ * Lock the account once its failures reach the threshold
+ * @returns {Object} - Updated state { failures, locked, lockedUntil }
+ */
+function applyLockThreshold(key, entry, context, now) {
+    if (entry.failures >= LOCKOUT_CONFIG.lockThreshold && !entry.lockedUntil) {
+        entry.lockedUntil = now + LOCKOUT_CONFIG.lockDurationMs;
+        onAccountLocked(key, entry, context.user || null, context.ip || null);
+    }
+
+    return {
+        failures: entry.failures,
+        locked: Boolean(entry.lockedUntil),
+        lockedUntil: entry.lockedUntil ? new Date(entry.lockedUntil).toISOString() : null
+    };
+}
+
+/**
+ * Record a failed login and lock the account once the threshold is reached
+ * @param {string} email - Email the attempt was for
+ * @param {Object} context - { user, ip } - user is null for unknown emails
+ * @returns {Object} - Updated state { failures, locked, lockedUntil }
+ */
+function recordFailedLogin(email, context = {}) {
+    const now = Date.now();
+    const key = normalizeEmail(email);
+    return applyLockThreshold(key, countFailure(key, context.user, now), context, now);
+}
+
+/**
+ * Check a login attempt and, if it may proceed, count it as failed up front
+ * The password check is async, so counting only after it fails would let parallel
+ * requests all pass checkLoginAllowed() before any of them is recorded. The reservation
+ * never locks the account itself: confirmFailedLogin() does that once the credential has
+ * actually been rejected, and releaseLoginAttempt() or recordSuccessfulLogin() roll it back.
+ * @param {string} email - Email the attempt is for
+ * @param {Object} context - { user, ip } - user is null for unknown emails
+ * @returns {Object} - checkLoginAllowed() result
+ */
+function reserveLoginAttempt(email, context = {}) {
+    const lockout = checkLoginAllowed(email);
+    if (lockout.allowed) {
+        countFailure(normalizeEmail(email), context.user, Date.now());
+    }
+    return lockout;
+}
+
+/**
+ * Settle a reservation whose credential was wrong, locking the account at the threshold
+ * @param {string} email - Email the attempt was for
+ * @param {Object} context - { user, ip } - user is null for unknown emails
+ * @returns {Object} - Updated state { failures, locked, lockedUntil }
+ */
+function confirmFailedLogin(email, context = {}) {
+    const now = Date.now();
+    const key = normalizeEmail(email);
+    const entry = accountAttempts.get(key);
+    if (!entry) {
+        // Cleared in the meantime (unlocked, or a parallel login succeeded) - count it afresh
+        return recordFailedLogin(email, context);
+    }
+    return applyLockThreshold(key, entry, context, now);
+}
+
+/**
+ * Undo a reservation whose password turned out to be correct
+ * Unlike recordSuccessfulLogin() earlier failures still count, for logins that
+ * aren't complete yet (a second factor is still to come)
+ * @param {string} email - Email the attempt was for
+ */
+function releaseLoginAttempt(email) {
+    const key = normalizeEmail(email);
+    const entry = accountAttempts.get(key);
+    if (!entry) {
+        return;
+    }
+
+    entry.failures -= 1;
+    if (entry.failures <= 0) {
+        accountAttempts.delete(key);
+    }
+}
+
+/**
+ * Publish the lock event and email the owner an unlock link
+ */
+function onAccountLocked(email, entry, user, ip) {
+    console.warn(`[LOCKOUT] Account ${email} locked after ${entry.failures} failed attempts`);
+
+    eventBus.publish({
+        type: 'security.account_locked',
+        payload: {
+            email,
+            userId: entry.userId,
+            failures: entry.failures,
+            lockedUntil: new Date(entry.lockedUntil).toISOString(),
+            ip
+        },
+        source: 'auth.lockout',
+        userId: entry.userId
+    }).catch(error => {
+        console.error('[LOCKOUT] Failed to publish account locked event:', error);
+    });
+
+    if (!user) {
+        return;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    unlockTokens.set(hashToken(token), {
+        email,
+        expiresAt: Date.now() + LOCKOUT_CONFIG.unlockTokenExpiry
+    });
+
+    const unlockLink = `${APP_URL}/unlock-account?token=${token}`;
+    emailService.sendAccountUnlockEmail(user.email, unlockLink).catch(error => {
+        console.error('[LOCKOUT] Failed to send unlock email:', error);
+    });
+}
+
+/**
+ * Clear the failure count after a successful login
+ * @param {string} email - Email that logged in
+ */
+function recordSuccessfulLogin(email) {
+    accountAttempts.delete(normalizeEmail(email));
+}
+
+/**
+ * Clear a lockout and announce it
+ * @param {string} email - Account email
+ * @param {Object} context - { clearedBy, method }
+ * @returns {boolean} - True if there was state to clear
+ */
+function clearLockout(email, context = {}) {
+    const key = normalizeEmail(email);
+    const entry = accountAttempts.get(key);
+    if (!entry) {
+        return false;
+    }
+
+    accountAttempts.delete(key);
+    for (const [hash, token] of unlockTokens.entries()) {
+        if (token.email === key) {
+            unlockTokens.delete(hash);
+        }
+    }
+
+    eventBus.publish({
+        type: 'security.account_unlocked',
+        payload: {
+            email: key,
+            userId: entry.userId,
+            method: context.method || 'admin',
+            clearedBy: context.clearedBy || null
+        },
+        source: 'auth.lockout',
+        userId: entry.userId
+    }).catch(error => {
+        console.error('[LOCKOUT] Failed to publish account unlocked event:', error);
+    });
+
+    return true;
+}
+
+/**
+ * Unlock an account with the token from the unlock email
+ * @param {string} token - Plain unlock token
+ * @returns {Object} - { success, email } or { success: false, code, message }
+ */
+function unlockWithToken(token) {
+    const hash = hashToken(String(token || ''));
+    const entry = unlockTokens.get(hash);
+    if (!entry || entry.expiresAt < Date.now()) {
+        return { success: false, code: 'INVALID_UNLOCK_TOKEN', message: 'Unlock link is invalid or has expired' };
+    }
+
+    unlockTokens.delete(hash);
+    clearLockout(entry.email, { method: 'email' });
+    return { success: true, email: entry.email };
+}
+
+/**
+ * Describe an attempt record for admin views
+ */
+function describeEntry(email, entry, now = Date.now()) {
+    const locked = Boolean(entry.lockedUntil && entry.lockedUntil > now);
+    return {
+        email,
+        userId: entry.userId,
+        failures: entry.failures,
+        lastFailureAt: new Date(entry.lastFailureAt).toISOString(),
+        locked,
+        lockedUntil: locked ? new Date(entry.lockedUntil).toISOString() : null
+    };
+}
+
+/**
+ * Get the lockout state for one account
+ * @param {string} email - Account email
+ * @returns {Object|null} - State, or null if there are no recent failures
+ */
+function getLockoutStatus(email) {
+    const key = normalizeEmail(email);
+    const entry = accountAttempts.get(key);
+    return entry && !isExpiredEntry(entry, Date.now()) ? describeEntry(key, entry) : null;
+}
+
+/**
+ * List accounts with recent failures
+ * @param {Object} options - { lockedOnly }
+ * @returns {Array} - Account states
+ */
+function listLockouts(options = {}) {
+    const now = Date.now();
+    return [...accountAttempts.entries()]
+        .filter(([, entry]) => !isExpiredEntry(entry, now))
+        .map(([email, entry]) => describeEntry(email, entry, now))
+        .filter(state => !options.lockedOnly || state.locked);
+}
+
+/**
+ * Start periodically sweeping expired attempt records and unlock tokens
+ * @param {number} intervalMs - Sweep interval
+ * @returns {Function} - Stops the sweeper
+ */
+function startLockoutSweeper(intervalMs = 60 * 1000) {
+    stopLockoutSweeper();
+    sweepTimer = setInterval(() => cleanupExpiredEntries(), intervalMs);
+    sweepTimer.unref();
+    return stopLockoutSweeper;
+}
+
+/**
+ * Stop the lockout sweeper
+ */
+function stopLockoutSweeper() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
+
+module.exports = {
+    checkLoginAllowed,
+    reserveLoginAttempt,
+    confirmFailedLogin,
+    releaseLoginAttempt,
+    recordFailedLogin,
+    recordSuccessfulLogin,
+    clearLockout,
+    unlockWithToken,
+    getLockoutStatus,
+    listLockouts,
+    cleanupExpiredEntries,
+    startLockoutSweeper,
+    stopLockoutSweeper,
+    LOCKOUT_CONFIG
+};
@@ -0,0 +1,177 @@
+// API key stores
+// Stores are synchronous like the other token stores.
+// Records: { id, name, ownerId, keyHash, scopes, createdAt, expiresAt, lastUsedAt, revokedAt, rotatedFrom }
+const { openDatabase } = require('../data/sqlite');
+
+// Configuration - In production, use environment variables
+const API_KEY_STORE_CONFIG = {
+    store: process.env.API_KEY_STORE || 'memory',   // 'memory' or 'sqlite'
+    filename: process.env.API_KEY_DB_PATH || 'data/api-keys.sqlite'
+};
+
+/**
+ * API key store interface
+ */
+class ApiKeyStore {
+    get(id) {
+        throw new Error('get() not implemented');
+    }
+
+    list(filter = {}) {
+        throw new Error('list() not implemented');
+    }
+
+    save(apiKey) {
+        throw new Error('save() not implemented');
+    }
+
+    update(id, changes) {
+        throw new Error('update() not implemented');
+    }
+}
+
+/**
+ * In-memory API key store (keys are lost on restart)
+ */
+class InMemoryApiKeyStore extends ApiKeyStore {
+    constructor() {
+        super();
+        this.keys = new Map();
+    }
+
+    get(id) {
+        const apiKey = this.keys.get(id);
+        return apiKey ? { ...apiKey, scopes: [...apiKey.scopes] } : null;
+    }
+
+    list(filter = {}) {
+        return [...this.keys.values()]
+            .filter(apiKey => !filter.ownerId || apiKey.ownerId === filter.ownerId)
+            .map(apiKey => this.get(apiKey.id));
+    }
+
+    save(apiKey) {
+        this.keys.set(apiKey.id, { ...apiKey, scopes: [...apiKey.scopes] });
+    }
+
+    update(id, changes) {
+        const apiKey = this.keys.get(id);
+        if (!apiKey) {
+            return null;
+        }
+        const { id: _, ...rest } = changes;
+        Object.assign(apiKey, rest);
+        return this.get(id);
+    }
+}
+
+/**
+ * SQLite-backed API key store
+ */
+class SqliteApiKeyStore extends ApiKeyStore {
+    constructor(filename) {
+        super();
+        this.db = openDatabase(filename);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                owner_id TEXT NOT NULL,
+                key_hash TEXT NOT NULL,
+                scopes TEXT NOT NULL DEFAULT '[]',
+                created_at TEXT NOT NULL,
+                expires_at TEXT,
+                last_used_at TEXT,
+                revoked_at TEXT,
+                rotated_from TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_api_keys_owner ON api_keys (owner_id);
+        `);
+    }
+
+    static toRecord(row) {
+        if (!row) {
+            return null;
+        }
+        return {
+            id: row.id,
+            name: row.name,
+            ownerId: row.owner_id,
+            keyHash: row.key_hash,
+            scopes: JSON.parse(row.scopes),
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            lastUsedAt: row.last_used_at,
+            revokedAt: row.revoked_at,
+            rotatedFrom: row.rotated_from
+        };
+    }
+
+    get(id) {
+        const row = this.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+        return SqliteApiKeyStore.toRecord(row);
+    }
+
+    list(filter = {}) {
+        const rows = filter.ownerId
+            ? this.db.prepare('SELECT * FROM api_keys WHERE owner_id = ? ORDER BY created_at').all(filter.ownerId)
+            : this.db.prepare('SELECT * FROM api_keys ORDER BY created_at').all();
+        return rows.map(SqliteApiKeyStore.toRecord);
+    }
+
+    save(apiKey) {
+        this.db.prepare(`
+            INSERT OR REPLACE INTO api_keys
+                (id, name, owner_id, key_hash, scopes, created_at, expires_at, last_used_at, revoked_at, rotated_from)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            apiKey.id,
+            apiKey.name,
+            apiKey.ownerId,
+            apiKey.keyHash,
+            JSON.stringify(apiKey.scopes),
+            apiKey.createdAt,
+            apiKey.expiresAt || null,
+            apiKey.lastUsedAt || null,
+            apiKey.revokedAt || null,
+            apiKey.rotatedFrom || null
+        );
+    }
+
+    update(id, changes) {
+        const existing = this.get(id);
+        if (!existing) {
+            return null;
+        }
+        const { id: _, ...rest } = changes;
+        const updated = { ...existing, ...rest };
+        this.save(updated);
+        return updated;
+    }
+}
+
+/**
+ * Create an API key store from configuration
+ * @param {Object} config - { store: 'memory' | 'sqlite', filename }
+ * @returns {ApiKeyStore} - Store instance
+ */
+function createApiKeyStore(config = {}) {
+    const { store, filename } = { ...API_KEY_STORE_CONFIG, ...config };
+
+    switch (store) {
+        case 'memory':
+            return new InMemoryApiKeyStore();
+        case 'sqlite':
+            return new SqliteApiKeyStore(filename);
+        default:
+            throw new Error(`Unknown API key store: ${store}`);
+    }
+}
+
+module.exports = {
+    ApiKeyStore,
+    InMemoryApiKeyStore,
+    SqliteApiKeyStore,
+    createApiKeyStore,
+    API_KEY_STORE_CONFIG
+};
@@ -0,0 +1,282 @@
+// API keys for service-to-service calls
+// Keys look like `ak_<id>_<secret>`. Only a SHA-256 hash of the full key is stored;
+// the id lets us find the record without scanning. Each key carries permission
+// scopes ('resource:action', '*' wildcards allowed) that can only narrow what its
+// owner is allowed to do - see apiKeyAllows().
+const crypto = require('crypto');
+const { createApiKeyStore } = require('./apiKeyStore');
+const { rbacService, Permission } = require('./RBACService');
+const { syncUserRole } = require('./login');
+const { getUserRepository } = require('../data/userRepository');
+
+// Configuration
+const API_KEY_CONFIG = {
+    prefix: 'ak',
+    maxExpiryDays: 365,
+    lastUsedWriteIntervalMs: 60 * 1000     // lastUsedAt is only rewritten after this long
+};
+
+let apiKeyStore = createApiKeyStore();
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Parse a 'resource:action' scope
+ * @param {string} scope - Scope string
+ * @returns {Permission|null} - Permission, or null if malformed
+ */
+function parseScope(scope) {
+    const match = /^([a-z_*]+):([a-z_*]+)$/.exec(String(scope));
+    return match ? new Permission(match[1], match[2]) : null;
+}
+
+/**
+ * Strip the key hash before returning a record to clients
+ * @param {Object} apiKey - Stored record
+ * @returns {Object} - Record without keyHash, with a computed status
+ */
+function toPublicApiKey(apiKey) {
+    const { keyHash, ...publicKey } = apiKey;
+    return { ...publicKey, status: getApiKeyStatus(apiKey) };
+}
+
+/**
+ * @param {Object} apiKey - Stored record
+ * @returns {string} - 'active', 'expired' or 'revoked'
+ */
+function getApiKeyStatus(apiKey, now = Date.now()) {
+    if (apiKey.revokedAt) {
+        return 'revoked';
+    }
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() <= now) {
+        return 'expired';
+    }
+    return 'active';
+}
+
+/**
+ * Generate a key and store its record
+ */
+function issueKey(record) {
+    const id = crypto.randomBytes(8).toString('hex');
+    const key = `${API_KEY_CONFIG.prefix}_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = {
+        id,
+        ...record,
+        keyHash: hashKey(key),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+    };
+    apiKeyStore.save(apiKey);
+
+    return { key, apiKey: toPublicApiKey(apiKey) };
+}
+
+/**
+ * Create an API key
+ * @param {string} ownerId - User creating the key; the key never exceeds their permissions
+ * @param {Object} options - { name, scopes: ['task:read', ...], expiresAt }
+ * @returns {Object} - { success, key, apiKey } (the plain key is only ever returned here)
+ *                     or { success: false, code, message }
+ */
+function createApiKey(ownerId, options = {}) {
+    const { name, scopes, expiresAt = null } = options;
+
+    if (!name || typeof name !== 'string') {
+        return { success: false, code: 'MISSING_NAME', message: 'API key name is required' };
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { success: false, code: 'MISSING_SCOPES', message: 'At least one scope is required' };
+    }
+
+    for (const scope of scopes) {
+        const permission = parseScope(scope);
+        if (!permission) {
+            return { success: false, code: 'INVALID_SCOPE', message: `Invalid scope "${scope}"` };
+        }
+        // Wildcard scopes are checked as the wildcard itself, so only '*' holders can grant them
+        if (!rbacService.hasPermission(ownerId, permission.resource, permission.action)) {
+            return { success: false, code: 'SCOPE_NOT_ALLOWED', message: `You can't grant "${scope}"` };
+        }
+    }
+
+    if (expiresAt !== null) {
+        const expiry = new Date(expiresAt).getTime();
+        const maxExpiry = Date.now() + API_KEY_CONFIG.maxExpiryDays * 24 * 60 * 60 * 1000;
+        if (Number.isNaN(expiry) || expiry <= Date.now() || expiry > maxExpiry) {
+            return {
+                success: false,
+                code: 'INVALID_EXPIRY',
+                message: `Expiry must be in the future and within ${API_KEY_CONFIG.maxExpiryDays} days`
+            };
+        }
+    }
+
+    const issued = issueKey({
+        name,
+        ownerId,
+        scopes: [...new Set(scopes)],
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        rotatedFrom: null
+    });
+
+    return { success: true, ...issued };
+}
+
+/**
+ * List API keys
+ * @param {Object} filter - { ownerId }
+ * @returns {Array} - Public key records
+ */
+function listApiKeys(filter = {}) {
+    return apiKeyStore.list(filter).map(toPublicApiKey);
+}
+
+/**
+ * Replace a key with a new secret that has the same name, scopes and expiry
+ * @param {string} id - Key ID
+ * @param {Object} options - { gracePeriodMs } keeps the old key working for a while (default 0)
+ * @returns {Object} - { success, key, apiKey } or { success: false, code, message }
+ */
+function rotateApiKey(id, options = {}) {
+    const { gracePeriodMs = 0 } = options;
+    const existing = apiKeyStore.get(id);
+
+    if (!existing) {
+        return { success: false, code: 'API_KEY_NOT_FOUND', message: 'API key not found' };
+    }
+    if (getApiKeyStatus(existing) !== 'active') {
+        return { success: false, code: 'API_KEY_INACTIVE', message: 'Only active API keys can be rotated' };
+    }
+
+    const issued = issueKey({
+        name: existing.name,
+        ownerId: existing.ownerId,
+        scopes: existing.scopes,
+        expiresAt: existing.expiresAt,
+        rotatedFrom: existing.id
+    });
+
+    // Let deployed clients switch over before the old key stops working
+    const now = Date.now();
+    if (gracePeriodMs > 0) {
+        const graceEnd = now + gracePeriodMs;
+        const currentExpiry = existing.expiresAt ? new Date(existing.expiresAt).getTime() : Infinity;
+        apiKeyStore.update(id, { expiresAt: new Date(Math.min(graceEnd, currentExpiry)).toISOString() });
+    } else {
+        apiKeyStore.update(id, { revokedAt: new Date(now).toISOString() });
+    }
+
+    return { success: true, ...issued };
+}
+
+/**
+ * Revoke a key immediately
+ * @param {string} id - Key ID
+ * @returns {boolean} - True if the key existed and was active or expiring
+ */
+function revokeApiKey(id) {
+    const existing = apiKeyStore.get(id);
+    if (!existing || existing.revokedAt) {
+        return false;
+    }
+    apiKeyStore.update(id, { revokedAt: new Date().toISOString() });
+    return true;
+}
+
+/**
+ * Get one key's public record
+ * @param {string} id - Key ID
+ * @returns {Object|null}
+ */
+function getApiKey(id) {
+    const apiKey = apiKeyStore.get(id);
+    return apiKey ? toPublicApiKey(apiKey) : null;
+}
+
+/**
+ * Verify a presented API key
+ * @param {string} key - Value of the X-API-Key header
+ * @returns {Promise<Object>} - { valid, apiKey } or { valid: false, code, error }
+ */
+async function verifyApiKey(key) {
+    const invalid = { valid: false, code: 'INVALID_API_KEY', error: 'Invalid API key' };
+    const match = new RegExp(`^${API_KEY_CONFIG.prefix}_([0-9a-f]{16})_[A-Za-z0-9_-]+$`).exec(String(key || ''));
+    if (!match) {
+        return invalid;
+    }
+
+    const stored = apiKeyStore.get(match[1]);
+    if (!stored) {
+        return invalid;
+    }
+
+    const expected = Buffer.from(stored.keyHash, 'hex');
+    const actual = Buffer.from(hashKey(key), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return invalid;
+    }
+
+    const status = getApiKeyStatus(stored);
+    if (status === 'revoked') {
+        return { valid: false, code: 'API_KEY_REVOKED', error: 'API key has been revoked' };
+    }
+    if (status === 'expired') {
+        return { valid: false, code: 'API_KEY_EXPIRED', error: 'API key has expired' };
+    }
+
+    // Scopes are checked against the owner's RBAC assignments, which are in memory and
+    // otherwise only made when the owner logs in - so restore them here after a restart
+    const owner = await getUserRepository().findById(stored.ownerId);
+    if (owner) {
+        syncUserRole(owner);
+    }
+
+    // Recording every request would be a store write per call; minute precision is plenty
+    const now = Date.now();
+    const lastUsedAt = stored.lastUsedAt ? new Date(stored.lastUsedAt).getTime() : 0;
+    const current = now - lastUsedAt >= API_KEY_CONFIG.lastUsedWriteIntervalMs
+        ? apiKeyStore.update(stored.id, { lastUsedAt: new Date(now).toISOString() })
+        : stored;
+
+    return { valid: true, apiKey: toPublicApiKey(current) };
+}
+
+/**
+ * Check whether a key may perform an action
+ * The key's scopes must cover it AND its owner must still hold the permission,
+ * so demoting the owner also narrows their keys
+ * @param {Object} apiKey - Verified key record (req.apiKey)
+ * @param {string} resource - Resource type
+ * @param {string} action - Action
+ * @param {Object} context - Authorization context passed on to RBAC
+ * @returns {boolean}
+ */
+function apiKeyAllows(apiKey, resource, action, context = {}) {
+    const inScope = apiKey.scopes.some(scope => parseScope(scope)?.matches(resource, action));
+    return inScope && rbacService.hasPermission(apiKey.ownerId, resource, action, context);
+}
+
+/**
+ * Replace the API key store (e.g. with a SQLite store, or a fresh one in tests)
+ * @param {Object} store - ApiKeyStore implementation
+ */
+function setApiKeyStore(store) {
+    apiKeyStore = store;
+}
+
+module.exports = {
+    createApiKey,
+    listApiKeys,
+    getApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    verifyApiKey,
+    apiKeyAllows,
+    setApiKeyStore,
+    API_KEY_CONFIG
+};
@@ -1,16 +1,58 @@
 // JWT Authentication module
 const crypto = require('crypto');
+const signingKeys = require('./signingKeys');
+const { eventBus } = require('../services/EventBus');
+const { createRefreshTokenStore, REFRESH_TOKEN_STORE_CONFIG } = require('./refreshTokenStore');
+const denylist = require('./accessTokenDenylist');
+const { rbacService } = require('./RBACService');
 
 // Configuration - In production, use environment variables
 const JWT_CONFIG = {
     accessTokenSecret: process.env.JWT_ACCESS_SECRET || 'your-access-token-secret-key-change-in-production',
     refreshTokenSecret: process.env.JWT_REFRESH_SECRET || 'your-refresh-token-secret-key-change-in-production',
     accessTokenExpiry: 15 * 60,          // 15 minutes in seconds
-    refreshTokenExpiry: 7 * 24 * 60 * 60  // 7 days in seconds
+    refreshTokenExpiry: 7 * 24 * 60 * 60, // 7 days in seconds
+    // Access token algorithm: HS256 (shared secret) or RS256/ES256 (keys published via JWKS)
+    algorithm: process.env.JWT_ALGORITHM || 'HS256',
+    // Header algorithms accepted at all - anything else (including "none") is rejected up front
+    allowedAlgorithms: ['HS256', 'RS256', 'ES256'],
+    // iss/aud are added to issued tokens and enforced on verification when set
+    issuer: process.env.JWT_ISSUER || null,
+    audience: process.env.JWT_AUDIENCE || null,
+    clockSkewSeconds: 30,                 // tolerance for exp/nbf between servers
+    // Embed role names and a permission digest in access tokens so authorization can skip RBAC lookups
+    embedAuthorization: process.env.JWT_EMBED_AUTHORIZATION === 'true',
+    authorizationClaimsMaxAge: 5 * 60,    // seconds the embedded claims are trusted after issue
+    mfaChallengeExpiry: 5 * 60            // 5 minutes to complete the second login step
 };
 
-// In-memory store for refresh tokens (use Redis or database in production)
-const refreshTokenStore = new Map();
+// Verification failure reasons - callers map these to their own error responses
+const TokenErrorCodes = {
+    TOKEN_REQUIRED: 'TOKEN_REQUIRED',
+    MALFORMED_TOKEN: 'MALFORMED_TOKEN',
+    UNSUPPORTED_ALGORITHM: 'UNSUPPORTED_ALGORITHM',
+    UNKNOWN_KEY: 'UNKNOWN_KEY',
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    TOKEN_NOT_YET_VALID: 'TOKEN_NOT_YET_VALID',
+    INVALID_ISSUER: 'INVALID_ISSUER',
+    INVALID_AUDIENCE: 'INVALID_AUDIENCE',
+    INVALID_TOKEN_TYPE: 'INVALID_TOKEN_TYPE',
+    TOKEN_REVOKED: 'TOKEN_REVOKED',
+    TOKEN_REUSED: 'TOKEN_REUSED'
+};
+
+// Key IDs for the shared-secret keys. Refresh tokens are only ever verified by this
+// service, so they stay on HS256 regardless of the access token algorithm.
+const HMAC_KEY_IDS = {
+    access: 'access-hs256',
+    refresh: 'refresh-hs256',
+    mfa: 'mfa-hs256'
+};
+
+// Refresh token store - backend chosen by REFRESH_TOKEN_STORE (see refreshTokenStore.js)
+let refreshTokenStore = createRefreshTokenStore();
+let sweepTimer = null;
 
 /**
  * Base64Url encode a string
@@ -39,28 +81,70 @@ function base64UrlDecode(str) {
 }
 
 /**
- * Create HMAC SHA256 signature
+ * Create a token signature
  * @param {string} data - Data to sign
- * @param {string} secret - Secret key
+ * @param {Object} signingKey - { alg, key } where key is a secret (HS256) or private key PEM
  * @returns {string} - Base64Url encoded signature
  */
-function createSignature(data, secret) {
-    const hmac = crypto.createHmac('sha256', secret);
-    hmac.update(data);
-    return base64UrlEncode(hmac.digest('base64'));
+function createSignature(data, signingKey) {
+    switch (signingKey.alg) {
+        case 'HS256': {
+            const hmac = crypto.createHmac('sha256', signingKey.key);
+            hmac.update(data);
+            return base64UrlEncode(hmac.digest('base64'));
+        }
+        case 'RS256':
+            return crypto.sign('sha256', Buffer.from(data), signingKey.key).toString('base64url');
+        case 'ES256':
+            // JWS uses the raw r||s encoding rather than DER
+            return crypto.sign('sha256', Buffer.from(data), {
+                key: signingKey.key,
+                dsaEncoding: 'ieee-p1363'
+            }).toString('base64url');
+        default:
+            throw new Error(`Unsupported algorithm: ${signingKey.alg}`);
+    }
+}
+
+/**
+ * Verify a token signature
+ * @param {string} data - Signed data
+ * @param {string} signature - Base64Url encoded signature
+ * @param {Object} verificationKey - { alg, key } where key is a secret (HS256) or public key PEM
+ * @returns {boolean} - Whether the signature is valid
+ */
+function checkSignature(data, signature, verificationKey) {
+    switch (verificationKey.alg) {
+        case 'HS256': {
+            const expected = Buffer.from(createSignature(data, verificationKey));
+            const actual = Buffer.from(signature);
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        }
+        case 'RS256':
+            return crypto.verify('sha256', Buffer.from(data), verificationKey.key,
+                Buffer.from(signature, 'base64url'));
+        case 'ES256':
+            return crypto.verify('sha256', Buffer.from(data), {
+                key: verificationKey.key,
+                dsaEncoding: 'ieee-p1363'
+            }, Buffer.from(signature, 'base64url'));
+        default:
+            return false;
+    }
 }
 
 /**
  * Generate a JWT token
  * @param {Object} payload - Token payload
- * @param {string} secret - Secret key for signing
+ * @param {Object} signingKey - { kid, alg, key }
  * @param {number} expiresIn - Expiry time in seconds
  * @returns {string} - JWT token
  */
-function generateToken(payload, secret, expiresIn) {
+function generateToken(payload, signingKey, expiresIn) {
     const header = {
-        alg: 'HS256',
-        typ: 'JWT'
+        alg: signingKey.alg,
+        typ: 'JWT',
+        kid: signingKey.kid
     };
 
     const now = Math.floor(Date.now() / 1000);
@@ -69,101 +153,302 @@ function generateToken(payload, secret, expiresIn) {
         iat: now,
         exp: now + expiresIn
     };
+    if (JWT_CONFIG.issuer) {
+        tokenPayload.iss = JWT_CONFIG.issuer;
+    }
+    if (JWT_CONFIG.audience) {
+        tokenPayload.aud = JWT_CONFIG.audience;
+    }
 
     const encodedHeader = base64UrlEncode(JSON.stringify(header));
     const encodedPayload = base64UrlEncode(JSON.stringify(tokenPayload));
-    const signature = createSignature(`${encodedHeader}.${encodedPayload}`, secret);
+    const signature = createSignature(`${encodedHeader}.${encodedPayload}`, signingKey);
 
     return `${encodedHeader}.${encodedPayload}.${signature}`;
 }
 
+/**
+ * Build a verification failure result
+ * @param {string} code - One of TokenErrorCodes
+ * @param {string} error - Human readable message
+ * @returns {Object} - { valid: false, code, error }
+ */
+function tokenError(code, error) {
+    return { valid: false, code, error };
+}
+
+/**
+ * Validate the registered claims (exp, nbf, iss, aud) of a decoded payload
+ * @param {Object} payload - Decoded token payload
+ * @returns {Object|null} - Failure result, or null if the claims are acceptable
+ */
+function validateClaims(payload) {
+    const now = Math.floor(Date.now() / 1000);
+    const skew = JWT_CONFIG.clockSkewSeconds;
+
+    if (typeof payload.exp !== 'number') {
+        return tokenError(TokenErrorCodes.MALFORMED_TOKEN, 'Token has no expiry');
+    }
+
+    if (payload.exp + skew < now) {
+        return tokenError(TokenErrorCodes.TOKEN_EXPIRED, 'Token expired');
+    }
+
+    if (typeof payload.nbf === 'number' && payload.nbf - skew > now) {
+        return tokenError(TokenErrorCodes.TOKEN_NOT_YET_VALID, 'Token is not yet valid');
+    }
+
+    if (JWT_CONFIG.issuer && payload.iss !== JWT_CONFIG.issuer) {
+        return tokenError(TokenErrorCodes.INVALID_ISSUER, 'Invalid token issuer');
+    }
+
+    if (JWT_CONFIG.audience) {
+        const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+        if (!audiences.includes(JWT_CONFIG.audience)) {
+            return tokenError(TokenErrorCodes.INVALID_AUDIENCE, 'Invalid token audience');
+        }
+    }
+
+    return null;
+}
+
 /**
  * Verify a JWT token
  * @param {string} token - JWT token to verify
- * @param {string} secret - Secret key for verification
- * @returns {Object} - Decoded payload or error
+ * @param {Function} resolveKey - Maps the decoded header to a { alg, key } verification key, or null
+ * @returns {Object} - { valid: true, payload } or { valid: false, code, error }
  */
-function verifyToken(token, secret) {
+function verifyToken(token, resolveKey) {
     try {
         if (!token || typeof token !== 'string') {
-            return { valid: false, error: 'Token is required' };
+            return tokenError(TokenErrorCodes.TOKEN_REQUIRED, 'Token is required');
         }
 
         const parts = token.split('.');
         if (parts.length !== 3) {
-            return { valid: false, error: 'Invalid token format' };
+            return tokenError(TokenErrorCodes.MALFORMED_TOKEN, 'Invalid token format');
         }
 
         const [encodedHeader, encodedPayload, signature] = parts;
+        const header = JSON.parse(base64UrlDecode(encodedHeader));
+
+        if (!JWT_CONFIG.allowedAlgorithms.includes(header.alg)) {
+            return tokenError(TokenErrorCodes.UNSUPPORTED_ALGORITHM, 'Invalid token algorithm');
+        }
+
+        const verificationKey = resolveKey(header);
+        if (!verificationKey) {
+            return tokenError(TokenErrorCodes.UNKNOWN_KEY, 'Unknown signing key');
+        }
+
+        // The key decides the algorithm - never let the token header pick it
+        if (header.alg !== verificationKey.alg) {
+            return tokenError(TokenErrorCodes.UNSUPPORTED_ALGORITHM, 'Invalid token algorithm');
+        }
 
         // Verify signature
-        const expectedSignature = createSignature(`${encodedHeader}.${encodedPayload}`, secret);
-        if (signature !== expectedSignature) {
-            return { valid: false, error: 'Invalid signature' };
+        if (!checkSignature(`${encodedHeader}.${encodedPayload}`, signature, verificationKey)) {
+            return tokenError(TokenErrorCodes.INVALID_SIGNATURE, 'Invalid signature');
         }
 
         // Decode payload
         const payload = JSON.parse(base64UrlDecode(encodedPayload));
 
-        // Check expiration
-        const now = Math.floor(Date.now() / 1000);
-        if (payload.exp && payload.exp < now) {
-            return { valid: false, error: 'Token expired' };
+        const claimsError = validateClaims(payload);
+        if (claimsError) {
+            return claimsError;
         }
 
         return { valid: true, payload };
     } catch (error) {
-        return { valid: false, error: 'Invalid token' };
+        return tokenError(TokenErrorCodes.MALFORMED_TOKEN, 'Invalid token');
+    }
+}
+
+/**
+ * Get the key access tokens are currently signed with
+ * @returns {Object} - { kid, alg, key }
+ */
+function getAccessSigningKey() {
+    if (JWT_CONFIG.algorithm === 'HS256') {
+        return { kid: HMAC_KEY_IDS.access, alg: 'HS256', key: JWT_CONFIG.accessTokenSecret };
+    }
+
+    const signingKey = signingKeys.getActiveSigningKey();
+    if (!signingKey) {
+        throw new Error('Signing keys not initialized - call initializeSigningKeys() first');
+    }
+    return signingKey;
+}
+
+/**
+ * Resolve the verification key for an access token header
+ * @param {Object} header - Decoded JWT header
+ * @returns {Object|null} - { alg, key } or null
+ */
+function resolveAccessKey(header) {
+    if (JWT_CONFIG.algorithm === 'HS256') {
+        // Tokens issued before kid headers were added carry no kid
+        if (!header.kid || header.kid === HMAC_KEY_IDS.access) {
+            return { alg: 'HS256', key: JWT_CONFIG.accessTokenSecret };
+        }
+        return null;
+    }
+
+    return signingKeys.getVerificationKey(header.kid);
+}
+
+/**
+ * Resolve the verification key for a refresh token header
+ * @param {Object} header - Decoded JWT header
+ * @returns {Object|null} - { alg, key } or null
+ */
+function resolveRefreshKey(header) {
+    if (!header.kid || header.kid === HMAC_KEY_IDS.refresh) {
+        return { alg: 'HS256', key: JWT_CONFIG.refreshTokenSecret };
+    }
+    return null;
+}
+
+/**
+ * Resolve the verification key for an MFA challenge token header
+ * @param {Object} header - Decoded JWT header
+ * @returns {Object|null} - { alg, key } or null
+ */
+function resolveMfaKey(header) {
+    if (header.kid === HMAC_KEY_IDS.mfa) {
+        return { alg: 'HS256', key: JWT_CONFIG.accessTokenSecret };
     }
+    return null;
+}
+
+/**
+ * Load or generate the asymmetric signing key when an RS256/ES256 algorithm is configured
+ * Must complete before the first access token is issued
+ * @param {Object} options - Overrides passed to signingKeys.initializeSigningKeys
+ * @returns {Promise<Object|null>} - Active key info, or null for HS256
+ */
+async function initializeSigningKeys(options = {}) {
+    if (JWT_CONFIG.algorithm === 'HS256') {
+        return null;
+    }
+    return signingKeys.initializeSigningKeys({ algorithm: JWT_CONFIG.algorithm, ...options });
+}
+
+/**
+ * Replace the active signing key
+ * The previous key is dropped once every access token it signed has expired
+ * @returns {Promise<Object>} - New active key info { kid, alg }
+ */
+function rotateSigningKey() {
+    const maxTokenLifetimeMs = (JWT_CONFIG.accessTokenExpiry + JWT_CONFIG.clockSkewSeconds) * 1000;
+    return signingKeys.rotateSigningKey({ retireAfterMs: maxTokenLifetimeMs });
 }
 
 /**
  * Generate access token for a user
  * @param {Object} user - User object with id, email, etc.
+ * @param {Object} options - { embedAuthorization } overrides JWT_CONFIG.embedAuthorization
  * @returns {string} - Access token
  */
-function generateAccessToken(user) {
+function generateAccessToken(user, options = {}) {
     const payload = {
         userId: user.id,
         email: user.email,
-        type: 'access'
+        type: 'access',
+        jti: crypto.randomBytes(16).toString('hex'),
+        gen: denylist.getUserTokenGeneration(user.id)
     };
-    return generateToken(payload, JWT_CONFIG.accessTokenSecret, JWT_CONFIG.accessTokenExpiry);
+
+    const embedAuthorization = options.embedAuthorization ?? JWT_CONFIG.embedAuthorization;
+    if (embedAuthorization) {
+        payload.roles = rbacService.getUserRoles(user.id).map(({ role }) => role.name);
+        payload.perms = rbacService.getPermissionDigest(user.id);
+    }
+
+    return generateToken(payload, getAccessSigningKey(), JWT_CONFIG.accessTokenExpiry);
 }
 
 /**
  * Generate refresh token for a user
+ * Every token belongs to a family - the chain of tokens produced by rotating one login
  * @param {Object} user - User object with id, email, etc.
+ * @param {Object} options - { familyId, parentId } when rotating an existing token
  * @returns {string} - Refresh token
  */
-function generateRefreshToken(user) {
+function generateRefreshToken(user, options = {}) {
+    const tokenId = crypto.randomBytes(16).toString('hex');
     const payload = {
         userId: user.id,
         email: user.email,
         type: 'refresh',
-        tokenId: crypto.randomBytes(16).toString('hex')
+        tokenId,
+        familyId: options.familyId || tokenId
     };
-    const token = generateToken(payload, JWT_CONFIG.refreshTokenSecret, JWT_CONFIG.refreshTokenExpiry);
+    const token = generateToken(payload, {
+        kid: HMAC_KEY_IDS.refresh,
+        alg: 'HS256',
+        key: JWT_CONFIG.refreshTokenSecret
+    }, JWT_CONFIG.refreshTokenExpiry);
 
     // Store refresh token
-    refreshTokenStore.set(payload.tokenId, {
+    refreshTokenStore.set(tokenId, {
         userId: user.id,
+        familyId: payload.familyId,
+        parentId: options.parentId || null,
         createdAt: Date.now(),
-        expiresAt: Date.now() + (JWT_CONFIG.refreshTokenExpiry * 1000)
+        expiresAt: Date.now() + (JWT_CONFIG.refreshTokenExpiry * 1000),
+        rotatedAt: null
     });
 
     return token;
 }
 
+/**
+ * Revoke every refresh token in a family
+ * @param {string} familyId - Token family ID
+ */
+function revokeTokenFamily(familyId) {
+    refreshTokenStore.deleteByFamily(familyId);
+}
+
+/**
+ * Handle an already-rotated refresh token being presented again
+ * Either the legitimate client or an attacker holds a stolen copy - we can't tell which,
+ * so the whole family is revoked and both have to log in again
+ * @param {Object} payload - Decoded refresh token payload
+ */
+function handleRefreshTokenReuse(payload) {
+    revokeTokenFamily(payload.familyId);
+
+    console.warn(`[AUTH] Refresh token reuse detected for user ${payload.userId}, family ${payload.familyId} revoked`);
+
+    eventBus.publish({
+        type: 'security.refresh_token_reuse',
+        payload: {
+            userId: payload.userId,
+            familyId: payload.familyId,
+            tokenId: payload.tokenId
+        },
+        source: 'auth.jwt',
+        userId: payload.userId
+    }).catch(error => {
+        console.error('[AUTH] Failed to publish token reuse event:', error);
+    });
+}
+
 /**
  * Verify access token
  * @param {string} token - Access token
  * @returns {Object} - Verification result
  */
 function verifyAccessToken(token) {
-    const result = verifyToken(token, JWT_CONFIG.accessTokenSecret);
+    const result = verifyToken(token, resolveAccessKey);
     if (result.valid && result.payload.type !== 'access') {
-        return { valid: false, error: 'Invalid token type' };
+        return tokenError(TokenErrorCodes.INVALID_TOKEN_TYPE, 'Invalid token type');
+    }
+    if (result.valid && denylist.isAccessTokenRevoked(result.payload)) {
+        return tokenError(TokenErrorCodes.TOKEN_REVOKED, 'Token revoked');
     }
     return result;
 }
@@ -174,20 +459,28 @@ function verifyAccessToken(token) {
  * @returns {Object} - Verification result
  */
 function verifyRefreshToken(token) {
-    const result = verifyToken(token, JWT_CONFIG.refreshTokenSecret);
+    const result = verifyToken(token, resolveRefreshKey);
 
     if (!result.valid) {
         return result;
     }
 
     if (result.payload.type !== 'refresh') {
-        return { valid: false, error: 'Invalid token type' };
+        return tokenError(TokenErrorCodes.INVALID_TOKEN_TYPE, 'Invalid token type');
     }
 
     // Check if token exists in store (hasn't been revoked)
     const storedToken = refreshTokenStore.get(result.payload.tokenId);
     if (!storedToken) {
-        return { valid: false, error: 'Token has been revoked' };
+        return tokenError(TokenErrorCodes.TOKEN_REVOKED, 'Token has been revoked');
+    }
+
+    if (storedToken.rotatedAt) {
+        handleRefreshTokenReuse({ ...result.payload, familyId: storedToken.familyId });
+        return {
+            ...tokenError(TokenErrorCodes.TOKEN_REUSED, 'Refresh token reuse detected'),
+            reuseDetected: true
+        };
     }
 
     return result;
@@ -202,35 +495,49 @@ function refreshTokens(refreshToken) {
     const verification = verifyRefreshToken(refreshToken);
 
     if (!verification.valid) {
-        return { success: false, error: verification.error };
+        return { success: false, code: verification.code, error: verification.error };
     }
 
-    // Revoke old refresh token
-    refreshTokenStore.delete(verification.payload.tokenId);
+    const { tokenId } = verification.payload;
+    const storedToken = refreshTokenStore.get(tokenId);
 
     // Generate new tokens
     const user = {
         id: verification.payload.userId,
         email: verification.payload.email
     };
+    const newRefreshToken = generateRefreshToken(user, {
+        familyId: storedToken.familyId,
+        parentId: tokenId
+    });
+
+    // Keep the old token as rotated (rather than deleting it) so a replay can be detected
+    storedToken.rotatedAt = Date.now();
+    refreshTokenStore.set(tokenId, storedToken);
 
     return {
         success: true,
         accessToken: generateAccessToken(user),
-        refreshToken: generateRefreshToken(user)
+        refreshToken: newRefreshToken
     };
 }
 
 /**
- * Revoke a refresh token
+ * Revoke a refresh token along with the rest of its family (i.e. end that session)
  * @param {string} token - Refresh token to revoke
  * @returns {boolean} - Success status
  */
 function revokeRefreshToken(token) {
     try {
-        const result = verifyToken(token, JWT_CONFIG.refreshTokenSecret);
+        const result = verifyToken(token, resolveRefreshKey);
         if (result.valid && result.payload.tokenId) {
-            refreshTokenStore.delete(result.payload.tokenId);
+            const storedToken = refreshTokenStore.get(result.payload.tokenId);
+            const familyId = storedToken?.familyId || result.payload.familyId;
+            if (familyId) {
+                revokeTokenFamily(familyId);
+            } else {
+                refreshTokenStore.delete(result.payload.tokenId);
+            }
             return true;
         }
         return false;
@@ -240,14 +547,63 @@ function revokeRefreshToken(token) {
 }
 
 /**
- * Revoke all refresh tokens for a user
+ * Revoke an access token before it expires
+ * @param {Object} payload - Verified access token payload
+ */
+function revokeAccessToken(payload) {
+    // validateClaims() accepts tokens until exp + clock skew, so the entry must outlive that
+    denylist.revokeAccessToken(payload.jti, payload.exp + JWT_CONFIG.clockSkewSeconds);
+}
+
+/**
+ * Revoke all refresh tokens for a user, and every access token issued to them so far
  * @param {string} userId - User ID
  */
 function revokeAllUserTokens(userId) {
-    for (const [tokenId, data] of refreshTokenStore.entries()) {
-        if (data.userId === userId) {
-            refreshTokenStore.delete(tokenId);
+    refreshTokenStore.deleteByUser(userId);
+    denylist.revokeUserAccessTokens(userId, JWT_CONFIG.accessTokenExpiry + JWT_CONFIG.clockSkewSeconds);
+}
+
+/**
+ * Replace the refresh token store (e.g. with a SQLite store, or a fresh one in tests)
+ * @param {Object} store - RefreshTokenStore implementation
+ */
+function setRefreshTokenStore(store) {
+    refreshTokenStore = store;
+}
+
+/**
+ * Start periodically removing expired refresh tokens from the store
+ * @param {number} intervalMs - Sweep interval
+ * @returns {Function} - Stops the sweeper
+ */
+function startRefreshTokenSweeper(intervalMs = REFRESH_TOKEN_STORE_CONFIG.sweepIntervalMs) {
+    stopRefreshTokenSweeper();
+
+    sweepTimer = setInterval(() => {
+        try {
+            const removed = refreshTokenStore.sweep(Date.now());
+            if (removed > 0) {
+                console.log(`[AUTH] Swept ${removed} expired refresh tokens`);
+            }
+        } catch (error) {
+            console.error('[AUTH] Refresh token sweep failed:', error);
         }
+    }, intervalMs);
+
+    // Don't keep the process alive just for the sweeper
+    sweepTimer.unref();
+
+    return stopRefreshTokenSweeper;
+}
+
+/**
+ * Stop the expired refresh token sweeper
+ */
+function stopRefreshTokenSweeper() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
     }
 }
 
@@ -264,6 +620,49 @@ function generateTokenPair(user) {
     };
 }
 
+/**
+ * Generate a short-lived token proving the first login factor was passed
+ * @param {Object} user - User object
+ * @param {string} purpose - 'login' (verify a code) or 'enroll' (set up a required factor)
+ * @returns {string} - MFA challenge token
+ */
+function generateMfaChallengeToken(user, purpose = 'login') {
+    const payload = {
+        userId: user.id,
+        email: user.email,
+        type: 'mfa_challenge',
+        purpose,
+        jti: crypto.randomBytes(16).toString('hex'),
+        gen: denylist.getUserTokenGeneration(user.id)
+    };
+    return generateToken(payload, {
+        kid: HMAC_KEY_IDS.mfa,
+        alg: 'HS256',
+        key: JWT_CONFIG.accessTokenSecret
+    }, JWT_CONFIG.mfaChallengeExpiry);
+}
+
+/**
+ * Verify an MFA challenge token
+ * @param {string} token - MFA challenge token
+ * @param {string} purpose - Expected purpose
+ * @returns {Object} - Verification result
+ */
+function verifyMfaChallengeToken(token, purpose = 'login') {
+    const result = verifyToken(token, resolveMfaKey);
+    if (!result.valid) {
+        return result;
+    }
+    if (result.payload.type !== 'mfa_challenge' || result.payload.purpose !== purpose) {
+        return tokenError(TokenErrorCodes.INVALID_TOKEN_TYPE, 'Invalid token type');
+    }
+    // Challenges are single-use: consumed ones go on the access token denylist
+    if (denylist.isAccessTokenRevoked(result.payload)) {
+        return tokenError(TokenErrorCodes.TOKEN_REVOKED, 'Token revoked');
+    }
+    return result;
+}
+
 module.exports = {
     generateAccessToken,
     generateRefreshToken,
@@ -272,6 +671,18 @@ module.exports = {
     verifyRefreshToken,
     refreshTokens,
     revokeRefreshToken,
+    revokeAccessToken,
     revokeAllUserTokens,
+    generateMfaChallengeToken,
+    verifyMfaChallengeToken,
+    revokeTokenFamily,
+    setRefreshTokenStore,
+    startRefreshTokenSweeper,
+    stopRefreshTokenSweeper,
+    startDenylistSweeper: denylist.startDenylistSweeper,
+    initializeSigningKeys,
+    getJwks: signingKeys.getJwks,
+    TokenErrorCodes,
+    rotateSigningKey,
     JWT_CONFIG
 };
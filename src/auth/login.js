@@ -1,5 +1,25 @@
 // User authentication logic
 const bcrypt = require('bcrypt');
+const {
+    generateTokenPair,
+    generateMfaChallengeToken,
+    verifyMfaChallengeToken,
+    revokeAccessToken,
+    JWT_CONFIG
+} = require('./jwt');
+const { getUserRepository, toPublicUser, UserStatus } = require('../data/userRepository');
+const { rbacService } = require('./RBACService');
+const { isMfaEnabled, isMfaRequired, verifySecondFactor, recordChallengeFailure } = require('./mfa');
+const {
+    reserveLoginAttempt,
+    confirmFailedLogin,
+    releaseLoginAttempt,
+    recordSuccessfulLogin
+} = require('./accountLockout');
+
+// Compared against when the user doesn't exist so response timing doesn't reveal it
+const DUMMY_PASSWORD_HASH = '$2b$10$tZ8SwA98PUNGrrh2WKmPnOPYA2coQAIjxDnAup/KK9tXt4h4MfbPW';
+const BCRYPT_ROUNDS = 10;
 
 /**
  * Sanitizes user input by trimming whitespace and handling null/undefined values
@@ -13,13 +33,38 @@ function sanitizeInput(input) {
     return String(input).trim();
 }
 
+/**
+ * Hashes a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - bcrypt hash
+ */
+function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Make sure the user's stored role is assigned in the RBAC service
+ * @param {Object} user - User record
+ */
+function syncUserRole(user) {
+    if (!user.role || !rbacService.getRole(user.role)) {
+        return;
+    }
+
+    const assigned = rbacService.getUserRoles(user.id).some(({ role }) => role.name === user.role);
+    if (!assigned) {
+        rbacService.assignRole(user.id, user.role, { assignedBy: 'user-repository' });
+    }
+}
+
 /**
  * Authenticates a user with the provided credentials
  * @param {string} email - User's email address
  * @param {string} password - User's password
- * @returns {Object} - Authentication result with success status and message
+ * @param {Object} options - Optional { userRepository } override and request { ip }
+ * @returns {Promise<Object>} - Authentication result with success status, message and tokens
  */
-function authenticateUser(email, password) {
+async function authenticateUser(email, password, options = {}) {
     // Sanitize inputs - trim whitespace and handle null/undefined
     const sanitizedEmail = sanitizeInput(email);
     const sanitizedPassword = sanitizeInput(password);
@@ -28,6 +73,7 @@ function authenticateUser(email, password) {
     if (!sanitizedEmail) {
         return {
             success: false,
+            code: 'MISSING_EMAIL',
             message: "Email is required"
         };
     }
@@ -35,17 +81,195 @@ function authenticateUser(email, password) {
     if (!sanitizedPassword) {
         return {
             success: false,
+            code: 'MISSING_PASSWORD',
             message: "Password is required"
         };
     }
 
     console.log(`Login attempt for user: ${sanitizedEmail} at ${new Date().toISOString()}`);
 
-    // TODO: Implement actual authentication logic with database lookup
+    const userRepository = options.userRepository || getUserRepository();
+    const user = await userRepository.findByEmail(sanitizedEmail);
+
+    // Per-account throttling is checked before the password so locked accounts can't be probed.
+    // The attempt is counted as failed before the async compare so parallel guesses can't all
+    // slip past the check; a correct password releases it again below, a wrong one confirms it.
+    const lockout = reserveLoginAttempt(sanitizedEmail, { user, ip: options.ip });
+    if (!lockout.allowed) {
+        return lockoutFailure(lockout);
+    }
+
+    // Always run a bcrypt comparison so unknown emails take as long as wrong passwords
+    const passwordMatches = await bcrypt.compare(
+        sanitizedPassword,
+        user?.passwordHash || DUMMY_PASSWORD_HASH
+    );
+
+    if (!user || !user.passwordHash || !passwordMatches) {
+        confirmFailedLogin(sanitizedEmail, { user, ip: options.ip });
+        return {
+            success: false,
+            code: 'INVALID_CREDENTIALS',
+            message: "Invalid email or password"
+        };
+    }
+
+    releaseLoginAttempt(sanitizedEmail);
+
+    // Account status is only revealed once the password has been verified
+    if (user.status === UserStatus.SUSPENDED) {
+        return {
+            success: false,
+            code: 'ACCOUNT_SUSPENDED',
+            message: "Account is suspended"
+        };
+    }
+
+    if (user.status !== UserStatus.ACTIVE) {
+        return {
+            success: false,
+            code: 'ACCOUNT_INACTIVE',
+            message: "Account is inactive"
+        };
+    }
+
+    // Earlier failures are only forgiven once the login is complete - clearing them on the
+    // password alone would give a fresh set of guesses at the second factor every time
+    const session = await beginSession(user, { userRepository });
+    if (session.success) {
+        recordSuccessfulLogin(sanitizedEmail);
+    }
+    return session;
+}
+
+/**
+ * Build the failed result for an attempt refused by the account lockout
+ * @param {Object} lockout - reserveLoginAttempt() result
+ * @returns {Object} - { success: false, code, message, retryAfter }
+ */
+function lockoutFailure(lockout) {
     return {
         success: false,
-        message: "Authentication occurred"
+        code: lockout.code,
+        message: lockout.code === 'ACCOUNT_LOCKED'
+            ? "Account is temporarily locked due to too many failed login attempts"
+            : "Too many failed login attempts. Please wait before trying again",
+        retryAfter: lockout.retryAfter
     };
 }
 
-module.exports = { authenticateUser, sanitizeInput };
+/**
+ * Start a session for a user whose primary credential has been verified
+ * Returns an MFA challenge instead of tokens when a second factor is still needed
+ * @param {Object} user - User record
+ * @param {Object} options - { userRepository, secondFactorVerified }
+ * @returns {Promise<Object>} - Authentication result, or { mfaRequired: true, mfaToken, ... }
+ */
+async function beginSession(user, options = {}) {
+    const { userRepository = getUserRepository(), secondFactorVerified = false } = options;
+
+    // Role assignment has to happen first so role-mandated MFA is detected
+    syncUserRole(user);
+
+    if (!secondFactorVerified && isMfaRequired(user)) {
+        const enrolled = isMfaEnabled(user);
+        return {
+            success: false,
+            mfaRequired: true,
+            enrollmentRequired: !enrolled,
+            code: enrolled ? 'MFA_REQUIRED' : 'MFA_ENROLLMENT_REQUIRED',
+            message: enrolled
+                ? "Two-factor authentication code required"
+                : "Two-factor authentication must be set up before logging in",
+            mfaToken: generateMfaChallengeToken(user, enrolled ? 'login' : 'enroll'),
+            expiresIn: JWT_CONFIG.mfaChallengeExpiry
+        };
+    }
+
+    return completeLogin(user, userRepository);
+}
+
+/**
+ * Record the login and issue a token pair for a fully authenticated user
+ * @param {Object} user - User record
+ * @param {Object} userRepository - Repository to record the login in
+ * @returns {Promise<Object>} - Successful authentication result
+ */
+async function completeLogin(user, userRepository = getUserRepository()) {
+    await userRepository.update(user.id, { lastLoginAt: new Date().toISOString() });
+    syncUserRole(user);
+
+    return {
+        success: true,
+        message: "Authentication successful",
+        user: toPublicUser(user),
+        ...generateTokenPair(user)
+    };
+}
+
+/**
+ * Finish a login that was paused for a second factor
+ * @param {string} mfaToken - Challenge token returned by authenticateUser
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @param {Object} options - { ip } for lockout notifications
+ * @returns {Promise<Object>} - Authentication result with tokens, or failure with code
+ */
+async function completeMfaLogin(mfaToken, factor = {}, options = {}) {
+    if (!mfaToken) {
+        return { success: false, code: 'MISSING_MFA_TOKEN', message: "MFA token is required" };
+    }
+    if (!factor.code && !factor.recoveryCode) {
+        return { success: false, code: 'MISSING_MFA_CODE', message: "Verification code is required" };
+    }
+
+    const challenge = verifyMfaChallengeToken(mfaToken, 'login');
+    if (!challenge.valid) {
+        return { success: false, code: 'INVALID_MFA_TOKEN', message: "MFA challenge is invalid or expired" };
+    }
+
+    const userRepository = getUserRepository();
+    const user = await userRepository.findById(challenge.payload.userId);
+    if (!user || user.status !== UserStatus.ACTIVE) {
+        revokeAccessToken(challenge.payload);
+        return { success: false, code: 'INVALID_MFA_TOKEN', message: "MFA challenge is invalid or expired" };
+    }
+
+    // Wrong codes count towards the same per-account lockout as wrong passwords, otherwise
+    // logging in again for a fresh challenge would allow unlimited guesses
+    const lockout = reserveLoginAttempt(user.email, { user, ip: options.ip });
+    if (!lockout.allowed) {
+        if (lockout.code === 'ACCOUNT_LOCKED') {
+            revokeAccessToken(challenge.payload);
+        }
+        return lockoutFailure(lockout);
+    }
+
+    const verification = await verifySecondFactor(user, factor);
+    if (!verification.success) {
+        confirmFailedLogin(user.email, { user, ip: options.ip });
+
+        // Too many wrong codes burns the challenge; the user has to log in again
+        if (recordChallengeFailure(challenge.payload)) {
+            revokeAccessToken(challenge.payload);
+        }
+        return verification;
+    }
+
+    recordSuccessfulLogin(user.email);
+
+    // Challenges are single-use
+    revokeAccessToken(challenge.payload);
+
+    const result = await completeLogin(user, userRepository);
+    return { ...result, remainingRecoveryCodes: verification.remainingRecoveryCodes };
+}
+
+module.exports = {
+    authenticateUser,
+    beginSession,
+    completeLogin,
+    completeMfaLogin,
+    hashPassword,
+    sanitizeInput,
+    syncUserRole
+};
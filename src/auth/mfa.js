@@ -0,0 +1,272 @@
+// Multi-factor authentication - TOTP enrollment, verification and recovery codes
+// MFA state lives on the user record:
+// mfa: { totp: { secret, enabledAt, lastUsedCounter }, recoveryCodes: [sha256...], pendingTotpSecret }
+const { Hashing, SecureRandom } = require('../services/EncryptionService');
+const { getUserRepository } = require('../data/userRepository');
+const { generateSecret, verifyTotp, buildProvisioningUri } = require('./totp');
+const { rbacService } = require('./RBACService');
+
+// Configuration
+const MFA_CONFIG = {
+    issuer: process.env.MFA_ISSUER || 'JIRA Performance Test',
+    recoveryCodeCount: 10,
+    maxChallengeAttempts: 5
+};
+
+// Failed code attempts per challenge token: jti -> { count, exp }
+const challengeFailures = new Map();
+
+/**
+ * Normalize and hash a recovery code for storage/comparison
+ * @param {string} code - Recovery code as typed by the user
+ * @returns {string} - Hex hash
+ */
+function hashRecoveryCode(code) {
+    return Hashing.hash(String(code).toLowerCase().replace(/[\s-]/g, ''));
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes: plain codes for the user, hashes: values to store }
+ */
+function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < MFA_CONFIG.recoveryCodeCount; i++) {
+        // 80 bits each, so the unsalted hashes can't be brute-forced back to codes
+        const raw = SecureRandom.hex(10);
+        codes.push(raw.match(/.{5}/g).join('-'));
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Whether the user has a second factor enrolled
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+function isMfaEnabled(user) {
+    return Boolean(user?.mfa?.totp);
+}
+
+/**
+ * Whether the user must pass a second factor to log in
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+function isMfaRequired(user) {
+    return isMfaEnabled(user) || rbacService.userRequiresMfa(user.id);
+}
+
+/**
+ * Begin TOTP enrollment by generating a secret the user adds to their authenticator app
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { success, secret, otpauthUri } or { success: false, code, message }
+ */
+async function startTotpEnrollment(userId) {
+    const userRepository = getUserRepository();
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+        return { success: false, code: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+    if (isMfaEnabled(user)) {
+        return { success: false, code: 'MFA_ALREADY_ENABLED', message: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = generateSecret();
+    await userRepository.update(userId, {
+        mfa: { ...user.mfa, pendingTotpSecret: secret }
+    });
+
+    return {
+        success: true,
+        secret,
+        otpauthUri: buildProvisioningUri({ secret, accountName: user.email, issuer: MFA_CONFIG.issuer })
+    };
+}
+
+/**
+ * Finish TOTP enrollment once the user proves their app generates valid codes
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Object>} - { success, recoveryCodes } or { success: false, code, message }
+ */
+async function confirmTotpEnrollment(userId, code) {
+    const userRepository = getUserRepository();
+    const user = await userRepository.findById(userId);
+    const secret = user?.mfa?.pendingTotpSecret;
+
+    if (!secret) {
+        return { success: false, code: 'MFA_SETUP_NOT_STARTED', message: 'Two-factor setup has not been started' };
+    }
+
+    const verification = verifyTotp(secret, code);
+    if (!verification.valid) {
+        return { success: false, code: 'INVALID_MFA_CODE', message: 'Invalid verification code' };
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await userRepository.update(userId, {
+        mfa: {
+            totp: {
+                secret,
+                enabledAt: new Date().toISOString(),
+                lastUsedCounter: verification.counter
+            },
+            recoveryCodes: hashes
+        }
+    });
+
+    return { success: true, recoveryCodes: codes };
+}
+
+/**
+ * Check a TOTP code or recovery code for a user, recording its use
+ * @param {Object} user - User record
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} - { success, usedRecoveryCode, remainingRecoveryCodes } or failure
+ */
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+    // Checked and consumed in one atomic repository write against the stored record, so two
+    // requests racing with the same code (or a stale user object) can't both succeed
+    let result = null;
+    await getUserRepository().modify(user.id, current => {
+        result = checkSecondFactor(current, { code, recoveryCode });
+        return result.changes || null;
+    });
+
+    if (!result) {
+        return { success: false, code: 'MFA_NOT_ENABLED', message: 'Two-factor authentication is not enabled' };
+    }
+
+    const { changes, ...outcome } = result;
+    return outcome;
+}
+
+/**
+ * Check a second factor against the current user record
+ * @param {Object} user - Current user record
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Object} - verifySecondFactor() result, plus the `changes` that consume the factor
+ */
+function checkSecondFactor(user, { code, recoveryCode }) {
+    if (!isMfaEnabled(user)) {
+        return { success: false, code: 'MFA_NOT_ENABLED', message: 'Two-factor authentication is not enabled' };
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const remaining = (user.mfa.recoveryCodes || []).filter(stored => stored !== hash);
+
+        if (remaining.length === (user.mfa.recoveryCodes || []).length) {
+            return { success: false, code: 'INVALID_MFA_CODE', message: 'Invalid recovery code' };
+        }
+
+        // Each recovery code works once
+        return {
+            success: true,
+            usedRecoveryCode: true,
+            remainingRecoveryCodes: remaining.length,
+            changes: { mfa: { ...user.mfa, recoveryCodes: remaining } }
+        };
+    }
+
+    const verification = verifyTotp(user.mfa.totp.secret, code, {
+        lastUsedCounter: user.mfa.totp.lastUsedCounter
+    });
+    if (!verification.valid) {
+        return { success: false, code: 'INVALID_MFA_CODE', message: 'Invalid verification code' };
+    }
+
+    return {
+        success: true,
+        usedRecoveryCode: false,
+        remainingRecoveryCodes: (user.mfa.recoveryCodes || []).length,
+        changes: { mfa: { ...user.mfa, totp: { ...user.mfa.totp, lastUsedCounter: verification.counter } } }
+    };
+}
+
+/**
+ * Turn off TOTP for a user (not allowed when one of their roles requires MFA)
+ * @param {string} userId - User ID
+ * @param {Object} factor - { code } or { recoveryCode } proving possession
+ * @returns {Promise<Object>} - { success } or failure
+ */
+async function disableTotp(userId, factor) {
+    const userRepository = getUserRepository();
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+        return { success: false, code: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+    if (rbacService.userRequiresMfa(userId)) {
+        return { success: false, code: 'MFA_REQUIRED_BY_ROLE', message: 'Your role requires two-factor authentication' };
+    }
+
+    const verification = await verifySecondFactor(user, factor);
+    if (!verification.success) {
+        return verification;
+    }
+
+    await userRepository.update(userId, { mfa: null });
+    return { success: true };
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {string} userId - User ID
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<Object>} - { success, recoveryCodes } or failure
+ */
+async function regenerateRecoveryCodes(userId, code) {
+    const userRepository = getUserRepository();
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+        return { success: false, code: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+
+    const verification = await verifySecondFactor(user, { code });
+    if (!verification.success) {
+        return verification;
+    }
+
+    // Re-read so the lastUsedCounter written by verifySecondFactor isn't lost
+    const current = await userRepository.findById(userId);
+    const { codes, hashes } = generateRecoveryCodes();
+    await userRepository.update(userId, { mfa: { ...current.mfa, recoveryCodes: hashes } });
+
+    return { success: true, recoveryCodes: codes };
+}
+
+/**
+ * Count a failed code attempt against a challenge token
+ * @param {Object} payload - Challenge token payload
+ * @returns {boolean} - True once the challenge has used up its attempts
+ */
+function recordChallengeFailure(payload) {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [jti, entry] of challengeFailures.entries()) {
+        if (entry.exp < now) {
+            challengeFailures.delete(jti);
+        }
+    }
+
+    const entry = challengeFailures.get(payload.jti) || { count: 0, exp: payload.exp };
+    entry.count += 1;
+    challengeFailures.set(payload.jti, entry);
+
+    return entry.count >= MFA_CONFIG.maxChallengeAttempts;
+}
+
+module.exports = {
+    isMfaEnabled,
+    isMfaRequired,
+    startTotpEnrollment,
+    confirmTotpEnrollment,
+    verifySecondFactor,
+    disableTotp,
+    regenerateRecoveryCodes,
+    recordChallengeFailure,
+    MFA_CONFIG
+};
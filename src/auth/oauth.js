@@ -1,104 +1,337 @@
 // OAuth2 Authentication Strategies
+const crypto = require('crypto');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const GitHubStrategy = require('passport-github2').Strategy;
 const { generateTokenPair } = require('./jwt');
+const { beginSession } = require('./login');
+const { getUserRepository, UserStatus } = require('../data/userRepository');
+const { OAuthStateStore, generateNonce, verifyIdTokenClaims } = require('./oauthState');
+const { discoverIssuer, loadOidcProfile, createOidcStrategy, addNonceParam, DEFAULT_CLAIM_MAPPING } = require('./oidc');
 
 // In-memory user store (use database in production)
+// userId -> user
 const oauthUsers = new Map();
+// `${provider}_${providerUserId}` -> userId
+const providerLinks = new Map();
 
 // OAuth Configuration
 const OAUTH_CONFIG = {
     google: {
         clientID: process.env.GOOGLE_CLIENT_ID || 'your-google-client-id',
         clientSecret: process.env.GOOGLE_CLIENT_SECRET || 'your-google-client-secret',
-        callbackURL: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/api/auth/google/callback'
+        callbackURL: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/api/auth/google/callback',
+        // Provider endpoints - overridable to point at a local stub
+        authorizationURL: process.env.GOOGLE_AUTH_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenURL: process.env.GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+        userProfileURL: process.env.GOOGLE_USERINFO_URL || 'https://www.googleapis.com/oauth2/v3/userinfo',
+        pkce: true,
+        // OpenID Connect provider: an ID token comes back and is checked against a nonce
+        openid: true,
+        issuers: ['https://accounts.google.com', 'accounts.google.com']
     },
     github: {
         clientID: process.env.GITHUB_CLIENT_ID || 'your-github-client-id',
         clientSecret: process.env.GITHUB_CLIENT_SECRET || 'your-github-client-secret',
-        callbackURL: process.env.GITHUB_CALLBACK_URL || 'http://localhost:3000/api/auth/github/callback'
+        callbackURL: process.env.GITHUB_CALLBACK_URL || 'http://localhost:3000/api/auth/github/callback',
+        authorizationURL: process.env.GITHUB_AUTH_URL || 'https://github.com/login/oauth/authorize',
+        tokenURL: process.env.GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+        userProfileURL: process.env.GITHUB_USER_URL || 'https://api.github.com/user',
+        userEmailURL: process.env.GITHUB_EMAILS_URL || 'https://api.github.com/user/emails',
+        pkce: true,
+        openid: false
     }
 };
 
+// Base URL for provider callbacks (<base>/api/auth/<provider>/callback)
+const OAUTH_CALLBACK_BASE_URL = process.env.OAUTH_CALLBACK_BASE_URL || 'http://localhost:3000';
+
+// Paths under /api/auth that a provider name would collide with
+const RESERVED_PROVIDER_NAMES = [
+    'login', 'logout', 'logout-all', 'me', 'refresh', 'verify', 'unlock',
+    'forgot-password', 'reset-password', 'mfa', 'webauthn', 'oauth'
+];
+
+// Provider registry: name -> { name, displayName, type, icon, scope, ... }
+// Google and GitHub are built in; OpenID Connect providers are added from OIDC_PROVIDERS
+const oauthProviders = new Map();
+
+// name -> Promise for OIDC strategies being set up (discovery runs on first use)
+const oidcStrategies = new Map();
+
+/**
+ * Pick the email to identify a profile by - the primary address when the provider marks one
+ * @param {Object} profile - OAuth profile data
+ * @returns {Object} - { email, verified }
+ */
+function getProfileEmail(profile) {
+    const emails = profile.emails || [];
+    const entry = emails.find(e => e.primary) || emails[0];
+
+    if (!entry) {
+        return { email: profile.email || null, verified: false };
+    }
+    return { email: entry.value, verified: entry.verified === true || entry.verified === 'true' };
+}
+
+/**
+ * Find the account an email belongs to
+ * Accounts in the user repository (password accounts) come first, so an OAuth login
+ * doesn't create a second account next to them; then accounts created by OAuth logins
+ * @param {string} email - Email address
+ * @param {Object} userRepository - Repository to search
+ * @returns {Promise<Object|null>} - OAuth user record, or null
+ */
+async function findOAuthUserByEmail(email, userRepository = getUserRepository()) {
+    const account = await userRepository.findByEmail(email);
+    if (account) {
+        return ensureOAuthAccount(account);
+    }
+
+    const normalized = email.toLowerCase();
+    for (const user of oauthUsers.values()) {
+        if (user.email && user.email.toLowerCase() === normalized) {
+            return user;
+        }
+    }
+    return null;
+}
+
+function addProviderLink(user, provider, providerUserId) {
+    user.providers = user.providers || [];
+    user.providers.push({
+        name: provider,
+        id: providerUserId,
+        linkedAt: new Date().toISOString()
+    });
+    providerLinks.set(`${provider}_${providerUserId}`, user.id);
+}
+
 /**
  * Find or create user from OAuth profile
- * @param {string} provider - OAuth provider (google, github)
+ * A profile whose email matches an existing account is only linked to it automatically
+ * when the provider has verified the address; otherwise whoever controls an unverified
+ * address at some provider could sign in as the account owner. Accounts created by an
+ * OAuth login must have had their address verified too. Those logins fail with
+ * OAUTH_LINK_REQUIRED and go through the explicit link flow.
+ * @param {string} provider - OAuth provider name
  * @param {Object} profile - OAuth profile data
- * @returns {Object} - User object
+ * @param {Object} options - { userRepository }
+ * @returns {Promise<Object>} - { success, user, code, message }
  */
-function findOrCreateOAuthUser(provider, profile) {
-    const providerId = `${provider}_${profile.id}`;
-    const email = profile.emails?.[0]?.value || profile.email || null;
+async function findOrCreateOAuthUser(provider, profile, options = {}) {
+    const providerKey = `${provider}_${profile.id}`;
+    const { email, verified } = getProfileEmail(profile);
 
     // Check if user exists by provider ID
-    let user = oauthUsers.get(providerId);
+    let user = oauthUsers.get(providerLinks.get(providerKey));
 
     if (user) {
         // Update user's last login
         user.lastLogin = new Date().toISOString();
-        return user;
+        return { success: true, user };
     }
 
     // Check if user exists by email (for account linking)
     if (email) {
-        for (const [key, existingUser] of oauthUsers.entries()) {
-            if (existingUser.email === email) {
-                // Link this OAuth provider to existing account
-                existingUser.providers = existingUser.providers || [];
-                existingUser.providers.push({
-                    name: provider,
-                    id: profile.id,
-                    linkedAt: new Date().toISOString()
-                });
-                oauthUsers.set(providerId, existingUser);
-                return existingUser;
+        const existingUser = await findOAuthUserByEmail(email, options.userRepository);
+        if (existingUser) {
+            if (!verified || (!existingUser.emailVerified && !existingUser.passwordLogin)) {
+                return {
+                    success: false,
+                    code: 'OAUTH_LINK_REQUIRED',
+                    message: `An account with this email already exists. Sign in and link ${provider} from your account settings.`
+                };
             }
+
+            // Link this OAuth provider to existing account
+            addProviderLink(existingUser, provider, profile.id);
+            existingUser.lastLogin = new Date().toISOString();
+            return { success: true, user: existingUser };
         }
     }
 
-    // Create new user
+    // Create new user - the provider key is the id unless an unlinked account already has it
     user = {
-        id: providerId,
+        id: oauthUsers.has(providerKey) ? `${providerKey}_${crypto.randomBytes(4).toString('hex')}` : providerKey,
         email: email,
+        emailVerified: Boolean(email) && verified,
         name: profile.displayName || profile.username || 'Unknown',
         avatar: profile.photos?.[0]?.value || null,
-        providers: [{
-            name: provider,
-            id: profile.id,
-            linkedAt: new Date().toISOString()
-        }],
+        providers: [],
         createdAt: new Date().toISOString(),
         lastLogin: new Date().toISOString()
     };
 
-    oauthUsers.set(providerId, user);
+    oauthUsers.set(user.id, user);
+    addProviderLink(user, provider, profile.id);
+    return { success: true, user };
+}
+
+/**
+ * Make sure an account can have providers linked to it
+ * Accounts created by OAuth logins already can; password accounts get a record here
+ * @param {Object} account - { id, email, name } of the signed-in user
+ * @returns {Object} - User object
+ */
+function ensureOAuthAccount(account) {
+    let user = oauthUsers.get(account.id);
+
+    if (!user) {
+        user = {
+            id: account.id,
+            email: account.email || null,
+            // No provider has proven the address; auto-linking relies on the provider's check
+            emailVerified: false,
+            name: account.name || 'Unknown',
+            avatar: null,
+            providers: [],
+            // The account still has its password when every provider is unlinked
+            passwordLogin: true,
+            createdAt: new Date().toISOString(),
+            lastLogin: null
+        };
+        oauthUsers.set(user.id, user);
+    }
+
     return user;
 }
 
 /**
- * Configure Google OAuth Strategy
+ * Link a provider to a signed-in user's account (explicit link flow)
+ * @param {string} userId - Account to link to
+ * @param {string} provider - OAuth provider name
+ * @param {Object} profile - OAuth profile data
+ * @returns {Object} - { success, user, code, message }
  */
-function configureGoogleStrategy() {
-    passport.use(new GoogleStrategy({
-        clientID: OAUTH_CONFIG.google.clientID,
-        clientSecret: OAUTH_CONFIG.google.clientSecret,
-        callbackURL: OAUTH_CONFIG.google.callbackURL,
-        scope: ['profile', 'email']
-    }, (accessToken, refreshToken, profile, done) => {
+function linkOAuthProvider(userId, provider, profile) {
+    const user = oauthUsers.get(userId);
+    if (!user) {
+        return { success: false, code: 'OAUTH_ACCOUNT_NOT_FOUND', message: 'Account not found' };
+    }
+
+    const linkedUserId = providerLinks.get(`${provider}_${profile.id}`);
+    if (linkedUserId === userId) {
+        return { success: true, user };
+    }
+    if (linkedUserId) {
+        return {
+            success: false,
+            code: 'OAUTH_ALREADY_LINKED',
+            message: `This ${provider} account is already linked to another user`
+        };
+    }
+    if ((user.providers || []).some(p => p.name === provider)) {
+        return {
+            success: false,
+            code: 'OAUTH_ALREADY_LINKED',
+            message: `A different ${provider} account is already linked. Unlink it first.`
+        };
+    }
+
+    addProviderLink(user, provider, profile.id);
+    return { success: true, user };
+}
+
+/**
+ * Build the passport verify callback for a provider
+ * For OpenID providers the ID token's nonce must match the one saved when the flow started
+ * @param {string} provider - Provider name
+ * @returns {Function} - (req, accessToken, refreshToken, params, profile, done)
+ */
+function createVerifyCallback(provider) {
+    const entry = oauthProviders.get(provider);
+    const config = OAUTH_CONFIG[provider];
+
+    const finish = async (req, profile, accessToken, refreshToken, done) => {
+        // A link ticket in the state cookie means a signed-in user is adding this provider
+        const linkUserId = req.oauthState?.linkUserId;
+        const result = linkUserId
+            ? linkOAuthProvider(linkUserId, provider, profile)
+            : await findOrCreateOAuthUser(provider, profile);
+
+        if (!result.success) {
+            return done(null, false, { code: result.code, message: result.message });
+        }
+
+        return done(null, {
+            user: result.user,
+            linked: Boolean(linkUserId),
+            oauthTokens: {
+                accessToken,
+                refreshToken
+            }
+        });
+    };
+
+    if (entry.type === 'oidc') {
+        // The profile comes from the verified ID token, not a provider-specific profile call
+        return (req, accessToken, refreshToken, params, profile, done) => {
+            loadOidcProfile(entry, { ...params, access_token: accessToken }, {
+                nonce: req.oauthState?.nonce,
+                requireNonce: true
+            })
+                .then((loaded) => {
+                    if (!loaded.success) {
+                        return done(null, false, { code: loaded.code, message: loaded.message });
+                    }
+                    return finish(req, loaded.profile, accessToken, refreshToken, done);
+                })
+                .catch(error => done(error, null));
+        };
+    }
+
+    return (req, accessToken, refreshToken, params, profile, done) => {
         try {
-            const user = findOrCreateOAuthUser('google', profile);
-            return done(null, {
-                user,
-                oauthTokens: {
-                    accessToken,
-                    refreshToken
+            if (config.openid) {
+                const idToken = verifyIdTokenClaims(params.id_token, {
+                    nonce: req.oauthState?.nonce,
+                    audience: config.clientID,
+                    issuers: config.issuers
+                });
+                if (!idToken.success) {
+                    return done(null, false, { code: idToken.code, message: idToken.message });
                 }
-            });
+            }
+
+            return finish(req, profile, accessToken, refreshToken, done)
+                .catch(error => done(error, null));
         } catch (error) {
             return done(error, null);
         }
-    }));
+    };
+}
+
+/**
+ * Common strategy options: cookie-bound state, PKCE where the provider supports it
+ * @param {string} provider - OAuth provider (google, github)
+ */
+function strategyOptions(provider) {
+    const config = OAUTH_CONFIG[provider];
+    return {
+        clientID: config.clientID,
+        clientSecret: config.clientSecret,
+        callbackURL: config.callbackURL,
+        authorizationURL: config.authorizationURL,
+        tokenURL: config.tokenURL,
+        userProfileURL: config.userProfileURL,
+        store: new OAuthStateStore({ provider }),
+        pkce: config.pkce,
+        passReqToCallback: true
+    };
+}
+
+/**
+ * Configure Google OAuth Strategy
+ */
+function configureGoogleStrategy() {
+    const strategy = new GoogleStrategy({
+        ...strategyOptions('google'),
+        scope: oauthProviders.get('google').scope
+    }, createVerifyCallback('google'));
+
+    // passport-google-oauth20 has no nonce option; add it to the authorization request
+    passport.use(addNonceParam(strategy));
 }
 
 /**
@@ -106,26 +339,156 @@ function configureGoogleStrategy() {
  */
 function configureGitHubStrategy() {
     passport.use(new GitHubStrategy({
-        clientID: OAUTH_CONFIG.github.clientID,
-        clientSecret: OAUTH_CONFIG.github.clientSecret,
-        callbackURL: OAUTH_CONFIG.github.callbackURL,
-        scope: ['user:email']
-    }, (accessToken, refreshToken, profile, done) => {
-        try {
-            const user = findOrCreateOAuthUser('github', profile);
-            return done(null, {
-                user,
-                oauthTokens: {
-                    accessToken,
-                    refreshToken
-                }
-            });
-        } catch (error) {
-            return done(error, null);
-        }
+        ...strategyOptions('github'),
+        userEmailURL: OAUTH_CONFIG.github.userEmailURL,
+        // Keep every address with its verified flag rather than just the primary one
+        allRawEmails: true,
+        scope: oauthProviders.get('github').scope
+    }, createVerifyCallback('github')));
+}
+
+/**
+ * Register an OpenID Connect provider
+ * Endpoints and keys come from the issuer's discovery document, fetched on first use
+ * @param {Object} options
+ * @param {string} options.name - Provider name, used in the route (/api/auth/<name>)
+ * @param {string} options.displayName - Name shown on the login button
+ * @param {string} options.issuer - Issuer URL
+ * @param {string} options.clientID
+ * @param {string} options.clientSecret
+ * @param {string[]} options.scope - Requested scopes (default openid, profile, email)
+ * @param {Object} options.claims - Claim mapping overrides, see DEFAULT_CLAIM_MAPPING
+ * @param {string} options.icon - Icon hint for the login button
+ * @returns {Object} - Registry entry
+ * @throws {Error} - On an invalid or duplicate provider
+ */
+function registerOidcProvider(options) {
+    const { name, displayName, issuer, clientID, clientSecret, scope, claims, icon } = options || {};
+
+    if (typeof name !== 'string' || !/^[a-z0-9-]+$/.test(name)) {
+        throw new Error(`Invalid OIDC provider name: ${name}`);
+    }
+    if (RESERVED_PROVIDER_NAMES.includes(name) || oauthProviders.has(name)) {
+        throw new Error(`OIDC provider name is already in use: ${name}`);
+    }
+    if (!clientID || !clientSecret) {
+        throw new Error(`OIDC provider ${name} needs a clientID and clientSecret`);
+    }
+
+    let issuerUrl;
+    try {
+        issuerUrl = new URL(issuer);
+    } catch (error) {
+        throw new Error(`OIDC provider ${name} has an invalid issuer: ${issuer}`);
+    }
+    const localhost = ['localhost', '127.0.0.1', '[::1]'].includes(issuerUrl.hostname);
+    if (issuerUrl.protocol !== 'https:' && !(issuerUrl.protocol === 'http:' && localhost)) {
+        throw new Error(`OIDC provider ${name} issuer must use https`);
+    }
+
+    const entry = {
+        name,
+        displayName: displayName || name,
+        type: 'oidc',
+        icon: icon || null,
+        issuer,
+        clientID,
+        clientSecret,
+        callbackURL: `${OAUTH_CALLBACK_BASE_URL}/api/auth/${name}/callback`,
+        scope: scope || ['openid', 'profile', 'email'],
+        claims: { ...DEFAULT_CLAIM_MAPPING, ...claims }
+    };
+
+    oauthProviders.set(name, entry);
+    return entry;
+}
+
+/**
+ * Read OIDC providers from the OIDC_PROVIDERS environment variable (a JSON array of
+ * registerOidcProvider() options)
+ * @returns {Object[]}
+ */
+function loadOidcProvidersFromEnv() {
+    if (!process.env.OIDC_PROVIDERS) {
+        return [];
+    }
+
+    const providers = JSON.parse(process.env.OIDC_PROVIDERS);
+    if (!Array.isArray(providers)) {
+        throw new Error('OIDC_PROVIDERS must be a JSON array');
+    }
+    return providers;
+}
+
+/**
+ * Get a registered provider
+ * @param {string} name - Provider name
+ * @returns {Object|null} - Registry entry
+ */
+function getOAuthProvider(name) {
+    return oauthProviders.get(name) || null;
+}
+
+/**
+ * List registered providers (public fields only)
+ * @returns {Object[]} - [{ name, displayName, type, icon }]
+ */
+function listOAuthProviders() {
+    return Array.from(oauthProviders.values()).map(({ name, displayName, type, icon }) => ({
+        name,
+        displayName,
+        type,
+        icon
     }));
 }
 
+/**
+ * Make sure a provider's passport strategy is registered
+ * Google and GitHub are set up by initializeOAuth(); OIDC strategies need the discovery
+ * document and are set up on first use
+ * @param {string} name - Provider name
+ * @returns {Promise<void>}
+ * @throws {Error} - When the issuer's discovery document can't be loaded
+ */
+function ensureProviderStrategy(name) {
+    const entry = oauthProviders.get(name);
+    if (!entry || entry.type !== 'oidc') {
+        return Promise.resolve();
+    }
+
+    if (!oidcStrategies.has(name)) {
+        const ready = discoverIssuer(entry.issuer).then((metadata) => {
+            passport.use(name, createOidcStrategy(entry, metadata, createVerifyCallback(name)));
+        });
+        oidcStrategies.set(name, ready);
+
+        // Retry discovery on the next request
+        ready.catch(() => oidcStrategies.delete(name));
+    }
+
+    return oidcStrategies.get(name);
+}
+
+/**
+ * Middleware that starts a provider's OAuth flow
+ * @param {string} provider - Provider name
+ * @param {Object} options - passport.authenticate options (e.g. scope)
+ * @returns {Function} - Express middleware
+ */
+function startOAuthFlow(provider, options = {}) {
+    return (req, res, next) => {
+        const entry = oauthProviders.get(provider);
+        const openid = entry.type === 'oidc' || OAUTH_CONFIG[provider]?.openid;
+        const nonce = openid ? generateNonce() : undefined;
+
+        // Read back by OAuthStateStore.store() so the nonce (and req.oauthLinkUserId, when
+        // linking) lands in the state cookie
+        req.oauthNonce = nonce;
+
+        passport.authenticate(provider, { ...options, session: false, nonce })(req, res, next);
+    };
+}
+
 /**
  * Serialize user for session
  */
@@ -142,20 +505,65 @@ passport.deserializeUser((id, done) => {
 });
 
 /**
- * Initialize all OAuth strategies
+ * Build the provider registry and initialize the built-in strategies
+ * @param {Object} options
+ * @param {Object[]} options.oidcProviders - OIDC providers to register (default: OIDC_PROVIDERS)
  */
-function initializeOAuth() {
+function initializeOAuth(options = {}) {
+    const { oidcProviders = loadOidcProvidersFromEnv() } = options;
+
+    for (const name of oidcStrategies.keys()) {
+        passport.unuse(name);
+    }
+    oauthProviders.clear();
+    oidcStrategies.clear();
+
+    oauthProviders.set('google', {
+        name: 'google',
+        displayName: 'Google',
+        type: 'google',
+        icon: 'google',
+        scope: ['openid', 'profile', 'email']
+    });
+    oauthProviders.set('github', {
+        name: 'github',
+        displayName: 'GitHub',
+        type: 'github',
+        icon: 'github',
+        scope: ['user:email']
+    });
+
+    for (const provider of oidcProviders) {
+        registerOidcProvider(provider);
+    }
+
     configureGoogleStrategy();
     configureGitHubStrategy();
 }
 
 /**
  * Handle OAuth callback success
- * Generates JWT tokens for the authenticated user
+ * Accounts that also exist in the user repository (password accounts with a linked
+ * provider) go through beginSession() like any other login, so their status and
+ * second factor are enforced; OAuth-only accounts get a token pair directly
  * @param {Object} user - Authenticated user
- * @returns {Object} - JWT tokens and user info
+ * @param {Object} options - { userRepository }
+ * @returns {Promise<Object>} - JWT tokens and user info, { mfaRequired: true, mfaToken, ... },
+ *                              or { success: false, code, message }
  */
-function handleOAuthSuccess(user) {
+async function handleOAuthSuccess(user, options = {}) {
+    const { userRepository = getUserRepository() } = options;
+    const account = await userRepository.findById(user.id);
+
+    if (account) {
+        if (account.status !== UserStatus.ACTIVE) {
+            return { success: false, code: 'ACCOUNT_UNAVAILABLE', message: 'Account is not active' };
+        }
+
+        const session = await beginSession(account, { userRepository });
+        return session.success ? { ...session, message: 'OAuth authentication successful' } : session;
+    }
+
     const tokens = generateTokenPair({
         id: user.id,
         email: user.email
@@ -189,44 +597,59 @@ function handleOAuthError(error) {
 }
 
 /**
- * Get user by OAuth ID
- * @param {string} oauthId - OAuth user ID
+ * Get OAuth user by user ID
+ * @param {string} userId - User ID
  * @returns {Object|null} - User object or null
  */
-function getOAuthUser(oauthId) {
-    return oauthUsers.get(oauthId) || null;
+function getOAuthUser(userId) {
+    return oauthUsers.get(userId) || null;
 }
 
 /**
  * Unlink OAuth provider from user account
  * @param {string} userId - User ID
  * @param {string} provider - Provider to unlink
- * @returns {boolean} - Success status
+ * @returns {Object} - { success, user, code, message }
  */
 function unlinkOAuthProvider(userId, provider) {
     const user = oauthUsers.get(userId);
+    const link = user?.providers?.find(p => p.name === provider);
 
-    if (!user || !user.providers) {
-        return false;
+    if (!link) {
+        return {
+            success: false,
+            code: 'OAUTH_PROVIDER_NOT_LINKED',
+            message: `${provider} is not linked to this account`
+        };
     }
 
     // Don't allow unlinking if it's the only auth method
-    if (user.providers.length <= 1) {
-        return false;
+    if (user.providers.length <= 1 && !user.passwordLogin) {
+        return {
+            success: false,
+            code: 'OAUTH_LAST_LOGIN_METHOD',
+            message: 'Cannot unlink the only way to sign in to this account'
+        };
     }
 
-    user.providers = user.providers.filter(p => p.name !== provider);
-
-    // Remove the provider-specific entry
-    const providerKey = `${provider}_${user.providers.find(p => p.name === provider)?.id}`;
-    oauthUsers.delete(providerKey);
+    // Remove the provider-specific entry - looked up before the provider is filtered out
+    providerLinks.delete(`${provider}_${link.id}`);
+    user.providers = user.providers.filter(p => p !== link);
 
-    return true;
+    return { success: true, user };
 }
 
 module.exports = {
     passport,
     initializeOAuth,
+    registerOidcProvider,
+    getOAuthProvider,
+    listOAuthProviders,
+    ensureProviderStrategy,
+    startOAuthFlow,
+    findOrCreateOAuthUser,
+    ensureOAuthAccount,
+    linkOAuthProvider,
     handleOAuthSuccess,
     handleOAuthError,
     getOAuthUser,
@@ -0,0 +1,172 @@
+// Direct OAuth authorization code exchange
+// For clients that run the provider's authorization step themselves (mobile apps,
+// SPAs using the provider SDK) and post the resulting code here. The code is exchanged
+// at the provider's token endpoint with our client secret, the profile is loaded from
+// the userinfo endpoint and the login then finishes like the redirect flow does.
+// Provider HTTP goes through a swappable client (see oauthHttpClient.js).
+const { OAUTH_CONFIG, getOAuthProvider, findOrCreateOAuthUser, handleOAuthSuccess } = require('./oauth');
+const { verifyIdTokenClaims } = require('./oauthState');
+const { discoverIssuer, loadOidcProfile } = require('./oidc');
+const { getOAuthHttpClient, setOAuthHttpClient, getProviderJson } = require('./oauthHttpClient');
+
+/**
+ * Profile loaders - map each provider's userinfo into the passport profile shape
+ * findOrCreateOAuthUser() expects
+ */
+const profileLoaders = {
+    async google(accessToken) {
+        const info = await getProviderJson(OAUTH_CONFIG.google.userProfileURL, accessToken);
+        return {
+            id: info.sub,
+            displayName: info.name,
+            emails: info.email ? [{ value: info.email, verified: info.email_verified === true }] : [],
+            photos: info.picture ? [{ value: info.picture }] : []
+        };
+    },
+
+    async github(accessToken) {
+        const info = await getProviderJson(OAUTH_CONFIG.github.userProfileURL, accessToken);
+
+        // The profile only has the public email; the primary address needs the user:email scope
+        let emails = info.email ? [{ value: info.email }] : [];
+        try {
+            const addresses = await getProviderJson(OAUTH_CONFIG.github.userEmailURL, accessToken);
+            if (Array.isArray(addresses) && addresses.length > 0) {
+                emails = addresses
+                    .sort((a, b) => Number(b.primary) - Number(a.primary))
+                    .map(address => ({ value: address.email, verified: address.verified, primary: address.primary }));
+            }
+        } catch (error) {
+            // Token without user:email - keep the public email
+        }
+
+        return {
+            id: String(info.id),
+            displayName: info.name,
+            username: info.login,
+            emails,
+            photos: info.avatar_url ? [{ value: info.avatar_url }] : []
+        };
+    }
+};
+
+/**
+ * Exchange an authorization code for provider tokens, then log the user in
+ * @param {string} provider - Registered provider name
+ * @param {Object} params
+ * @param {string} params.code - Authorization code from the provider
+ * @param {string} params.redirectUri - redirect_uri used in the authorization request
+ * @param {string} params.codeVerifier - PKCE verifier, when the client used PKCE
+ * @param {string} params.nonce - OpenID nonce sent in the authorization request (optional)
+ * @returns {Promise<Object>} - handleOAuthSuccess() result, or { success: false, code, message }
+ */
+async function exchangeAuthorizationCode(provider, { code, redirectUri, codeVerifier, nonce }) {
+    const entry = getOAuthProvider(provider);
+    const config = entry.type === 'oidc' ? entry : OAUTH_CONFIG[provider];
+
+    let tokenURL = config.tokenURL;
+    if (entry.type === 'oidc') {
+        try {
+            tokenURL = (await discoverIssuer(entry.issuer)).token_endpoint;
+        } catch (error) {
+            console.error(`[OAUTH] ${provider} discovery failed:`, error);
+            return { success: false, code: 'OAUTH_PROVIDER_UNAVAILABLE', message: 'OAuth provider could not be reached' };
+        }
+    }
+
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        client_id: config.clientID,
+        client_secret: config.clientSecret
+    });
+    if (redirectUri) {
+        form.set('redirect_uri', redirectUri);
+    }
+    if (codeVerifier) {
+        form.set('code_verifier', codeVerifier);
+    }
+
+    let tokenResponse;
+    try {
+        tokenResponse = await getOAuthHttpClient().request({
+            method: 'POST',
+            url: tokenURL,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Accept: 'application/json'
+            },
+            body: form.toString()
+        });
+    } catch (error) {
+        console.error(`[OAUTH] ${provider} token request failed:`, error);
+        return { success: false, code: 'OAUTH_PROVIDER_UNAVAILABLE', message: 'OAuth provider could not be reached' };
+    }
+
+    // GitHub reports a bad code with a 200 and an error field
+    const tokens = tokenResponse.data || {};
+    if (tokenResponse.status >= 500) {
+        return { success: false, code: 'OAUTH_PROVIDER_UNAVAILABLE', message: 'OAuth provider could not be reached' };
+    }
+    if (tokenResponse.status !== 200 || tokens.error || !tokens.access_token) {
+        return {
+            success: false,
+            code: 'OAUTH_CODE_REJECTED',
+            message: tokens.error_description || 'Authorization code was rejected by the provider'
+        };
+    }
+
+    if (entry.type === 'oidc') {
+        // The nonce is optional here: the client may not have sent one
+        let loaded;
+        try {
+            loaded = await loadOidcProfile(entry, tokens, { nonce });
+        } catch (error) {
+            console.error(`[OAUTH] ${provider} ID token validation failed:`, error);
+            return { success: false, code: 'OAUTH_PROVIDER_UNAVAILABLE', message: 'OAuth provider could not be reached' };
+        }
+        if (!loaded.success) {
+            return { success: false, code: loaded.code, message: loaded.message };
+        }
+        return finishLogin(provider, loaded.profile);
+    }
+
+    // A nonce can only be checked for OpenID providers, and only if the client sent one
+    if (config.openid && nonce) {
+        const idToken = verifyIdTokenClaims(tokens.id_token, {
+            nonce,
+            audience: config.clientID,
+            issuers: config.issuers
+        });
+        if (!idToken.success) {
+            return { success: false, code: idToken.code, message: idToken.message };
+        }
+    }
+
+    let profile;
+    try {
+        profile = await profileLoaders[provider](tokens.access_token);
+    } catch (error) {
+        console.error(`[OAUTH] ${provider} profile request failed:`, error);
+        return { success: false, code: 'OAUTH_PROVIDER_UNAVAILABLE', message: 'Failed to load the OAuth profile' };
+    }
+
+    if (!profile.id) {
+        return { success: false, code: 'OAUTH_PROVIDER_UNAVAILABLE', message: 'OAuth profile has no user id' };
+    }
+
+    return finishLogin(provider, profile);
+}
+
+async function finishLogin(provider, profile) {
+    const login = await findOrCreateOAuthUser(provider, profile);
+    if (!login.success) {
+        return { success: false, code: login.code, message: login.message };
+    }
+    return handleOAuthSuccess(login.user);
+}
+
+module.exports = {
+    exchangeAuthorizationCode,
+    setOAuthHttpClient
+};
@@ -0,0 +1,127 @@
+// One-time codes for handing OAuth logins over to the SPA
+// The provider callback ends in a browser redirect, so anything it carries ends up in
+// history, proxy logs and Referer headers. Instead of tokens the redirect carries a
+// short-lived, single-use code that the SPA swaps for the token pair with a POST.
+// Codes live for seconds, so they're kept in memory; only their hash is stored.
+// Link tickets work the same way in the other direction: they carry a signed-in user
+// into the provider redirect when a provider is linked to an existing account. A ticket
+// is bound to a second secret the browser holds in a cookie, so a leaked or planted
+// ticket URL can't be used from another browser.
+const crypto = require('crypto');
+
+// Configuration
+const OAUTH_HANDOFF_CONFIG = {
+    codeExpiryMs: 60 * 1000,        // 1 minute to complete the exchange
+    linkTicketExpiryMs: 60 * 1000   // 1 minute to start the provider redirect
+};
+
+// codeHash -> { result, expiresAt }
+const handoffCodes = new Map();
+// ticketHash -> { userId, bindingHash, expiresAt }
+const linkTickets = new Map();
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Drop expired codes
+ */
+function sweepExpiredCodes(now = Date.now()) {
+    for (const codes of [handoffCodes, linkTickets]) {
+        for (const [codeHash, entry] of codes.entries()) {
+            if (entry.expiresAt <= now) {
+                codes.delete(codeHash);
+            }
+        }
+    }
+}
+
+/**
+ * Issue a handoff code for a completed OAuth login
+ * @param {Object} result - handleOAuthSuccess() result (user and token pair)
+ * @returns {string} - Opaque code for the callback redirect
+ */
+function createHandoffCode(result) {
+    sweepExpiredCodes();
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    handoffCodes.set(hashCode(code), {
+        result,
+        expiresAt: Date.now() + OAUTH_HANDOFF_CONFIG.codeExpiryMs
+    });
+    return code;
+}
+
+/**
+ * Redeem a handoff code - each code works once
+ * @param {string} code - Code from the callback redirect
+ * @returns {Object} - { success, result, code, message }
+ */
+function redeemHandoffCode(code) {
+    const codeHash = hashCode(code);
+    const entry = handoffCodes.get(codeHash);
+    handoffCodes.delete(codeHash);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+        return {
+            success: false,
+            code: 'INVALID_OAUTH_CODE',
+            message: 'Authorization code is invalid or has expired'
+        };
+    }
+
+    return { success: true, result: entry.result };
+}
+
+/**
+ * Issue a ticket that starts a provider link flow for a signed-in user
+ * @param {string} userId - Account the provider will be linked to
+ * @returns {Object} - { ticket, binding } - the opaque ticket for the provider start URL
+ *                     and the secret the requesting browser has to present with it
+ */
+function createLinkTicket(userId) {
+    sweepExpiredCodes();
+
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    const binding = crypto.randomBytes(32).toString('base64url');
+    linkTickets.set(hashCode(ticket), {
+        userId,
+        bindingHash: hashCode(binding),
+        expiresAt: Date.now() + OAUTH_HANDOFF_CONFIG.linkTicketExpiryMs
+    });
+    return { ticket, binding };
+}
+
+/**
+ * Redeem a link ticket - each ticket works once, and only with its binding
+ * @param {string} ticket - Ticket from the provider start URL
+ * @param {string} binding - Secret from the requesting browser's cookie
+ * @returns {Object} - { success, userId, code, message }
+ */
+function redeemLinkTicket(ticket, binding) {
+    const ticketHash = hashCode(ticket);
+    const entry = linkTickets.get(ticketHash);
+    linkTickets.delete(ticketHash);
+
+    const bound = Boolean(entry && binding) && crypto.timingSafeEqual(
+        Buffer.from(entry.bindingHash, 'hex'),
+        Buffer.from(hashCode(binding), 'hex')
+    );
+
+    if (!entry || entry.expiresAt <= Date.now() || !bound) {
+        return {
+            success: false,
+            code: 'INVALID_LINK_TICKET',
+            message: 'Link request is invalid or has expired'
+        };
+    }
+
+    return { success: true, userId: entry.userId };
+}
+
+module.exports = {
+    createHandoffCode,
+    redeemHandoffCode,
+    createLinkTicket,
+    redeemLinkTicket,
+    OAUTH_HANDOFF_CONFIG
+};
@@ -0,0 +1,100 @@
+// HTTP client for requests to OAuth/OpenID providers
+// Token exchange, userinfo, discovery and JWKS requests all go through the current
+// client, so tests can swap in one that talks to a local stub (setOAuthHttpClient).
+// Clients implement request({ method, url, headers, body }) -> { status, data }
+// where data is the parsed JSON (or form-encoded) body.
+
+// Configuration
+const OAUTH_HTTP_CONFIG = {
+    requestTimeoutMs: 10 * 1000,
+    userAgent: 'JIRA-Performance-Test'    // GitHub's API rejects requests without one
+};
+
+/**
+ * Default HTTP client, built on fetch
+ */
+const fetchHttpClient = {
+    async request({ method = 'GET', url, headers = {}, body }) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'User-Agent': OAUTH_HTTP_CONFIG.userAgent, ...headers },
+            body,
+            signal: AbortSignal.timeout(OAUTH_HTTP_CONFIG.requestTimeoutMs)
+        });
+
+        const text = await response.text();
+        const contentType = response.headers.get('content-type') || '';
+        let data = null;
+
+        if (contentType.includes('application/x-www-form-urlencoded')) {
+            data = Object.fromEntries(new URLSearchParams(text));
+        } else if (text) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                data = null;
+            }
+        }
+
+        return { status: response.status, data };
+    }
+};
+
+let httpClient = fetchHttpClient;
+
+/**
+ * Get the HTTP client used for provider requests
+ * @returns {Object}
+ */
+function getOAuthHttpClient() {
+    return httpClient;
+}
+
+/**
+ * Replace the HTTP client used for provider requests (e.g. for testing)
+ * @param {Object} client - { request({ method, url, headers, body }) -> Promise<{ status, data }> }
+ *   or null to restore the default
+ */
+function setOAuthHttpClient(client) {
+    httpClient = client || fetchHttpClient;
+}
+
+/**
+ * Error for a provider request that didn't succeed
+ */
+class ProviderRequestError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ProviderRequestError';
+        this.status = status;
+    }
+}
+
+/**
+ * GET a JSON document from a provider
+ * @param {string} url
+ * @param {string} accessToken - Sent as a bearer token when given
+ * @returns {Promise<*>} - Parsed body
+ * @throws {ProviderRequestError} - On a non-2xx response or an empty body
+ */
+async function getProviderJson(url, accessToken = null) {
+    const headers = { Accept: 'application/json' };
+    if (accessToken) {
+        headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const response = await httpClient.request({ method: 'GET', url, headers });
+
+    if (response.status < 200 || response.status >= 300 || !response.data) {
+        throw new ProviderRequestError(`Provider request to ${url} failed`, response.status);
+    }
+    return response.data;
+}
+
+module.exports = {
+    getOAuthHttpClient,
+    setOAuthHttpClient,
+    getProviderJson,
+    ProviderRequestError,
+    OAUTH_HTTP_CONFIG
+};
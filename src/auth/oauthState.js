@@ -0,0 +1,164 @@
+// OAuth state, PKCE and nonce handling
+// There are no server sessions, so the per-flow secrets (state, PKCE code verifier,
+// OpenID nonce) travel in a short-lived, signed, HttpOnly cookie set when the flow
+// starts. The callback must present the same state as the cookie, which ties the
+// provider's redirect to the browser that began the login (login CSRF protection).
+const crypto = require('crypto');
+const { parseCookies, setCookie, clearCookie, signValue, unsignValue } = require('../utils/cookies');
+
+// Configuration - In production, use environment variables
+const OAUTH_STATE_CONFIG = {
+    // Set OAUTH_STATE_SECRET when running more than one instance
+    secret: process.env.OAUTH_STATE_SECRET || crypto.randomBytes(32).toString('hex'),
+    maxAgeSeconds: 10 * 60,                           // Time allowed to finish the provider login
+    cookiePath: '/api/auth',
+    secureCookies: process.env.NODE_ENV === 'production'
+};
+
+const cookieOptions = () => ({
+    path: OAUTH_STATE_CONFIG.cookiePath,
+    httpOnly: true,
+    secure: OAUTH_STATE_CONFIG.secureCookies,
+    // Lax: the provider redirects back with a top-level GET, which Lax cookies accompany
+    sameSite: 'Lax'
+});
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Generate an OpenID Connect nonce
+ * @returns {string}
+ */
+function generateNonce() {
+    return randomToken();
+}
+
+/**
+ * Cookie-backed state store for passport-oauth2 strategies
+ * Implements the store/verify interface passport-oauth2 uses for `state` and PKCE
+ */
+class OAuthStateStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.provider - Provider name, used for the cookie name
+     */
+    constructor({ provider }) {
+        this.cookieName = `oauth_${provider}`;
+    }
+
+    /**
+     * Called when the flow starts
+     * @param {Object} req - Express request (req.oauthNonce and req.oauthLinkUserId are saved when set)
+     * @param {string} verifier - PKCE code verifier, when the strategy uses PKCE
+     * @param {*} appState - Unused
+     * @param {Object} meta - Strategy metadata
+     * @param {Function} callback - (err, state)
+     */
+    store(req, verifier, appState, meta, callback) {
+        const record = {
+            state: randomToken(),
+            verifier: verifier || null,
+            nonce: req.oauthNonce || null,
+            // Account the provider is being linked to, for the explicit link flow
+            linkUserId: req.oauthLinkUserId || null,
+            expiresAt: Date.now() + OAUTH_STATE_CONFIG.maxAgeSeconds * 1000
+        };
+
+        const value = Buffer.from(JSON.stringify(record)).toString('base64url');
+        setCookie(req.res, this.cookieName, signValue(value, OAUTH_STATE_CONFIG.secret), {
+            ...cookieOptions(),
+            maxAge: OAUTH_STATE_CONFIG.maxAgeSeconds
+        });
+
+        callback(null, record.state);
+    }
+
+    /**
+     * Called on the provider callback
+     * On success the stored record is attached as req.oauthState
+     * @param {Object} req - Express request
+     * @param {string} providedState - state query parameter
+     * @param {Function} callback - (err, ok, info) where ok is the PKCE verifier when there is one
+     */
+    verify(req, providedState, callback) {
+        const signed = parseCookies(req.headers.cookie)[this.cookieName];
+
+        // Each state is good for one callback
+        clearCookie(req.res, this.cookieName, cookieOptions());
+
+        const record = decodeRecord(unsignValue(signed, OAUTH_STATE_CONFIG.secret));
+
+        if (!record || !providedState || !safeEqual(providedState, record.state)) {
+            return callback(null, false, {
+                code: 'OAUTH_STATE_MISMATCH',
+                message: 'OAuth state is missing or does not match'
+            });
+        }
+
+        if (record.expiresAt <= Date.now()) {
+            return callback(null, false, {
+                code: 'OAUTH_STATE_EXPIRED',
+                message: 'OAuth login took too long. Please try again.'
+            });
+        }
+
+        req.oauthState = record;
+        callback(null, record.verifier || true);
+    }
+}
+
+function decodeRecord(value) {
+    if (!value) {
+        return null;
+    }
+    try {
+        return JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check the claims of an ID token received from a provider's token endpoint
+ * The token came straight from the provider over TLS, so its signature doesn't need
+ * checking (OpenID Connect Core 3.1.3.7); the nonce binds it to this login attempt.
+ * @param {string} idToken - id_token from the token response
+ * @param {Object} expected - { nonce, audience, issuers }
+ * @returns {Object} - { success, claims, code, message }
+ */
+function verifyIdTokenClaims(idToken, { nonce, audience, issuers }) {
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return { success: false, code: 'OAUTH_INVALID_ID_TOKEN', message: 'Provider returned no valid ID token' };
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience) || !issuers.includes(claims.iss)) {
+        return { success: false, code: 'OAUTH_INVALID_ID_TOKEN', message: 'ID token was not issued for this client' };
+    }
+
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+        return { success: false, code: 'OAUTH_INVALID_ID_TOKEN', message: 'ID token has expired' };
+    }
+
+    if (!nonce || !claims.nonce || !safeEqual(claims.nonce, nonce)) {
+        return { success: false, code: 'OAUTH_NONCE_MISMATCH', message: 'ID token nonce does not match' };
+    }
+
+    return { success: true, claims };
+}
+
+module.exports = {
+    OAuthStateStore,
+    generateNonce,
+    verifyIdTokenClaims,
+    OAUTH_STATE_CONFIG
+};
@@ -0,0 +1,301 @@
+// Generic OpenID Connect providers
+// A provider is configured from its issuer URL alone: endpoints come from the
+// discovery document (/.well-known/openid-configuration) and ID tokens are checked
+// against the issuer's published JWKS. Claims are mapped onto our user fields with
+// a per-provider mapping, since IdPs disagree on where e.g. the email lives.
+const crypto = require('crypto');
+const OAuth2Strategy = require('passport-oauth2').Strategy;
+const { OAuthStateStore } = require('./oauthState');
+const { getProviderJson } = require('./oauthHttpClient');
+
+// Configuration
+const OIDC_CONFIG = {
+    discoveryCacheMs: 60 * 60 * 1000,       // Re-read discovery documents hourly
+    jwksCacheMs: 60 * 60 * 1000,
+    jwksRefreshCooldownMs: 60 * 1000,       // Min time between refetches for an unknown kid
+    clockSkewSeconds: 60
+};
+
+// Default claim mapping: our field -> claim name (dotted paths reach into nested claims)
+const DEFAULT_CLAIM_MAPPING = {
+    id: 'sub',
+    email: 'email',
+    emailVerified: 'email_verified',
+    name: 'name',
+    avatar: 'picture'
+};
+
+// Accepted ID token signature algorithms - symmetric and "none" are never accepted
+const SIGNATURE_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+// issuer -> { promise, expiresAt }
+const discoveryCache = new Map();
+// jwks_uri -> { keys: [{ kid, key }], fetchedAt }
+const jwksCache = new Map();
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Load (and cache) an issuer's discovery document
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} - Provider metadata
+ */
+function discoverIssuer(issuer) {
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.promise;
+    }
+
+    const promise = getProviderJson(`${trimSlash(issuer)}/.well-known/openid-configuration`)
+        .then((metadata) => {
+            for (const field of ['issuer', 'authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+                if (!metadata[field]) {
+                    throw new Error(`Discovery document for ${issuer} has no ${field}`);
+                }
+            }
+
+            // Multi-tenant Azure AD documents carry a {tenantid} template instead of the issuer
+            if (trimSlash(metadata.issuer) !== trimSlash(issuer) && !metadata.issuer.includes('{tenantid}')) {
+                throw new Error(`Discovery document issuer ${metadata.issuer} does not match ${issuer}`);
+            }
+            return metadata;
+        });
+
+    discoveryCache.set(issuer, { promise, expiresAt: Date.now() + OIDC_CONFIG.discoveryCacheMs });
+
+    // Don't cache failures
+    promise.catch(() => discoveryCache.delete(issuer));
+    return promise;
+}
+
+/**
+ * Find the key an ID token was signed with
+ * Unknown key ids trigger a JWKS refetch (issuers rotate keys), at most once per cooldown
+ * @param {string} jwksUri
+ * @param {string} kid - Key id from the token header (may be absent)
+ * @returns {Promise<KeyObject|null>}
+ */
+async function getSigningKey(jwksUri, kid) {
+    const pick = (entry) => {
+        if (!entry) return null;
+        if (kid) return entry.keys.find(k => k.kid === kid)?.key || null;
+        return entry.keys.length === 1 ? entry.keys[0].key : null;
+    };
+
+    let entry = jwksCache.get(jwksUri);
+    const stale = !entry || Date.now() - entry.fetchedAt > OIDC_CONFIG.jwksCacheMs;
+    const canRefetch = !entry || Date.now() - entry.fetchedAt > OIDC_CONFIG.jwksRefreshCooldownMs;
+
+    if (stale || (!pick(entry) && canRefetch)) {
+        const jwks = await getProviderJson(jwksUri);
+        const keys = (jwks.keys || [])
+            .filter(jwk => !jwk.use || jwk.use === 'sig')
+            .flatMap((jwk) => {
+                try {
+                    return [{ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }];
+                } catch (error) {
+                    return [];    // Key types we can't use
+                }
+            });
+        entry = { keys, fetchedAt: Date.now() };
+        jwksCache.set(jwksUri, entry);
+    }
+
+    return pick(entry);
+}
+
+const invalidToken = (message) => ({ success: false, code: 'OAUTH_INVALID_ID_TOKEN', message });
+
+/**
+ * Validate an ID token from an OIDC provider: JWKS signature, iss, aud/azp, exp/iat, nonce
+ * @param {Object} provider - Registry entry { issuer, clientID }
+ * @param {string} idToken - id_token from the token response
+ * @param {Object} options
+ * @param {string} options.nonce - Expected nonce
+ * @param {boolean} options.requireNonce - Fail when no nonce is expected or present (redirect flow)
+ * @returns {Promise<Object>} - { success, claims, code, message }
+ */
+async function verifyOidcIdToken(provider, idToken, { nonce, requireNonce = false } = {}) {
+    const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+    if (parts.length !== 3) {
+        return invalidToken('Provider returned no valid ID token');
+    }
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return invalidToken('ID token is malformed');
+    }
+
+    const algorithm = SIGNATURE_ALGORITHMS[header.alg];
+    if (!algorithm) {
+        return invalidToken(`ID token algorithm ${header.alg} is not accepted`);
+    }
+
+    const metadata = await discoverIssuer(provider.issuer);
+    const key = await getSigningKey(metadata.jwks_uri, header.kid);
+    if (!key) {
+        return invalidToken('ID token was signed with an unknown key');
+    }
+
+    const signatureValid = crypto.verify(
+        algorithm.hash,
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!signatureValid) {
+        return invalidToken('ID token signature is invalid');
+    }
+
+    const expectedIssuer = metadata.issuer.replace('{tenantid}', claims.tid);
+    if (claims.iss !== expectedIssuer) {
+        return invalidToken('ID token issuer does not match');
+    }
+
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(provider.clientID)) {
+        return invalidToken('ID token was not issued for this client');
+    }
+    if (audiences.length > 1 && claims.azp !== provider.clientID) {
+        return invalidToken('ID token authorized party does not match');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (!claims.exp || claims.exp + OIDC_CONFIG.clockSkewSeconds <= now) {
+        return invalidToken('ID token has expired');
+    }
+    if (claims.iat && claims.iat - OIDC_CONFIG.clockSkewSeconds > now) {
+        return invalidToken('ID token was issued in the future');
+    }
+
+    if ((requireNonce || nonce) && (!nonce || claims.nonce !== nonce)) {
+        return { success: false, code: 'OAUTH_NONCE_MISMATCH', message: 'ID token nonce does not match' };
+    }
+
+    return { success: true, claims };
+}
+
+/**
+ * Map provider claims onto the passport profile shape findOrCreateOAuthUser() expects
+ * @param {Object} claims - ID token (and userinfo) claims
+ * @param {Object} mapping - Our field -> claim path
+ * @returns {Object} - { id, displayName, emails, photos }
+ */
+function mapClaims(claims, mapping = DEFAULT_CLAIM_MAPPING) {
+    const get = (path) => (path ? path.split('.').reduce((value, key) => value?.[key], claims) : undefined);
+
+    const id = get(mapping.id);
+    const email = get(mapping.email);
+    const avatar = get(mapping.avatar);
+
+    return {
+        id: id === undefined || id === null ? null : String(id),
+        displayName: get(mapping.name),
+        emails: email ? [{ value: email, verified: get(mapping.emailVerified) === true }] : [],
+        photos: avatar ? [{ value: avatar }] : []
+    };
+}
+
+/**
+ * Turn a token response into a profile
+ * The ID token is authoritative; userinfo is only consulted to fill in fields it lacks
+ * @param {Object} provider - Registry entry
+ * @param {Object} tokens - Token response ({ id_token, access_token })
+ * @param {Object} options - verifyOidcIdToken() options
+ * @returns {Promise<Object>} - { success, profile, code, message }
+ */
+async function loadOidcProfile(provider, tokens, options = {}) {
+    const verified = await verifyOidcIdToken(provider, tokens.id_token, options);
+    if (!verified.success) {
+        return verified;
+    }
+
+    let claims = verified.claims;
+    let profile = mapClaims(claims, provider.claims);
+    const metadata = await discoverIssuer(provider.issuer);
+
+    if ((profile.emails.length === 0 || !profile.displayName) && metadata.userinfo_endpoint && tokens.access_token) {
+        try {
+            const userInfo = await getProviderJson(metadata.userinfo_endpoint, tokens.access_token);
+            // Userinfo for a different subject would be a provider bug; ignore it
+            if (userInfo.sub === claims.sub) {
+                claims = { ...userInfo, ...claims };
+                profile = mapClaims(claims, provider.claims);
+            }
+        } catch (error) {
+            console.warn(`[OIDC] ${provider.name} userinfo request failed:`, error.message);
+        }
+    }
+
+    if (!profile.id) {
+        return invalidToken('ID token has no subject');
+    }
+
+    return { success: true, profile };
+}
+
+/**
+ * Add the nonce passed to passport.authenticate() to a strategy's authorization request
+ * @param {Object} strategy - passport-oauth2 based strategy
+ * @returns {Object} - The same strategy
+ */
+function addNonceParam(strategy) {
+    const authorizationParams = strategy.authorizationParams.bind(strategy);
+    strategy.authorizationParams = (options) => ({
+        ...authorizationParams(options),
+        ...(options.nonce ? { nonce: options.nonce } : {})
+    });
+    return strategy;
+}
+
+/**
+ * Build a passport strategy for an OIDC provider from its discovery document
+ * @param {Object} provider - Registry entry
+ * @param {Object} metadata - Discovery document
+ * @param {Function} verify - (req, accessToken, refreshToken, params, profile, done)
+ * @returns {Object} - Strategy named after the provider
+ */
+function createOidcStrategy(provider, metadata, verify) {
+    const supportsPkce = (metadata.code_challenge_methods_supported || []).includes('S256');
+
+    const strategy = new OAuth2Strategy({
+        authorizationURL: metadata.authorization_endpoint,
+        tokenURL: metadata.token_endpoint,
+        clientID: provider.clientID,
+        clientSecret: provider.clientSecret,
+        callbackURL: provider.callbackURL,
+        scope: provider.scope,
+        store: new OAuthStateStore({ provider: provider.name }),
+        pkce: supportsPkce ? 'S256' : false,
+        passReqToCallback: true,
+        // The profile comes from the ID token, see loadOidcProfile()
+        skipUserProfile: true
+    }, verify);
+
+    strategy.name = provider.name;
+    return addNonceParam(strategy);
+}
+
+module.exports = {
+    discoverIssuer,
+    verifyOidcIdToken,
+    mapClaims,
+    loadOidcProfile,
+    addNonceParam,
+    createOidcStrategy,
+    DEFAULT_CLAIM_MAPPING,
+    OIDC_CONFIG
+};
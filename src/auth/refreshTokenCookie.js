@@ -0,0 +1,57 @@
+// Refresh token cookie
+// Optional alternative to returning refresh tokens in response bodies: with the cookie
+// enabled the token is kept in an httpOnly cookie scoped to the auth endpoints, out of
+// reach of page scripts. Clients that send refreshToken in the body keep working.
+const { parseCookies, setCookie, clearCookie } = require('../utils/cookies');
+const { JWT_CONFIG } = require('./jwt');
+
+// Configuration - In production, use environment variables
+const REFRESH_COOKIE_CONFIG = {
+    enabled: process.env.REFRESH_TOKEN_COOKIE === 'true',
+    name: 'refresh_token',
+    path: '/api/auth',
+    secure: process.env.NODE_ENV === 'production'
+};
+
+const cookieOptions = () => ({
+    path: REFRESH_COOKIE_CONFIG.path,
+    httpOnly: true,
+    secure: REFRESH_COOKIE_CONFIG.secure,
+    sameSite: 'Strict'
+});
+
+/**
+ * Set the refresh token cookie
+ * @param {Object} res - Express response object
+ * @param {string} refreshToken
+ */
+function setRefreshTokenCookie(res, refreshToken) {
+    setCookie(res, REFRESH_COOKIE_CONFIG.name, refreshToken, {
+        ...cookieOptions(),
+        maxAge: JWT_CONFIG.refreshTokenExpiry
+    });
+}
+
+/**
+ * Expire the refresh token cookie
+ * @param {Object} res - Express response object
+ */
+function clearRefreshTokenCookie(res) {
+    clearCookie(res, REFRESH_COOKIE_CONFIG.name, cookieOptions());
+}
+
+/**
+ * Read the refresh token cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null}
+ */
+function getRefreshTokenCookie(req) {
+    return parseCookies(req.headers.cookie)[REFRESH_COOKIE_CONFIG.name] || null;
+}
+
+module.exports = {
+    setRefreshTokenCookie,
+    clearRefreshTokenCookie,
+    getRefreshTokenCookie,
+    REFRESH_COOKIE_CONFIG
+};
@@ -0,0 +1,183 @@
+// Refresh token stores
+// Stores are synchronous so token issuance in jwt.js stays synchronous.
+// Records: { userId, familyId, parentId, createdAt, expiresAt, rotatedAt }
+const { openDatabase } = require('../data/sqlite');
+
+// Configuration - In production, use environment variables
+const REFRESH_TOKEN_STORE_CONFIG = {
+    store: process.env.REFRESH_TOKEN_STORE || 'memory',   // 'memory' or 'sqlite'
+    filename: process.env.REFRESH_TOKEN_DB_PATH || 'data/refresh-tokens.sqlite',
+    sweepIntervalMs: 10 * 60 * 1000                        // 10 minutes
+};
+
+/**
+ * Refresh token store interface
+ */
+class RefreshTokenStore {
+    get(tokenId) {
+        throw new Error('get() not implemented');
+    }
+
+    set(tokenId, data) {
+        throw new Error('set() not implemented');
+    }
+
+    delete(tokenId) {
+        throw new Error('delete() not implemented');
+    }
+
+    deleteByUser(userId) {
+        throw new Error('deleteByUser() not implemented');
+    }
+
+    deleteByFamily(familyId) {
+        throw new Error('deleteByFamily() not implemented');
+    }
+
+    sweep(now = Date.now()) {
+        throw new Error('sweep() not implemented');
+    }
+}
+
+/**
+ * In-memory refresh token store (every session is lost on restart)
+ */
+class InMemoryRefreshTokenStore extends RefreshTokenStore {
+    constructor() {
+        super();
+        this.tokens = new Map();
+    }
+
+    get(tokenId) {
+        const data = this.tokens.get(tokenId);
+        return data ? { ...data } : null;
+    }
+
+    set(tokenId, data) {
+        this.tokens.set(tokenId, { ...data });
+    }
+
+    delete(tokenId) {
+        return this.tokens.delete(tokenId);
+    }
+
+    deleteByUser(userId) {
+        return this.deleteWhere(data => data.userId === userId);
+    }
+
+    deleteByFamily(familyId) {
+        return this.deleteWhere(data => data.familyId === familyId);
+    }
+
+    sweep(now = Date.now()) {
+        return this.deleteWhere(data => data.expiresAt < now);
+    }
+
+    deleteWhere(predicate) {
+        let removed = 0;
+        for (const [tokenId, data] of this.tokens.entries()) {
+            if (predicate(data)) {
+                this.tokens.delete(tokenId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+/**
+ * SQLite-backed refresh token store - sessions survive restarts
+ */
+class SqliteRefreshTokenStore extends RefreshTokenStore {
+    constructor(filename) {
+        super();
+        this.db = openDatabase(filename);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                token_id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                family_id TEXT NOT NULL,
+                parent_id TEXT,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                rotated_at INTEGER
+            );
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens (expires_at);
+        `);
+    }
+
+    get(tokenId) {
+        const row = this.db.prepare('SELECT * FROM refresh_tokens WHERE token_id = ?').get(tokenId);
+        if (!row) {
+            return null;
+        }
+        return {
+            userId: row.user_id,
+            familyId: row.family_id,
+            parentId: row.parent_id,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            rotatedAt: row.rotated_at
+        };
+    }
+
+    set(tokenId, data) {
+        this.db.prepare(`
+            INSERT OR REPLACE INTO refresh_tokens
+                (token_id, user_id, family_id, parent_id, created_at, expires_at, rotated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            tokenId,
+            data.userId,
+            data.familyId,
+            data.parentId || null,
+            data.createdAt,
+            data.expiresAt,
+            data.rotatedAt || null
+        );
+    }
+
+    delete(tokenId) {
+        return this.db.prepare('DELETE FROM refresh_tokens WHERE token_id = ?').run(tokenId).changes > 0;
+    }
+
+    deleteByUser(userId) {
+        return this.db.prepare('DELETE FROM refresh_tokens WHERE user_id = ?').run(userId).changes;
+    }
+
+    deleteByFamily(familyId) {
+        return this.db.prepare('DELETE FROM refresh_tokens WHERE family_id = ?').run(familyId).changes;
+    }
+
+    sweep(now = Date.now()) {
+        return this.db.prepare('DELETE FROM refresh_tokens WHERE expires_at < ?').run(now).changes;
+    }
+}
+
+/**
+ * Create a refresh token store from configuration
+ * @param {Object} config - { store: 'memory' | 'sqlite', filename }
+ * @returns {RefreshTokenStore} - Store instance
+ */
+function createRefreshTokenStore(config = {}) {
+    const { store, filename } = { ...REFRESH_TOKEN_STORE_CONFIG, ...config };
+
+    switch (store) {
+        case 'memory':
+            return new InMemoryRefreshTokenStore();
+        case 'sqlite':
+            return new SqliteRefreshTokenStore(filename);
+        default:
+            throw new Error(`Unknown refresh token store: ${store}`);
+    }
+}
+
+module.exports = {
+    RefreshTokenStore,
+    InMemoryRefreshTokenStore,
+    SqliteRefreshTokenStore,
+    createRefreshTokenStore,
+    REFRESH_TOKEN_STORE_CONFIG
+};
@@ -0,0 +1,217 @@
+// Password reset token store
+// Only a SHA-256 hash of each token is stored, so a leaked store can't be used to reset passwords
+const crypto = require('crypto');
+const { openDatabase } = require('../data/sqlite');
+
+// Configuration - In production, use environment variables
+const RESET_TOKEN_CONFIG = {
+    expiryMs: 60 * 60 * 1000,                            // 1 hour
+    store: process.env.RESET_TOKEN_STORE || 'memory',    // 'memory' or 'sqlite'
+    filename: process.env.RESET_TOKEN_DB_PATH || 'data/reset-tokens.sqlite'
+};
+
+/**
+ * Hash a raw reset token for storage and lookup
+ * @param {string} token - Raw token from the reset link
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * In-memory reset token store (tokens are lost on restart)
+ * Records: { tokenHash, userId, createdAt, expiresAt, usedAt }
+ */
+class InMemoryResetTokenStore {
+    constructor() {
+        this.tokens = new Map();
+    }
+
+    save(record) {
+        this.tokens.set(record.tokenHash, { ...record });
+    }
+
+    findByHash(tokenHash) {
+        const record = this.tokens.get(tokenHash);
+        return record ? { ...record } : null;
+    }
+
+    markUsed(tokenHash, usedAt = Date.now()) {
+        const record = this.tokens.get(tokenHash);
+        if (!record || record.usedAt) {
+            return false;
+        }
+        record.usedAt = usedAt;
+        return true;
+    }
+
+    deleteByUser(userId) {
+        for (const [tokenHash, record] of this.tokens.entries()) {
+            if (record.userId === userId) {
+                this.tokens.delete(tokenHash);
+            }
+        }
+    }
+
+    sweep(now = Date.now()) {
+        let removed = 0;
+        for (const [tokenHash, record] of this.tokens.entries()) {
+            if (record.expiresAt < now) {
+                this.tokens.delete(tokenHash);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+/**
+ * SQLite-backed reset token store
+ */
+class SqliteResetTokenStore {
+    constructor(filename) {
+        this.db = openDatabase(filename);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                token_hash TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                used_at INTEGER
+            );
+            CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens (user_id);
+        `);
+    }
+
+    save(record) {
+        this.db.prepare(`
+            INSERT OR REPLACE INTO password_reset_tokens (token_hash, user_id, created_at, expires_at, used_at)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(record.tokenHash, record.userId, record.createdAt, record.expiresAt, record.usedAt || null);
+    }
+
+    findByHash(tokenHash) {
+        const row = this.db.prepare('SELECT * FROM password_reset_tokens WHERE token_hash = ?').get(tokenHash);
+        if (!row) {
+            return null;
+        }
+        return {
+            tokenHash: row.token_hash,
+            userId: row.user_id,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            usedAt: row.used_at
+        };
+    }
+
+    markUsed(tokenHash, usedAt = Date.now()) {
+        // The used_at IS NULL guard makes concurrent redemptions race-safe
+        const result = this.db.prepare(`
+            UPDATE password_reset_tokens SET used_at = ? WHERE token_hash = ? AND used_at IS NULL
+        `).run(usedAt, tokenHash);
+        return result.changes > 0;
+    }
+
+    deleteByUser(userId) {
+        this.db.prepare('DELETE FROM password_reset_tokens WHERE user_id = ?').run(userId);
+    }
+
+    sweep(now = Date.now()) {
+        return this.db.prepare('DELETE FROM password_reset_tokens WHERE expires_at < ?').run(now).changes;
+    }
+}
+
+/**
+ * Create a reset token store from configuration
+ * @param {Object} config - { store: 'memory' | 'sqlite', filename }
+ * @returns {Object} - Store instance
+ */
+function createResetTokenStore(config = {}) {
+    const { store, filename } = { ...RESET_TOKEN_CONFIG, ...config };
+
+    switch (store) {
+        case 'memory':
+            return new InMemoryResetTokenStore();
+        case 'sqlite':
+            return new SqliteResetTokenStore(filename);
+        default:
+            throw new Error(`Unknown reset token store: ${store}`);
+    }
+}
+
+let resetTokenStore = createResetTokenStore();
+
+/**
+ * Replace the active reset token store (e.g. in tests)
+ * @param {Object} store - Store implementation
+ */
+function setResetTokenStore(store) {
+    resetTokenStore = store;
+}
+
+/**
+ * Issue a new reset token for a user
+ * Any outstanding tokens for the user are invalidated
+ * @param {string} userId - User ID
+ * @returns {Object} - { token, expiresAt } where token is the raw value for the email link
+ */
+function createResetToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const expiresAt = now + RESET_TOKEN_CONFIG.expiryMs;
+
+    resetTokenStore.sweep(now);
+    resetTokenStore.deleteByUser(userId);
+    resetTokenStore.save({
+        tokenHash: hashToken(token),
+        userId,
+        createdAt: now,
+        expiresAt,
+        usedAt: null
+    });
+
+    return { token, expiresAt };
+}
+
+/**
+ * Validate a reset token and burn it so it can't be used again
+ * @param {string} token - Raw reset token
+ * @returns {Object} - { valid, userId } or { valid: false, code, error }
+ */
+function consumeResetToken(token) {
+    if (!token || typeof token !== 'string') {
+        return { valid: false, code: 'INVALID_RESET_TOKEN', error: 'Reset token is invalid' };
+    }
+
+    const tokenHash = hashToken(token);
+    const record = resetTokenStore.findByHash(tokenHash);
+
+    if (!record) {
+        return { valid: false, code: 'INVALID_RESET_TOKEN', error: 'Reset token is invalid' };
+    }
+
+    if (record.usedAt) {
+        return { valid: false, code: 'RESET_TOKEN_USED', error: 'Reset token has already been used' };
+    }
+
+    if (record.expiresAt < Date.now()) {
+        return { valid: false, code: 'RESET_TOKEN_EXPIRED', error: 'Reset token has expired' };
+    }
+
+    if (!resetTokenStore.markUsed(tokenHash)) {
+        return { valid: false, code: 'RESET_TOKEN_USED', error: 'Reset token has already been used' };
+    }
+
+    return { valid: true, userId: record.userId };
+}
+
+module.exports = {
+    createResetToken,
+    consumeResetToken,
+    createResetTokenStore,
+    setResetTokenStore,
+    InMemoryResetTokenStore,
+    SqliteResetTokenStore,
+    RESET_TOKEN_CONFIG
+};
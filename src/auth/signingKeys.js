@@ -0,0 +1,185 @@
+// JWT signing key ring for asymmetric algorithms (RS256 / ES256)
+// Keys live in a KeyManager so rotated keys stay available for verification, until
+// the tokens they signed have expired
+const crypto = require('crypto');
+const { KeyManager, SecureRandom } = require('../services/EncryptionService');
+
+// KeyManager key type and generation options per JWT algorithm
+const SIGNING_ALGORITHMS = {
+    RS256: { type: 'asymmetric', options: { modulusLength: 2048 } },
+    ES256: { type: 'signing', options: { curve: 'prime256v1' } }
+};
+
+const keyManager = new KeyManager();
+let activeKeyId = null;
+
+/**
+ * Load or generate the active signing key
+ * PEM keys are read from JWT_PRIVATE_KEY / JWT_PUBLIC_KEY so every instance signs with the same key;
+ * without them a key pair is generated for this process
+ * @param {Object} options - { algorithm, privateKey, publicKey, keyId }
+ * @returns {Promise<Object>} - Active key info { kid, alg }
+ */
+async function initializeSigningKeys(options = {}) {
+    const {
+        algorithm = 'RS256',
+        privateKey = process.env.JWT_PRIVATE_KEY,
+        publicKey = process.env.JWT_PUBLIC_KEY,
+        keyId = process.env.JWT_KEY_ID
+    } = options;
+
+    const spec = SIGNING_ALGORITHMS[algorithm];
+    if (!spec) {
+        throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+    }
+
+    const kid = keyId || `${algorithm.toLowerCase()}-${SecureRandom.hex(8)}`;
+    let keyData;
+
+    if (privateKey) {
+        keyData = keyManager.importKey(kid, {
+            type: spec.type,
+            ...importedKeyOptions(algorithm, privateKey),
+            privateKey,
+            publicKey: publicKey || crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' })
+        });
+    } else {
+        keyData = await keyManager.generateKey(kid, spec.type, spec.options);
+    }
+
+    keyData.jwtAlgorithm = algorithm;
+    activeKeyId = kid;
+
+    return { kid, alg: algorithm };
+}
+
+/**
+ * Read the curve / modulus of an imported PEM key so rotation generates a key of the same kind
+ * @param {string} algorithm - JWT algorithm the key is used for
+ * @param {string} privateKey - PEM private key
+ * @returns {Object} - { curve } or { modulusLength }
+ */
+function importedKeyOptions(algorithm, privateKey) {
+    const spec = SIGNING_ALGORITHMS[algorithm];
+    const details = crypto.createPrivateKey(privateKey).asymmetricKeyDetails || {};
+
+    if (spec.options.curve) {
+        if (details.namedCurve !== spec.options.curve) {
+            throw new Error(`${algorithm} requires a ${spec.options.curve} key, got ${details.namedCurve || 'a non-EC key'}`);
+        }
+        return { curve: spec.options.curve };
+    }
+
+    if (!details.modulusLength) {
+        throw new Error(`${algorithm} requires an RSA key`);
+    }
+    return { modulusLength: Math.max(details.modulusLength, spec.options.modulusLength) };
+}
+
+/**
+ * Replace the active signing key with a freshly generated one
+ * The previous key keeps verifying tokens it signed until it retires
+ * @param {Object} options - { retireAfterMs } - how long the previous key stays valid,
+ *   at least the lifetime of the tokens it signed (default: never retired)
+ * @returns {Promise<Object>} - New active key info { kid, alg }
+ */
+async function rotateSigningKey(options = {}) {
+    if (!activeKeyId) {
+        throw new Error('Signing keys not initialized');
+    }
+
+    const previous = keyManager.getKey(activeKeyId);
+    const newKey = await keyManager.rotateKey(activeKeyId);
+    newKey.jwtAlgorithm = previous.jwtAlgorithm;
+    activeKeyId = newKey.id;
+
+    if (options.retireAfterMs !== undefined) {
+        previous.expiresAt = previous.rotatedAt + options.retireAfterMs;
+    }
+    removeRetiredKeys();
+
+    return { kid: newKey.id, alg: newKey.jwtAlgorithm };
+}
+
+/**
+ * Drop rotated keys past their retirement from the key ring
+ */
+function removeRetiredKeys(now = Date.now()) {
+    for (const { id, expiresAt } of keyManager.listKeys()) {
+        if (id !== activeKeyId && expiresAt && expiresAt < now) {
+            keyManager.deleteKey(id);
+        }
+    }
+}
+
+/**
+ * Get the key new tokens should be signed with
+ * @returns {Object|null} - { kid, alg, key } or null if not initialized
+ */
+function getActiveSigningKey() {
+    if (!activeKeyId) {
+        return null;
+    }
+
+    const keyData = keyManager.getKey(activeKeyId);
+    return {
+        kid: keyData.id,
+        alg: keyData.jwtAlgorithm,
+        key: keyData.privateKey
+    };
+}
+
+/**
+ * Look up the public key for a token's `kid` header
+ * @param {string} kid - Key ID
+ * @returns {Object|null} - { kid, alg, key } or null if unknown or expired
+ */
+function getVerificationKey(kid) {
+    try {
+        const keyData = keyManager.getKey(kid);
+        if (!keyData.jwtAlgorithm) {
+            return null;
+        }
+        return {
+            kid: keyData.id,
+            alg: keyData.jwtAlgorithm,
+            key: keyData.publicKey
+        };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Build the JSON Web Key Set with every public key that can still verify tokens
+ * @returns {Object} - { keys: [...] }
+ */
+function getJwks() {
+    removeRetiredKeys();
+    const keys = [];
+
+    for (const { id } of keyManager.listKeys()) {
+        const verificationKey = getVerificationKey(id);
+        if (!verificationKey) {
+            continue;
+        }
+
+        keys.push({
+            ...crypto.createPublicKey(verificationKey.key).export({ format: 'jwk' }),
+            kid: verificationKey.kid,
+            alg: verificationKey.alg,
+            use: 'sig'
+        });
+    }
+
+    return { keys };
+}
+
+module.exports = {
+    initializeSigningKeys,
+    rotateSigningKey,
+    getActiveSigningKey,
+    getVerificationKey,
+    getJwks,
+    SIGNING_ALGORITHMS
+};
@@ -0,0 +1,170 @@
+// TOTP (RFC 6238) one-time passwords
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Configuration
+const TOTP_CONFIG = {
+    digits: 6,
+    stepSeconds: 30,
+    window: 1,           // accept codes one step either side to allow for clock drift
+    secretBytes: 20      // 160-bit secrets as recommended by RFC 4226
+};
+
+/**
+ * Base32 encode a buffer (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Base32 decode a string (case-insensitive, padding and spaces ignored)
+ * @param {string} str - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+function base32Decode(str) {
+    const cleaned = String(str).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - Base32 encoded secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(TOTP_CONFIG.secretBytes));
+}
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Moving factor
+ * @returns {string} - Zero-padded code
+ */
+function generateHotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** TOTP_CONFIG.digits)).padStart(TOTP_CONFIG.digits, '0');
+}
+
+/**
+ * Get the TOTP time step counter for a timestamp
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {number} - Counter
+ */
+function getCounter(timeMs = Date.now()) {
+    return Math.floor(timeMs / 1000 / TOTP_CONFIG.stepSeconds);
+}
+
+/**
+ * Generate the current TOTP code
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {string} - Code
+ */
+function generateTotp(secret, timeMs = Date.now()) {
+    return generateHotp(secret, getCounter(timeMs));
+}
+
+/**
+ * Verify a TOTP code within the drift window
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code supplied by the user
+ * @param {Object} options - { timeMs, lastUsedCounter } - codes at or before lastUsedCounter are rejected as replays
+ * @returns {Object} - { valid, counter }
+ */
+function verifyTotp(secret, code, options = {}) {
+    const { timeMs = Date.now(), lastUsedCounter = -1 } = options;
+    const normalized = String(code || '').replace(/\s/g, '');
+
+    if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_CONFIG.digits) {
+        return { valid: false };
+    }
+
+    const current = getCounter(timeMs);
+    for (let counter = current - TOTP_CONFIG.window; counter <= current + TOTP_CONFIG.window; counter++) {
+        if (counter <= lastUsedCounter) {
+            continue;
+        }
+
+        const expected = Buffer.from(generateHotp(secret, counter));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return { valid: true, counter };
+        }
+    }
+
+    return { valid: false };
+}
+
+/**
+ * Build the otpauth:// provisioning URI that authenticator apps scan as a QR code
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {string} - Provisioning URI
+ */
+function buildProvisioningUri({ secret, accountName, issuer }) {
+    const label = encodeURIComponent(issuer ? `${issuer}:${accountName}` : accountName);
+    const params = new URLSearchParams({
+        secret,
+        algorithm: 'SHA1',
+        digits: String(TOTP_CONFIG.digits),
+        period: String(TOTP_CONFIG.stepSeconds)
+    });
+    if (issuer) {
+        params.set('issuer', issuer);
+    }
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateTotp,
+    verifyTotp,
+    buildProvisioningUri,
+    base32Encode,
+    base32Decode,
+    TOTP_CONFIG
+};
@@ -0,0 +1,516 @@
+// WebAuthn (passkey) registration and authentication ceremonies
+// Implements the relying-party checks from the WebAuthn Level 2 spec using Node crypto.
+// Supported attestation formats: "none" and "packed" (self and x5c attestation).
+const crypto = require('crypto');
+const { decode: decodeCbor, decodeFirst: decodeCborFirst } = require('../utils/cbor');
+const { createWebAuthnCredentialStore } = require('./webauthnCredentialStore');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Configuration - In production, use environment variables
+const WEBAUTHN_CONFIG = {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'JIRA Performance Test',
+    rpId: process.env.WEBAUTHN_RP_ID || new URL(FRONTEND_URL).hostname,
+    origins: (process.env.WEBAUTHN_ORIGINS || FRONTEND_URL).split(',').map(origin => origin.trim()),
+    challengeTimeoutMs: 5 * 60 * 1000,    // 5 minutes
+    userVerification: 'preferred'          // 'required' | 'preferred' | 'discouraged'
+};
+
+// COSE algorithm identifiers we accept, in order of preference
+const COSE_ALGORITHMS = {
+    ES256: -7,
+    EdDSA: -8,
+    RS256: -257
+};
+
+// Authenticator data flag bits
+const AUTH_DATA_FLAGS = {
+    USER_PRESENT: 0x01,
+    USER_VERIFIED: 0x04,
+    ATTESTED_CREDENTIAL_DATA: 0x40,
+    EXTENSION_DATA: 0x80
+};
+
+// Outstanding challenges: challenge -> { ceremony, userId, expiresAt }
+const challenges = new Map();
+
+let credentialStore = createWebAuthnCredentialStore();
+
+/**
+ * Build a failed ceremony result
+ * @param {string} code - Error code
+ * @param {string} message - Human readable message
+ * @returns {Object} - { success: false, code, message }
+ */
+function ceremonyError(code, message) {
+    return { success: false, code, message };
+}
+
+/**
+ * Issue a single-use challenge for a ceremony
+ * @param {string} ceremony - 'registration' or 'authentication'
+ * @param {string|null} userId - User the ceremony is bound to, if known
+ * @returns {string} - base64url challenge
+ */
+function issueChallenge(ceremony, userId = null) {
+    const now = Date.now();
+    for (const [challenge, entry] of challenges.entries()) {
+        if (entry.expiresAt < now) {
+            challenges.delete(challenge);
+        }
+    }
+
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    challenges.set(challenge, {
+        ceremony,
+        userId,
+        expiresAt: now + WEBAUTHN_CONFIG.challengeTimeoutMs
+    });
+    return challenge;
+}
+
+/**
+ * Take a challenge out of the store (each challenge can only be answered once)
+ * @param {string} challenge - base64url challenge from clientDataJSON
+ * @param {string} ceremony - Expected ceremony
+ * @returns {Object|null} - Challenge entry, or null if unknown, expired or for another ceremony
+ */
+function consumeChallenge(challenge, ceremony) {
+    const entry = challenges.get(challenge);
+    if (!entry) {
+        return null;
+    }
+    challenges.delete(challenge);
+
+    if (entry.ceremony !== ceremony || entry.expiresAt < Date.now()) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Parse and check clientDataJSON
+ * @param {string} clientDataJSON - base64url encoded client data
+ * @param {string} expectedType - 'webauthn.create' or 'webauthn.get'
+ * @param {string} ceremony - Ceremony the challenge must belong to
+ * @returns {Object} - { success, clientDataHash, challenge } or failure
+ */
+function verifyClientData(clientDataJSON, expectedType, ceremony) {
+    let raw;
+    let clientData;
+    try {
+        raw = Buffer.from(clientDataJSON, 'base64url');
+        clientData = JSON.parse(raw.toString('utf8'));
+    } catch {
+        return ceremonyError('INVALID_CLIENT_DATA', 'clientDataJSON is not valid JSON');
+    }
+
+    if (clientData.type !== expectedType) {
+        return ceremonyError('INVALID_CLIENT_DATA', `Expected client data type ${expectedType}`);
+    }
+    if (!WEBAUTHN_CONFIG.origins.includes(clientData.origin)) {
+        return ceremonyError('INVALID_ORIGIN', 'Origin is not allowed');
+    }
+
+    const challenge = consumeChallenge(clientData.challenge, ceremony);
+    if (!challenge) {
+        return ceremonyError('INVALID_CHALLENGE', 'Challenge is invalid or expired');
+    }
+
+    return {
+        success: true,
+        challenge,
+        clientDataHash: crypto.createHash('sha256').update(raw).digest()
+    };
+}
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {Object} - { rpIdHash, flags, signCount, aaguid?, credentialId?, credentialPublicKey? }
+ */
+function parseAuthenticatorData(authData) {
+    if (authData.length < 37) {
+        throw new Error('Authenticator data is too short');
+    }
+
+    const parsed = {
+        rpIdHash: authData.subarray(0, 32),
+        flags: authData[32],
+        signCount: authData.readUInt32BE(33)
+    };
+
+    if (parsed.flags & AUTH_DATA_FLAGS.ATTESTED_CREDENTIAL_DATA) {
+        let offset = 37;
+        parsed.aaguid = authData.subarray(offset, offset + 16);
+        offset += 16;
+        const idLength = authData.readUInt16BE(offset);
+        offset += 2;
+        parsed.credentialId = authData.subarray(offset, offset + idLength);
+        offset += idLength;
+
+        // The COSE key is followed by extension data, so only decode the first item
+        const { value, length } = decodeCborFirst(authData.subarray(offset));
+        parsed.credentialPublicKey = value;
+        offset += length;
+
+        if (!(parsed.flags & AUTH_DATA_FLAGS.EXTENSION_DATA) && offset !== authData.length) {
+            throw new Error('Unexpected trailing bytes in authenticator data');
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Check the RP ID hash and user presence/verification flags
+ * @param {Object} authData - Parsed authenticator data
+ * @returns {Object|null} - Failure result, or null if the checks pass
+ */
+function checkAuthenticatorData(authData) {
+    const expectedRpIdHash = crypto.createHash('sha256').update(WEBAUTHN_CONFIG.rpId).digest();
+    if (!crypto.timingSafeEqual(authData.rpIdHash, expectedRpIdHash)) {
+        return ceremonyError('INVALID_RP_ID', 'Credential is scoped to a different relying party');
+    }
+    if (!(authData.flags & AUTH_DATA_FLAGS.USER_PRESENT)) {
+        return ceremonyError('USER_NOT_PRESENT', 'User presence was not confirmed');
+    }
+    if (WEBAUTHN_CONFIG.userVerification === 'required' && !(authData.flags & AUTH_DATA_FLAGS.USER_VERIFIED)) {
+        return ceremonyError('USER_NOT_VERIFIED', 'User verification is required');
+    }
+    return null;
+}
+
+/**
+ * Convert a COSE_Key to a Node public key
+ * @param {Object} coseKey - Decoded COSE key map
+ * @returns {Object} - { key: KeyObject, alg: COSE algorithm id }
+ */
+function coseKeyToPublicKey(coseKey) {
+    const kty = coseKey[1];
+    const alg = coseKey[3];
+    let jwk;
+
+    if (kty === 2 && alg === COSE_ALGORITHMS.ES256 && coseKey[-1] === 1) {
+        jwk = { kty: 'EC', crv: 'P-256', x: coseKey[-2].toString('base64url'), y: coseKey[-3].toString('base64url') };
+    } else if (kty === 3 && alg === COSE_ALGORITHMS.RS256) {
+        jwk = { kty: 'RSA', n: coseKey[-1].toString('base64url'), e: coseKey[-2].toString('base64url') };
+    } else if (kty === 1 && alg === COSE_ALGORITHMS.EdDSA && coseKey[-1] === 6) {
+        jwk = { kty: 'OKP', crv: 'Ed25519', x: coseKey[-2].toString('base64url') };
+    } else {
+        throw new Error(`Unsupported credential key (kty ${kty}, alg ${alg})`);
+    }
+
+    return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg };
+}
+
+/**
+ * Verify a WebAuthn signature
+ * @param {number} alg - COSE algorithm id
+ * @param {Object|string} publicKey - KeyObject or PEM
+ * @param {Buffer} data - Signed data (authData || clientDataHash)
+ * @param {Buffer} signature - Signature from the authenticator
+ * @returns {boolean}
+ */
+function verifySignature(alg, publicKey, data, signature) {
+    try {
+        switch (alg) {
+            case COSE_ALGORITHMS.ES256:
+                // WebAuthn ECDSA signatures are DER encoded
+                return crypto.verify('sha256', data, { key: publicKey, dsaEncoding: 'der' }, signature);
+            case COSE_ALGORITHMS.RS256:
+                return crypto.verify('sha256', data, publicKey, signature);
+            case COSE_ALGORITHMS.EdDSA:
+                return crypto.verify(null, data, publicKey, signature);
+            default:
+                return false;
+        }
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Verify an attestation statement
+ * @param {string} fmt - Attestation format
+ * @param {Object} attStmt - Attestation statement
+ * @param {Buffer} authData - Raw authenticator data
+ * @param {Buffer} clientDataHash - SHA-256 of clientDataJSON
+ * @param {Object} credentialKey - { key, alg } from the attested credential data
+ * @returns {Object|null} - Failure result, or null if the statement is valid
+ */
+function verifyAttestationStatement(fmt, attStmt, authData, clientDataHash, credentialKey) {
+    if (fmt === 'none') {
+        if (attStmt && Object.keys(attStmt).length > 0) {
+            return ceremonyError('INVALID_ATTESTATION', 'Attestation statement must be empty for "none"');
+        }
+        return null;
+    }
+
+    if (fmt !== 'packed') {
+        return ceremonyError('UNSUPPORTED_ATTESTATION', `Attestation format "${fmt}" is not supported`);
+    }
+
+    const { alg, sig, x5c } = attStmt || {};
+    if (typeof alg !== 'number' || !Buffer.isBuffer(sig)) {
+        return ceremonyError('INVALID_ATTESTATION', 'Packed attestation is missing alg or sig');
+    }
+
+    const signedData = Buffer.concat([authData, clientDataHash]);
+
+    if (Array.isArray(x5c) && x5c.length > 0) {
+        // Full attestation: signed by the authenticator's attestation certificate
+        let certificate;
+        try {
+            certificate = new crypto.X509Certificate(x5c[0]);
+        } catch {
+            return ceremonyError('INVALID_ATTESTATION', 'Attestation certificate could not be parsed');
+        }
+
+        const now = Date.now();
+        if (certificate.ca || new Date(certificate.validFrom) > now || new Date(certificate.validTo) < now) {
+            return ceremonyError('INVALID_ATTESTATION', 'Attestation certificate is not valid');
+        }
+        if (!verifySignature(alg, certificate.publicKey, signedData, sig)) {
+            return ceremonyError('INVALID_ATTESTATION', 'Attestation signature is invalid');
+        }
+        return null;
+    }
+
+    // Self attestation: signed with the credential key itself
+    if (alg !== credentialKey.alg) {
+        return ceremonyError('INVALID_ATTESTATION', 'Self attestation algorithm does not match the credential');
+    }
+    if (!verifySignature(alg, credentialKey.key, signedData, sig)) {
+        return ceremonyError('INVALID_ATTESTATION', 'Attestation signature is invalid');
+    }
+    return null;
+}
+
+/**
+ * Build PublicKeyCredentialCreationOptions for a signed-in user
+ * @param {Object} user - User record { id, email, name }
+ * @returns {Object} - Options for navigator.credentials.create() (binary fields base64url encoded)
+ */
+function generateRegistrationOptions(user) {
+    return {
+        challenge: issueChallenge('registration', user.id),
+        rp: { id: WEBAUTHN_CONFIG.rpId, name: WEBAUTHN_CONFIG.rpName },
+        user: {
+            id: Buffer.from(user.id).toString('base64url'),
+            name: user.email,
+            displayName: user.name || user.email
+        },
+        pubKeyCredParams: Object.values(COSE_ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+        timeout: WEBAUTHN_CONFIG.challengeTimeoutMs,
+        attestation: 'none',
+        excludeCredentials: credentialStore.listByUser(user.id).map(credential => ({
+            type: 'public-key',
+            id: credential.id,
+            transports: credential.transports
+        })),
+        authenticatorSelection: {
+            // Login only offers discoverable credentials, see generateAuthenticationOptions()
+            residentKey: 'required',
+            requireResidentKey: true,
+            userVerification: WEBAUTHN_CONFIG.userVerification
+        }
+    };
+}
+
+/**
+ * Verify a registration response and store the new credential
+ * @param {string} userId - Signed-in user registering the credential
+ * @param {Object} credential - PublicKeyCredential JSON { id, response: { clientDataJSON, attestationObject, transports } }
+ * @param {Object} options - { name } label for the credential
+ * @returns {Object} - { success, credential } or { success: false, code, message }
+ */
+function verifyRegistration(userId, credential, options = {}) {
+    const response = credential?.response;
+    if (!response?.clientDataJSON || !response?.attestationObject) {
+        return ceremonyError('INVALID_CREDENTIAL', 'Registration response is incomplete');
+    }
+
+    const clientData = verifyClientData(response.clientDataJSON, 'webauthn.create', 'registration');
+    if (!clientData.success) {
+        return clientData;
+    }
+    if (clientData.challenge.userId !== userId) {
+        return ceremonyError('INVALID_CHALLENGE', 'Challenge was issued to a different user');
+    }
+
+    let attestation;
+    let authData;
+    let credentialKey;
+    try {
+        attestation = decodeCbor(Buffer.from(response.attestationObject, 'base64url'));
+        authData = parseAuthenticatorData(attestation.authData);
+        if (!authData.credentialId) {
+            return ceremonyError('INVALID_CREDENTIAL', 'Attested credential data is missing');
+        }
+        credentialKey = coseKeyToPublicKey(authData.credentialPublicKey);
+    } catch (error) {
+        return ceremonyError('INVALID_CREDENTIAL', error.message);
+    }
+
+    const authDataError = checkAuthenticatorData(authData);
+    if (authDataError) {
+        return authDataError;
+    }
+
+    const attestationError = verifyAttestationStatement(
+        attestation.fmt,
+        attestation.attStmt,
+        attestation.authData,
+        clientData.clientDataHash,
+        credentialKey
+    );
+    if (attestationError) {
+        return attestationError;
+    }
+
+    const credentialId = authData.credentialId.toString('base64url');
+    if (credentialStore.get(credentialId)) {
+        return ceremonyError('CREDENTIAL_EXISTS', 'Credential is already registered');
+    }
+
+    const record = {
+        id: credentialId,
+        userId,
+        publicKey: credentialKey.key.export({ type: 'spki', format: 'pem' }),
+        alg: credentialKey.alg,
+        signCount: authData.signCount,
+        transports: Array.isArray(response.transports) ? response.transports : [],
+        aaguid: authData.aaguid.toString('hex'),
+        name: options.name || null,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null
+    };
+    credentialStore.save(record);
+
+    return { success: true, credential: record };
+}
+
+/**
+ * Build PublicKeyCredentialRequestOptions
+ * The browser offers any discoverable passkey for this site. Credentials are never listed
+ * per user: allowCredentials for an email would tell anyone which accounts exist and
+ * which of them have passkeys
+ * @returns {Object} - Options for navigator.credentials.get() (binary fields base64url encoded)
+ */
+function generateAuthenticationOptions() {
+    return {
+        challenge: issueChallenge('authentication'),
+        rpId: WEBAUTHN_CONFIG.rpId,
+        timeout: WEBAUTHN_CONFIG.challengeTimeoutMs,
+        allowCredentials: [],
+        userVerification: WEBAUTHN_CONFIG.userVerification
+    };
+}
+
+/**
+ * Verify an authentication (assertion) response
+ * @param {Object} credential - PublicKeyCredential JSON
+ *   { id, response: { clientDataJSON, authenticatorData, signature, userHandle } }
+ * @returns {Object} - { success, userId, credentialId, userVerified } or { success: false, code, message }
+ */
+function verifyAuthentication(credential) {
+    const response = credential?.response;
+    if (!credential?.id || !response?.clientDataJSON || !response?.authenticatorData || !response?.signature) {
+        return ceremonyError('INVALID_CREDENTIAL', 'Authentication response is incomplete');
+    }
+
+    const clientData = verifyClientData(response.clientDataJSON, 'webauthn.get', 'authentication');
+    if (!clientData.success) {
+        return clientData;
+    }
+
+    const stored = credentialStore.get(credential.id);
+    if (!stored) {
+        return ceremonyError('UNKNOWN_CREDENTIAL', 'Credential is not registered');
+    }
+    if (response.userHandle && Buffer.from(response.userHandle, 'base64url').toString('utf8') !== stored.userId) {
+        return ceremonyError('INVALID_CREDENTIAL', 'User handle does not match the credential');
+    }
+
+    const rawAuthData = Buffer.from(response.authenticatorData, 'base64url');
+    let authData;
+    try {
+        authData = parseAuthenticatorData(rawAuthData);
+    } catch (error) {
+        return ceremonyError('INVALID_CREDENTIAL', error.message);
+    }
+
+    const authDataError = checkAuthenticatorData(authData);
+    if (authDataError) {
+        return authDataError;
+    }
+
+    const signedData = Buffer.concat([rawAuthData, clientData.clientDataHash]);
+    if (!verifySignature(stored.alg, stored.publicKey, signedData, Buffer.from(response.signature, 'base64url'))) {
+        return ceremonyError('INVALID_SIGNATURE', 'Assertion signature is invalid');
+    }
+
+    // A counter that fails to increase suggests the authenticator was cloned
+    // (authenticators that don't implement counters always report 0)
+    if ((authData.signCount > 0 || stored.signCount > 0) && authData.signCount <= stored.signCount) {
+        return ceremonyError('CLONED_AUTHENTICATOR', 'Signature counter did not increase');
+    }
+
+    credentialStore.update(stored.id, {
+        signCount: authData.signCount,
+        lastUsedAt: new Date().toISOString()
+    });
+
+    return {
+        success: true,
+        userId: stored.userId,
+        credentialId: stored.id,
+        userVerified: Boolean(authData.flags & AUTH_DATA_FLAGS.USER_VERIFIED)
+    };
+}
+
+/**
+ * List a user's registered credentials without their public keys
+ * @param {string} userId - User ID
+ * @returns {Array} - Credential summaries
+ */
+function listCredentials(userId) {
+    return credentialStore.listByUser(userId)
+        .map(({ publicKey, ...summary }) => summary);
+}
+
+/**
+ * Remove one of a user's credentials
+ * @param {string} userId - Owner
+ * @param {string} credentialId - Credential ID
+ * @returns {boolean} - True if a credential was removed
+ */
+function deleteCredential(userId, credentialId) {
+    const stored = credentialStore.get(credentialId);
+    if (!stored || stored.userId !== userId) {
+        return false;
+    }
+    return credentialStore.delete(credentialId);
+}
+
+/**
+ * Replace the credential store (e.g. with a SQLite store, or a fresh one in tests)
+ * @param {Object} store - WebAuthnCredentialStore implementation
+ */
+function setWebAuthnCredentialStore(store) {
+    credentialStore = store;
+}
+
+module.exports = {
+    generateRegistrationOptions,
+    verifyRegistration,
+    generateAuthenticationOptions,
+    verifyAuthentication,
+    listCredentials,
+    deleteCredential,
+    setWebAuthnCredentialStore,
+    parseAuthenticatorData,
+    COSE_ALGORITHMS,
+    WEBAUTHN_CONFIG
+};
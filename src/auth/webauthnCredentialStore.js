@@ -0,0 +1,207 @@
+// WebAuthn credential stores
+// Stores are synchronous like the other token stores.
+// Records: { id, userId, publicKey (PEM), alg, signCount, transports, aaguid, name, createdAt, lastUsedAt }
+const { openDatabase } = require('../data/sqlite');
+
+// Configuration - In production, use environment variables
+const WEBAUTHN_CREDENTIAL_STORE_CONFIG = {
+    store: process.env.WEBAUTHN_CREDENTIAL_STORE || 'memory',   // 'memory' or 'sqlite'
+    filename: process.env.WEBAUTHN_DB_PATH || 'data/webauthn-credentials.sqlite'
+};
+
+/**
+ * WebAuthn credential store interface
+ */
+class WebAuthnCredentialStore {
+    get(credentialId) {
+        throw new Error('get() not implemented');
+    }
+
+    listByUser(userId) {
+        throw new Error('listByUser() not implemented');
+    }
+
+    save(credential) {
+        throw new Error('save() not implemented');
+    }
+
+    update(credentialId, changes) {
+        throw new Error('update() not implemented');
+    }
+
+    delete(credentialId) {
+        throw new Error('delete() not implemented');
+    }
+
+    deleteByUser(userId) {
+        throw new Error('deleteByUser() not implemented');
+    }
+}
+
+/**
+ * In-memory credential store (registered passkeys are lost on restart)
+ */
+class InMemoryWebAuthnCredentialStore extends WebAuthnCredentialStore {
+    constructor() {
+        super();
+        this.credentials = new Map();
+    }
+
+    get(credentialId) {
+        const credential = this.credentials.get(credentialId);
+        return credential ? { ...credential } : null;
+    }
+
+    listByUser(userId) {
+        return [...this.credentials.values()]
+            .filter(credential => credential.userId === userId)
+            .map(credential => ({ ...credential }));
+    }
+
+    save(credential) {
+        this.credentials.set(credential.id, { ...credential });
+    }
+
+    update(credentialId, changes) {
+        const credential = this.credentials.get(credentialId);
+        if (!credential) {
+            return null;
+        }
+        const { id: _, ...rest } = changes;
+        Object.assign(credential, rest);
+        return { ...credential };
+    }
+
+    delete(credentialId) {
+        return this.credentials.delete(credentialId);
+    }
+
+    deleteByUser(userId) {
+        let removed = 0;
+        for (const [credentialId, credential] of this.credentials.entries()) {
+            if (credential.userId === userId) {
+                this.credentials.delete(credentialId);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+/**
+ * SQLite-backed credential store
+ */
+class SqliteWebAuthnCredentialStore extends WebAuthnCredentialStore {
+    constructor(filename) {
+        super();
+        this.db = openDatabase(filename);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS webauthn_credentials (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                public_key TEXT NOT NULL,
+                alg INTEGER NOT NULL,
+                sign_count INTEGER NOT NULL DEFAULT 0,
+                transports TEXT NOT NULL DEFAULT '[]',
+                aaguid TEXT,
+                name TEXT,
+                created_at TEXT NOT NULL,
+                last_used_at TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user ON webauthn_credentials (user_id);
+        `);
+    }
+
+    static toRecord(row) {
+        if (!row) {
+            return null;
+        }
+        return {
+            id: row.id,
+            userId: row.user_id,
+            publicKey: row.public_key,
+            alg: row.alg,
+            signCount: row.sign_count,
+            transports: JSON.parse(row.transports),
+            aaguid: row.aaguid,
+            name: row.name,
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at
+        };
+    }
+
+    get(credentialId) {
+        const row = this.db.prepare('SELECT * FROM webauthn_credentials WHERE id = ?').get(credentialId);
+        return SqliteWebAuthnCredentialStore.toRecord(row);
+    }
+
+    listByUser(userId) {
+        return this.db.prepare('SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY created_at')
+            .all(userId)
+            .map(SqliteWebAuthnCredentialStore.toRecord);
+    }
+
+    save(credential) {
+        this.db.prepare(`
+            INSERT OR REPLACE INTO webauthn_credentials
+                (id, user_id, public_key, alg, sign_count, transports, aaguid, name, created_at, last_used_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            credential.id,
+            credential.userId,
+            credential.publicKey,
+            credential.alg,
+            credential.signCount || 0,
+            JSON.stringify(credential.transports || []),
+            credential.aaguid || null,
+            credential.name || null,
+            credential.createdAt,
+            credential.lastUsedAt || null
+        );
+    }
+
+    update(credentialId, changes) {
+        const existing = this.get(credentialId);
+        if (!existing) {
+            return null;
+        }
+        const { id: _, ...rest } = changes;
+        const updated = { ...existing, ...rest };
+        this.save(updated);
+        return updated;
+    }
+
+    delete(credentialId) {
+        return this.db.prepare('DELETE FROM webauthn_credentials WHERE id = ?').run(credentialId).changes > 0;
+    }
+
+    deleteByUser(userId) {
+        return this.db.prepare('DELETE FROM webauthn_credentials WHERE user_id = ?').run(userId).changes;
+    }
+}
+
+/**
+ * Create a credential store from configuration
+ * @param {Object} config - { store: 'memory' | 'sqlite', filename }
+ * @returns {WebAuthnCredentialStore} - Store instance
+ */
+function createWebAuthnCredentialStore(config = {}) {
+    const { store, filename } = { ...WEBAUTHN_CREDENTIAL_STORE_CONFIG, ...config };
+
+    switch (store) {
+        case 'memory':
+            return new InMemoryWebAuthnCredentialStore();
+        case 'sqlite':
+            return new SqliteWebAuthnCredentialStore(filename);
+        default:
+            throw new Error(`Unknown WebAuthn credential store: ${store}`);
+    }
+}
+
+module.exports = {
+    WebAuthnCredentialStore,
+    InMemoryWebAuthnCredentialStore,
+    SqliteWebAuthnCredentialStore,
+    createWebAuthnCredentialStore,
+    WEBAUTHN_CREDENTIAL_STORE_CONFIG
+};
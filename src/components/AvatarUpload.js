@@ -1,20 +1,116 @@
 // Avatar Upload Component
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 
 const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 const MAX_SIZE = 5 * 1024 * 1024; // 5MB
 
+// Thumbnail sizes generated by the server (see AVATAR_IMAGE_CONFIG)
+const AVATAR_SIZES = [32, 64, 128, 256];
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+
+/**
+ * Request the smallest server thumbnail that stays sharp at the displayed size
+ * Local previews (data: and blob: URLs) and other hosts' images are returned unchanged
+ */
+const sizedAvatarUrl = (url, size) => {
+    if (!url || !url.startsWith('/api/avatar/')) {
+        return url;
+    }
+
+    const pixels = Math.ceil(size * (window.devicePixelRatio || 1));
+    const thumbnail = AVATAR_SIZES.find(s => s >= pixels);
+    if (!thumbnail) {
+        return url;
+    }
+
+    const [path, query] = url.split('?');
+    const params = new URLSearchParams(query);
+    params.set('size', thumbnail);
+    return `${path}?${params.toString()}`;
+};
+
+/**
+ * Scale at which the (rotated) image just covers a size x size square
+ */
+const coverScale = (image, rotation, size) => {
+    const sideways = rotation % 180 !== 0;
+    const width = sideways ? image.naturalHeight : image.naturalWidth;
+    const height = sideways ? image.naturalWidth : image.naturalHeight;
+    return Math.max(size / width, size / height);
+};
+
+/**
+ * Keep the pan offset within bounds so the image always covers the crop area
+ */
+const clampOffset = (offset, image, { zoom, rotation }, size) => {
+    const scale = coverScale(image, rotation, size) * zoom;
+    const sideways = rotation % 180 !== 0;
+    const width = (sideways ? image.naturalHeight : image.naturalWidth) * scale;
+    const height = (sideways ? image.naturalWidth : image.naturalHeight) * scale;
+    const maxX = (width - size) / 2;
+    const maxY = (height - size) / 2;
+
+    return {
+        x: Math.min(maxX, Math.max(-maxX, offset.x)),
+        y: Math.min(maxY, Math.max(-maxY, offset.y))
+    };
+};
+
+/**
+ * Draw the image with the editor's crop, zoom and rotation into a size x size area
+ * Offsets are in editor pixels; `scale` maps them onto a larger export canvas
+ */
+const drawCrop = (ctx, image, { zoom, rotation, offset }, size, scale = 1) => {
+    const imageScale = coverScale(image, rotation, size) * zoom;
+
+    ctx.save();
+    ctx.scale(scale, scale);
+    ctx.translate(size / 2 + offset.x, size / 2 + offset.y);
+    ctx.rotate((rotation * Math.PI) / 180);
+    ctx.scale(imageScale, imageScale);
+    ctx.drawImage(image, -image.naturalWidth / 2, -image.naturalHeight / 2);
+    ctx.restore();
+};
+
+/**
+ * Name for the exported crop: the original file's name with the exported type's extension
+ */
+const croppedFileName = (name, type) => {
+    const extension = type === 'image/jpeg' ? 'jpg' : 'png';
+    const base = (name || 'avatar').replace(/\.[^.]*$/, '') || 'avatar';
+    return `${base}.${extension}`;
+};
+
+const readAsDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read file. Please try again.'));
+    reader.readAsDataURL(blob);
+});
+
 const AvatarUpload = ({
     currentAvatar,
-    onUpload,
+    onUpload,              // (file, dataUrl, uploadResult) - the cropped image as a File and data URL;
+                           // uploadResult is the server's response when uploadUrl is set, else null
     onRemove,
     size = 120,
-    disabled = false
+    disabled = false,
+    uploadUrl,             // When set, the cropped image is POSTed here (e.g. '/api/avatar')
+    accessToken,           // Bearer token sent with the upload
+    outputSize = 512       // Edge length of the exported image in pixels
 }) => {
     const [preview, setPreview] = useState(currentAvatar || null);
     const [error, setError] = useState(null);
     const [isDragging, setIsDragging] = useState(false);
+    const [editing, setEditing] = useState(null);    // { image, url, type, name }
+    const [crop, setCrop] = useState({ zoom: 1, rotation: 0, offset: { x: 0, y: 0 } });
+    const [progress, setProgress] = useState(null);  // 0-100 while uploading
     const fileInputRef = useRef(null);
+    const canvasRef = useRef(null);
+    const dragRef = useRef(null);
+    const previewUrlRef = useRef(null);
 
     const validateFile = (file) => {
         if (!ALLOWED_TYPES.includes(file.type)) {
@@ -26,6 +122,44 @@ const AvatarUpload = ({
         return null;
     };
 
+    // Redraw the editor whenever the crop changes
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!editing || !canvas) {
+            return;
+        }
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, size, size);
+        drawCrop(ctx, editing.image, crop, size);
+
+        // Dim everything outside the circle the avatar will be shown in
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.rect(0, 0, size, size);
+        ctx.arc(size / 2, size / 2, size / 2, 0, Math.PI * 2, true);
+        ctx.fill('evenodd');
+        ctx.restore();
+    }, [editing, crop, size]);
+
+    // Release the local preview URL when the component goes away
+    useEffect(() => () => {
+        if (previewUrlRef.current) {
+            URL.revokeObjectURL(previewUrlRef.current);
+        }
+    }, []);
+
+    const closeEditor = () => {
+        if (editing) {
+            URL.revokeObjectURL(editing.url);
+        }
+        setEditing(null);
+        if (fileInputRef.current) {
+            fileInputRef.current.value = '';
+        }
+    };
+
     const handleFileSelect = (file) => {
         setError(null);
 
@@ -35,14 +169,126 @@ const AvatarUpload = ({
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            setPreview(e.target.result);
-            if (onUpload) {
-                onUpload(file, e.target.result);
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            setCrop({ zoom: 1, rotation: 0, offset: { x: 0, y: 0 } });
+            setEditing({ image, url, type: file.type, name: file.name });
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            setError('Could not read this image.');
+        };
+        image.src = url;
+    };
+
+    const updateCrop = (changes) => {
+        setCrop((current) => {
+            const next = { ...current, ...changes };
+            return { ...next, offset: clampOffset(next.offset, editing.image, next, size) };
+        });
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { x: e.clientX, y: e.clientY, offset: crop.offset };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        updateCrop({
+            offset: {
+                x: drag.offset.x + e.clientX - drag.x,
+                y: drag.offset.y + e.clientY - drag.y
+            }
+        });
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    /**
+     * Render the crop at full resolution
+     * Canvas can't encode GIF and WebP encoding isn't universal, so anything but JPEG becomes PNG
+     */
+    const exportCrop = () => new Promise((resolve, reject) => {
+        const type = editing.type === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+        const canvas = document.createElement('canvas');
+        canvas.width = outputSize;
+        canvas.height = outputSize;
+
+        const ctx = canvas.getContext('2d');
+        if (type === 'image/jpeg') {
+            ctx.fillStyle = '#fff';
+            ctx.fillRect(0, 0, outputSize, outputSize);
+        }
+        drawCrop(ctx, editing.image, crop, size, outputSize / size);
+
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not export image'))), type, 0.92);
+    });
+
+    const uploadBlob = (blob) => new Promise((resolve, reject) => {
+        // XHR rather than fetch: fetch has no upload progress events
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', uploadUrl);
+        xhr.setRequestHeader('Content-Type', blob.type);
+        if (accessToken) {
+            xhr.setRequestHeader('Authorization', `Bearer ${accessToken}`);
+        }
+
+        xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable) {
+                setProgress(Math.round((e.loaded / e.total) * 100));
             }
         };
-        reader.readAsDataURL(file);
+        xhr.onload = () => {
+            let payload = null;
+            try {
+                payload = JSON.parse(xhr.responseText);
+            } catch (parseError) {
+                // Non-JSON error page
+            }
+
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(payload);
+            } else {
+                reject(new Error(payload?.error || 'Upload failed. Please try again.'));
+            }
+        };
+        xhr.onerror = () => reject(new Error('Upload failed. Please check your connection.'));
+        xhr.send(blob);
+    });
+
+    const handleApply = async () => {
+        setError(null);
+
+        try {
+            const blob = await exportCrop();
+            let result = null;
+
+            if (uploadUrl) {
+                setProgress(0);
+                result = await uploadBlob(blob);
+            }
+
+            if (previewUrlRef.current) {
+                URL.revokeObjectURL(previewUrlRef.current);
+            }
+            previewUrlRef.current = URL.createObjectURL(blob);
+            setPreview(previewUrlRef.current);
+            closeEditor();
+
+            if (onUpload) {
+                const file = new File([blob], croppedFileName(editing.name, blob.type), { type: blob.type });
+                onUpload(file, await readAsDataUrl(blob), result);
+            }
+        } catch (uploadError) {
+            setError(uploadError.message);
+        } finally {
+            setProgress(null);
+        }
     };
 
     const handleInputChange = (e) => {
@@ -88,6 +334,84 @@ const AvatarUpload = ({
         }
     };
 
+    const uploading = progress !== null;
+
+    if (editing) {
+        return (
+            <div className="avatar-upload-container">
+                <canvas
+                    ref={canvasRef}
+                    width={size}
+                    height={size}
+                    className="avatar-editor-canvas"
+                    style={{ width: size, height: size }}
+                    onPointerDown={uploading ? undefined : handlePointerDown}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                    aria-label="Drag to position your avatar"
+                />
+
+                <div className="avatar-editor-controls">
+                    <label className="avatar-zoom">
+                        <span>Zoom</span>
+                        <input
+                            type="range"
+                            min={MIN_ZOOM}
+                            max={MAX_ZOOM}
+                            step="0.01"
+                            value={crop.zoom}
+                            onChange={(e) => updateCrop({ zoom: Number(e.target.value) })}
+                            disabled={uploading}
+                        />
+                    </label>
+                    <button
+                        type="button"
+                        className="avatar-rotate-btn"
+                        onClick={() => updateCrop({ rotation: (crop.rotation + 90) % 360 })}
+                        disabled={uploading}
+                        aria-label="Rotate 90 degrees"
+                    >
+                        ⟳
+                    </button>
+                </div>
+
+                {uploading && (
+                    <div
+                        className="avatar-progress"
+                        role="progressbar"
+                        aria-valuenow={progress}
+                        aria-valuemin={0}
+                        aria-valuemax={100}
+                    >
+                        <div className="avatar-progress-bar" style={{ width: `${progress}%` }} />
+                    </div>
+                )}
+
+                <div className="avatar-editor-actions">
+                    <button
+                        type="button"
+                        className="avatar-cancel-btn"
+                        onClick={closeEditor}
+                        disabled={uploading}
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        className="avatar-apply-btn"
+                        onClick={handleApply}
+                        disabled={uploading}
+                    >
+                        {uploading ? `Uploading ${progress}%` : 'Save'}
+                    </button>
+                </div>
+
+                {error && <div className="avatar-error">{error}</div>}
+            </div>
+        );
+    }
+
     return (
         <div className="avatar-upload-container">
             <div
@@ -100,7 +424,7 @@ const AvatarUpload = ({
             >
                 {preview ? (
                     <img
-                        src={preview}
+                        src={sizedAvatarUrl(preview, size)}
                         alt="Avatar preview"
                         className="avatar-preview"
                         style={{ width: size, height: size }}
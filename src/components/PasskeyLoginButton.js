@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+
+/**
+ * Passkey Login Button Component
+ * Passwordless sign-in with WebAuthn, rendered by SocialLoginButtons
+ * The browser offers the passkeys it holds for this site, so no email is asked for
+ */
+const PasskeyLoginButton = ({
+    onSuccess,
+    onMfaRequired,
+    onError,
+    disabled = false,
+    size = 'medium',
+    showLabel = true
+}) => {
+    const [loading, setLoading] = useState(false);
+
+    const API_BASE_URL = process.env.REACT_APP_API_URL || '';
+
+    const supported = typeof window !== 'undefined' && Boolean(window.PublicKeyCredential);
+
+    const sizeStyles = {
+        small: { padding: '8px 16px', fontSize: '14px', iconSize: 18 },
+        medium: { padding: '12px 24px', fontSize: '16px', iconSize: 20 },
+        large: { padding: '16px 32px', fontSize: '18px', iconSize: 24 }
+    };
+
+    const postJson = async (path, body) => {
+        const response = await fetch(`${API_BASE_URL}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const payload = await response.json();
+
+        if (!response.ok) {
+            throw new Error(payload.error?.message || 'Passkey sign-in failed');
+        }
+        return payload;
+    };
+
+    const handlePasskeyLogin = async () => {
+        if (disabled || loading || !supported) return;
+
+        setLoading(true);
+
+        try {
+            const { data } = await postJson('/api/auth/webauthn/login/options', {});
+            const { options } = data;
+
+            // The API sends binary fields base64url encoded
+            const assertion = await navigator.credentials.get({
+                publicKey: {
+                    ...options,
+                    challenge: base64UrlToBuffer(options.challenge)
+                }
+            });
+
+            if (!assertion) {
+                throw new Error('No passkey was selected');
+            }
+
+            const result = await postJson('/api/auth/webauthn/login/verify', {
+                credential: {
+                    id: assertion.id,
+                    type: assertion.type,
+                    response: {
+                        clientDataJSON: bufferToBase64Url(assertion.response.clientDataJSON),
+                        authenticatorData: bufferToBase64Url(assertion.response.authenticatorData),
+                        signature: bufferToBase64Url(assertion.response.signature),
+                        userHandle: assertion.response.userHandle
+                            ? bufferToBase64Url(assertion.response.userHandle)
+                            : null
+                    }
+                }
+            });
+
+            if (result.data.mfaRequired) {
+                onMfaRequired?.(result.data);
+            } else {
+                onSuccess?.(result.data);
+            }
+        } catch (error) {
+            // NotAllowedError means the user dismissed the browser prompt
+            if (error.name === 'NotAllowedError') {
+                onError?.('Passkey sign-in was cancelled');
+            } else {
+                onError?.(error.message || 'Passkey sign-in failed');
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!supported) {
+        return null;
+    }
+
+    const buttonStyle = {
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '12px',
+        padding: sizeStyles[size].padding,
+        fontSize: sizeStyles[size].fontSize,
+        fontWeight: 500,
+        backgroundColor: '#ffffff',
+        color: '#1f2937',
+        border: '1px solid #d1d5db',
+        borderRadius: '8px',
+        cursor: disabled || loading ? 'not-allowed' : 'pointer',
+        opacity: disabled ? 0.6 : 1,
+        transition: 'all 0.2s ease',
+        width: '100%'
+    };
+
+    return (
+        <button
+            type="button"
+            onClick={handlePasskeyLogin}
+            disabled={disabled || loading}
+            style={buttonStyle}
+            onMouseEnter={(e) => {
+                if (!disabled && !loading) {
+                    e.target.style.backgroundColor = '#f3f4f6';
+                }
+            }}
+            onMouseLeave={(e) => {
+                e.target.style.backgroundColor = '#ffffff';
+            }}
+        >
+            <PasskeyIcon size={sizeStyles[size].iconSize} />
+            {showLabel && (
+                <span>{loading ? 'Waiting for passkey...' : 'Sign in with a passkey'}</span>
+            )}
+        </button>
+    );
+};
+
+// base64url <-> ArrayBuffer helpers for the WebAuthn browser API
+const base64UrlToBuffer = (value) => {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+};
+
+const bufferToBase64Url = (buffer) => {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// Passkey Icon Component
+const PasskeyIcon = ({ size = 20 }) => (
+    <svg width={size} height={size} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+        <circle cx="9" cy="7" r="4" />
+        <path d="M3 21v-2a4 4 0 0 1 4-4h4" />
+        <circle cx="17" cy="15" r="2.5" />
+        <path d="M17 17.5V22l1.5-1.5L17 19" />
+    </svg>
+);
+
+export default PasskeyLoginButton;
@@ -1,41 +1,55 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
+import PasskeyLoginButton from './PasskeyLoginButton';
 
 /**
  * Social Login Buttons Component
- * Provides OAuth login options for Google and GitHub
+ * Provides OAuth login options for the providers configured on the server
+ * (GET /api/auth/oauth/providers), plus passkey sign-in where the browser supports it
  */
 const SocialLoginButtons = ({
     onSuccess,
     onError,
+    onMfaRequired,
     disabled = false,
     size = 'medium',
     showLabels = true,
+    showPasskey = true,
     layout = 'vertical'
 }) => {
     const [loading, setLoading] = useState(null);
+    const [providers, setProviders] = useState([]);
 
     const API_BASE_URL = process.env.REACT_APP_API_URL || '';
 
-    const providers = [
-        {
-            id: 'google',
-            name: 'Google',
-            icon: GoogleIcon,
-            bgColor: '#ffffff',
-            textColor: '#757575',
-            borderColor: '#dadce0',
-            hoverBgColor: '#f8f9fa'
-        },
-        {
-            id: 'github',
-            name: 'GitHub',
-            icon: GitHubIcon,
-            bgColor: '#24292e',
-            textColor: '#ffffff',
-            borderColor: '#24292e',
-            hoverBgColor: '#2f363d'
-        }
-    ];
+    useEffect(() => {
+        let cancelled = false;
+
+        fetch(`${API_BASE_URL}/api/auth/oauth/providers`)
+            .then(response => response.json())
+            .then((data) => {
+                if (cancelled || !data.success) return;
+
+                setProviders(data.providers.map((provider) => {
+                    const style = PROVIDER_STYLES[provider.icon] || {
+                        ...GENERIC_PROVIDER_STYLE,
+                        icon: initialIcon(provider.displayName)
+                    };
+                    return {
+                        id: provider.name,
+                        name: provider.displayName,
+                        authUrl: provider.authUrl,
+                        ...style
+                    };
+                }));
+            })
+            .catch(() => {
+                if (!cancelled) onError?.('Failed to load login providers');
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [API_BASE_URL]);
 
     const sizeStyles = {
         small: { padding: '8px 16px', fontSize: '14px', iconSize: 18 },
@@ -43,19 +57,19 @@ const SocialLoginButtons = ({
         large: { padding: '16px 32px', fontSize: '18px', iconSize: 24 }
     };
 
-    const handleOAuthLogin = (providerId) => {
+    const handleOAuthLogin = (provider) => {
         if (disabled || loading) return;
 
-        setLoading(providerId);
+        setLoading(provider.id);
 
         // Open OAuth popup or redirect
-        const authUrl = `${API_BASE_URL}/api/auth/${providerId}`;
+        const authUrl = `${API_BASE_URL}${provider.authUrl}`;
 
         // Option 1: Full page redirect
         window.location.href = authUrl;
 
         // Option 2: Popup window (uncomment to use)
-        // openOAuthPopup(authUrl, providerId);
+        // openOAuthPopup(authUrl, provider.id);
     };
 
     const openOAuthPopup = (url, providerId) => {
@@ -137,7 +151,7 @@ const SocialLoginButtons = ({
             {providers.map((provider) => (
                 <button
                     key={provider.id}
-                    onClick={() => handleOAuthLogin(provider.id)}
+                    onClick={() => handleOAuthLogin(provider)}
                     disabled={disabled || loading}
                     style={buttonStyle(provider)}
                     onMouseEnter={(e) => {
@@ -159,6 +173,16 @@ const SocialLoginButtons = ({
                     )}
                 </button>
             ))}
+            {showPasskey && (
+                <PasskeyLoginButton
+                    onSuccess={onSuccess}
+                    onMfaRequired={onMfaRequired}
+                    onError={onError}
+                    disabled={disabled || Boolean(loading)}
+                    size={size}
+                    showLabel={showLabels}
+                />
+            )}
         </div>
     );
 };
@@ -192,4 +216,42 @@ const GitHubIcon = ({ size = 20 }) => (
     </svg>
 );
 
+// Button styles for providers we have brand assets for; everything else uses the generic style
+const PROVIDER_STYLES = {
+    google: {
+        icon: GoogleIcon,
+        bgColor: '#ffffff',
+        textColor: '#757575',
+        borderColor: '#dadce0',
+        hoverBgColor: '#f8f9fa'
+    },
+    github: {
+        icon: GitHubIcon,
+        bgColor: '#24292e',
+        textColor: '#ffffff',
+        borderColor: '#24292e',
+        hoverBgColor: '#2f363d'
+    }
+};
+
+const GENERIC_PROVIDER_STYLE = {
+    bgColor: '#ffffff',
+    textColor: '#344054',
+    borderColor: '#d0d5dd',
+    hoverBgColor: '#f9fafb'
+};
+
+// Fallback icon for providers without brand assets: the provider's initial in a circle
+const initialIcon = (displayName) => {
+    const InitialIcon = ({ size = 20 }) => (
+        <svg width={size} height={size} viewBox="0 0 24 24">
+            <circle cx="12" cy="12" r="11" fill="#667085" />
+            <text x="12" y="16.5" textAnchor="middle" fontSize="13" fontWeight="600" fill="#ffffff">
+                {(displayName || '?').charAt(0).toUpperCase()}
+            </text>
+        </svg>
+    );
+    return InitialIcon;
+};
+
 export default SocialLoginButtons;
@@ -1,11 +1,13 @@
 /**
- * Test Users Database
- * For demo/testing purposes only - DO NOT use in production
+ * Test Users Fixture
+ * Seed data for the test suites - never loaded by application code
  *
  * All test passwords follow the pattern: firstname123!
  * Example: kavinda123!, obhasha123!, etc.
  */
 
+const bcrypt = require('bcrypt');
+
 const testUsers = [
   {
     id: 'usr_001',
@@ -187,10 +189,30 @@ function getAllUsers() {
   return testUsers.map(({ password, ...user }) => user);
 }
 
+/**
+ * Load the test users into a user repository with hashed passwords
+ * Users that already exist are left untouched
+ * @param {Object} repository - UserRepository implementation
+ */
+async function seedTestUsers(repository) {
+  for (const { password, active, ...user } of testUsers) {
+    if (await repository.findById(user.id)) {
+      continue;
+    }
+
+    await repository.create({
+      ...user,
+      passwordHash: await bcrypt.hash(password, 10),
+      status: active ? 'active' : 'inactive'
+    });
+  }
+}
+
 module.exports = {
   testUsers,
   findUserByEmail,
   findUserById,
   authenticateTestUser,
-  getAllUsers
+  getAllUsers,
+  seedTestUsers
 };
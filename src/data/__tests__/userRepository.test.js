@@ -0,0 +1,77 @@
+const { InMemoryUserRepository, SqliteUserRepository, toPublicUser, UserStatus } = require('../userRepository');
+
+const newUser = (overrides = {}) => ({
+    id: 'usr_repo',
+    email: 'Repo.User@Example.com',
+    name: 'Repo User',
+    passwordHash: 'hash',
+    role: 'MEMBER',
+    ...overrides
+});
+
+describe.each([
+    ['memory', () => new InMemoryUserRepository()],
+    ['sqlite', () => new SqliteUserRepository(':memory:')]
+])('%s user repository', (label, createRepository) => {
+    let repository;
+
+    beforeEach(() => {
+        repository = createRepository();
+    });
+
+    it('creates active users and finds them by id and case-insensitive email', async () => {
+        const created = await repository.create(newUser());
+
+        expect(created.status).toBe(UserStatus.ACTIVE);
+        expect(created.createdAt).toBeDefined();
+        expect((await repository.findById('usr_repo')).name).toBe('Repo User');
+        expect((await repository.findByEmail('  repo.user@example.COM ')).id).toBe('usr_repo');
+        expect(await repository.findByEmail('nobody@example.com')).toBeNull();
+    });
+
+    it('refuses duplicate ids and emails', async () => {
+        await repository.create(newUser());
+
+        await expect(repository.create(newUser({ email: 'other@example.com' }))).rejects.toThrow(/already/);
+        await expect(repository.create(newUser({ id: 'usr_other', email: 'repo.user@example.com' }))).rejects.toThrow(/already/);
+    });
+
+    it('updates fields, including ones without a column, but never the id', async () => {
+        await repository.create(newUser());
+
+        const updated = await repository.update('usr_repo', { id: 'usr_hijack', status: UserStatus.SUSPENDED, mfa: { totp: null } });
+
+        expect(updated).toMatchObject({ id: 'usr_repo', status: UserStatus.SUSPENDED, mfa: { totp: null } });
+        expect(await repository.findById('usr_hijack')).toBeNull();
+        expect(await repository.update('usr_missing', { name: 'x' })).toBeNull();
+    });
+
+    it('modifies a user from its stored state, or leaves it alone', async () => {
+        await repository.create(newUser({ loginCount: 1 }));
+
+        const modified = await repository.modify('usr_repo', user => ({ loginCount: user.loginCount + 1 }));
+        expect(modified.loginCount).toBe(2);
+
+        expect(await repository.modify('usr_repo', () => null)).toBeNull();
+        expect((await repository.findById('usr_repo')).loginCount).toBe(2);
+        expect(await repository.modify('usr_missing', () => ({ name: 'x' }))).toBeNull();
+    });
+
+    it('deletes users', async () => {
+        await repository.create(newUser());
+
+        expect(await repository.delete('usr_repo')).toBe(true);
+        expect(await repository.findById('usr_repo')).toBeNull();
+        expect(await repository.delete('usr_repo')).toBe(false);
+    });
+});
+
+describe('toPublicUser', () => {
+    it('drops the password hash and MFA secrets', () => {
+        const publicUser = toPublicUser(newUser({ mfa: { totp: { secret: 's' } } }));
+
+        expect(publicUser.passwordHash).toBeUndefined();
+        expect(publicUser.mfa).toBeUndefined();
+        expect(publicUser.mfaEnabled).toBe(true);
+    });
+});
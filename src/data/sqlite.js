@@ -0,0 +1,48 @@
+// SQLite connection helper for the file-backed stores
+const fs = require('fs');
+const path = require('path');
+
+// Open connections keyed by resolved filename so stores can share a database file
+const connections = new Map();
+
+/**
+ * Open (or reuse) a SQLite database file
+ * The driver is loaded lazily so in-memory deployments don't need it installed
+ * @param {string} filename - Path to the database file, or ':memory:'
+ * @returns {Object} - better-sqlite3 database handle
+ */
+function openDatabase(filename) {
+    const key = filename === ':memory:' ? null : path.resolve(filename);
+
+    if (key && connections.has(key)) {
+        return connections.get(key);
+    }
+
+    const Database = require('better-sqlite3');
+
+    if (key) {
+        fs.mkdirSync(path.dirname(key), { recursive: true });
+    }
+
+    const db = new Database(key || ':memory:');
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    if (key) {
+        connections.set(key, db);
+    }
+
+    return db;
+}
+
+/**
+ * Close every open database connection
+ */
+function closeAllDatabases() {
+    for (const db of connections.values()) {
+        db.close();
+    }
+    connections.clear();
+}
+
+module.exports = { openDatabase, closeAllDatabases };
@@ -0,0 +1,326 @@
+// User repository - storage abstraction for user accounts
+const { openDatabase } = require('./sqlite');
+
+// Account status values
+const UserStatus = {
+    ACTIVE: 'active',
+    INACTIVE: 'inactive',
+    SUSPENDED: 'suspended'
+};
+
+// Configuration - In production, use environment variables
+const USER_REPOSITORY_CONFIG = {
+    type: process.env.USER_REPOSITORY || 'memory',   // 'memory' or 'sqlite'
+    filename: process.env.USER_DB_PATH || 'data/users.sqlite'
+};
+
+/**
+ * Normalize an email address for lookups
+ * @param {string} email - Email address
+ * @returns {string} - Lowercased, trimmed email
+ */
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Strip credentials from a user record before returning it to clients
+ * @param {Object} user - Stored user record
+ * @returns {Object|null} - User without passwordHash or MFA secrets
+ */
+function toPublicUser(user) {
+    if (!user) {
+        return null;
+    }
+    const { passwordHash, mfa, ...publicUser } = user;
+    return { ...publicUser, mfaEnabled: Boolean(mfa?.totp) };
+}
+
+/**
+ * User repository interface
+ * Implementations return plain user objects:
+ * { id, email, name, passwordHash, role, status, createdAt, updatedAt, ...extra }
+ */
+class UserRepository {
+    async findById(id) {
+        throw new Error('findById() not implemented');
+    }
+
+    async findByEmail(email) {
+        throw new Error('findByEmail() not implemented');
+    }
+
+    async create(user) {
+        throw new Error('create() not implemented');
+    }
+
+    async update(id, changes) {
+        throw new Error('update() not implemented');
+    }
+
+    /**
+     * Read-modify-write a user atomically
+     * @param {string} id - User ID
+     * @param {Function} mutate - Synchronous (user) => changes, or null to leave the user untouched
+     * @returns {Promise<Object|null>} - Updated user, or null if not found or nothing changed
+     */
+    async modify(id, mutate) {
+        throw new Error('modify() not implemented');
+    }
+
+    async delete(id) {
+        throw new Error('delete() not implemented');
+    }
+}
+
+/**
+ * In-memory user repository (data is lost on restart)
+ */
+class InMemoryUserRepository extends UserRepository {
+    constructor() {
+        super();
+        this.users = new Map();
+    }
+
+    async findById(id) {
+        const user = this.users.get(id);
+        return user ? { ...user } : null;
+    }
+
+    async findByEmail(email) {
+        const normalized = normalizeEmail(email);
+        for (const user of this.users.values()) {
+            if (normalizeEmail(user.email) === normalized) {
+                return { ...user };
+            }
+        }
+        return null;
+    }
+
+    async create(user) {
+        if (this.users.has(user.id)) {
+            throw new Error(`User "${user.id}" already exists`);
+        }
+        if (await this.findByEmail(user.email)) {
+            throw new Error(`Email "${user.email}" is already registered`);
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            status: UserStatus.ACTIVE,
+            createdAt: now,
+            ...user,
+            updatedAt: now
+        };
+        this.users.set(record.id, record);
+        return { ...record };
+    }
+
+    async update(id, changes) {
+        return this.modify(id, () => changes);
+    }
+
+    async modify(id, mutate) {
+        // Nothing awaits between the read and the write, so no other request can interleave
+        const user = this.users.get(id);
+        const changes = user ? mutate({ ...user }) : null;
+        if (!changes) {
+            return null;
+        }
+
+        const { id: _, ...rest } = changes;
+        Object.assign(user, rest, { updatedAt: new Date().toISOString() });
+        return { ...user };
+    }
+
+    async delete(id) {
+        return this.users.delete(id);
+    }
+}
+
+/**
+ * SQLite-backed user repository
+ * Fields without a dedicated column are kept in a JSON `data` column
+ */
+class SqliteUserRepository extends UserRepository {
+    constructor(filename) {
+        super();
+        this.db = openDatabase(filename);
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS users (
+                id TEXT PRIMARY KEY,
+                email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                name TEXT,
+                password_hash TEXT,
+                role TEXT,
+                status TEXT NOT NULL DEFAULT 'active',
+                data TEXT NOT NULL DEFAULT '{}',
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            )
+        `);
+    }
+
+    static toRecord(row) {
+        if (!row) {
+            return null;
+        }
+        return {
+            ...JSON.parse(row.data),
+            id: row.id,
+            email: row.email,
+            name: row.name,
+            passwordHash: row.password_hash,
+            role: row.role,
+            status: row.status,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    static toRow(user) {
+        const { id, email, name, passwordHash, role, status, createdAt, updatedAt, ...data } = user;
+        return {
+            id,
+            email: normalizeEmail(email),
+            name: name || null,
+            password_hash: passwordHash || null,
+            role: role || null,
+            status: status || UserStatus.ACTIVE,
+            data: JSON.stringify(data),
+            created_at: createdAt,
+            updated_at: updatedAt
+        };
+    }
+
+    async findById(id) {
+        const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+        return SqliteUserRepository.toRecord(row);
+    }
+
+    async findByEmail(email) {
+        const row = this.db.prepare('SELECT * FROM users WHERE email = ?').get(normalizeEmail(email));
+        return SqliteUserRepository.toRecord(row);
+    }
+
+    async create(user) {
+        const now = new Date().toISOString();
+        const row = SqliteUserRepository.toRow({ createdAt: now, ...user, updatedAt: now });
+
+        try {
+            this.db.prepare(`
+                INSERT INTO users (id, email, name, password_hash, role, status, data, created_at, updated_at)
+                VALUES (@id, @email, @name, @password_hash, @role, @status, @data, @created_at, @updated_at)
+            `).run(row);
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY' || error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                throw new Error(`User "${user.id}" or email "${user.email}" already exists`);
+            }
+            throw error;
+        }
+
+        return this.findById(user.id);
+    }
+
+    async update(id, changes) {
+        return this.modify(id, () => changes);
+    }
+
+    async modify(id, mutate) {
+        // IMMEDIATE takes the write lock before reading, so other processes sharing the
+        // database file can't change the user between the read and the write
+        const apply = this.db.transaction(() => {
+            const selectUser = this.db.prepare('SELECT * FROM users WHERE id = ?');
+            const existing = SqliteUserRepository.toRecord(selectUser.get(id));
+            const changes = existing ? mutate({ ...existing }) : null;
+            if (!changes) {
+                return null;
+            }
+
+            const { id: _, ...rest } = changes;
+            const row = SqliteUserRepository.toRow({
+                ...existing,
+                ...rest,
+                updatedAt: new Date().toISOString()
+            });
+
+            this.db.prepare(`
+                UPDATE users SET email = @email, name = @name, password_hash = @password_hash,
+                    role = @role, status = @status, data = @data, updated_at = @updated_at
+                WHERE id = @id
+            `).run(row);
+
+            return SqliteUserRepository.toRecord(selectUser.get(id));
+        });
+
+        return apply.immediate();
+    }
+
+    async delete(id) {
+        return this.db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+    }
+}
+
+/**
+ * Create a user repository from configuration
+ * @param {Object} config - { type: 'memory' | 'sqlite', filename }
+ * @returns {UserRepository} - Repository instance
+ */
+function createUserRepository(config = {}) {
+    const { type, filename } = { ...USER_REPOSITORY_CONFIG, ...config };
+
+    switch (type) {
+        case 'memory':
+            return new InMemoryUserRepository();
+        case 'sqlite':
+            return new SqliteUserRepository(filename);
+        default:
+            throw new Error(`Unknown user repository type: ${type}`);
+    }
+}
+
+// Active repository used by the authentication flow
+let userRepository = new InMemoryUserRepository();
+
+/**
+ * Get the active user repository
+ * @returns {UserRepository}
+ */
+function getUserRepository() {
+    return userRepository;
+}
+
+/**
+ * Replace the active user repository (e.g. in tests)
+ * @param {UserRepository} repository - Repository to use
+ */
+function setUserRepository(repository) {
+    userRepository = repository;
+}
+
+/**
+ * Create the configured repository and make it active
+ * @param {Object} config - Repository configuration overrides
+ * @returns {Promise<UserRepository>} - The active repository
+ */
+async function initializeUserRepository(config = {}) {
+    const options = { ...USER_REPOSITORY_CONFIG, ...config };
+    const repository = createUserRepository(options);
+
+    setUserRepository(repository);
+    return repository;
+}
+
+module.exports = {
+    UserRepository,
+    InMemoryUserRepository,
+    SqliteUserRepository,
+    createUserRepository,
+    getUserRepository,
+    setUserRepository,
+    initializeUserRepository,
+    normalizeEmail,
+    toPublicUser,
+    UserStatus,
+    USER_REPOSITORY_CONFIG
+};
@@ -1,12 +1,46 @@
 // Main application entry point
-const express = require('express');
-const app = express();
+const { createApp } = require('./app');
+const { initializeUserRepository } = require('./data/userRepository');
+const { initializeSigningKeys, startRefreshTokenSweeper, startDenylistSweeper } = require('./auth/jwt');
+const { startRateLimitSweeper } = require('./api/rateLimiter');
+const { startLockoutSweeper } = require('./auth/accountLockout');
 const PORT = process.env.PORT || 3000;
 
-app.get('/', (req, res) => {
-    res.send('Hello World!');
-});
+/**
+ * Initialize storage and start the HTTP server
+ * @param {Object} config - createApp configuration plus { port, userRepositoryConfig }
+ * @returns {Promise<Object>} - The listening http.Server
+ */
+async function listen(config = {}) {
+    const { port = PORT, userRepositoryConfig = {}, ...appConfig } = config;
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+    if (!appConfig.userRepository) {
+        await initializeUserRepository(userRepositoryConfig);
+    }
+
+    // RS256/ES256 access tokens need their key pair before the first login
+    await initializeSigningKeys();
+    startRefreshTokenSweeper();
+    startDenylistSweeper();
+    startRateLimitSweeper();
+    startLockoutSweeper();
+
+    const app = createApp(appConfig);
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, () => {
+            console.log(`Server running on port ${server.address().port}`);
+            resolve(server);
+        });
+        server.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    listen().catch((error) => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { createApp, listen };
@@ -0,0 +1,63 @@
+const express = require('express');
+const request = require('supertest');
+const { generateAccessToken, JWT_CONFIG } = require('../../auth/jwt');
+const { rbacService } = require('../../auth/RBACService');
+const { authenticate } = require('../authMiddleware');
+const { authorize, requireRole } = require('../authorizationMiddleware');
+
+const user = { id: 'usr_embedded', email: 'embedded@example.com' };
+const START = new Date('2026-01-01T00:00:00Z').getTime();
+
+const app = express();
+app.get('/settings', authenticate, authorize('settings', 'update'), (req, res) => res.json({ ok: true }));
+app.get('/admin', authenticate, requireRole('ADMIN'), (req, res) => res.json({ ok: true }));
+
+const get = (path, token) => request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+describe('roles and permissions embedded in access tokens', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+        jest.setSystemTime(START);
+        rbacService.assignRole(user.id, 'ADMIN');
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        rbacService.revokeRole(user.id, 'ADMIN');
+    });
+
+    it('embeds role names and a permission digest on request', () => {
+        const [, payload] = generateAccessToken(user, { embedAuthorization: true }).split('.');
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+        expect(claims.roles).toEqual(['ADMIN']);
+        expect(claims.perms).toContain('settings:read,update');
+    });
+
+    it('trusts fresh claims without consulting RBAC', async () => {
+        const token = generateAccessToken(user, { embedAuthorization: true });
+        rbacService.revokeRole(user.id, 'ADMIN');
+
+        expect((await get('/settings', token)).status).toBe(200);
+        expect((await get('/admin', token)).status).toBe(200);
+    });
+
+    it('falls back to RBAC once the claims are older than the max age', async () => {
+        const token = generateAccessToken(user, { embedAuthorization: true });
+        rbacService.revokeRole(user.id, 'ADMIN');
+
+        jest.setSystemTime(START + (JWT_CONFIG.authorizationClaimsMaxAge + 1) * 1000);
+
+        expect((await get('/settings', token)).status).toBe(403);
+        expect((await get('/admin', token)).status).toBe(403);
+    });
+
+    it('leaves tokens without claims to RBAC', async () => {
+        const token = generateAccessToken(user, { embedAuthorization: false });
+
+        expect((await get('/settings', token)).status).toBe(200);
+
+        rbacService.revokeRole(user.id, 'ADMIN');
+        expect((await get('/settings', token)).status).toBe(403);
+    });
+});
@@ -1,5 +1,66 @@
 // Authentication middleware for protected routes
-const { verifyAccessToken } = require('../auth/jwt');
+const { verifyAccessToken, TokenErrorCodes } = require('../auth/jwt');
+const { verifyApiKey } = require('../auth/apiKeys');
+
+// Error name and message returned for each token verification failure
+const TOKEN_ERROR_RESPONSES = {
+    [TokenErrorCodes.TOKEN_EXPIRED]: {
+        error: 'TokenExpired',
+        message: 'Access token has expired. Please refresh your token.'
+    },
+    [TokenErrorCodes.TOKEN_REVOKED]: {
+        error: 'TokenRevoked',
+        message: 'Access token has been revoked. Please log in again.'
+    },
+    [TokenErrorCodes.TOKEN_NOT_YET_VALID]: {
+        error: 'TokenNotYetValid',
+        message: 'Access token is not valid yet'
+    },
+    [TokenErrorCodes.INVALID_ISSUER]: {
+        error: 'InvalidIssuer',
+        message: 'Access token was issued by an untrusted issuer'
+    },
+    [TokenErrorCodes.INVALID_AUDIENCE]: {
+        error: 'InvalidAudience',
+        message: 'Access token is not intended for this service'
+    },
+    [TokenErrorCodes.INVALID_SIGNATURE]: {
+        error: 'InvalidSignature',
+        message: 'Access token signature is invalid'
+    },
+    [TokenErrorCodes.UNSUPPORTED_ALGORITHM]: {
+        error: 'UnsupportedAlgorithm',
+        message: 'Access token algorithm is not accepted'
+    },
+    [TokenErrorCodes.UNKNOWN_KEY]: {
+        error: 'UnknownSigningKey',
+        message: 'Access token was signed with an unknown key'
+    },
+    [TokenErrorCodes.INVALID_TOKEN_TYPE]: {
+        error: 'InvalidTokenType',
+        message: 'An access token is required'
+    },
+    [TokenErrorCodes.MALFORMED_TOKEN]: {
+        error: 'MalformedToken',
+        message: 'Access token is malformed'
+    }
+};
+
+// Error name and message returned for each API key verification failure
+const API_KEY_ERROR_RESPONSES = {
+    INVALID_API_KEY: {
+        error: 'InvalidApiKey',
+        message: 'API key is invalid'
+    },
+    API_KEY_EXPIRED: {
+        error: 'ApiKeyExpired',
+        message: 'API key has expired'
+    },
+    API_KEY_REVOKED: {
+        error: 'ApiKeyRevoked',
+        message: 'API key has been revoked'
+    }
+};
 
 /**
  * Extract token from Authorization header
@@ -22,14 +83,85 @@ function extractToken(req) {
 }
 
 /**
- * Authentication middleware - verifies JWT access token
- * Attaches user data to req.user if valid
+ * Build req.user from a verified access token payload
+ * Embedded roles/permissions are exposed along with the time they were issued
+ * so downstream authorization can decide whether they are still fresh
+ * @param {Object} payload - Verified access token payload
+ * @returns {Object} - req.user
+ */
+function buildRequestUser(payload) {
+    const user = {
+        id: payload.userId,
+        email: payload.email
+    };
+
+    if (Array.isArray(payload.roles)) {
+        user.roles = payload.roles;
+        user.permissions = payload.perms || [];
+        user.claimsIssuedAt = payload.iat;
+    }
+
+    return user;
+}
+
+/**
+ * Build req.user for a request authenticated with an API key
+ * Keys get their own principal id rather than their owner's, so role checks
+ * don't apply to them - only authorize() with the key's scopes does
+ * @param {Object} apiKey - Verified API key record
+ * @returns {Object} - req.user
+ */
+function buildApiKeyUser(apiKey) {
+    return {
+        id: `apikey:${apiKey.id}`,
+        apiKeyId: apiKey.id,
+        ownerId: apiKey.ownerId,
+        authMethod: 'api_key'
+    };
+}
+
+/**
+ * Authenticate a request by its X-API-Key header
+ * @param {string} apiKey - Header value
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+async function authenticateApiKey(apiKey, req, res, next) {
+    try {
+        const keyResult = await verifyApiKey(apiKey);
+
+        if (!keyResult.valid) {
+            return res.status(401).json({
+                success: false,
+                code: keyResult.code,
+                ...API_KEY_ERROR_RESPONSES[keyResult.code]
+            });
+        }
+
+        req.user = buildApiKeyUser(keyResult.apiKey);
+        req.apiKey = keyResult.apiKey;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Authentication middleware - verifies JWT access token, or an X-API-Key header
+ * when no bearer token is sent
+ * Attaches user data to req.user if valid (and the key record to req.apiKey)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Next middleware function
  */
 function authenticate(req, res, next) {
     const token = extractToken(req);
+    const apiKey = req.headers['x-api-key'];
+
+    if (!token && apiKey) {
+        return authenticateApiKey(apiKey, req, res, next);
+    }
 
     if (!token) {
         return res.status(401).json({
@@ -43,26 +175,21 @@ function authenticate(req, res, next) {
 
     if (!result.valid) {
         // Determine appropriate error response
-        if (result.error === 'Token expired') {
-            return res.status(401).json({
-                success: false,
-                error: 'TokenExpired',
-                message: 'Access token has expired. Please refresh your token.'
-            });
-        }
+        const response = TOKEN_ERROR_RESPONSES[result.code] || {
+            error: 'Unauthorized',
+            message: result.error || 'Invalid authentication token'
+        };
 
         return res.status(401).json({
             success: false,
-            error: 'Unauthorized',
-            message: result.error || 'Invalid authentication token'
+            code: result.code,
+            ...response
         });
     }
 
     // Attach user data to request
-    req.user = {
-        id: result.payload.userId,
-        email: result.payload.email
-    };
+    req.user = buildRequestUser(result.payload);
+    req.tokenPayload = result.payload;
 
     next();
 }
@@ -74,22 +201,51 @@ function authenticate(req, res, next) {
  * @param {Object} res - Express response object
  * @param {Function} next - Next middleware function
  */
-function optionalAuth(req, res, next) {
+async function optionalAuth(req, res, next) {
     const token = extractToken(req);
 
-    if (token) {
-        const result = verifyAccessToken(token);
-        if (result.valid) {
-            req.user = {
-                id: result.payload.userId,
-                email: result.payload.email
-            };
+    const apiKey = req.headers['x-api-key'];
+
+    try {
+        if (token) {
+            const result = verifyAccessToken(token);
+            if (result.valid) {
+                req.user = buildRequestUser(result.payload);
+            }
+        } else if (apiKey) {
+            const keyResult = await verifyApiKey(apiKey);
+            if (keyResult.valid) {
+                req.user = buildApiKeyUser(keyResult.apiKey);
+                req.apiKey = keyResult.apiKey;
+            }
         }
+    } catch (error) {
+        return next(error);
     }
 
     next();
 }
 
+/**
+ * Require a signed-in user rather than an API key
+ * API key principals have no user record of their own, so routes that act on
+ * "the current user" must not accept them. Must be used after authenticate middleware
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+function requireUserSession(req, res, next) {
+    if (req.apiKey) {
+        return res.status(403).json({
+            success: false,
+            code: 'USER_SESSION_REQUIRED',
+            error: 'Forbidden',
+            message: 'This endpoint requires a signed-in user; API keys cannot use it'
+        });
+    }
+    next();
+}
+
 /**
  * Require specific user ID middleware
  * Must be used after authenticate middleware
@@ -123,6 +279,7 @@ function requireSameUser(paramName = 'userId') {
 module.exports = {
     authenticate,
     optionalAuth,
+    requireUserSession,
     requireSameUser,
     extractToken
 };
@@ -3,7 +3,41 @@
  * PERF-35: RBAC Authorization middleware for Express.js
  */
 
-import rbacService from '../auth/RBACService';
+const { rbacService, permissionDigestAllows } = require('../auth/RBACService');
+const { JWT_CONFIG } = require('../auth/jwt');
+const { getClientIp } = require('../utils/clientIp');
+const { apiKeyAllows } = require('../auth/apiKeys');
+
+/**
+ * Get the roles/permissions embedded in the access token if they are fresh enough to trust
+ * @param {Object} user - req.user
+ * @returns {Object|null} - { roles, permissions } or null when RBAC must be consulted
+ */
+const getFreshClaims = (user) => {
+  if (!user || !Array.isArray(user.roles) || !user.claimsIssuedAt) {
+    return null;
+  }
+
+  const age = Math.floor(Date.now() / 1000) - user.claimsIssuedAt;
+  if (age > JWT_CONFIG.authorizationClaimsMaxAge) {
+    return null;
+  }
+
+  return { roles: user.roles, permissions: user.permissions || [] };
+};
+
+/**
+ * Get the user's role names, from fresh token claims when available
+ * @param {Object} user - req.user
+ * @returns {string[]}
+ */
+const getUserRoleNames = (user) => {
+  const claims = getFreshClaims(user);
+  if (claims) {
+    return claims.roles;
+  }
+  return rbacService.getUserRoles(user.id).map(r => r.role.name);
+};
 
 /**
  * Create authorization middleware
@@ -11,7 +45,7 @@ import rbacService from '../auth/RBACService';
  * @param {string} action - Action to authorize
  * @param {Object} options - Middleware options
  */
-export const authorize = (resource, action, options = {}) => {
+const authorize = (resource, action, options = {}) => {
   return async (req, res, next) => {
     try {
       const userId = req.user?.id;
@@ -26,7 +60,7 @@ export const authorize = (resource, action, options = {}) => {
       const context = {
         user: req.user,
         resourceId: req.params.id || options.resourceId,
-        ip: req.ip,
+        ip: getClientIp(req),
         userAgent: req.get('User-Agent'),
         method: req.method,
         path: req.path,
@@ -39,7 +73,20 @@ export const authorize = (resource, action, options = {}) => {
         context.resourceOwnerId = resourceOwnerId;
       }
 
-      const allowed = rbacService.hasPermission(userId, resource, action, context);
+      // Fresh token claims can grant access on their own; a miss still gets the full
+      // RBAC evaluation since policies and conditional permissions aren't in the digest
+      const claims = getFreshClaims(req.user);
+      let allowed;
+
+      if (req.apiKey) {
+        // API keys are limited to their scopes, on top of their owner's permissions
+        allowed = apiKeyAllows(req.apiKey, resource, action, context);
+      } else if (claims && permissionDigestAllows(claims.permissions, resource, action)) {
+        rbacService.logAccessDecision(userId, resource, action, true, Date.now(), context);
+        allowed = true;
+      } else {
+        allowed = rbacService.hasPermission(userId, resource, action, context);
+      }
 
       if (!allowed) {
         return res.status(403).json({
@@ -53,7 +100,11 @@ export const authorize = (resource, action, options = {}) => {
         resource,
         action,
         context,
-        roles: rbacService.getUserRoles(userId)
+        roles: req.apiKey
+          ? []
+          : claims
+            ? claims.roles.map(name => ({ role: rbacService.getRole(name), assignment: null }))
+            : rbacService.getUserRoles(userId)
       };
 
       next();
@@ -71,7 +122,7 @@ export const authorize = (resource, action, options = {}) => {
  * Require specific role(s)
  * @param {...string} roles - Required role names
  */
-export const requireRole = (...roles) => {
+const requireRole = (...roles) => {
   return (req, res, next) => {
     const userId = req.user?.id;
 
@@ -82,8 +133,7 @@ export const requireRole = (...roles) => {
       });
     }
 
-    const userRoles = rbacService.getUserRoles(userId);
-    const userRoleNames = userRoles.map(r => r.role.name);
+    const userRoleNames = getUserRoleNames(req.user);
 
     const hasRequiredRole = roles.some(role => userRoleNames.includes(role));
 
@@ -102,7 +152,7 @@ export const requireRole = (...roles) => {
  * Require minimum role level
  * @param {string} minRole - Minimum required role
  */
-export const requireRoleLevel = (minRole) => {
+const requireRoleLevel = (minRole) => {
   return (req, res, next) => {
     const userId = req.user?.id;
 
@@ -137,7 +187,7 @@ export const requireRoleLevel = (minRole) => {
 /**
  * Owner or role middleware - allows access if user owns resource or has required role
  */
-export const ownerOrRole = (getOwnerId, ...roles) => {
+const ownerOrRole = (getOwnerId, ...roles) => {
   return async (req, res, next) => {
     const userId = req.user?.id;
 
@@ -159,8 +209,7 @@ export const ownerOrRole = (getOwnerId, ...roles) => {
     }
 
     // Check roles
-    const userRoles = rbacService.getUserRoles(userId);
-    const userRoleNames = userRoles.map(r => r.role.name);
+    const userRoleNames = getUserRoleNames(req.user);
     const hasRequiredRole = roles.some(role => userRoleNames.includes(role));
 
     if (hasRequiredRole) {
@@ -174,4 +223,4 @@ export const ownerOrRole = (getOwnerId, ...roles) => {
   };
 };
 
-export default { authorize, requireRole, requireRoleLevel, ownerOrRole };
+module.exports = { authorize, requireRole, requireRoleLevel, ownerOrRole };
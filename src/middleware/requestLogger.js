@@ -1,5 +1,6 @@
 // Request Logger Middleware
 const crypto = require('crypto');
+const { getClientIp } = require('../utils/clientIp');
 
 const generateRequestId = () => {
     return crypto.randomBytes(8).toString('hex');
@@ -36,7 +37,7 @@ const requestLogger = (options = {}) => {
             type: 'REQUEST',
             method: req.method,
             url: req.originalUrl,
-            ip: req.ip || req.connection.remoteAddress,
+            ip: getClientIp(req),
             userAgent: req.get('User-Agent')
         };
 
@@ -401,7 +401,8 @@ class KeyManager {
         keyData = {
           ...rsaKeys,
           type: 'asymmetric',
-          algorithm: 'RSA-OAEP'
+          algorithm: 'RSA-OAEP',
+          modulusLength: options.modulusLength || KeySizes.RSA
         };
         break;
       case 'signing':
@@ -411,7 +412,8 @@ class KeyManager {
         keyData = {
           ...ecdsaKeys,
           type: 'signing',
-          algorithm: 'ECDSA'
+          algorithm: 'ECDSA',
+          curve: options.curve || KeySizes.ECDSA
         };
         break;
       default:
@@ -427,6 +429,24 @@ class KeyManager {
     return keyData;
   }
 
+  // Register externally generated key material (e.g. PEM keys from the environment)
+  importKey(keyId, keyData, options = {}) {
+    if (!['symmetric', 'asymmetric', 'signing'].includes(keyData.type)) {
+      throw new Error(`Unknown key type: ${keyData.type}`);
+    }
+
+    const imported = {
+      ...keyData,
+      id: keyId,
+      createdAt: Date.now(),
+      expiresAt: options.expiresAt || null,
+      version: options.version || 1
+    };
+
+    this.keys.set(keyId, imported);
+    return imported;
+  }
+
   getKey(keyId) {
     const keyData = this.keys.get(keyId);
 
@@ -445,7 +465,10 @@ class KeyManager {
     const oldKey = this.getKey(keyId);
     const newKeyId = `${keyId}_v${oldKey.version + 1}`;
 
-    const newKey = await this.generateKey(newKeyId, oldKey.type);
+    const newKey = await this.generateKey(newKeyId, oldKey.type, {
+      modulusLength: oldKey.modulusLength,
+      curve: oldKey.curve
+    });
     newKey.version = oldKey.version + 1;
     newKey.previousKeyId = keyId;
 
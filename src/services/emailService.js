@@ -22,6 +22,16 @@ class EmailService {
         };
         await this.transporter.sendMail(mailOptions);
     }
+
+    async sendAccountUnlockEmail(email, unlockLink) {
+        const mailOptions = {
+            from: 'noreply@example.com',
+            to: email,
+            subject: 'Your account has been locked',
+            html: `<h2>Account Locked</h2><p>We locked your account after several failed sign-in attempts. If this was you, unlock it here: <a href="${unlockLink}">Unlock account</a></p><p>If it wasn't, consider resetting your password.</p>`
+        };
+        await this.transporter.sendMail(mailOptions);
+    }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,105 @@
+const {
+    resolveClientIp,
+    normalizeIp,
+    isIpInRanges,
+    parseForwardedHeader,
+    parseXForwardedFor
+} = require('../clientIp');
+
+const request = (remoteAddress, headers = {}) => ({ socket: { remoteAddress }, headers });
+
+describe('resolveClientIp', () => {
+    it('uses the socket address when no proxy is involved', () => {
+        expect(resolveClientIp(request('198.51.100.4', { 'x-forwarded-for': '1.2.3.4' }))).toBe('198.51.100.4');
+    });
+
+    it('takes the first untrusted hop from X-Forwarded-For', () => {
+        const req = request('127.0.0.1', { 'x-forwarded-for': '6.6.6.6, 203.0.113.7' });
+
+        expect(resolveClientIp(req)).toBe('203.0.113.7');
+    });
+
+    it('ignores a client-sent Forwarded header when the proxy sets X-Forwarded-For', () => {
+        const req = request('127.0.0.1', {
+            'x-forwarded-for': '6.6.6.6, 203.0.113.7',
+            forwarded: 'for=1.2.3.4'
+        });
+
+        expect(resolveClientIp(req)).toBe('203.0.113.7');
+    });
+
+    it('reads only Forwarded when configured for it', () => {
+        const req = request('127.0.0.1', {
+            'x-forwarded-for': '6.6.6.6',
+            forwarded: 'for=198.51.100.9, for="[2001:db8::1]:4711"'
+        });
+
+        expect(resolveClientIp(req, { proxyHeader: 'Forwarded' })).toBe('2001:db8::1');
+    });
+
+    it('walks through every trusted proxy in the chain', () => {
+        const req = request('10.0.0.2', { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' });
+
+        expect(resolveClientIp(req, { trustedProxies: ['uniquelocal'] })).toBe('203.0.113.7');
+    });
+
+    it('stops at a hop that is not an IP', () => {
+        const req = request('127.0.0.1', { 'x-forwarded-for': '203.0.113.7, garbage' });
+
+        expect(resolveClientIp(req)).toBe('127.0.0.1');
+    });
+
+    it('rejects unsupported proxy headers', () => {
+        expect(() => resolveClientIp(request('127.0.0.1'), { proxyHeader: 'x-real-ip' })).toThrow('Unsupported proxy header');
+    });
+});
+
+describe('parsing helpers', () => {
+    it('normalizes IPv4-mapped IPv6 and zone ids', () => {
+        expect(normalizeIp('::ffff:192.0.2.1')).toBe('192.0.2.1');
+        expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+        expect(normalizeIp('nope')).toBeNull();
+    });
+
+    it('parses Forwarded for= nodes with ports and obfuscated ids', () => {
+        expect(parseForwardedHeader('for=192.0.2.60:8080;proto=http, for=_hidden')).toEqual(['192.0.2.60', null]);
+    });
+
+    it('parses X-Forwarded-For entries', () => {
+        expect(parseXForwardedFor('203.0.113.7, [2001:db8::2]:80')).toEqual(['203.0.113.7', '2001:db8::2']);
+    });
+
+    it('matches CIDRs and presets', () => {
+        expect(isIpInRanges('10.1.2.3', ['10.0.0.0/8'])).toBe(true);
+        expect(isIpInRanges('::1', ['loopback'])).toBe(true);
+        expect(isIpInRanges('11.0.0.1', ['10.0.0.0/8'])).toBe(false);
+    });
+});
+
+describe('configuration', () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...saved };
+    });
+
+    const load = () => jest.isolateModules(() => require('../clientIp'));
+
+    it('refuses an unsupported TRUSTED_PROXY_HEADER when the module loads', () => {
+        process.env.TRUSTED_PROXY_HEADER = 'X-Real-IP';
+
+        expect(load).toThrow('Unsupported proxy header: x-real-ip');
+    });
+
+    it('refuses an invalid TRUSTED_PROXIES entry when the module loads', () => {
+        process.env.TRUSTED_PROXIES = 'loopback, proxy.internal';
+
+        expect(load).toThrow('Invalid IP range: proxy.internal');
+    });
+
+    it('accepts the Forwarded header in any case', () => {
+        process.env.TRUSTED_PROXY_HEADER = 'Forwarded';
+
+        expect(load).not.toThrow();
+    });
+});
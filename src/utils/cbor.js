@@ -0,0 +1,150 @@
+// Minimal CBOR (RFC 8949) decoder for WebAuthn attestation objects and COSE keys
+// Only definite-length items are supported, which is all CTAP2 authenticators emit.
+// Byte strings decode to Buffers, maps to plain objects (integer keys become string keys).
+
+/**
+ * Read the argument (length/value) that follows an initial byte
+ * @param {Buffer} buffer - Input
+ * @param {number} offset - Offset of the initial byte
+ * @param {number} info - Additional information bits (low 5 bits)
+ * @returns {Object} - { value, offset } with offset pointing past the argument
+ */
+function readArgument(buffer, offset, info) {
+    if (info < 24) {
+        return { value: info, offset: offset + 1 };
+    }
+    switch (info) {
+        case 24:
+            return { value: buffer.readUInt8(offset + 1), offset: offset + 2 };
+        case 25:
+            return { value: buffer.readUInt16BE(offset + 1), offset: offset + 3 };
+        case 26:
+            return { value: buffer.readUInt32BE(offset + 1), offset: offset + 5 };
+        case 27: {
+            const value = buffer.readBigUInt64BE(offset + 1);
+            if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+                throw new Error('CBOR integer too large');
+            }
+            return { value: Number(value), offset: offset + 9 };
+        }
+        default:
+            throw new Error('Indefinite-length CBOR items are not supported');
+    }
+}
+
+/**
+ * Decode a half-precision float
+ * @param {number} half - 16-bit value
+ * @returns {number}
+ */
+function decodeFloat16(half) {
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+
+    if (exponent === 0) {
+        return sign * Math.pow(2, -14) * (fraction / 1024);
+    }
+    if (exponent === 0x1f) {
+        return fraction ? NaN : sign * Infinity;
+    }
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+/**
+ * Decode one item starting at offset
+ * @param {Buffer} buffer - Input
+ * @param {number} offset - Start offset
+ * @returns {Object} - { value, offset } with offset pointing past the item
+ */
+function decodeItem(buffer, offset) {
+    if (offset >= buffer.length) {
+        throw new Error('Unexpected end of CBOR data');
+    }
+
+    const initial = buffer[offset];
+    const majorType = initial >> 5;
+    const info = initial & 0x1f;
+
+    if (majorType === 7) {
+        switch (info) {
+            case 20: return { value: false, offset: offset + 1 };
+            case 21: return { value: true, offset: offset + 1 };
+            case 22: return { value: null, offset: offset + 1 };
+            case 23: return { value: undefined, offset: offset + 1 };
+            case 25: return { value: decodeFloat16(buffer.readUInt16BE(offset + 1)), offset: offset + 3 };
+            case 26: return { value: buffer.readFloatBE(offset + 1), offset: offset + 5 };
+            case 27: return { value: buffer.readDoubleBE(offset + 1), offset: offset + 9 };
+            default:
+                throw new Error(`Unsupported CBOR simple value: ${info}`);
+        }
+    }
+
+    const argument = readArgument(buffer, offset, info);
+    let cursor = argument.offset;
+
+    switch (majorType) {
+        case 0:
+            return { value: argument.value, offset: cursor };
+        case 1:
+            return { value: -1 - argument.value, offset: cursor };
+        case 2:
+        case 3: {
+            const end = cursor + argument.value;
+            if (end > buffer.length) {
+                throw new Error('Unexpected end of CBOR data');
+            }
+            const bytes = buffer.subarray(cursor, end);
+            return { value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: end };
+        }
+        case 4: {
+            const items = [];
+            for (let i = 0; i < argument.value; i++) {
+                const item = decodeItem(buffer, cursor);
+                items.push(item.value);
+                cursor = item.offset;
+            }
+            return { value: items, offset: cursor };
+        }
+        case 5: {
+            const map = {};
+            for (let i = 0; i < argument.value; i++) {
+                const key = decodeItem(buffer, cursor);
+                const value = decodeItem(buffer, key.offset);
+                map[key.value] = value.value;
+                cursor = value.offset;
+            }
+            return { value: map, offset: cursor };
+        }
+        case 6:
+            // Tags carry no meaning for WebAuthn payloads - return the tagged item
+            return decodeItem(buffer, cursor);
+        default:
+            throw new Error(`Unsupported CBOR major type: ${majorType}`);
+    }
+}
+
+/**
+ * Decode the first CBOR item in a buffer, allowing trailing data
+ * @param {Buffer} buffer - Input
+ * @returns {Object} - { value, length } where length is the number of bytes consumed
+ */
+function decodeFirst(buffer) {
+    const { value, offset } = decodeItem(buffer, 0);
+    return { value, length: offset };
+}
+
+/**
+ * Decode a buffer holding exactly one CBOR item
+ * @param {Buffer} buffer - Input
+ * @returns {*} - Decoded value
+ */
+function decode(buffer) {
+    const { value, length } = decodeFirst(buffer);
+    if (length !== buffer.length) {
+        throw new Error('Unexpected trailing bytes after CBOR item');
+    }
+    return value;
+}
+
+module.exports = { decode, decodeFirst };
@@ -0,0 +1,244 @@
+// Client IP resolution behind reverse proxies
+// Only the header the proxies actually set (X-Forwarded-For or Forwarded) is read, and
+// only for hops added by a trusted proxy: the chain is walked from the socket address
+// towards the client, and the first address that isn't a trusted proxy is the client.
+// Anything further left was supplied by the client itself and can't be trusted. The
+// other header is ignored - a proxy that appends to one passes the other through as
+// the client sent it.
+const net = require('net');
+
+// Named ranges accepted in the trusted proxy list
+const PROXY_PRESETS = {
+    loopback: ['127.0.0.0/8', '::1/128'],
+    linklocal: ['169.254.0.0/16', 'fe80::/10'],
+    uniquelocal: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7']
+};
+
+// Forwarding headers we can read, by lowercased header name
+const PROXY_HEADER_PARSERS = {
+    'x-forwarded-for': (header) => parseXForwardedFor(header),
+    forwarded: (header) => parseForwardedHeader(header)
+};
+
+// Configuration - TRUSTED_PROXIES is a comma-separated list of CIDRs, addresses or preset names;
+// TRUSTED_PROXY_HEADER names the header those proxies set (X-Forwarded-For or Forwarded)
+const CLIENT_IP_CONFIG = {
+    trustedProxies: (process.env.TRUSTED_PROXIES || 'loopback')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean),
+    proxyHeader: (process.env.TRUSTED_PROXY_HEADER || 'x-forwarded-for').toLowerCase()
+};
+
+/**
+ * Normalize an address: strip IPv6 zone ids and unwrap IPv4-mapped IPv6
+ * @param {string} address - IP address
+ * @returns {string|null} - Normalized address, or null if it isn't an IP
+ */
+function normalizeIp(address) {
+    if (!address) {
+        return null;
+    }
+
+    let ip = String(address).trim().replace(/%.*$/, '');
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+    if (mapped) {
+        ip = mapped[1];
+    }
+
+    return net.isIP(ip) ? ip : null;
+}
+
+/**
+ * Build a matcher for a list of CIDRs, single addresses and preset names
+ * @param {string[]} entries - e.g. ['loopback', '10.0.0.0/8', '2001:db8::1']
+ * @returns {net.BlockList}
+ */
+function createIpMatcher(entries) {
+    const blockList = new net.BlockList();
+
+    for (const entry of entries) {
+        if (PROXY_PRESETS[entry]) {
+            for (const cidr of PROXY_PRESETS[entry]) {
+                addRange(blockList, cidr);
+            }
+        } else {
+            addRange(blockList, entry);
+        }
+    }
+
+    return blockList;
+}
+
+function addRange(blockList, entry) {
+    const [address, prefix] = entry.split('/');
+    const ip = normalizeIp(address);
+    if (!ip) {
+        throw new Error(`Invalid IP range: ${entry}`);
+    }
+
+    const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+    if (prefix === undefined) {
+        blockList.addAddress(ip, type);
+    } else {
+        blockList.addSubnet(ip, Number(prefix), type);
+    }
+}
+
+/**
+ * Check whether an address falls inside any of the given ranges
+ * @param {string} address - IP address
+ * @param {string[]|net.BlockList} ranges - CIDR list or matcher from createIpMatcher
+ * @returns {boolean}
+ */
+function isIpInRanges(address, ranges) {
+    const ip = normalizeIp(address);
+    if (!ip) {
+        return false;
+    }
+    const matcher = ranges instanceof net.BlockList ? ranges : createIpMatcher(ranges);
+    return matcher.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Extract the address from a forwarded node, dropping quotes, brackets and ports
+ * @param {string} node - e.g. '"[2001:db8::1]:4711"', '192.0.2.60:8080', 'unknown'
+ * @returns {string|null} - Address, or null for obfuscated/unknown nodes
+ */
+function parseNode(node) {
+    let value = node.trim().replace(/^"(.*)"$/, '$1');
+
+    const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(value);
+    if (bracketed) {
+        value = bracketed[1];
+    } else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(value)) {
+        value = value.replace(/:\d+$/, '');
+    }
+
+    return normalizeIp(value);
+}
+
+/**
+ * Parse the RFC 7239 Forwarded header into the list of `for=` nodes, client first
+ * @param {string} header - Forwarded header value
+ * @returns {Array<string|null>} - Addresses (null where a node isn't an IP)
+ */
+function parseForwardedHeader(header) {
+    const nodes = [];
+
+    for (const element of header.split(',')) {
+        for (const pair of element.split(';')) {
+            const separator = pair.indexOf('=');
+            if (separator === -1) {
+                continue;
+            }
+            if (pair.slice(0, separator).trim().toLowerCase() === 'for') {
+                nodes.push(parseNode(pair.slice(separator + 1)));
+            }
+        }
+    }
+
+    return nodes;
+}
+
+/**
+ * Parse X-Forwarded-For into its addresses, client first
+ * @param {string} header - X-Forwarded-For header value
+ * @returns {Array<string|null>} - Addresses (null where an entry isn't an IP)
+ */
+function parseXForwardedFor(header) {
+    return header.split(',').map(parseNode);
+}
+
+// Matcher for the configured proxies, rebuilt when the configuration changes
+let trustedMatcher = null;
+let trustedMatcherSource = null;
+
+function getTrustedMatcher(trustedProxies) {
+    if (trustedMatcherSource !== trustedProxies) {
+        trustedMatcher = createIpMatcher(trustedProxies);
+        trustedMatcherSource = trustedProxies;
+    }
+    return trustedMatcher;
+}
+
+/**
+ * Check a client IP configuration, so a bad TRUSTED_PROXIES or TRUSTED_PROXY_HEADER
+ * fails at startup instead of on every request
+ * @param {Object} config - { trustedProxies, proxyHeader }
+ * @throws {Error} - If the header isn't supported or a proxy range is invalid
+ */
+function validateClientIpConfig(config) {
+    if (!PROXY_HEADER_PARSERS[config.proxyHeader.toLowerCase()]) {
+        throw new Error(
+            `Unsupported proxy header: ${config.proxyHeader} (expected ${Object.keys(PROXY_HEADER_PARSERS).join(' or ')})`
+        );
+    }
+    getTrustedMatcher(config.trustedProxies);
+}
+
+validateClientIpConfig(CLIENT_IP_CONFIG);
+
+/**
+ * Resolve the client IP of a request
+ * @param {Object} req - Express request object
+ * @param {Object} options - { trustedProxies, proxyHeader } overrides CLIENT_IP_CONFIG
+ * @returns {string} - Client IP, or 'unknown' if the socket has no address
+ */
+function resolveClientIp(req, options = {}) {
+    const trustedProxies = options.trustedProxies || CLIENT_IP_CONFIG.trustedProxies;
+    const proxyHeader = (options.proxyHeader || CLIENT_IP_CONFIG.proxyHeader).toLowerCase();
+    const matcher = getTrustedMatcher(trustedProxies);
+
+    const parseHeader = PROXY_HEADER_PARSERS[proxyHeader];
+    if (!parseHeader) {
+        throw new Error(`Unsupported proxy header: ${proxyHeader}`);
+    }
+
+    const remote = normalizeIp(req.socket?.remoteAddress || req.connection?.remoteAddress);
+    if (!remote) {
+        return 'unknown';
+    }
+
+    const header = req.headers[proxyHeader];
+    const chain = header ? parseHeader(header) : [];
+
+    // Walk from the nearest hop outwards while the current hop is a proxy we trust
+    let client = remote;
+    for (let i = chain.length - 1; i >= 0; i--) {
+        if (!isIpInRanges(client, matcher)) {
+            break;
+        }
+        // A trusted proxy that forwarded garbage is the best address we have
+        if (!chain[i]) {
+            break;
+        }
+        client = chain[i];
+    }
+
+    return client;
+}
+
+/**
+ * Get the client IP for a request, resolving it once per request
+ * @param {Object} req - Express request object
+ * @returns {string} - Client IP
+ */
+function getClientIp(req) {
+    if (!req.clientIp) {
+        req.clientIp = resolveClientIp(req);
+    }
+    return req.clientIp;
+}
+
+module.exports = {
+    getClientIp,
+    resolveClientIp,
+    validateClientIpConfig,
+    normalizeIp,
+    isIpInRanges,
+    createIpMatcher,
+    parseForwardedHeader,
+    parseXForwardedFor,
+    CLIENT_IP_CONFIG
+};
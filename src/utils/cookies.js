@@ -0,0 +1,138 @@
+// Cookie helpers
+// The app doesn't use cookie-parser or sessions; the few cookies it needs (short-lived,
+// server-only state) are read and written with these, signed with an HMAC so the
+// client can't alter them.
+const crypto = require('crypto');
+
+/**
+ * Parse a Cookie request header
+ * @param {string} header - Cookie header value
+ * @returns {Object} - name -> decoded value (first occurrence wins)
+ */
+function parseCookies(header) {
+    const cookies = {};
+    if (!header) {
+        return cookies;
+    }
+
+    for (const pair of header.split(';')) {
+        const index = pair.indexOf('=');
+        if (index === -1) {
+            continue;
+        }
+
+        const name = pair.slice(0, index).trim();
+        if (!name || name in cookies) {
+            continue;
+        }
+
+        let value = pair.slice(index + 1).trim();
+        if (value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1);
+        }
+
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    }
+
+    return cookies;
+}
+
+/**
+ * Serialize a Set-Cookie header value
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value (URI-encoded here)
+ * @param {Object} options - { maxAge (seconds), path, domain, httpOnly, secure, sameSite }
+ * @returns {string}
+ */
+function serializeCookie(name, value, options = {}) {
+    const parts = [`${name}=${encodeURIComponent(value)}`];
+
+    if (options.maxAge !== undefined) {
+        parts.push(`Max-Age=${Math.floor(options.maxAge)}`);
+        parts.push(`Expires=${new Date(Date.now() + options.maxAge * 1000).toUTCString()}`);
+    }
+    if (options.domain) {
+        parts.push(`Domain=${options.domain}`);
+    }
+    parts.push(`Path=${options.path || '/'}`);
+    if (options.httpOnly) {
+        parts.push('HttpOnly');
+    }
+    if (options.secure) {
+        parts.push('Secure');
+    }
+    if (options.sameSite) {
+        parts.push(`SameSite=${options.sameSite}`);
+    }
+
+    return parts.join('; ');
+}
+
+/**
+ * Append a cookie to the response without dropping ones already set
+ * @param {Object} res - Express response object
+ */
+function setCookie(res, name, value, options = {}) {
+    res.append('Set-Cookie', serializeCookie(name, value, options));
+}
+
+/**
+ * Expire a cookie (path/domain must match the ones it was set with)
+ * @param {Object} res - Express response object
+ */
+function clearCookie(res, name, options = {}) {
+    res.append('Set-Cookie', serializeCookie(name, '', { ...options, maxAge: 0 }));
+}
+
+function hmac(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+/**
+ * Sign a cookie value
+ * @param {string} value - Value to sign
+ * @param {string} secret - Signing secret
+ * @returns {string} - value.signature
+ */
+function signValue(value, secret) {
+    return `${value}.${hmac(value, secret)}`;
+}
+
+/**
+ * Check a signed cookie value
+ * @param {string} signed - Value produced by signValue()
+ * @param {string} secret - Signing secret
+ * @returns {string|null} - Original value, or null if the signature doesn't match
+ */
+function unsignValue(signed, secret) {
+    if (typeof signed !== 'string') {
+        return null;
+    }
+
+    const index = signed.lastIndexOf('.');
+    if (index === -1) {
+        return null;
+    }
+
+    const value = signed.slice(0, index);
+    const expected = Buffer.from(hmac(value, secret));
+    const actual = Buffer.from(signed.slice(index + 1));
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+    return value;
+}
+
+module.exports = {
+    parseCookies,
+    serializeCookie,
+    setCookie,
+    clearCookie,
+    signValue,
+    unsignValue
+};